@@ -1,10 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import TableroVisual from './TableroVisual';
 import PanelControl from './PanelControl';
 import PanelEstadisticas from './PanelEstadisticas';
 import PanelRespuesta from './PanelRespuesta';
+import VistaRepeticion from './VistaRepeticion';
+import PanelExplicacion from './PanelExplicacion';
+import useCanalJuego from './useCanalJuego';
 import Juego from '../modelos/Juego';
-import { TAMAÑOS_TABLERO } from '../constantes/ConfiguracionJuego';
+import RegistroPartida from '../utilidades/RegistroPartida';
+import { ESTRATEGIAS, ESTRATEGIA_PREDETERMINADA } from '../logica/estrategias/CatalogoEstrategias';
+import { TOPOLOGIAS, TOPOLOGIA_PREDETERMINADA, crearTopologia } from '../modelos/topologias/CatalogoTopologias';
+import { TAMAÑOS_TABLERO, CANALES_JUEGO } from '../constantes/ConfiguracionJuego';
 
 /**
  * Componente principal del juego BuscaminasInverso
@@ -14,41 +20,62 @@ const BuscaminasInverso = () => {
   // Referencias al juego
   const [juego, setJuego] = useState(null);
   
-  // Estado del juego para la UI
-  const [estadoJuego, setEstadoJuego] = useState({
+  // Estado del juego para la UI, por canales: el tic del reloj solo lo recibe PanelEstadisticas
+  const estadoAccion = useCanalJuego(juego, CANALES_JUEGO.ACCION, {
     enCurso: false,
     esperandoRespuesta: false,
     juegoTerminado: false,
     victoria: false,
     celdaActual: null,
+    estrategia: ESTRATEGIA_PREDETERMINADA,
+    topologia: TOPOLOGIA_PREDETERMINADA,
+    maximoVecinas: crearTopologia(TOPOLOGIA_PREDETERMINADA).maximoVecinas,
     ultimaAccion: { tipo: 'inicial', mensaje: 'Cargando juego...' }
   });
+  const estadoTablero = useCanalJuego(juego, CANALES_JUEGO.TABLERO, { tablero: null });
+  const estadoMemoria = useCanalJuego(juego, CANALES_JUEGO.ESTADISTICAS, { estadisticas: null, partidasGuardadas: [] });
   
   // Configuración
   const [tamañoSeleccionado, setTamañoSeleccionado] = useState(TAMAÑOS_TABLERO[0]);
+  const [totalMinas, setTotalMinas] = useState(TAMAÑOS_TABLERO[0].minas ?? null);
   const [temaColor, setTemaColor] = useState('claro');
+  const [mostrarProbabilidades, setMostrarProbabilidades] = useState(false);
+  const [resaltarExplicacion, setResaltarExplicacion] = useState(true);
+  const [editandoHuecos, setEditandoHuecos] = useState(false);
+  
+  // Estrategia elegida para el sistema y forma de la cuadrícula (se conservan al cambiar de tablero)
+  const estrategiaElegida = useRef(ESTRATEGIA_PREDETERMINADA);
+  const topologiaElegida = useRef(TOPOLOGIA_PREDETERMINADA);
+  
+  // Partida importada o guardada que se está revisando (null si se muestra el juego)
+  const [repeticion, setRepeticion] = useState(null);
+  const [errorImportacion, setErrorImportacion] = useState(null);
   
   // Configurar el juego al inicio
   useEffect(() => {
     const nuevoJuego = new Juego(
       tamañoSeleccionado.filas,
       tamañoSeleccionado.columnas,
-      actualizarEstadoJuego
+      null,
+      { estrategia: estrategiaElegida.current, topologia: topologiaElegida.current }
     );
     
+    // Los niveles clásicos declaran su número de minas
+    if (tamañoSeleccionado.minas) {
+      nuevoJuego.establecerTotalMinas(tamañoSeleccionado.minas);
+    }
+    
     setJuego(nuevoJuego);
-    actualizarEstadoJuego(nuevoJuego.obtenerEstadoActual());
+    
+    // Detener el juego anterior (y su trabajador de análisis) al cambiar de tamaño
+    return () => nuevoJuego.liberar();
   }, [tamañoSeleccionado]);
   
-  // Función para actualizar el estado del juego en la UI
-  const actualizarEstadoJuego = (estado) => {
-    setEstadoJuego(estado);
-  };
-  
-  // Iniciar una nueva partida
-  const iniciarJuego = () => {
+  // Iniciar una nueva partida (con semilla para repetir una anterior)
+  const iniciarJuego = (semilla = null) => {
+    setEditandoHuecos(false);
     if (juego) {
-      juego.iniciarPartida();
+      juego.iniciarPartida(semilla);
     }
   };
   
@@ -62,15 +89,111 @@ const BuscaminasInverso = () => {
   // Cambiar el tamaño del tablero
   const cambiarTamañoTablero = (nuevoTamaño) => {
     setTamañoSeleccionado(nuevoTamaño);
+    setTotalMinas(nuevoTamaño.minas ?? null);
+  };
+  
+  // Cambiar el número total de minas declarado
+  const cambiarTotalMinas = (nuevoTotal) => {
+    if (juego && juego.establecerTotalMinas(nuevoTotal)) {
+      setTotalMinas(nuevoTotal);
+    }
+  };
+  
+  // Habilitar o deshabilitar una posición del tablero en el editor de huecos
+  const alternarHueco = (fila, columna) => {
+    if (juego) {
+      juego.alternarCeldaDeshabilitada(fila, columna);
+    }
+  };
+  
+  // Devolver el tablero a su forma rectangular
+  const quitarHuecos = () => {
+    if (juego) {
+      juego.establecerCeldasDeshabilitadas([]);
+    }
+  };
+  
+  // Cambiar la forma de la cuadrícula
+  const cambiarTopologia = (nuevaTopologia) => {
+    if (juego && juego.cambiarTopologia(nuevaTopologia)) {
+      topologiaElegida.current = nuevaTopologia;
+    }
+  };
+  
+  // Cambiar la estrategia con la que juega el sistema
+  const cambiarEstrategia = (nuevaEstrategia) => {
+    if (juego && juego.cambiarEstrategia(nuevaEstrategia)) {
+      estrategiaElegida.current = nuevaEstrategia;
+    }
   };
   
   // Manejar la respuesta del usuario
   const manejarRespuesta = (respuesta) => {
-    if (juego && estadoJuego.esperandoRespuesta) {
+    if (juego && estadoAccion.esperandoRespuesta) {
       juego.procesarRespuesta(respuesta);
     }
   };
   
+  // Deshacer la última respuesta
+  const deshacer = () => {
+    if (juego) {
+      juego.deshacer();
+    }
+  };
+  
+  // Rehacer la última respuesta deshecha
+  const rehacer = () => {
+    if (juego) {
+      juego.rehacer();
+    }
+  };
+  
+  // Descargar el registro de la partida actual como archivo JSON
+  const exportarPartida = () => {
+    const contenido = juego ? juego.exportarPartida() : null;
+    if (!contenido) return;
+    
+    const url = URL.createObjectURL(new Blob([contenido], { type: 'application/json' }));
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = `partida-${juego.filas}x${juego.columnas}-${juego.semilla}.json`;
+    enlace.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  // Cargar un registro de partida para revisarlo
+  const importarPartida = (archivo) => {
+    if (!archivo) return;
+    
+    const lector = new FileReader();
+    lector.onload = () => {
+      try {
+        setRepeticion(RegistroPartida.importar(lector.result));
+        setErrorImportacion(null);
+      } catch (error) {
+        setErrorImportacion(error.message);
+      }
+    };
+    lector.onerror = () => setErrorImportacion('No se pudo leer el archivo.');
+    lector.readAsText(archivo);
+  };
+  
+  // Revisar una partida guardada en la memoria del sistema
+  const verPartidaGuardada = (id) => {
+    const registro = juego ? juego.obtenerRegistroPartidaGuardada(id) : null;
+    if (registro) {
+      setRepeticion(registro);
+    }
+  };
+  
+  // Revisar la partida que acaba de terminar
+  const verPartidaActual = () => {
+    const registro = juego ? juego.obtenerRegistroActual() : null;
+    if (registro) {
+      setRepeticion(registro);
+    }
+  };
+  
   // Reiniciar la memoria del sistema
   const reiniciarMemoria = () => {
     if (juego) {
@@ -132,66 +255,132 @@ const BuscaminasInverso = () => {
             tema={clasesTema}
             tamañosTablero={TAMAÑOS_TABLERO}
             tamañoSeleccionado={tamañoSeleccionado}
-            enCurso={estadoJuego.enCurso}
-            juegoTerminado={estadoJuego.juegoTerminado}
-            victoria={estadoJuego.victoria}
+            totalMinas={totalMinas}
+            numeroHuecos={estadoAccion.deshabilitadas?.length ?? 0}
+            editandoHuecos={editandoHuecos}
+            estrategia={estadoAccion.estrategia}
+            estrategias={ESTRATEGIAS}
+            topologia={estadoAccion.topologia}
+            topologias={TOPOLOGIAS}
+            semilla={estadoAccion.semilla}
+            enCurso={estadoAccion.enCurso}
+            juegoTerminado={estadoAccion.juegoTerminado}
+            victoria={estadoAccion.victoria}
+            puedeDeshacer={estadoAccion.puedeDeshacer}
+            puedeRehacer={estadoAccion.puedeRehacer}
             cambiarTamañoTablero={cambiarTamañoTablero}
+            cambiarTotalMinas={cambiarTotalMinas}
+            alternarEditorHuecos={() => setEditandoHuecos(!editandoHuecos)}
+            quitarHuecos={quitarHuecos}
+            cambiarEstrategia={cambiarEstrategia}
+            cambiarTopologia={cambiarTopologia}
             iniciarJuego={iniciarJuego}
             reiniciarJuego={reiniciarJuego}
+            deshacer={deshacer}
+            rehacer={rehacer}
+            puedeExportar={estadoAccion.puedeExportar}
+            exportarPartida={exportarPartida}
+            importarPartida={importarPartida}
+            errorImportacion={errorImportacion}
+            partidasGuardadas={estadoMemoria.partidasGuardadas}
+            verPartidaGuardada={verPartidaGuardada}
+            verPartidaActual={verPartidaActual}
             reiniciarMemoria={reiniciarMemoria}
-            estadisticas={estadoJuego.estadisticas}
+            estadisticas={estadoMemoria.estadisticas}
           />
           
           <PanelEstadisticas 
             tema={clasesTema}
-            tiempoJuego={estadoJuego.tiempoJuego}
-            movimientosRealizados={estadoJuego.movimientosRealizados}
-            tablero={estadoJuego.tablero}
-            enCurso={estadoJuego.enCurso}
-            juegoTerminado={estadoJuego.juegoTerminado}
+            juego={juego}
+            movimientosRealizados={estadoTablero.movimientosRealizados}
+            tablero={estadoTablero.tablero}
+            minasRestantes={estadoTablero.minasRestantes}
+            enCurso={estadoAccion.enCurso}
+            juegoTerminado={estadoAccion.juegoTerminado}
           />
         </div>
         
         {/* Panel central - Tablero */}
         <div className="w-full md:w-2/4 p-4 flex flex-col items-center">
-          {/* Panel de mensaje */}
-          <div className={`w-full p-3 mb-4 rounded ${getMensajeClass(estadoJuego.ultimaAccion.tipo, clasesTema)}`}>
-            <p className="font-medium">
-              {estadoJuego.ultimaAccion.mensaje || 'Listo para iniciar el juego'}
-            </p>
-          </div>
-          
-          {/* Panel de respuesta cuando se espera input del usuario */}
-          {estadoJuego.esperandoRespuesta && estadoJuego.celdaActual && (
-            <PanelRespuesta 
+          {repeticion ? (
+            <VistaRepeticion
               tema={clasesTema}
-              celdaActual={estadoJuego.celdaActual}
-              manejarRespuesta={manejarRespuesta}
-            />
-          )}
-          
-          {/* Tablero visual */}
-          {estadoJuego.tablero && (
-            <TableroVisual 
-              tema={clasesTema}
-              tablero={estadoJuego.tablero}
-              celdaActual={estadoJuego.celdaActual}
-              ultimaAccion={estadoJuego.ultimaAccion}
+              registro={repeticion}
+              cerrar={() => setRepeticion(null)}
             />
+          ) : (
+            <>
+              {/* Panel de mensaje */}
+              <div className={`w-full p-3 mb-4 rounded ${getMensajeClass(estadoAccion.ultimaAccion.tipo, clasesTema)}`}>
+                <p className="font-medium">
+                  {estadoAccion.ultimaAccion.mensaje || 'Listo para iniciar el juego'}
+                </p>
+              </div>
+  
+              {/* Panel de respuesta cuando se espera input del usuario */}
+              {estadoAccion.esperandoRespuesta && estadoAccion.celdaActual && (
+                <PanelRespuesta 
+                  tema={clasesTema}
+                  celdaActual={estadoAccion.celdaActual}
+                  errorRespuesta={estadoAccion.errorRespuesta}
+                  manejarRespuesta={manejarRespuesta}
+                  maximoVecinas={estadoAccion.maximoVecinas}
+                />
+              )}
+  
+              {/* Mapa de calor de probabilidades */}
+              <label className="self-end mb-2 flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={mostrarProbabilidades}
+                  onChange={(e) => setMostrarProbabilidades(e.target.checked)}
+                />
+                Mostrar probabilidades
+              </label>
+  
+              {/* Tablero visual */}
+              {estadoTablero.tablero && (
+                <TableroVisual 
+                  tema={clasesTema}
+                  tablero={estadoTablero.tablero}
+                  celdaActual={estadoTablero.celdaActual}
+                  ultimaAccion={estadoTablero.ultimaAccion}
+                  mostrarProbabilidades={mostrarProbabilidades}
+                  explicacion={resaltarExplicacion ? estadoTablero.explicacion : null}
+                  editandoHuecos={editandoHuecos && !estadoAccion.enCurso}
+                  alternarHueco={alternarHueco}
+                />
+              )}
+            </>
           )}
         </div>
         
-        {/* Panel derecho - Instrucciones */}
+        {/* Panel derecho - Explicación e instrucciones */}
         <div className={`w-full md:w-1/4 p-4 ${clasesTema.tarjeta}`}>
+          {!repeticion && (
+            <PanelExplicacion
+              tema={clasesTema}
+              explicacion={estadoAccion.explicacion}
+              resaltar={resaltarExplicacion}
+              cambiarResaltar={setResaltarExplicacion}
+            />
+          )}
+          
           <div className={`p-4 rounded border ${clasesTema.panel}`}>
             <h2 className="text-lg font-semibold mb-3">Instrucciones:</h2>
             <ol className="list-decimal pl-5 space-y-2">
               <li>El sistema (IA) seleccionará automáticamente una casilla del tablero para descubrir.</li>
-              <li>Tú debes indicar qué hay en esa casilla: vacío, un número (0-8) o una mina.</li>
-              <li>Los números indican cuántas minas hay en las 8 casillas adyacentes.</li>
+              <li>Tú debes indicar qué hay en esa casilla: vacío, un número (0-{estadoAccion.maximoVecinas}) o una mina.</li>
+              <li>Los números indican cuántas minas hay en las casillas adyacentes (hasta {estadoAccion.maximoVecinas} con la cuadrícula elegida).</li>
               <li>El sistema usará esta información para decidir su siguiente movimiento.</li>
               <li>El sistema colocará banderas donde tenga certeza absoluta que hay minas.</li>
-              <li>El juego termina cuando el sistema encuentra una mina (pierdes) o cuando identifica todas las minas correctamente (ganas).</li>
+              <li>Cada partida tiene una semilla: si introduces la de una partida guardada antes de iniciar y das las mismas respuestas, el sistema repetirá exactamente las mismas jugadas, porque decide con lo que había aprendido cuando se jugó. Con otra semilla, o si la partida ya no está en la memoria, decide con lo aprendido hasta ahora.</li>
+              <li>Si te equivocas al responder, usa "Deshacer" para volver atrás; el sistema recalculará su jugada desde ese punto.</li>
+              <li>Las partidas terminadas se guardan: elige una en "Repetir partida" para revisarla paso a paso con las banderas y mensajes del sistema.</li>
+              <li>Activa "Mostrar probabilidades" para ver la probabilidad de mina que el sistema asigna a cada casilla; las marcadas con * son estimaciones y no deducciones.</li>
+              <li>El panel "Explicación de la jugada" muestra qué regla ha usado el sistema, qué casillas numéricas ha tenido en cuenta y qué alternativas ha descartado.</li>
+              <li>Si indicas cuántas minas has colocado, el sistema lo usará para calcular probabilidades exactas.</li>
+              <li>El juego termina cuando el sistema encuentra una mina (pierdes) o cuando identifica todas las minas correctamente o revela todas las celdas seguras (ganas).</li>
             </ol>
             
             <div className="mt-6">
@@ -236,6 +425,7 @@ const getMensajeClass = (tipo, clasesTema) => {
     case 'banderas':
       return `${clasesTema.panel} border-orange-400 bg-orange-50 dark:bg-orange-900 dark:border-orange-700`;
     case 'respuesta':
+    case 'deshacer':
       return `${clasesTema.panel} border-blue-400 bg-blue-50 dark:bg-blue-900 dark:border-blue-700`;
     case 'error':
       return `${clasesTema.panel} border-red-400 bg-red-50 dark:bg-red-900 dark:border-red-700`;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { ORIGENES_ESTIMADOS } from '../constantes/ConfiguracionJuego';
 
 /**
  * Componente para visualizar una celda individual del tablero
@@ -8,11 +9,19 @@ import React from 'react';
  * @param {string} props.tamañoCelda - Tamaño de la celda (clases CSS)
  * @param {boolean} props.esCeldaActual - Si es la celda actualmente seleccionada
  * @param {string} props.animacion - Clase de animación a aplicar
+ * @param {boolean} props.mostrarProbabilidad - Si se colorea la celda según su probabilidad de mina
+ * @param {string|null} props.resaltado - Papel de la celda en la explicación ('restriccion', 'conclusion', 'alternativa')
  */
-const CeldaVisual = ({ celda, tema, tamañoCelda, esCeldaActual, animacion }) => {
+const CeldaVisual = ({ celda, tema, tamañoCelda, esCeldaActual, animacion, mostrarProbabilidad = false, resaltado = null }) => {
   // Determinar estilo base según estado
   let estiloBase = `${tamañoCelda} flex items-center justify-center font-bold border transition-all duration-200 aspect-square `;
   
+  // Mapa de calor solo sobre celdas tapadas sin bandera
+  const { probabilidadMina, confianza, origen } = celda.probabilidades;
+  const enMapaCalor = mostrarProbabilidad && !celda.descubierta && !celda.tieneBandera;
+  const esEstimada = ORIGENES_ESTIMADOS.includes(origen);
+  const porcentaje = Math.round(probabilidadMina * 100);
+  
   // Determinar color de fondo según estado
   if (esCeldaActual) {
     estiloBase += 'bg-yellow-200 dark:bg-yellow-700 border-yellow-400 dark:border-yellow-600 ';
@@ -24,10 +33,24 @@ const CeldaVisual = ({ celda, tema, tamañoCelda, esCeldaActual, animacion }) =>
     } else {
       estiloBase += 'bg-blue-50 dark:bg-blue-900 border-blue-200 dark:border-blue-800 ';
     }
+  } else if (enMapaCalor) {
+    // El color lo da el estilo en línea; las estimaciones llevan borde discontinuo
+    estiloBase += esEstimada
+      ? 'border-dashed border-gray-500 dark:border-gray-300 '
+      : 'border-gray-300 dark:border-gray-600 ';
   } else {
     estiloBase += 'bg-gray-100 dark:bg-gray-700 border-gray-300 dark:border-gray-600 hover:bg-gray-200 dark:hover:bg-gray-600 ';
   }
   
+  // Resaltar las celdas implicadas en la explicación de la jugada
+  if (resaltado === 'restriccion') {
+    estiloBase += 'ring-2 ring-inset ring-purple-500 ';
+  } else if (resaltado === 'conclusion') {
+    estiloBase += 'ring-2 ring-inset ring-emerald-500 ';
+  } else if (resaltado === 'alternativa') {
+    estiloBase += 'ring-2 ring-inset ring-gray-400 ';
+  }
+  
   // Añadir animación si existe
   if (animacion) {
     estiloBase += animacion + ' ';
@@ -40,6 +63,13 @@ const CeldaVisual = ({ celda, tema, tamañoCelda, esCeldaActual, animacion }) =>
     }
     
     if (!celda.descubierta) {
+      if (enMapaCalor) {
+        return (
+          <span className="text-[10px] font-medium text-gray-900 dark:text-white">
+            {porcentaje}{esEstimada && '*'}
+          </span>
+        );
+      }
       return null;
     }
     
@@ -77,9 +107,20 @@ const CeldaVisual = ({ celda, tema, tamañoCelda, esCeldaActual, animacion }) =>
     }
   };
   
+  // Verde (0% mina) a rojo (100% mina), semitransparente para ambos temas
+  const estiloMapaCalor = enMapaCalor && !esCeldaActual
+    ? { backgroundColor: `hsla(${Math.round(120 * (1 - probabilidadMina))}, 75%, 50%, 0.55)` }
+    : undefined;
+  
+  const descripcionProbabilidad = !celda.descubierta && !celda.tieneBandera
+    ? `Mina: ${porcentaje}% · confianza ${Math.round(confianza * 100)}% · origen: ${origen}${esEstimada ? ' (estimación)' : ''}`
+    : undefined;
+  
   return (
     <div 
       className={estiloBase}
+      style={estiloMapaCalor}
+      title={descripcionProbabilidad}
       data-testid={`celda-${celda.fila}-${celda.columna}`}
       data-fila={celda.fila}
       data-columna={celda.columna}
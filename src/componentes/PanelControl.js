@@ -1,4 +1,6 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import { LIMITES_TABLERO } from '../constantes/ConfiguracionJuego';
 
 /**
  * Componente para el panel de control del juego
@@ -9,15 +11,132 @@ const PanelControl = ({
   tema, 
   tamañosTablero, 
   tamañoSeleccionado, 
+  totalMinas,
+  numeroHuecos,
+  editandoHuecos,
+  estrategia,
+  estrategias,
+  topologia,
+  topologias,
+  semilla,
   enCurso, 
   juegoTerminado,
   victoria,
+  puedeDeshacer,
+  puedeRehacer,
   cambiarTamañoTablero, 
+  cambiarTotalMinas,
+  alternarEditorHuecos,
+  quitarHuecos,
+  cambiarEstrategia,
+  cambiarTopologia,
   iniciarJuego,
   reiniciarJuego,
+  deshacer,
+  rehacer,
+  puedeExportar,
+  exportarPartida,
+  importarPartida,
+  errorImportacion,
+  partidasGuardadas,
+  verPartidaGuardada,
+  verPartidaActual,
   reiniciarMemoria,
   estadisticas
 }) => {
+  // Texto del campo de minas (puede contener valores aún no válidos)
+  const [textoMinas, setTextoMinas] = useState(totalMinas ?? '');
+  const [errorMinas, setErrorMinas] = useState(null);
+  
+  // Semilla escrita por el usuario para repetir una partida
+  const [textoSemilla, setTextoSemilla] = useState('');
+  const semillaElegida = textoSemilla.trim() === '' ? null : Number(textoSemilla);
+  const errorSemilla = semillaElegida !== null && !GeneradorAleatorio.esSemillaValida(semillaElegida)
+    ? 'La semilla debe ser un número entero positivo.'
+    : null;
+  
+  // Partida guardada elegida para repetir
+  const [idPartidaElegida, setIdPartidaElegida] = useState('');
+  
+  // Dimensiones escritas para un tablero personalizado
+  const [textoFilas, setTextoFilas] = useState(String(tamañoSeleccionado.filas));
+  const [textoColumnas, setTextoColumnas] = useState(String(tamañoSeleccionado.columnas));
+  const [errorDimensiones, setErrorDimensiones] = useState(null);
+  const esPersonalizado = tamañoSeleccionado.nombre === LIMITES_TABLERO.NOMBRE_PERSONALIZADO;
+  
+  const totalCeldas = tamañoSeleccionado.filas * tamañoSeleccionado.columnas - numeroHuecos;
+  const estrategiaElegida = estrategias.find(e => e.id === estrategia);
+  const topologiaElegida = topologias.find(t => t.id === topologia);
+  
+  // Sincronizar con el valor aceptado por el juego
+  useEffect(() => {
+    setTextoMinas(totalMinas ?? '');
+    setErrorMinas(null);
+  }, [totalMinas]);
+  
+  /**
+   * Valida y aplica el número de minas escrito por el usuario
+   * @param {string} texto - Contenido del campo
+   */
+  const manejarCambioMinas = (texto) => {
+    setTextoMinas(texto);
+    
+    if (texto.trim() === '') {
+      setErrorMinas(null);
+      cambiarTotalMinas(null);
+      return;
+    }
+    
+    const valor = Number(texto);
+    if (!Number.isInteger(valor) || valor < 1 || valor >= totalCeldas) {
+      setErrorMinas(`Introduce un número entero entre 1 y ${totalCeldas - 1}.`);
+      return;
+    }
+    
+    setErrorMinas(null);
+    cambiarTotalMinas(valor);
+  };
+  
+  /**
+   * Valida las dimensiones escritas y, si son correctas, cambia a un tablero personalizado
+   * @param {string} filas - Contenido del campo de filas
+   * @param {string} columnas - Contenido del campo de columnas
+   */
+  const manejarCambioDimensiones = (filas, columnas) => {
+    setTextoFilas(filas);
+    setTextoColumnas(columnas);
+    
+    const { MIN_DIMENSION, MAX_DIMENSION } = LIMITES_TABLERO;
+    const valores = [Number(filas), Number(columnas)];
+    if (valores.some(v => !Number.isInteger(v) || v < MIN_DIMENSION || v > MAX_DIMENSION)) {
+      setErrorDimensiones(`Filas y columnas deben ser enteros entre ${MIN_DIMENSION} y ${MAX_DIMENSION}.`);
+      return;
+    }
+    
+    setErrorDimensiones(null);
+    cambiarTamañoTablero({
+      nombre: LIMITES_TABLERO.NOMBRE_PERSONALIZADO,
+      filas: valores[0],
+      columnas: valores[1]
+    });
+  };
+  
+  /**
+   * Cambia al tamaño elegido en el selector
+   * @param {string} nombre - Nombre del tamaño elegido
+   */
+  const manejarCambioTamaño = (nombre) => {
+    if (nombre === LIMITES_TABLERO.NOMBRE_PERSONALIZADO) {
+      // Partir de las dimensiones actuales
+      manejarCambioDimensiones(String(tamañoSeleccionado.filas), String(tamañoSeleccionado.columnas));
+      return;
+    }
+    
+    const nuevoTamaño = tamañosTablero.find(t => t.nombre === nombre);
+    setErrorDimensiones(null);
+    cambiarTamañoTablero(nuevoTamaño);
+  };
+  
   return (
     <div className="mb-6">
       <h2 className="text-lg font-semibold mb-2">Panel de Control</h2>
@@ -29,10 +148,7 @@ const PanelControl = ({
           <select
             className={`w-full p-2 rounded ${tema.selector}`}
             value={tamañoSeleccionado.nombre}
-            onChange={(e) => {
-              const nuevoTamaño = tamañosTablero.find(t => t.nombre === e.target.value);
-              cambiarTamañoTablero(nuevoTamaño);
-            }}
+            onChange={(e) => manejarCambioTamaño(e.target.value)}
             disabled={enCurso}
           >
             {tamañosTablero.map(tamaño => (
@@ -40,9 +156,148 @@ const PanelControl = ({
                 {tamaño.nombre}
               </option>
             ))}
+            <option value={LIMITES_TABLERO.NOMBRE_PERSONALIZADO}>
+              {LIMITES_TABLERO.NOMBRE_PERSONALIZADO}
+            </option>
           </select>
+          
+          {/* Dimensiones de un tablero personalizado */}
+          {esPersonalizado && (
+            <div className="flex items-center gap-2 mt-2">
+              <input
+                type="number"
+                min={LIMITES_TABLERO.MIN_DIMENSION}
+                max={LIMITES_TABLERO.MAX_DIMENSION}
+                className={`w-full p-2 rounded border ${tema.selector}`}
+                value={textoFilas}
+                aria-label="Filas"
+                onChange={(e) => manejarCambioDimensiones(e.target.value, textoColumnas)}
+                disabled={enCurso}
+              />
+              <span>×</span>
+              <input
+                type="number"
+                min={LIMITES_TABLERO.MIN_DIMENSION}
+                max={LIMITES_TABLERO.MAX_DIMENSION}
+                className={`w-full p-2 rounded border ${tema.selector}`}
+                value={textoColumnas}
+                aria-label="Columnas"
+                onChange={(e) => manejarCambioDimensiones(textoFilas, e.target.value)}
+                disabled={enCurso}
+              />
+            </div>
+          )}
+          
+          <p className={`text-xs mt-1 ${errorDimensiones ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+            {errorDimensiones || `${tamañoSeleccionado.filas} × ${tamañoSeleccionado.columnas} = ${totalCeldas} celdas` +
+              (numeroHuecos > 0 ? ` (sin ${numeroHuecos} huecos)` : '') +
+              (tamañoSeleccionado.minas ? `, ${tamañoSeleccionado.minas} minas` : '')}
+          </p>
+        </div>
+        
+        {/* Forma de la cuadrícula */}
+        <div className="mb-4">
+          <label className="block font-medium mb-1">Cuadrícula:</label>
+          <select
+            className={`w-full p-2 rounded ${tema.selector}`}
+            value={topologia}
+            onChange={(e) => cambiarTopologia(e.target.value)}
+            disabled={enCurso}
+          >
+            {topologias.map(t => (
+              <option key={t.id} value={t.id}>
+                {t.nombre}
+              </option>
+            ))}
+          </select>
+          {topologiaElegida && (
+            <p className="text-xs mt-1 text-gray-500 dark:text-gray-400">
+              {topologiaElegida.descripcion}
+            </p>
+          )}
+        </div>
+        
+        {/* Editor de huecos: posiciones que no forman parte del tablero */}
+        <div className="mb-4">
+          <div className="flex gap-2">
+            <button
+              className={`flex-1 py-2 rounded font-medium ${editandoHuecos ? tema.botonSeleccionado : tema.botonSecundario} disabled:opacity-50`}
+              onClick={alternarEditorHuecos}
+              disabled={enCurso}
+            >
+              {editandoHuecos ? 'Terminar huecos' : 'Editar huecos'}
+            </button>
+            <button
+              className={`flex-1 py-2 rounded font-medium ${tema.botonSecundario} disabled:opacity-50`}
+              onClick={quitarHuecos}
+              disabled={enCurso || numeroHuecos === 0}
+            >
+              Quitar huecos
+            </button>
+          </div>
           <p className="text-xs mt-1 text-gray-500 dark:text-gray-400">
-            {`${tamañoSeleccionado.filas} × ${tamañoSeleccionado.columnas} = ${tamañoSeleccionado.filas * tamañoSeleccionado.columnas} celdas`}
+            {editandoHuecos
+              ? 'Pulsa las casillas del tablero para quitarlas o recuperarlas.'
+              : 'Opcional. Los huecos permiten jugar en tableros con formas irregulares.'}
+          </p>
+        </div>
+        
+        {/* Número total de minas */}
+        <div className="mb-4">
+          <label className="block font-medium mb-1">Número de minas:</label>
+          <input
+            type="number"
+            min="1"
+            max={totalCeldas - 1}
+            className={`w-full p-2 rounded border ${tema.selector}`}
+            value={textoMinas}
+            placeholder="Desconocido"
+            onChange={(e) => manejarCambioMinas(e.target.value)}
+            disabled={enCurso}
+          />
+          <p className={`text-xs mt-1 ${errorMinas ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+            {errorMinas || 'Opcional. Con el total de minas el sistema calcula probabilidades exactas.'}
+          </p>
+        </div>
+        
+        {/* Estrategia con la que juega el sistema */}
+        <div className="mb-4">
+          <label className="block font-medium mb-1">Estrategia del sistema:</label>
+          <select
+            className={`w-full p-2 rounded ${tema.selector}`}
+            value={estrategia}
+            onChange={(e) => cambiarEstrategia(e.target.value)}
+            disabled={enCurso}
+          >
+            {estrategias.map(e => (
+              <option key={e.id} value={e.id}>
+                {e.nombre}
+              </option>
+            ))}
+          </select>
+          {estrategiaElegida && (
+            <p className="text-xs mt-1 text-gray-500 dark:text-gray-400">
+              {estrategiaElegida.descripcion}
+            </p>
+          )}
+        </div>
+        
+        {/* Semilla de la partida */}
+        <div className="mb-4">
+          <label className="block font-medium mb-1">Semilla:</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            className={`w-full p-2 rounded border ${tema.selector}`}
+            value={textoSemilla}
+            placeholder="Aleatoria"
+            onChange={(e) => setTextoSemilla(e.target.value)}
+            disabled={enCurso}
+          />
+          <p className={`text-xs mt-1 ${errorSemilla ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+            {errorSemilla || (semilla !== undefined && (enCurso || juegoTerminado)
+              ? `Semilla de esta partida: ${semilla}`
+              : 'Opcional. Usa la semilla de una partida anterior para repetirla.')}
           </p>
         </div>
         
@@ -51,8 +306,8 @@ const PanelControl = ({
           {!enCurso ? (
             <button
               className={`w-full py-3 rounded font-semibold ${tema.botonPrimario}`}
-              onClick={iniciarJuego}
-              disabled={juegoTerminado && !victoria}
+              onClick={() => iniciarJuego(semillaElegida)}
+              disabled={(juegoTerminado && !victoria) || errorSemilla !== null}
             >
               Iniciar Juego
             </button>
@@ -66,6 +321,28 @@ const PanelControl = ({
           )}
         </div>
         
+        {/* Deshacer / rehacer respuestas */}
+        {(enCurso || juegoTerminado) && (
+          <div className="mb-4 flex gap-2">
+            <button
+              className={`flex-1 py-2 rounded font-medium ${tema.botonSecundario} disabled:opacity-50`}
+              onClick={deshacer}
+              disabled={!puedeDeshacer}
+              title="Volver al punto anterior a la última respuesta"
+            >
+              ↶ Deshacer
+            </button>
+            <button
+              className={`flex-1 py-2 rounded font-medium ${tema.botonSecundario} disabled:opacity-50`}
+              onClick={rehacer}
+              disabled={!puedeRehacer}
+              title="Repetir la respuesta deshecha"
+            >
+              Rehacer ↷
+            </button>
+          </div>
+        )}
+        
         {/* Estado actual */}
         {juegoTerminado && (
           <div className={`p-3 rounded mb-3 text-center ${victoria ? tema.victoria : tema.derrota}`}>
@@ -73,6 +350,70 @@ const PanelControl = ({
           </div>
         )}
         
+        {/* Exportar / importar registro de partida */}
+        <div className="mb-4">
+          <div className="flex gap-2">
+            <button
+              className={`flex-1 py-2 rounded font-medium ${tema.botonSecundario} disabled:opacity-50`}
+              onClick={exportarPartida}
+              disabled={!puedeExportar}
+            >
+              Exportar partida
+            </button>
+            <label className={`flex-1 py-2 rounded font-medium text-center cursor-pointer ${tema.botonSecundario}`}>
+              Importar partida
+              <input
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  importarPartida(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          </div>
+          <p className={`text-xs mt-1 ${errorImportacion ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+            {errorImportacion || 'Guarda la partida en un archivo JSON o revisa una guardada.'}
+          </p>
+        </div>
+        
+        {/* Repetición de partidas terminadas */}
+        <div className="mb-4">
+          <label className="block font-medium mb-1">Repetir partida:</label>
+          <div className="flex gap-2">
+            <select
+              className={`flex-1 min-w-0 p-2 rounded ${tema.selector}`}
+              value={idPartidaElegida}
+              onChange={(e) => setIdPartidaElegida(e.target.value)}
+            >
+              <option value="">
+                {partidasGuardadas.length > 0 ? 'Elige una partida guardada' : 'No hay partidas guardadas'}
+              </option>
+              {partidasGuardadas.map(partida => (
+                <option key={partida.id} value={partida.id}>
+                  {`${new Date(partida.fecha).toLocaleString()} · ${partida.filas}×${partida.columnas} · ${partida.resultado === 'victoria' ? 'Victoria' : 'Derrota'}`}
+                </option>
+              ))}
+            </select>
+            <button
+              className={`px-3 py-2 rounded font-medium ${tema.botonSecundario} disabled:opacity-50`}
+              onClick={() => verPartidaGuardada(Number(idPartidaElegida))}
+              disabled={idPartidaElegida === ''}
+            >
+              Ver
+            </button>
+          </div>
+          {juegoTerminado && (
+            <button
+              className={`w-full mt-2 py-2 rounded font-medium ${tema.botonSecundario}`}
+              onClick={verPartidaActual}
+            >
+              Ver repetición de esta partida
+            </button>
+          )}
+        </div>
+        
         {/* Botón para reiniciar memoria */}
         <div className="mt-4">
           <button
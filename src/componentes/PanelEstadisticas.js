@@ -1,17 +1,23 @@
 import React from 'react';
+import useCanalJuego from './useCanalJuego';
+import { CANALES_JUEGO } from '../constantes/ConfiguracionJuego';
 
 /**
- * Componente para mostrar estadísticas de la partida actual
+ * Componente para mostrar estadísticas de la partida actual.
+ * Es el único suscrito al reloj: cada segundo solo se vuelve a renderizar este panel
  * @param {Object} props - Propiedades del componente
  */
 const PanelEstadisticas = ({ 
   tema, 
-  tiempoJuego, 
+  juego,
   movimientosRealizados, 
   tablero,
+  minasRestantes,
   enCurso,
   juegoTerminado
 }) => {
+  const { tiempoJuego } = useCanalJuego(juego, CANALES_JUEGO.TICK, { tiempoJuego: 0 });
+  
   /**
    * Formatea el tiempo de juego en formato MM:SS
    * @param {number} segundos - Tiempo en segundos
@@ -85,6 +91,14 @@ const PanelEstadisticas = ({
               {estadisticas.banderasColocadas}
             </div>
           </div>
+          
+          <div>
+            <div className="text-sm font-medium mb-1">Minas restantes</div>
+            <div className="text-xl font-mono flex items-center">
+              <span className="mr-1">💣</span>
+              {minasRestantes ?? '?'}
+            </div>
+          </div>
         </div>
         
         {/* Barra de progreso */}
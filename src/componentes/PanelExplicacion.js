@@ -0,0 +1,110 @@
+import React from 'react';
+
+/**
+ * Componente que muestra la cadena de deducción de la última jugada del sistema
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.tema - Clases CSS del tema
+ * @param {Object|null} props.explicacion - Explicación estructurada (ver logica/Explicacion)
+ * @param {boolean} props.resaltar - Si las celdas implicadas se resaltan en el tablero
+ * @param {Function} props.cambiarResaltar - Función para activar o desactivar el resaltado
+ */
+const PanelExplicacion = ({ tema, explicacion, resaltar, cambiarResaltar }) => {
+  /**
+   * Formatea una posición contando desde 1
+   * @param {Object} celda - Posición {fila, columna}
+   * @returns {string} - Texto (fila,columna)
+   */
+  const posicion = (celda) => `(${celda.fila + 1},${celda.columna + 1})`;
+
+  const textoConclusion = {
+    mina: 'Mina segura en',
+    segura: 'Casilla segura',
+    riesgo: 'Casilla elegida'
+  };
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-semibold mb-2">Explicación de la jugada</h2>
+
+      <div className={`p-4 rounded border ${tema.panel}`}>
+        {!explicacion ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Aquí aparecerá por qué el sistema ha elegido su última jugada.
+          </p>
+        ) : (
+          <div className="space-y-3 text-sm">
+            {/* Regla aplicada */}
+            <div>
+              <span className="inline-block px-2 py-0.5 rounded bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200 font-medium">
+                {explicacion.nombreRegla}
+              </span>
+              <p className="mt-2">{explicacion.descripcion}</p>
+            </div>
+
+            {/* Conclusión */}
+            {explicacion.conclusion && (
+              <p className="font-medium text-emerald-700 dark:text-emerald-300">
+                {textoConclusion[explicacion.conclusion.tipo]} {explicacion.conclusion.celdas.map(posicion).join(', ')}
+                {explicacion.conclusion.probabilidadMina !== null && explicacion.conclusion.tipo === 'riesgo' &&
+                  ` (${Math.round(explicacion.conclusion.probabilidadMina * 100)}% mina)`}
+              </p>
+            )}
+
+            {/* Pasos de cada deducción cuando hay varias */}
+            {explicacion.pasos.length > 1 && (
+              <div>
+                <h3 className="font-semibold mb-1">Deducciones</h3>
+                <ol className="list-decimal pl-5 space-y-1">
+                  {explicacion.pasos.map((paso, indice) => (
+                    <li key={indice}>
+                      <span className="font-medium">{paso.nombreRegla}:</span> {paso.descripcion}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
+            {/* Restricciones usadas */}
+            {explicacion.restricciones.length > 0 && (
+              <div>
+                <h3 className="font-semibold mb-1">Restricciones usadas ({explicacion.restricciones.length})</h3>
+                <ul className="space-y-1 max-h-40 overflow-y-auto">
+                  {explicacion.restricciones.map(r => (
+                    <li key={`${r.fila}-${r.columna}`}>
+                      {`${posicion(r)}=${r.valor}: ${r.minasFaltantes} mina${r.minasFaltantes === 1 ? '' : 's'} entre ${r.celdas.length > 0 ? r.celdas.map(posicion).join(' ') : 'ninguna casilla'}`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Alternativas descartadas */}
+            {explicacion.alternativas.length > 0 && (
+              <div>
+                <h3 className="font-semibold mb-1">Alternativas descartadas</h3>
+                <ul className="space-y-1">
+                  {explicacion.alternativas.map(a => (
+                    <li key={`${a.fila}-${a.columna}`} className="text-gray-600 dark:text-gray-300">
+                      {posicion(a)}: {a.motivo}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={resaltar}
+                onChange={(e) => cambiarResaltar(e.target.checked)}
+              />
+              Resaltar en el tablero
+            </label>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PanelExplicacion;
@@ -3,8 +3,9 @@ import React, { useState } from 'react';
 /**
  * Componente para que el usuario indique qué hay en una celda
  * @param {Object} props - Propiedades del componente
+ * @param {number} props.maximoVecinas - Número más alto posible (8 en la cuadrícula cuadrada, 6 en la hexagonal)
  */
-const PanelRespuesta = ({ tema, celdaActual, manejarRespuesta }) => {
+const PanelRespuesta = ({ tema, celdaActual, errorRespuesta, manejarRespuesta, maximoVecinas = 8 }) => {
   // Estado para la respuesta seleccionada
   const [respuestaSeleccionada, setRespuestaSeleccionada] = useState(null);
   
@@ -37,6 +38,21 @@ const PanelRespuesta = ({ tema, celdaActual, manejarRespuesta }) => {
         </p>
       </div>
       
+      {/* Respuesta rechazada por contradecir el tablero */}
+      {errorRespuesta && (
+        <div className="mb-3 p-3 rounded border border-red-300 bg-red-50 text-red-800 dark:bg-red-900 dark:border-red-700 dark:text-red-100 text-sm text-left">
+          <p className="font-semibold">
+            Respuesta "{errorRespuesta.respuesta}" rechazada: contradice el tablero.
+          </p>
+          <p>{errorRespuesta.mensaje}</p>
+          {errorRespuesta.celdas.length > 0 && (
+            <p className="mt-1">
+              Casillas en conflicto: {errorRespuesta.celdas.map(c => `(${c.fila + 1},${c.columna + 1})`).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+      
       {/* Opciones de respuesta */}
       <div className="flex flex-wrap justify-center gap-2 mb-4">
         {/* Opción Vacío */}
@@ -59,8 +75,8 @@ const PanelRespuesta = ({ tema, celdaActual, manejarRespuesta }) => {
           0
         </button>
         
-        {/* Números del 1 al 8 */}
-        {[1, 2, 3, 4, 5, 6, 7, 8].map(num => (
+        {/* Números del 1 al máximo de vecinas */}
+        {Array.from({ length: maximoVecinas }, (_, i) => i + 1).map(num => (
           <button
             key={num}
             className={`w-12 h-12 flex items-center justify-center rounded border font-medium ${
@@ -0,0 +1,644 @@
+import React, { useRef, useEffect } from 'react';
+import { ORIGENES_ESTIMADOS, LIMITES_RENDERIZADO } from '../constantes/ConfiguracionJuego';
+
+const { LADO_CELDA, ESCALA_MINIMA, ESCALA_MAXIMA } = LIMITES_RENDERIZADO;
+
+// Espacio reservado para la numeración de columnas (arriba) y de filas (izquierda), en px
+const REGLA_SUPERIOR = 18;
+const REGLA_IZQUIERDA = 32;
+
+// Separación entre casillas en px, igual a cualquier escala
+const SEPARACION = 1;
+
+// Alto máximo del lienzo respecto al de la ventana
+const ALTO_MAXIMO = 0.7;
+
+// Desplazamiento en px a partir del cual una pulsación es un arrastre y no un clic
+const UMBRAL_ARRASTRE = 4;
+
+// Factor de zoom de cada paso de la rueda o de los botones
+const FACTOR_ZOOM = 1.2;
+
+// Cada cuántas filas o columnas se numera cuando las casillas son demasiado pequeñas para todas
+const PASOS_NUMERACION = [1, 2, 5, 10, 20, 50, 100];
+
+// Papel de la casilla en la explicación, de menor a mayor prioridad (0 = ninguno)
+const PAPELES = [null, 'alternativa', 'restriccion', 'conclusion'];
+
+// Marca de la casilla: seleccionada ahora o implicada en la última acción
+const MARCA_ACTUAL = 1;
+const MARCA_ULTIMA_ACCION = 2;
+
+// Colores equivalentes a las clases de CeldaVisual, para el esquema claro y el oscuro
+const PALETAS = {
+  claro: {
+    separacion: '#d1d5db',
+    tapada: ['#f3f4f6', '#d1d5db'],
+    numerica: ['#eff6ff', '#bfdbfe'],
+    mina: ['#fee2e2', '#fca5a5'],
+    bandera: ['#ffedd5', '#fdba74'],
+    actual: ['#fef08a', '#facc15'],
+    hueco: '#9ca3af',
+    calor: (matiz) => `hsl(${matiz}, 75%, 72%)`,
+    textoCalor: '#111827',
+    numeros: ['#9ca3af', '#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ca8a04', '#0891b2', '#000000', '#6b7280']
+  },
+  oscuro: {
+    separacion: '#374151',
+    tapada: ['#374151', '#4b5563'],
+    numerica: ['#1e3a8a', '#1e40af'],
+    mina: ['#7f1d1d', '#b91c1c'],
+    bandera: ['#7c2d12', '#c2410c'],
+    actual: ['#a16207', '#ca8a04'],
+    hueco: '#6b7280',
+    calor: (matiz) => `hsl(${matiz}, 60%, 35%)`,
+    textoCalor: '#ffffff',
+    numeros: ['#6b7280', '#93c5fd', '#86efac', '#fca5a5', '#d8b4fe', '#fde047', '#67e8f9', '#ffffff', '#d1d5db']
+  }
+};
+
+const COLORES_RESALTADO = {
+  alternativa: '#9ca3af',
+  restriccion: '#a855f7',
+  conclusion: '#10b981'
+};
+const COLOR_ULTIMA_ACCION = '#f59e0b';
+
+/**
+ * Calcula la posición de las casillas en px para una escala
+ * @param {Object} tablero - Tablero de juego
+ * @param {number} escala - Zoom
+ * @returns {Object} - Geometría {esHexagonal, lado, pasoX, pasoY, desfase, ancho, alto, x, y}
+ */
+const crearGeometria = (tablero, escala) => {
+  // En la cuadrícula hexagonal las filas impares se desplazan media casilla
+  // y cada fila se solapa un cuarto de casilla con la anterior
+  const esHexagonal = tablero.topologia.forma === 'hexagonal';
+  const lado = LADO_CELDA * escala;
+  const pasoX = lado + SEPARACION;
+  const pasoY = esHexagonal ? lado * 3 / 4 + SEPARACION : lado + SEPARACION;
+  const desfase = esHexagonal ? lado / 2 : 0;
+
+  return {
+    esHexagonal,
+    lado,
+    pasoX,
+    pasoY,
+    desfase,
+    ancho: tablero.columnas * pasoX - SEPARACION + desfase,
+    alto: (tablero.filas - 1) * pasoY + lado,
+    x: (fila, columna) => columna * pasoX + (fila % 2 === 1 ? desfase : 0),
+    y: (fila) => fila * pasoY
+  };
+};
+
+/**
+ * Busca la casilla que contiene un punto del tablero
+ * @param {Object} geometria - Geometría (ver crearGeometria)
+ * @param {Object} tablero - Tablero de juego
+ * @param {number} px - Coordenada horizontal en px desde la esquina del tablero
+ * @param {number} py - Coordenada vertical en px desde la esquina del tablero
+ * @returns {Object|null} - {fila, columna} o null si el punto cae fuera de las casillas
+ */
+const casillaEnPunto = (geometria, tablero, px, py) => {
+  const { lado, pasoX, pasoY, desfase } = geometria;
+  let mejor = null;
+
+  // En hexagonal el punto puede caer en la fila aproximada o en la anterior, que se solapan
+  const filaAproximada = Math.floor(py / pasoY);
+  for (let fila = filaAproximada - 1; fila <= filaAproximada; fila++) {
+    if (fila < 0 || fila >= tablero.filas) continue;
+
+    const columna = Math.floor((px - (fila % 2 === 1 ? desfase : 0)) / pasoX);
+    if (columna < 0 || columna >= tablero.columnas) continue;
+
+    const dx = px - (geometria.x(fila, columna) + lado / 2);
+    const dy = py - (geometria.y(fila) + lado / 2);
+    if (Math.abs(dx) > lado / 2 || Math.abs(dy) > lado / 2) continue;
+
+    const distancia = dx * dx + dy * dy;
+    if (!mejor || distancia < mejor.distancia) mejor = { fila, columna, distancia };
+  }
+
+  return mejor && { fila: mejor.fila, columna: mejor.columna };
+};
+
+/**
+ * Traza el contorno de una casilla (cuadrado o hexágono con vértice arriba)
+ * @param {CanvasRenderingContext2D} contexto - Contexto del lienzo
+ * @param {boolean} esHexagonal - Si la casilla es hexagonal
+ * @param {number} x - Esquina izquierda
+ * @param {number} y - Esquina superior
+ * @param {number} lado - Lado del cuadrado que ocupa la casilla
+ */
+const trazarCasilla = (contexto, esHexagonal, x, y, lado) => {
+  contexto.beginPath();
+  if (!esHexagonal) {
+    contexto.rect(x, y, lado, lado);
+    return;
+  }
+
+  contexto.moveTo(x + lado / 2, y);
+  contexto.lineTo(x + lado, y + lado / 4);
+  contexto.lineTo(x + lado, y + lado * 3 / 4);
+  contexto.lineTo(x + lado / 2, y + lado);
+  contexto.lineTo(x, y + lado * 3 / 4);
+  contexto.lineTo(x, y + lado / 4);
+  contexto.closePath();
+};
+
+/**
+ * Resume en un número todo lo que determina el dibujo de una casilla,
+ * para repintar solo las que han cambiado desde el dibujo anterior
+ * @param {Celda|null} celda - Celda de la posición (null si es un hueco)
+ * @param {number} papel - Índice en PAPELES
+ * @param {number} marca - 0, MARCA_ACTUAL o MARCA_ULTIMA_ACCION
+ * @param {boolean} mostrarProbabilidades - Si se dibuja el mapa de calor
+ * @returns {number} - Firma de la casilla (nunca negativa)
+ */
+const firmaCasilla = (celda, papel, marca, mostrarProbabilidades) => {
+  if (!celda) return 0;
+
+  let contenido = 0;
+  if (celda.tieneBandera) contenido = 1;
+  else if (!celda.descubierta) contenido = 0;
+  else if (celda.valor === 'M') contenido = 2;
+  else if (celda.valor === '') contenido = 3;
+  else contenido = 4 + Number(celda.valor);
+
+  let calor = 0;
+  if (mostrarProbabilidades && contenido === 0) {
+    const { probabilidadMina, origen } = celda.probabilidades;
+    calor = 1 + Math.round(probabilidadMina * 100) + (ORIGENES_ESTIMADOS.includes(origen) ? 101 : 0);
+  }
+
+  return 1 + contenido + 16 * (papel + 4 * (marca + 3 * calor));
+};
+
+/**
+ * Tablero dibujado en un canvas, para tableros con demasiadas casillas para un elemento por casilla.
+ * Solo repinta las casillas cuyo aspecto ha cambiado; se desplaza arrastrando y se amplía
+ * con la rueda del ratón o con los botones
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.tema - Clases CSS del tema
+ * @param {Object} props.tablero - Instancia del tablero de juego
+ * @param {Object} props.celdaActual - Celda actualmente seleccionada
+ * @param {Object} props.ultimaAccion - Última acción realizada por el sistema
+ * @param {boolean} props.mostrarProbabilidades - Si se muestra el mapa de calor de probabilidades
+ * @param {Map} props.resaltados - Papel en la explicación de cada posición 'fila,columna'
+ * @param {boolean} props.editandoHuecos - Si cada clic habilita o deshabilita una posición del tablero
+ * @param {Function} props.alternarHueco - Recibe (fila, columna) de la posición pulsada en el editor
+ */
+const TableroCanvas = ({
+  tema,
+  tablero,
+  celdaActual,
+  ultimaAccion,
+  mostrarProbabilidades,
+  resaltados,
+  editandoHuecos,
+  alternarHueco
+}) => {
+  const contenedorRef = useRef(null);
+  const lienzoRef = useRef(null);
+
+  // Estado del dibujo, fuera del estado de React: desplazar o ampliar no vuelve a renderizar
+  const dibujo = useRef({
+    ancho: 0,          // Tamaño del lienzo en px
+    alto: 0,
+    camara: null,      // {escala, x, y}: zoom y px del tablero en la esquina de la vista
+    clave: null,       // Lo que obliga a repintar todo si cambia (dimensiones, tema, editor)
+    firmas: null,      // Firma dibujada de cada posición (ver firmaCasilla)
+    completo: true,    // Si el próximo dibujo debe repintar todo
+    pulsacion: null    // Arrastre en curso {x, y, camaraX, camaraY, arrastrando}
+  });
+
+  // El dibujo y los eventos del lienzo leen siempre las últimas propiedades
+  const propiedades = useRef(null);
+  propiedades.current = { tablero, celdaActual, ultimaAccion, mostrarProbabilidades, resaltados, editandoHuecos, alternarHueco };
+
+  /**
+   * Ajusta la cámara para que el tablero no se salga de la vista (o quede centrado si cabe)
+   * @param {Object} camara - Cámara {escala, x, y}
+   * @returns {Object} - Cámara corregida
+   */
+  const limitarCamara = (camara) => {
+    const { ancho, alto } = dibujo.current;
+    const geometria = crearGeometria(propiedades.current.tablero, camara.escala);
+    const limitar = (valor, contenido, disponible) => (contenido <= disponible
+      ? -(disponible - contenido) / 2
+      : Math.min(Math.max(valor, 0), contenido - disponible));
+
+    return {
+      escala: camara.escala,
+      x: limitar(camara.x, geometria.ancho, ancho - REGLA_IZQUIERDA),
+      y: limitar(camara.y, geometria.alto, alto - REGLA_SUPERIOR)
+    };
+  };
+
+  /**
+   * Cámara con el zoom que hace caber el tablero entero en la vista (sin pasar de 1)
+   * @returns {Object} - Cámara {escala, x, y}
+   */
+  const camaraAjustada = () => {
+    const { ancho, alto } = dibujo.current;
+    const base = crearGeometria(propiedades.current.tablero, 1);
+    const escala = Math.min(1, (ancho - REGLA_IZQUIERDA) / base.ancho, (alto - REGLA_SUPERIOR) / base.alto);
+
+    return limitarCamara({ escala: Math.max(ESCALA_MINIMA, escala), x: 0, y: 0 });
+  };
+
+  /**
+   * Cambia la cámara y repinta todo
+   * @param {Object} camara - Nueva cámara {escala, x, y}
+   */
+  const moverCamara = (camara) => {
+    dibujo.current.camara = limitarCamara(camara);
+    dibujo.current.completo = true;
+    dibujar();
+  };
+
+  /**
+   * Amplía o reduce manteniendo fijo un punto de la vista
+   * @param {number} factor - Factor por el que se multiplica la escala
+   * @param {number} vx - Coordenada horizontal del punto fijo en el lienzo
+   * @param {number} vy - Coordenada vertical del punto fijo en el lienzo
+   */
+  const ampliar = (factor, vx, vy) => {
+    const { camara } = dibujo.current;
+    if (!camara) return;
+
+    const escala = Math.min(ESCALA_MAXIMA, Math.max(ESCALA_MINIMA, camara.escala * factor));
+    const proporcion = escala / camara.escala;
+    const dx = vx - REGLA_IZQUIERDA;
+    const dy = vy - REGLA_SUPERIOR;
+
+    moverCamara({ escala, x: (camara.x + dx) * proporcion - dx, y: (camara.y + dy) * proporcion - dy });
+  };
+
+  /**
+   * Pinta una casilla completa (forma opaca, contenido y resaltado) sobre lo que hubiera
+   * @param {CanvasRenderingContext2D} contexto - Contexto del lienzo
+   * @param {Object} geometria - Geometría (ver crearGeometria)
+   * @param {Object} paleta - Colores (ver PALETAS)
+   * @param {number} x - Esquina izquierda en el lienzo
+   * @param {number} y - Esquina superior en el lienzo
+   * @param {Celda|null} celda - Celda de la posición (null si es un hueco)
+   * @param {number} papel - Índice en PAPELES
+   * @param {number} marca - 0, MARCA_ACTUAL o MARCA_ULTIMA_ACCION
+   */
+  const dibujarCasilla = (contexto, geometria, paleta, x, y, celda, papel, marca) => {
+    const { esHexagonal, lado } = geometria;
+    const { mostrarProbabilidades: conCalor, editandoHuecos: enEditor } = propiedades.current;
+
+    // Los huecos solo se ven en el editor, como un contorno discontinuo
+    if (!celda) {
+      if (!esHexagonal) contexto.clearRect(x, y, lado, lado);
+      if (enEditor) {
+        trazarCasilla(contexto, esHexagonal, x + 0.5, y + 0.5, lado - 1);
+        contexto.setLineDash([3, 2]);
+        contexto.strokeStyle = paleta.hueco;
+        contexto.lineWidth = 1;
+        contexto.stroke();
+        contexto.setLineDash([]);
+      }
+      return;
+    }
+
+    const { probabilidadMina, origen } = celda.probabilidades;
+    const enMapaCalor = conCalor && !enEditor && !celda.descubierta && !celda.tieneBandera;
+    const esEstimada = ORIGENES_ESTIMADOS.includes(origen);
+
+    let colores = paleta.tapada;
+    if (enEditor) colores = paleta.tapada;
+    else if (marca === MARCA_ACTUAL) colores = paleta.actual;
+    else if (celda.tieneBandera) colores = paleta.bandera;
+    else if (celda.descubierta) colores = celda.valor === 'M' ? paleta.mina : paleta.numerica;
+
+    // Fondo y borde
+    trazarCasilla(contexto, esHexagonal, x, y, lado);
+    contexto.fillStyle = enMapaCalor && marca !== MARCA_ACTUAL
+      ? paleta.calor(Math.round(120 * (1 - probabilidadMina)))
+      : colores[0];
+    contexto.fill();
+    if (enMapaCalor && esEstimada) contexto.setLineDash([3, 2]);
+    contexto.strokeStyle = colores[1];
+    contexto.lineWidth = 1;
+    contexto.stroke();
+    contexto.setLineDash([]);
+
+    // Resaltado de la explicación o de la última acción, por dentro del borde
+    const resaltado = PAPELES[papel] ? COLORES_RESALTADO[PAPELES[papel]]
+      : marca === MARCA_ULTIMA_ACCION ? COLOR_ULTIMA_ACCION : null;
+    if (resaltado && !enEditor && lado >= 6) {
+      trazarCasilla(contexto, esHexagonal, x + 1.5, y + 1.5, lado - 3);
+      contexto.strokeStyle = resaltado;
+      contexto.lineWidth = 2;
+      contexto.stroke();
+    }
+
+    // Contenido, solo si la casilla es lo bastante grande para leerlo
+    if (enEditor || lado < 9) return;
+
+    let texto = null;
+    let color = paleta.textoCalor;
+    if (celda.tieneBandera) texto = '🚩';
+    else if (celda.descubierta && celda.valor === 'M') texto = '💣';
+    else if (celda.descubierta && celda.valor !== '') {
+      texto = celda.valor;
+      color = paleta.numeros[Number(celda.valor)];
+    } else if (enMapaCalor && lado >= 18) {
+      texto = `${Math.round(probabilidadMina * 100)}${esEstimada ? '*' : ''}`;
+    }
+    if (texto === null) return;
+
+    const tamañoLetra = Math.floor(lado * (enMapaCalor ? 0.4 : 0.6));
+    contexto.font = `${enMapaCalor ? 500 : 'bold'} ${tamañoLetra}px sans-serif`;
+    contexto.textAlign = 'center';
+    contexto.textBaseline = 'middle';
+    contexto.fillStyle = color;
+    contexto.fillText(texto, x + lado / 2, y + lado / 2 + 1);
+  };
+
+  /**
+   * Dibuja la numeración de filas y columnas visibles
+   * @param {CanvasRenderingContext2D} contexto - Contexto del lienzo
+   * @param {Object} geometria - Geometría (ver crearGeometria)
+   */
+  const dibujarReglas = (contexto, geometria) => {
+    const { ancho, alto, camara } = dibujo.current;
+    const { tablero: actual } = propiedades.current;
+    const pasoColumnas = PASOS_NUMERACION.find(p => p * geometria.pasoX >= 26) || PASOS_NUMERACION[PASOS_NUMERACION.length - 1];
+    const pasoFilas = PASOS_NUMERACION.find(p => p * geometria.pasoY >= 14) || PASOS_NUMERACION[PASOS_NUMERACION.length - 1];
+
+    contexto.clearRect(0, 0, ancho, REGLA_SUPERIOR);
+    contexto.clearRect(0, 0, REGLA_IZQUIERDA, alto);
+    contexto.font = '600 11px sans-serif';
+    contexto.textAlign = 'center';
+    contexto.textBaseline = 'middle';
+    contexto.fillStyle = getComputedStyle(lienzoRef.current).color;
+
+    for (let columna = 0; columna < actual.columnas; columna++) {
+      if ((columna + 1) % pasoColumnas !== 0 && columna !== 0) continue;
+      const x = REGLA_IZQUIERDA + geometria.x(0, columna) + geometria.lado / 2 - camara.x;
+      if (x < REGLA_IZQUIERDA || x > ancho) continue;
+      contexto.fillText(String(columna + 1), x, REGLA_SUPERIOR / 2);
+    }
+
+    for (let fila = 0; fila < actual.filas; fila++) {
+      if ((fila + 1) % pasoFilas !== 0 && fila !== 0) continue;
+      const y = REGLA_SUPERIOR + geometria.y(fila) + geometria.lado / 2 - camara.y;
+      if (y < REGLA_SUPERIOR || y > alto) continue;
+      contexto.fillText(String(fila + 1), REGLA_IZQUIERDA / 2, y);
+    }
+  };
+
+  /**
+   * Ajusta el lienzo al ancho disponible y al alto del tablero (sin pasar de ALTO_MAXIMO de la ventana)
+   * @returns {boolean} - true si ha cambiado de tamaño y hay que repintar todo
+   */
+  const ajustarTamaño = () => {
+    const lienzo = lienzoRef.current;
+    const estado = dibujo.current;
+    const base = crearGeometria(propiedades.current.tablero, 1);
+    const ancho = Math.floor(contenedorRef.current.clientWidth);
+    const alto = Math.floor(Math.min(REGLA_SUPERIOR + base.alto + 2, window.innerHeight * ALTO_MAXIMO));
+    if (ancho === estado.ancho && alto === estado.alto) return false;
+
+    const dpr = window.devicePixelRatio || 1;
+    lienzo.width = ancho * dpr;
+    lienzo.height = alto * dpr;
+    lienzo.style.width = `${ancho}px`;
+    lienzo.style.height = `${alto}px`;
+
+    estado.ancho = ancho;
+    estado.alto = alto;
+    estado.camara = estado.camara && limitarCamara(estado.camara);
+    estado.completo = true;
+    return true;
+  };
+
+  /**
+   * Pinta el tablero: todo si ha cambiado la vista y, si no, solo las casillas visibles
+   * cuya firma difiere de la del dibujo anterior
+   */
+  const dibujar = () => {
+    const lienzo = lienzoRef.current;
+    const contexto = lienzo && lienzo.getContext('2d');
+    const estado = dibujo.current;
+    if (!contexto) return;
+
+    const { tablero: actual, celdaActual: seleccionada, ultimaAccion: accion, resaltados: papeles,
+      mostrarProbabilidades: conCalor, editandoHuecos: enEditor } = propiedades.current;
+    const { filas, columnas } = actual;
+
+    // Un tablero de otras dimensiones o forma empieza con la vista ajustada
+    const oscuro = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)').matches : false;
+    const forma = `${filas}x${columnas}|${actual.topologia.forma}`;
+    const clave = `${forma}|${oscuro}|${enEditor}`;
+    if (!estado.clave || !estado.clave.startsWith(`${forma}|`)) {
+      estado.camara = null;
+      ajustarTamaño();
+      // Sin sitio todavía (el contenedor aún no se ha maquetado): se ajustará en el próximo dibujo
+      if (estado.ancho === 0) return;
+
+      estado.firmas = new Int32Array(filas * columnas);
+      estado.camara = camaraAjustada();
+      estado.completo = true;
+    }
+    if (clave !== estado.clave) {
+      estado.clave = clave;
+      estado.completo = true;
+    }
+
+    const { camara } = estado;
+    const geometria = crearGeometria(actual, camara.escala);
+    const paleta = PALETAS[oscuro ? 'oscuro' : 'claro'];
+    const dpr = window.devicePixelRatio || 1;
+    contexto.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    // Casillas marcadas por la selección actual y la última acción
+    const marcas = new Map();
+    if (accion && accion.celda && (accion.tipo === 'seleccion' || accion.tipo === 'respuesta')) {
+      marcas.set(accion.celda.fila * columnas + accion.celda.columna, MARCA_ULTIMA_ACCION);
+    }
+    if (accion && accion.tipo === 'banderas' && accion.banderas) {
+      accion.banderas.forEach(b => marcas.set(b.fila * columnas + b.columna, MARCA_ULTIMA_ACCION));
+    }
+    if (seleccionada) marcas.set(seleccionada.fila * columnas + seleccionada.columna, MARCA_ACTUAL);
+
+    // Las casillas no invaden la numeración
+    contexto.save();
+    contexto.beginPath();
+    contexto.rect(REGLA_IZQUIERDA, REGLA_SUPERIOR, estado.ancho - REGLA_IZQUIERDA, estado.alto - REGLA_SUPERIOR);
+    contexto.clip();
+
+    if (estado.completo) {
+      contexto.clearRect(0, 0, estado.ancho, estado.alto);
+      // Las líneas de separación de la cuadrícula cuadrada son el fondo del tablero
+      if (!geometria.esHexagonal && !enEditor) {
+        contexto.fillStyle = paleta.separacion;
+        contexto.fillRect(REGLA_IZQUIERDA - camara.x - SEPARACION, REGLA_SUPERIOR - camara.y - SEPARACION,
+          geometria.ancho + 2 * SEPARACION, geometria.alto + 2 * SEPARACION);
+      }
+      estado.firmas.fill(-1);
+    }
+
+    // Solo las filas y columnas visibles, con una de margen por el desfase hexagonal
+    const filaMinima = Math.max(0, Math.floor(camara.y / geometria.pasoY) - 1);
+    const filaMaxima = Math.min(filas - 1, Math.floor((camara.y + estado.alto - REGLA_SUPERIOR) / geometria.pasoY) + 1);
+    const columnaMinima = Math.max(0, Math.floor(camara.x / geometria.pasoX) - 1);
+    const columnaMaxima = Math.min(columnas - 1, Math.floor((camara.x + estado.ancho - REGLA_IZQUIERDA) / geometria.pasoX) + 1);
+
+    for (let fila = filaMinima; fila <= filaMaxima; fila++) {
+      for (let columna = columnaMinima; columna <= columnaMaxima; columna++) {
+        const posicion = fila * columnas + columna;
+        const celda = actual.obtenerCelda(fila, columna);
+        const papel = Math.max(0, PAPELES.indexOf(papeles.get(`${fila},${columna}`) || null));
+        const marca = marcas.get(posicion) || 0;
+        const firma = enEditor ? (celda ? 1 : 0) : firmaCasilla(celda, papel, marca, conCalor);
+        if (estado.firmas[posicion] === firma) continue;
+
+        estado.firmas[posicion] = firma;
+        dibujarCasilla(contexto, geometria, paleta,
+          REGLA_IZQUIERDA + geometria.x(fila, columna) - camara.x,
+          REGLA_SUPERIOR + geometria.y(fila) - camara.y,
+          celda, papel, marca);
+      }
+    }
+
+    contexto.restore();
+
+    if (estado.completo) {
+      dibujarReglas(contexto, geometria);
+      estado.completo = false;
+    }
+  };
+
+  // Repintar tras cada renderizado: la comparación de firmas evita repintar lo que no cambia
+  useEffect(() => {
+    dibujar();
+  });
+
+  // Los efectos registran los eventos una sola vez y llaman siempre a las últimas funciones
+  const manejadores = useRef(null);
+  manejadores.current = { dibujar, ajustarTamaño, ampliar };
+
+  // Tamaño del lienzo según el ancho disponible
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observador = new ResizeObserver(() => {
+      if (manejadores.current.ajustarTamaño()) manejadores.current.dibujar();
+    });
+    observador.observe(contenedorRef.current);
+    return () => observador.disconnect();
+  }, []);
+
+  // La rueda amplía en lugar de desplazar la página (React registra la rueda como pasiva)
+  useEffect(() => {
+    const lienzo = lienzoRef.current;
+    const alGirar = (evento) => {
+      evento.preventDefault();
+      const rectangulo = lienzo.getBoundingClientRect();
+      manejadores.current.ampliar(evento.deltaY < 0 ? FACTOR_ZOOM : 1 / FACTOR_ZOOM,
+        evento.clientX - rectangulo.left, evento.clientY - rectangulo.top);
+    };
+
+    lienzo.addEventListener('wheel', alGirar, { passive: false });
+    return () => lienzo.removeEventListener('wheel', alGirar);
+  }, []);
+
+  /**
+   * Casilla bajo un evento del puntero
+   * @param {PointerEvent} evento - Evento sobre el lienzo
+   * @returns {Object|null} - {fila, columna} o null
+   */
+  const casillaDelEvento = (evento) => {
+    const { camara } = dibujo.current;
+    if (!camara) return null;
+
+    const rectangulo = lienzoRef.current.getBoundingClientRect();
+    const geometria = crearGeometria(propiedades.current.tablero, camara.escala);
+    return casillaEnPunto(geometria, propiedades.current.tablero,
+      evento.clientX - rectangulo.left - REGLA_IZQUIERDA + camara.x,
+      evento.clientY - rectangulo.top - REGLA_SUPERIOR + camara.y);
+  };
+
+  const alPulsar = (evento) => {
+    const { camara } = dibujo.current;
+    if (!camara) return;
+
+    lienzoRef.current.setPointerCapture(evento.pointerId);
+    dibujo.current.pulsacion = { x: evento.clientX, y: evento.clientY, camaraX: camara.x, camaraY: camara.y, arrastrando: false };
+  };
+
+  const alMover = (evento) => {
+    const { pulsacion, camara } = dibujo.current;
+
+    // Sin pulsar: describir la casilla bajo el puntero como el title de CeldaVisual
+    if (!pulsacion) {
+      const posicion = casillaDelEvento(evento);
+      const celda = posicion && propiedades.current.tablero.obtenerCelda(posicion.fila, posicion.columna);
+      let descripcion = '';
+      if (celda) {
+        descripcion = `(${celda.fila + 1},${celda.columna + 1})`;
+        if (!celda.descubierta && !celda.tieneBandera) {
+          const { probabilidadMina, confianza, origen } = celda.probabilidades;
+          descripcion += ` Mina: ${Math.round(probabilidadMina * 100)}% · confianza ${Math.round(confianza * 100)}% · origen: ${origen}${ORIGENES_ESTIMADOS.includes(origen) ? ' (estimación)' : ''}`;
+        }
+      }
+      lienzoRef.current.title = descripcion;
+      return;
+    }
+
+    const dx = evento.clientX - pulsacion.x;
+    const dy = evento.clientY - pulsacion.y;
+    if (!pulsacion.arrastrando && Math.hypot(dx, dy) < UMBRAL_ARRASTRE) return;
+
+    pulsacion.arrastrando = true;
+    moverCamara({ escala: camara.escala, x: pulsacion.camaraX - dx, y: pulsacion.camaraY - dy });
+  };
+
+  const alSoltar = (evento) => {
+    const { pulsacion } = dibujo.current;
+    dibujo.current.pulsacion = null;
+    if (!pulsacion || pulsacion.arrastrando || !propiedades.current.editandoHuecos) return;
+
+    // Un clic sin arrastre en el editor alterna el hueco de la posición
+    const posicion = casillaDelEvento(evento);
+    if (posicion) propiedades.current.alternarHueco(posicion.fila, posicion.columna);
+  };
+
+  const ampliarDesdeCentro = (factor) => {
+    const { ancho, alto } = dibujo.current;
+    ampliar(factor, (ancho + REGLA_IZQUIERDA) / 2, (alto + REGLA_SUPERIOR) / 2);
+  };
+
+  return (
+    <div className="w-full mb-4">
+      <div className="flex justify-end gap-2 mb-2 text-sm">
+        <button className={`px-2 py-1 rounded ${tema.botonSecundario}`} title="Alejar" onClick={() => ampliarDesdeCentro(1 / FACTOR_ZOOM)}>−</button>
+        <button className={`px-2 py-1 rounded ${tema.botonSecundario}`} title="Acercar" onClick={() => ampliarDesdeCentro(FACTOR_ZOOM)}>+</button>
+        <button className={`px-2 py-1 rounded ${tema.botonSecundario}`} onClick={() => moverCamara(camaraAjustada())}>Ajustar</button>
+      </div>
+      <div ref={contenedorRef} className="w-full">
+        <canvas
+          ref={lienzoRef}
+          className={`block touch-none select-none ${editandoHuecos ? 'cursor-pointer' : 'cursor-grab'}`}
+          data-testid="tablero-canvas"
+          onPointerDown={alPulsar}
+          onPointerMove={alMover}
+          onPointerUp={alSoltar}
+          onPointerCancel={() => { dibujo.current.pulsacion = null; }}
+          onPointerLeave={() => { if (lienzoRef.current) lienzoRef.current.title = ''; }}
+        ></canvas>
+      </div>
+      <p className="text-xs text-center mt-1 opacity-75">
+        Arrastra para desplazar el tablero; usa la rueda del ratón o los botones para acercar y alejar.
+      </p>
+    </div>
+  );
+};
+
+export default TableroCanvas;
@@ -1,119 +1,225 @@
 import React from 'react';
 import CeldaVisual from './CeldaVisual';
+import TableroCanvas from './TableroCanvas';
+import { LIMITES_RENDERIZADO } from '../constantes/ConfiguracionJuego';
+
+// Tamaños de celda de mayor a menor: clases de Tailwind, lado en rem y
+// número máximo de columnas (o filas equivalentes) para el que se usan
+const TAMAÑOS_CELDA = [
+  { maximo: 8, clases: 'w-12 h-12', lado: 3 },
+  { maximo: 10, clases: 'w-10 h-10', lado: 2.5 },
+  { maximo: 12, clases: 'w-9 h-9', lado: 2.25 },
+  { maximo: 15, clases: 'w-8 h-8', lado: 2 },
+  { maximo: 20, clases: 'w-6 h-6', lado: 1.5 },
+  { maximo: Infinity, clases: 'w-5 h-5', lado: 1.25 }
+];
+
+// Recorte de una casilla cuadrada en forma de hexágono con vértice arriba
+const HEXAGONO = 'polygon(50% 0, 100% 25%, 100% 75%, 50% 100%, 0 75%, 0 25%)';
 
 /**
- * Componente para mostrar visualmente el tablero de Buscaminas
+ * Componente para mostrar visualmente el tablero de Buscaminas.
+ * Los tableros grandes se dibujan en un canvas (TableroCanvas) en lugar de con un CeldaVisual por casilla
  * @param {Object} props - Propiedades del componente
  * @param {Object} props.tema - Clases CSS del tema
  * @param {Object} props.tablero - Instancia del tablero de juego
  * @param {Object} props.celdaActual - Celda actualmente seleccionada
  * @param {Object} props.ultimaAccion - Última acción realizada por el sistema
+ * @param {boolean} props.mostrarProbabilidades - Si se muestra el mapa de calor de probabilidades
+ * @param {Object|null} props.explicacion - Explicación cuyas celdas se resaltan
+ * @param {boolean} props.editandoHuecos - Si cada clic habilita o deshabilita una posición del tablero
+ * @param {Function} props.alternarHueco - Recibe (fila, columna) de la posición pulsada en el editor
  */
-const TableroVisual = ({ tema, tablero, celdaActual, ultimaAccion }) => {
+const TableroVisual = ({
+  tema,
+  tablero,
+  celdaActual,
+  ultimaAccion,
+  mostrarProbabilidades = false,
+  explicacion = null,
+  editandoHuecos = false,
+  alternarHueco = () => {}
+}) => {
   // Si no hay tablero, no renderizar nada
   if (!tablero) return null;
   
-  // Calcular tamaño de celda basado en dimensiones del tablero
+  // Celdas implicadas en la explicación, de menor a mayor prioridad
+  const resaltados = new Map();
+  if (explicacion) {
+    explicacion.alternativas.forEach(c => resaltados.set(`${c.fila},${c.columna}`, 'alternativa'));
+    explicacion.restricciones.forEach(c => resaltados.set(`${c.fila},${c.columna}`, 'restriccion'));
+    explicacion.conclusion?.celdas.forEach(c => resaltados.set(`${c.fila},${c.columna}`, 'conclusion'));
+  }
+  
+  // Un elemento por casilla deja de ser viable a partir de cierto número de posiciones
+  const usarCanvas = tablero.filas * tablero.columnas > LIMITES_RENDERIZADO.MAX_POSICIONES_DOM;
+  
+  // Calcular tamaño de celda basado en dimensiones del tablero.
+  // El ancho disponible es el que limita: las filas pesan menos que las columnas
   const calcularTamañoCelda = () => {
-    const max = Math.max(tablero.filas, tablero.columnas);
+    const referencia = Math.max(tablero.columnas, Math.ceil(tablero.filas * 2 / 3));
     
-    if (max <= 8) return 'w-12 h-12';
-    if (max <= 10) return 'w-10 h-10';
-    if (max <= 12) return 'w-9 h-9';
-    if (max <= 15) return 'w-8 h-8';
-    return 'w-6 h-6'; // Para tableros muy grandes
+    return TAMAÑOS_CELDA.find(t => referencia <= t.maximo);
   };
   
-  const tamañoCelda = calcularTamañoCelda();
+  const { clases: tamañoCelda, lado } = calcularTamañoCelda();
+  const textoEtiqueta = lado < 2 ? 'text-xs' : '';
+  
+  /**
+   * Dibuja la casilla de una posición: celda, hueco o botón del editor de huecos
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @returns {JSX.Element} - Elemento de la casilla
+   */
+  const renderizarCelda = (fila, columna) => {
+    const celda = tablero.obtenerCelda(fila, columna);
+    
+    // Editor de huecos: cada posición es un botón que la habilita o deshabilita
+    if (editandoHuecos) {
+      return (
+        <button
+          key={`${fila}-${columna}`}
+          className={`${tamañoCelda} border ${celda
+            ? 'bg-gray-100 dark:bg-gray-700 border-gray-300 dark:border-gray-600 hover:bg-gray-200 dark:hover:bg-gray-600'
+            : `${tema.principal} border-dashed border-gray-400 dark:border-gray-500`}`}
+          title={celda ? 'Convertir en hueco' : 'Recuperar celda'}
+          onClick={() => alternarHueco(fila, columna)}
+        ></button>
+      );
+    }
+    
+    // Los huecos ocupan su sitio en la cuadrícula pero no son celdas
+    if (!celda) {
+      return <div key={`${fila}-${columna}`} className={`${tamañoCelda} ${tema.principal}`}></div>;
+    }
+    
+    const esUltimaSeleccion = 
+      ultimaAccion.tipo === 'seleccion' && 
+      ultimaAccion.celda && 
+      ultimaAccion.celda.fila === fila && 
+      ultimaAccion.celda.columna === columna;
+      
+    const esUltimaRespuesta = 
+      ultimaAccion.tipo === 'respuesta' && 
+      ultimaAccion.celda && 
+      ultimaAccion.celda.fila === fila && 
+      ultimaAccion.celda.columna === columna;
+    
+    const esCeldaActual = 
+      celdaActual && 
+      celdaActual.fila === fila && 
+      celdaActual.columna === columna;
+    
+    const esUltimaBandera =
+      ultimaAccion.tipo === 'banderas' &&
+      ultimaAccion.banderas &&
+      ultimaAccion.banderas.some(b => b.fila === fila && b.columna === columna);
+    
+    const animacion = 
+      esUltimaSeleccion ? 'animate-pulse' :
+      esUltimaRespuesta ? 'animate-fadeIn' :
+      esUltimaBandera ? 'animate-bounce' : '';
+    
+    return (
+      <CeldaVisual
+        key={`${fila}-${columna}`}
+        celda={celda}
+        tema={tema}
+        tamañoCelda={tamañoCelda}
+        esCeldaActual={esCeldaActual}
+        animacion={animacion}
+        mostrarProbabilidad={mostrarProbabilidades}
+        resaltado={resaltados.get(`${fila},${columna}`) || null}
+      />
+    );
+  };
+  
+  // En la cuadrícula hexagonal las filas impares se desplazan media casilla y
+  // cada fila se solapa un cuarto de casilla con la anterior
+  const esHexagonal = tablero.topologia.forma === 'hexagonal';
+  const margenFila = (fila) => ({
+    marginLeft: esHexagonal && fila % 2 === 1 ? `calc(${lado / 2}rem + 0.5px)` : 0,
+    marginTop: esHexagonal && fila > 0 ? `calc(${-lado / 4}rem + 1px)` : 0
+  });
   
   return (
     <div className="flex flex-col items-center mb-6">
-      <div className="mb-4 flex justify-center">
-        <div className="flex flex-col items-center">
-          {/* Numeración superior de columnas */}
-          <div 
-            className="flex mb-1 ml-8"
-            style={{ width: `calc(${tamañoCelda.split(' ')[0].slice(2)}rem * ${tablero.columnas})` }}
-          >
-            {Array.from({ length: tablero.columnas }, (_, idx) => (
-              <div 
-                key={`col-${idx}`} 
-                className={`font-semibold text-center ${tamañoCelda.split(' ')[0]}`}
+      {usarCanvas ? (
+        <TableroCanvas
+          tema={tema}
+          tablero={tablero}
+          celdaActual={celdaActual}
+          ultimaAccion={ultimaAccion}
+          mostrarProbabilidades={mostrarProbabilidades}
+          resaltados={resaltados}
+          editandoHuecos={editandoHuecos}
+          alternarHueco={alternarHueco}
+        />
+      ) : (
+        <div className="mb-4 flex justify-center max-w-full overflow-x-auto">
+          <div className="flex flex-col items-center">
+            {/* Numeración superior de columnas, alineada con la cuadrícula (borde de 4px + relleno de 1px) */}
+            <div className="flex mb-1 self-start">
+              <div className="w-8 mr-2 shrink-0"></div>
+              <div
+                className="grid gap-px px-[5px]"
+                style={{ gridTemplateColumns: `repeat(${tablero.columnas}, ${lado}rem)` }}
               >
-                {idx + 1}
+                {Array.from({ length: tablero.columnas }, (_, idx) => (
+                  <div 
+                    key={`col-${idx}`} 
+                    className={`font-semibold text-center ${textoEtiqueta}`}
+                  >
+                    {idx + 1}
+                  </div>
+                ))}
               </div>
-            ))}
-          </div>
+            </div>
           
-          <div className="flex">
-            {/* Numeración lateral de filas */}
-            <div className="flex flex-col mr-2">
-              {Array.from({ length: tablero.filas }, (_, idx) => (
+            <div className="flex">
+              {/* Numeración lateral de filas */}
+              <div className={`flex flex-col py-[5px] w-8 mr-2 shrink-0 ${esHexagonal ? '' : 'gap-px'}`}>
+                {Array.from({ length: tablero.filas }, (_, idx) => (
+                  <div 
+                    key={`row-${idx}`}
+                    className={`font-semibold flex items-center justify-center ${textoEtiqueta}`}
+                    style={{ height: `${lado}rem`, marginTop: margenFila(idx).marginTop }}
+                  >
+                    {idx + 1}
+                  </div>
+                ))}
+              </div>
+            
+              {/* Tablero */}
+              {esHexagonal ? (
+                <div className="p-px border-4 border-transparent shrink-0">
+                  {Array.from({ length: tablero.filas }, (_, fila) => (
+                    <div key={`fila-${fila}`} className="flex gap-px" style={margenFila(fila)}>
+                      {Array.from({ length: tablero.columnas }, (_, columna) => (
+                        <div key={`${fila}-${columna}`} style={{ clipPath: HEXAGONO }}>
+                          {renderizarCelda(fila, columna)}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              ) : (
                 <div 
-                  key={`row-${idx}`}
-                  className={`font-semibold flex items-center justify-center ${tamañoCelda.split(' ')[1]}`}
+                  className="grid gap-px bg-gray-300 dark:bg-gray-700 p-px border-4 border-gray-400 dark:border-gray-600 rounded-md shrink-0"
+                  style={{
+                    gridTemplateColumns: `repeat(${tablero.columnas}, ${lado}rem)`,
+                    gridTemplateRows: `repeat(${tablero.filas}, ${lado}rem)`
+                  }}
                 >
-                  {idx + 1}
+                  {Array.from({ length: tablero.filas }).map((_, fila) => (
+                    Array.from({ length: tablero.columnas }).map((_, columna) => renderizarCelda(fila, columna))
+                  ))}
                 </div>
-              ))}
-            </div>
-            
-            {/* Tablero */}
-            <div 
-              className="grid gap-px bg-gray-300 dark:bg-gray-700 p-px border-4 border-gray-400 dark:border-gray-600 rounded-md"
-              style={{
-                gridTemplateColumns: `repeat(${tablero.columnas}, minmax(0, 1fr))`,
-                gridTemplateRows: `repeat(${tablero.filas}, minmax(0, 1fr))`
-              }}
-            >
-              {Array.from({ length: tablero.filas }).map((_, fila) => (
-                Array.from({ length: tablero.columnas }).map((_, columna) => {
-                  const celda = tablero.obtenerCelda(fila, columna);
-                  if (!celda) return null;
-                  
-                  const esUltimaSeleccion = 
-                    ultimaAccion.tipo === 'seleccion' && 
-                    ultimaAccion.celda && 
-                    ultimaAccion.celda.fila === fila && 
-                    ultimaAccion.celda.columna === columna;
-                    
-                  const esUltimaRespuesta = 
-                    ultimaAccion.tipo === 'respuesta' && 
-                    ultimaAccion.celda && 
-                    ultimaAccion.celda.fila === fila && 
-                    ultimaAccion.celda.columna === columna;
-                  
-                  const esCeldaActual = 
-                    celdaActual && 
-                    celdaActual.fila === fila && 
-                    celdaActual.columna === columna;
-                  
-                  const esUltimaBandera =
-                    ultimaAccion.tipo === 'banderas' &&
-                    ultimaAccion.banderas &&
-                    ultimaAccion.banderas.some(b => b.fila === fila && b.columna === columna);
-                  
-                  const animacion = 
-                    esUltimaSeleccion ? 'animate-pulse' :
-                    esUltimaRespuesta ? 'animate-fadeIn' :
-                    esUltimaBandera ? 'animate-bounce' : '';
-                  
-                  return (
-                    <CeldaVisual
-                      key={`${fila}-${columna}`}
-                      celda={celda}
-                      tema={tema}
-                      tamañoCelda={tamañoCelda}
-                      esCeldaActual={esCeldaActual}
-                      animacion={animacion}
-                    />
-                  );
-                })
-              ))}
+              )}
             </div>
           </div>
         </div>
-      </div>
+      )}
       
       {/* Leyenda */}
       <div className="flex flex-wrap justify-center gap-3 mt-2 text-sm">
@@ -139,7 +245,49 @@ const TableroVisual = ({ tema, tablero, celdaActual, ultimaAccion }) => {
           </div>
           <span>Bandera</span>
         </div>
+        {(editandoHuecos || tablero.obtenerTotalCeldas() < tablero.filas * tablero.columnas) && (
+          <div className="flex items-center">
+            <div className="w-4 h-4 border border-dashed border-gray-400 dark:border-gray-500 mr-1"></div>
+            <span>Hueco</span>
+          </div>
+        )}
       </div>
+      
+      {/* Leyenda del resaltado de la explicación */}
+      {explicacion && (
+        <div className="flex flex-wrap justify-center gap-3 mt-2 text-sm">
+          <div className="flex items-center">
+            <div className="w-4 h-4 ring-2 ring-inset ring-purple-500 mr-1"></div>
+            <span>Restricción usada</span>
+          </div>
+          <div className="flex items-center">
+            <div className="w-4 h-4 ring-2 ring-inset ring-emerald-500 mr-1"></div>
+            <span>Conclusión</span>
+          </div>
+          <div className="flex items-center">
+            <div className="w-4 h-4 ring-2 ring-inset ring-gray-400 mr-1"></div>
+            <span>Alternativa descartada</span>
+          </div>
+        </div>
+      )}
+      
+      {/* Leyenda del mapa de calor */}
+      {mostrarProbabilidades && (
+        <div className="flex flex-wrap justify-center items-center gap-3 mt-2 text-sm">
+          <div className="flex items-center">
+            <span className="mr-1">0%</span>
+            <div
+              className="w-24 h-3 rounded"
+              style={{ background: 'linear-gradient(to right, hsla(120, 75%, 50%, 0.55), hsla(60, 75%, 50%, 0.55), hsla(0, 75%, 50%, 0.55))' }}
+            ></div>
+            <span className="ml-1">100% mina</span>
+          </div>
+          <div className="flex items-center">
+            <div className="w-4 h-4 border border-dashed border-gray-500 dark:border-gray-300 mr-1"></div>
+            <span>* Estimación (sin deducción)</span>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
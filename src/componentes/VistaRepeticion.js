@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import TableroVisual from './TableroVisual';
+import { describirEvento } from '../utilidades/RegistroPartida';
+
+// Milisegundos entre pasos en la reproducción automática
+const INTERVALO_REPRODUCCION = 800;
+
+/**
+ * Componente de solo lectura para revisar paso a paso una partida registrada
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.tema - Clases CSS del tema
+ * @param {Object} props.registro - Instancia de RegistroPartida a revisar
+ * @param {Function} props.cerrar - Función para volver al juego
+ */
+const VistaRepeticion = ({ tema, registro, cerrar }) => {
+  // Número de eventos aplicados (0 = tablero vacío)
+  const [paso, setPaso] = useState(0);
+  const [reproduciendo, setReproduciendo] = useState(false);
+
+  const totalPasos = registro ? registro.eventos.length : 0;
+
+  // Empezar desde el principio al cambiar de partida
+  useEffect(() => {
+    setPaso(0);
+    setReproduciendo(false);
+  }, [registro]);
+
+  // Avanzar automáticamente mientras se reproduce
+  useEffect(() => {
+    if (!reproduciendo) return undefined;
+
+    if (paso >= totalPasos) {
+      setReproduciendo(false);
+      return undefined;
+    }
+
+    const temporizador = setTimeout(() => setPaso(p => p + 1), INTERVALO_REPRODUCCION);
+    return () => clearTimeout(temporizador);
+  }, [reproduciendo, paso, totalPasos]);
+
+  const tablero = useMemo(() => (registro ? registro.reconstruirTablero(paso) : null), [registro, paso]);
+
+  if (!registro) return null;
+
+  const { resultado } = registro;
+  const evento = paso > 0 ? registro.eventos[paso - 1] : null;
+
+  // Resaltar en el tablero la casilla o banderas del paso actual
+  const ultimaAccion = evento
+    ? {
+        tipo: evento.tipo,
+        celda: evento.tipo === 'banderas' ? null : { fila: evento.fila, columna: evento.columna },
+        banderas: evento.banderas
+      }
+    : { tipo: 'repeticion', celda: null };
+  const celdaActual = evento && evento.tipo === 'seleccion' ? { fila: evento.fila, columna: evento.columna } : null;
+
+  const textoResultado = {
+    victoria: '¡Victoria!',
+    derrota: '¡Derrota!',
+    en_curso: 'Partida sin terminar'
+  }[resultado.estado];
+
+  /**
+   * Va a un paso concreto y detiene la reproducción
+   * @param {number} nuevoPaso - Número de eventos a aplicar
+   */
+  const irAPaso = (nuevoPaso) => {
+    setReproduciendo(false);
+    setPaso(Math.max(0, Math.min(totalPasos, nuevoPaso)));
+  };
+
+  const alternarReproduccion = () => {
+    if (reproduciendo) {
+      setReproduciendo(false);
+      return;
+    }
+
+    // Volver a empezar si ya se llegó al final
+    if (paso >= totalPasos) {
+      setPaso(0);
+    }
+    setReproduciendo(true);
+  };
+
+  const claseBoton = `px-3 py-1 rounded font-medium ${tema.botonSecundario} disabled:opacity-50`;
+
+  return (
+    <div className="w-full">
+      {/* Cabecera de la repetición */}
+      <div className={`w-full p-3 mb-4 rounded border ${tema.panel}`}>
+        <div className="flex justify-between items-start gap-2">
+          <div>
+            <p className="font-semibold">Repetición de partida (solo lectura)</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {`${registro.filas} × ${registro.columnas}`}
+              {registro.totalMinas !== null && ` · ${registro.totalMinas} minas`}
+              {registro.semilla !== null && ` · semilla ${registro.semilla}`}
+              {registro.creado && ` · ${new Date(registro.creado).toLocaleString()}`}
+            </p>
+          </div>
+          <button
+            className={`px-3 py-1 rounded font-medium ${tema.botonSecundario}`}
+            onClick={cerrar}
+          >
+            Cerrar
+          </button>
+        </div>
+
+        <div className={`mt-3 p-2 rounded text-center ${resultado.estado === 'victoria' ? tema.victoria : resultado.estado === 'derrota' ? tema.derrota : ''}`}>
+          {textoResultado} · {resultado.movimientos} movimientos · {resultado.tiempoJuego} s
+        </div>
+      </div>
+
+      {/* Controles de reproducción */}
+      <div className={`w-full p-3 mb-4 rounded border ${tema.panel}`}>
+        <div className="flex justify-center gap-2 mb-3">
+          <button className={claseBoton} onClick={() => irAPaso(0)} disabled={paso === 0} title="Inicio">⏮</button>
+          <button className={claseBoton} onClick={() => irAPaso(paso - 1)} disabled={paso === 0} title="Paso anterior">◀</button>
+          <button className={claseBoton} onClick={alternarReproduccion} disabled={totalPasos === 0} title={reproduciendo ? 'Pausar' : 'Reproducir'}>
+            {reproduciendo ? '⏸' : '▶'}
+          </button>
+          <button className={claseBoton} onClick={() => irAPaso(paso + 1)} disabled={paso >= totalPasos} title="Paso siguiente">▶|</button>
+          <button className={claseBoton} onClick={() => irAPaso(totalPasos)} disabled={paso >= totalPasos} title="Final">⏭</button>
+        </div>
+
+        <input
+          type="range"
+          className="w-full"
+          min="0"
+          max={totalPasos}
+          value={paso}
+          onChange={(e) => irAPaso(Number(e.target.value))}
+          aria-label="Paso de la repetición"
+        />
+
+        <div className="flex justify-between text-sm text-gray-500 dark:text-gray-400">
+          <span>{`Paso ${paso} de ${totalPasos}`}</span>
+          <span>{`Banderas: ${tablero.contadorBanderas}`}</span>
+        </div>
+
+        {/* Mensaje mostrado en la partida en este paso */}
+        <p className="mt-2 font-medium">
+          {evento ? evento.mensaje : 'Inicio de la partida'}
+        </p>
+        {evento && evento.tipo === 'banderas' && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {describirEvento(evento)}
+          </p>
+        )}
+      </div>
+
+      {/* Tablero en el paso actual */}
+      <div className="flex justify-center">
+        <TableroVisual
+          tema={tema}
+          tablero={tablero}
+          celdaActual={celdaActual}
+          ultimaAccion={ultimaAccion}
+        />
+      </div>
+
+      {/* Lista de eventos */}
+      <div className={`p-3 rounded border ${tema.panel}`}>
+        <h3 className="font-semibold mb-2">Eventos ({totalPasos})</h3>
+        <ol className="list-decimal pl-6 space-y-1 text-sm max-h-64 overflow-y-auto">
+          {registro.eventos.map((e, indice) => (
+            <li
+              key={indice}
+              className={`cursor-pointer ${indice === paso - 1 ? 'font-semibold' : 'text-gray-500 dark:text-gray-400'}`}
+              onClick={() => irAPaso(indice + 1)}
+            >
+              {describirEvento(e)}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default VistaRepeticion;
@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Hook que mantiene el estado de un canal del juego (ver Juego.suscribir).
+ * El componente solo se vuelve a renderizar cuando cambia ese canal
+ * @param {Juego|null} juego - Juego al que suscribirse (null mientras no exista)
+ * @param {string} canal - Canal (CANALES_JUEGO)
+ * @param {Object} inicial - Estado mientras no haya juego
+ * @returns {Object} - Último estado recibido del canal
+ */
+const useCanalJuego = (juego, canal, inicial = null) => {
+  const [estado, setEstado] = useState(() => (juego ? juego.obtenerEstadoCanal(canal) : inicial));
+
+  useEffect(() => {
+    if (!juego) return undefined;
+
+    // Estado actual al cambiar de juego, y después cada aviso del canal
+    setEstado(juego.obtenerEstadoCanal(canal));
+    return juego.suscribir(canal, setEstado);
+  }, [juego, canal]);
+
+  return estado;
+};
+
+export default useCanalJuego;
@@ -2,16 +2,34 @@
  * Constantes y configuración para el juego de Buscaminas Inverso
  */
 
-// Tamaños disponibles para el tablero
+// Tamaños disponibles para el tablero; los niveles clásicos incluyen su número de minas
 export const TAMAÑOS_TABLERO = [
+    { nombre: "Principiante (9×9)", filas: 9, columnas: 9, minas: 10 },
+    { nombre: "Intermedio (16×16)", filas: 16, columnas: 16, minas: 40 },
+    { nombre: "Experto (16×30)", filas: 16, columnas: 30, minas: 99 },
     { nombre: "8×8", filas: 8, columnas: 8 },
     { nombre: "10×10", filas: 10, columnas: 10 },
     { nombre: "12×12", filas: 12, columnas: 12 },
     { nombre: "15×15", filas: 15, columnas: 15 },
-    { nombre: "16×16", filas: 16, columnas: 16 },
     { nombre: "20×20", filas: 20, columnas: 20 },
 ];
 
+// Límites de las dimensiones de un tablero personalizado
+export const LIMITES_TABLERO = {
+    NOMBRE_PERSONALIZADO: "Personalizado",
+    MIN_DIMENSION: 2,
+    MAX_DIMENSION: 100    // Los tableros de más de 30×30 se dibujan en un canvas
+};
+
+// Dibujo del tablero: por encima de MAX_POSICIONES_DOM posiciones se usa un canvas
+// con desplazamiento y zoom en lugar de un elemento por casilla
+export const LIMITES_RENDERIZADO = {
+    MAX_POSICIONES_DOM: 900,
+    LADO_CELDA: 20,       // Lado de la casilla en px con zoom 1
+    ESCALA_MINIMA: 0.25,
+    ESCALA_MAXIMA: 3
+};
+
 // Tipos de celdas
 export const TIPOS_CELDA = {
     VACIA: "vacia",
@@ -32,6 +50,25 @@ export const TIPOS_ACCION = {
     REINICIO: "reinicio"
 };
 
+// Canales a los que la interfaz se suscribe en Juego (ver Juego.suscribir)
+export const CANALES_JUEGO = {
+    TICK: "tick",                   // Segundo de reloj: {tiempoJuego}
+    TABLERO: "tablero",             // Casillas, selección y resaltados del tablero
+    ACCION: "accion",               // Estado de la partida y última acción del sistema
+    ESTADISTICAS: "estadisticas"    // Memoria del sistema: estadísticas y partidas guardadas
+};
+
+// Sucesos de la partida para integraciones (registro, sonidos, analítica): Juego.escuchar
+export const EVENTOS_JUEGO = {
+    PARTIDA_INICIADA: "partidaIniciada",        // {semilla, filas, columnas, totalMinas, deshabilitadas, topologia, estrategia}
+    CELDA_SELECCIONADA: "celdaSeleccionada",    // {fila, columna, razon, tipo, probabilidadMina, movimiento}
+    RESPUESTA_RECIBIDA: "respuestaRecibida",    // {fila, columna, respuesta, movimiento}
+    BANDERAS_COLOCADAS: "banderasColocadas",    // {banderas, razon}
+    VICTORIA: "victoria",                       // {movimientos, tiempoJuego, semilla}
+    DERROTA: "derrota",                         // {celda, movimientos, tiempoJuego, semilla}
+    CONTRADICCION: "contradiccion"              // {fila, columna, respuesta, tipo, mensaje, celdas}
+};
+
 // Duración de animaciones (en ms)
 export const DURACION_ANIMACION = 1500;
 
@@ -61,9 +98,39 @@ export const PARAMETROS_ESTRATEGIA = {
     },
     
     // Nivel de confianza para considerar una certeza
-    CONFIANZA_CERTEZA: 0.95
+    CONFIANZA_CERTEZA: 0.95,
+    
+    // Peso del progreso esperado frente a la supervivencia al elegir una conjetura
+    // (0 = solo la menor probabilidad de mina)
+    PESO_PROGRESO: 0.05
 };
 
+// Parámetros para el cálculo de probabilidades
+export const PARAMETROS_PROBABILIDAD = {
+    // Densidad de minas supuesta cuando se desconoce el total
+    DENSIDAD_ESTIMADA: 0.18,
+    
+    // Nodos máximos de backtracking por componente antes de aproximar
+    LIMITE_NODOS_ENUMERACION: 200000,
+    
+    // Casillas desconocidas máximas para añadir la ecuación del total de minas
+    // al sistema de GestorBanderas (final de partida)
+    MAX_CELDAS_ECUACION_GLOBAL: 100,
+    
+    // Sistemas de ecuaciones resueltos que GestorBanderas guarda para reutilizarlos
+    // mientras su componente de la frontera no cambie
+    MAX_SISTEMAS_EN_CACHE: 500
+};
+
+// Orígenes de probabilidad que son estimaciones y no deducciones (se marcan en el mapa de calor):
+// la densidad supuesta sin total de minas, la aproximación de una frontera demasiado grande
+// para enumerarla y el valor inicial de las casillas que aún no se han analizado
+export const ORIGENES_ESTIMADOS = [
+    "densidad",
+    "aproximado",
+    "inicial"
+];
+
 // Parámetros para la memoria
 export const PARAMETROS_MEMORIA = {
     // Número máximo de partidas a recordar
@@ -76,6 +143,13 @@ export const PARAMETROS_MEMORIA = {
     UMBRAL_CAMBIO_TABLERO: 3
 };
 
+// Tableros que juega el simulador por defecto
+export const CONFIGURACIONES_SIMULACION = [
+    { nombre: "9×9 / 10 minas", filas: 9, columnas: 9, minas: 10 },
+    { nombre: "16×16 / 40 minas", filas: 16, columnas: 16, minas: 40 },
+    { nombre: "16×30 / 99 minas", filas: 16, columnas: 30, minas: 99 }
+];
+
 // Estilos CSS para los distintos temas
 export const TEMAS = {
     CLARO: {
@@ -0,0 +1,163 @@
+import Tablero from '../modelos/Tablero';
+import GestorBanderas from './GestorBanderas';
+import MotorProbabilidad from './MotorProbabilidad';
+import AnalizadorCeldas from './AnalizadorCeldas';
+import GestorMemoria from '../utilidades/GestorMemoria';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import { crearEstrategia } from './estrategias/CatalogoEstrategias';
+import { crearTopologia } from '../modelos/topologias/CatalogoTopologias';
+
+/**
+ * AnalisisSerializado - Decide una jugada a partir de una copia serializable de la partida
+ *
+ * Permite hacer el análisis en un Web Worker, que no comparte objetos con el hilo
+ * de la interfaz. El estado enviado contiene todo lo que influye en la decisión:
+ * {
+ *   tablero: { filas, columnas, totalMinas, deshabilitadas, topologia, celdasReveladas, celdasConBandera },
+ *   probabilidades: [{ fila, columna, probabilidades }],   // Mapa mental de las celdas sin revelar
+ *   analizador: {...},          // AnalizadorCeldas.obtenerInstantanea()
+ *   generador: 123456,          // Estado interno del GeneradorAleatorio
+ *   memoria: {...},             // GestorMemoria.obtenerInstantanea()
+ *   estrategia: 'completa',
+ *   esPrimerMovimiento: false
+ * }
+ * y el resultado, lo que el hilo principal debe aplicar para seguir como si
+ * hubiera calculado la jugada él mismo:
+ * {
+ *   seleccion: {...},           // Jugada de la estrategia; las banderas como { fila, columna }
+ *   probabilidades: [...],      // Mismo formato que en el estado, ya actualizadas
+ *   analizador: {...},
+ *   generador: 654321
+ * }
+ */
+
+// Última partida reconstruida. En el trabajador el módulo vive mientras dura la página:
+// si el siguiente estado continúa esa partida basta con aplicarle las casillas nuevas,
+// y el tablero y GestorBanderas conservan lo que actualizan de forma incremental
+let partidaAnterior = null;
+
+/**
+ * Copia el mapa de probabilidades de las celdas sin revelar
+ * @param {Tablero} tablero - Tablero de juego
+ * @returns {Array} - Lista de {fila, columna, probabilidades}
+ */
+const copiarProbabilidades = (tablero) => tablero.obtenerCeldasSinRevolar().map(celda => ({
+  fila: celda.fila,
+  columna: celda.columna,
+  probabilidades: celda.obtenerProbabilidades()
+}));
+
+/**
+ * Copia el estado de la partida que necesita el análisis
+ * @param {Object} partida - Componentes de la partida
+ * @param {Tablero} partida.tablero - Tablero de juego
+ * @param {AnalizadorCeldas} partida.analizador - Analizador con el historial de movimientos
+ * @param {GeneradorAleatorio} partida.generador - Generador compartido por los módulos de decisión
+ * @param {GestorMemoria} partida.gestorMemoria - Memoria de partidas anteriores
+ * @param {string} partida.estrategia - Identificador de la estrategia (ver CatalogoEstrategias)
+ * @param {boolean} partida.esPrimerMovimiento - Si es el primer movimiento de la partida
+ * @returns {Object} - Estado serializable
+ */
+export const serializarAnalisis = ({ tablero, analizador, generador, gestorMemoria, estrategia, esPrimerMovimiento }) => {
+  const { filas, columnas, totalMinas, celdasReveladas, celdasConBandera } = tablero.obtenerEstadoParaMemoria();
+
+  return {
+    tablero: {
+      filas,
+      columnas,
+      totalMinas,
+      deshabilitadas: tablero.obtenerCeldasDeshabilitadas(),
+      topologia: tablero.topologia.id,
+      celdasReveladas,
+      celdasConBandera
+    },
+    probabilidades: copiarProbabilidades(tablero),
+    analizador: analizador.obtenerInstantanea(),
+    generador: generador.estado,
+    memoria: gestorMemoria.obtenerInstantanea(),
+    estrategia,
+    esPrimerMovimiento
+  };
+};
+
+/**
+ * Obtiene el tablero del estado, reutilizando el de la petición anterior si es la misma partida
+ * @param {Object} estadoTablero - Campo tablero del estado serializado
+ * @returns {Object} - Componentes {tablero, gestorBanderas, motorProbabilidad}
+ */
+const reconstruirPartida = (estadoTablero) => {
+  const { filas, columnas, totalMinas, deshabilitadas, topologia, celdasReveladas, celdasConBandera } = estadoTablero;
+  const configuracion = JSON.stringify({ filas, columnas, totalMinas, deshabilitadas, topologia });
+
+  if (partidaAnterior && partidaAnterior.configuracion === configuracion) {
+    const { tablero } = partidaAnterior;
+    const reveladas = new Map(celdasReveladas.map(({ fila, columna, valor }) => [`${fila},${columna}`, valor]));
+    const banderas = new Set(celdasConBandera.map(({ fila, columna }) => `${fila},${columna}`));
+
+    // Es la misma partida si nada de lo que ya había se ha deshecho
+    const continua = tablero.obtenerCeldas().every(celda => {
+      const clave = `${celda.fila},${celda.columna}`;
+      if (celda.descubierta) return reveladas.get(clave) === celda.valor;
+      return !celda.tieneBandera || banderas.has(clave);
+    });
+
+    if (continua) {
+      celdasReveladas.forEach(({ fila, columna, valor }) => tablero.establecerValorCelda(fila, columna, valor));
+      celdasConBandera.forEach(({ fila, columna }) => tablero.establecerBandera(fila, columna, true));
+      return partidaAnterior;
+    }
+  }
+
+  const tablero = new Tablero(filas, columnas, totalMinas, deshabilitadas, crearTopologia(topologia));
+  tablero.restaurarEstado(estadoTablero);
+
+  partidaAnterior = {
+    configuracion,
+    tablero,
+    gestorBanderas: new GestorBanderas(tablero),
+    motorProbabilidad: new MotorProbabilidad(tablero)
+  };
+  return partidaAnterior;
+};
+
+/**
+ * Reconstruye la partida y decide la siguiente jugada
+ * @param {Object} estado - Estado obtenido con serializarAnalisis
+ * @returns {Object} - Resultado {seleccion, probabilidades, analizador, generador}
+ */
+export const analizarEstadoSerializado = (estado) => {
+  const { tablero, gestorBanderas, motorProbabilidad } = reconstruirPartida(estado.tablero);
+
+  // Las estrategias pueden apoyarse en probabilidades calculadas en turnos anteriores
+  estado.probabilidades.forEach(({ fila, columna, probabilidades }) => {
+    tablero.obtenerCelda(fila, columna).probabilidades = probabilidades;
+  });
+
+  const generador = new GeneradorAleatorio();
+  generador.estado = estado.generador;
+
+  const gestorMemoria = new GestorMemoria({ persistente: false, generador });
+  gestorMemoria.restaurarInstantanea(estado.memoria);
+
+  const analizador = new AnalizadorCeldas(
+    tablero,
+    gestorBanderas,
+    motorProbabilidad,
+    gestorMemoria,
+    generador,
+    crearEstrategia(estado.estrategia)
+  );
+  analizador.restaurarInstantanea(estado.analizador);
+
+  const seleccion = analizador.seleccionarMejorCelda(estado.esPrimerMovimiento);
+
+  return {
+    // Las banderas son celdas del tablero reconstruido: basta con su posición
+    seleccion: seleccion.tipo === 'banderas'
+      ? { ...seleccion, banderas: seleccion.banderas.map(b => ({ fila: b.fila, columna: b.columna })) }
+      : seleccion,
+    probabilidades: copiarProbabilidades(tablero),
+    analizador: analizador.obtenerInstantanea(),
+    generador: generador.estado
+  };
+};
@@ -0,0 +1,57 @@
+import { serializarAnalisis, analizarEstadoSerializado } from './AnalisisSerializado';
+import Juego from '../modelos/Juego';
+import Oraculo from '../simulacion/Oraculo';
+import GestorMemoria from '../utilidades/GestorMemoria';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import { crearTopologia } from '../modelos/topologias/CatalogoTopologias';
+
+describe('AnalisisSerializado', () => {
+  // Copia como la de postMessage: sin referencias compartidas con el hilo principal
+  const copiar = (valor) => JSON.parse(JSON.stringify(valor));
+
+  test.each([
+    { filas: 9, columnas: 9, minas: 10, deshabilitadas: [], topologia: 'cuadrada' },
+    { filas: 8, columnas: 8, minas: 9, deshabilitadas: [{ fila: 3, columna: 3 }, { fila: 3, columna: 4 }], topologia: 'hexagonal' }
+  ])('decide en cada turno lo mismo que el análisis en el hilo principal ($topologia)', ({ filas, columnas, minas, deshabilitadas, topologia }) => {
+    const oraculo = new Oraculo(filas, columnas, minas, 11, deshabilitadas, crearTopologia(topologia));
+    const gestorMemoria = new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(11) });
+    const juego = new Juego(filas, columnas, null, { sincrono: true, gestorMemoria, deshabilitadas, topologia });
+    juego.establecerTotalMinas(minas);
+    juego.iniciarPartida(11);
+
+    let turnos = 0;
+    while (!juego.juegoTerminado && turnos < 200) {
+      if (juego.esperandoRespuesta) {
+        juego.procesarRespuesta(oraculo.responder(juego.celdaActual.fila, juego.celdaActual.columna));
+        continue;
+      }
+
+      const estado = copiar(serializarAnalisis({
+        tablero: juego.tablero,
+        analizador: juego.analizadorCeldas,
+        generador: juego.generador,
+        gestorMemoria,
+        estrategia: juego.estrategia,
+        esPrimerMovimiento: juego.movimientoPendiente?.esPrimerMovimiento ?? false
+      }));
+      const resultado = copiar(analizarEstadoSerializado(estado));
+
+      if (!juego.ejecutarMovimientoPendiente()) break;
+      turnos++;
+
+      const { seleccion } = resultado;
+      const esBanderas = seleccion.tipo === 'banderas';
+      expect(esBanderas ? juego.ultimaAccion.banderas : juego.celdaActual)
+        .toEqual(esBanderas ? seleccion.banderas : { fila: seleccion.fila, columna: seleccion.columna });
+      expect(resultado.generador).toBe(juego.generador.estado);
+      expect(resultado.analizador).toEqual(juego.analizadorCeldas.obtenerInstantanea());
+
+      // Las banderas nuevas se colocan después, al aplicar la selección
+      const celda = ({ fila, columna }) => juego.tablero.obtenerCelda(fila, columna);
+      const sinBandera = resultado.probabilidades.filter(p => !celda(p).tieneBandera);
+      expect(sinBandera.map(p => p.probabilidades)).toEqual(sinBandera.map(p => celda(p).obtenerProbabilidades()));
+    }
+
+    expect(juego.juegoTerminado).toBe(true);
+  });
+});
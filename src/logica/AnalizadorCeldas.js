@@ -1,3 +1,14 @@
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import { PARAMETROS_ESTRATEGIA } from '../constantes/ConfiguracionJuego';
+import { crearEstrategia } from './estrategias/CatalogoEstrategias';
+import {
+  REGLAS,
+  crearExplicacion,
+  combinarExplicaciones,
+  restriccionDeCelda,
+  restriccionDelSolucionador
+} from './Explicacion';
+
 /**
  * AnalizadorCeldas - Analiza el tablero y selecciona la mejor celda para la siguiente jugada
  */
@@ -8,78 +19,185 @@ class AnalizadorCeldas {
      * @param {Object} gestorBanderas - Gestor de banderas para colocar banderas seguras
      * @param {Object} motorProbabilidad - Motor de probabilidades para calcular riesgos
      * @param {Object} gestorMemoria - Gestor de memoria para aprendizaje
+     * @param {GeneradorAleatorio} generador - Generador aleatorio con semilla
+     * @param {Object} estrategia - Estrategia que decide las jugadas (ver logica/estrategias)
      */
-    constructor(tablero, gestorBanderas, motorProbabilidad, gestorMemoria) {
+    constructor(tablero, gestorBanderas, motorProbabilidad, gestorMemoria, generador = new GeneradorAleatorio(), estrategia = crearEstrategia()) {
       this.tablero = tablero;
       this.gestorBanderas = gestorBanderas;
       this.motorProbabilidad = motorProbabilidad;
       this.gestorMemoria = gestorMemoria;
+      this.generador = generador;
+      this.estrategia = estrategia;
       this.historialMovimientos = [];
       this.partidaIniciada = false;
       this.ultimoBordeAnalizado = -1;
+      
+      // Patrones aprendidos que consulta esta partida (null: los de la memoria actual)
+      this.patronesMemoria = null;
+    }
+  
+    /**
+     * Fija los patrones aprendidos que consultan las jugadas de memoria. La partida decide
+     * siempre con los mismos aunque la memoria cambie, y así se puede repetir desde su semilla
+     * @param {Object|null} patrones - Patrones (GestorMemoria.obtenerPatronesDecision) o null
+     */
+    establecerPatronesMemoria(patrones) {
+      this.patronesMemoria = patrones;
     }
   
     /**
-     * Selecciona la mejor celda para el siguiente movimiento
+     * Cambia la estrategia que decide las jugadas
+     * @param {Object} estrategia - Estrategia con el método decidir(tablero, contexto)
+     */
+    establecerEstrategia(estrategia) {
+      this.estrategia = estrategia;
+    }
+  
+    /**
+     * Selecciona la mejor celda para el siguiente movimiento según la estrategia activa
      * @param {boolean} esPrimerMovimiento - Si es el primer movimiento de la partida
-     * @returns {Object} - Objeto con la celda seleccionada {fila, columna, razon}
+     * @returns {Object} - Objeto con la celda seleccionada {fila, columna, razon, explicacion}
      */
     seleccionarMejorCelda(esPrimerMovimiento = false) {
-      // 1. Primer movimiento - Estrategia especial
-      if (esPrimerMovimiento) {
-        return this.seleccionarPrimeraCelda();
-      }
+      return this.estrategia.decidir(this.tablero, { analizador: this, esPrimerMovimiento });
+    }
+  
+    /*
+     * Pasos con los que las estrategias componen su decisión. Los que pueden no
+     * encontrar jugada devuelven null para que la estrategia pase al siguiente.
+     */
   
-      // 2. Verificar si hay banderas seguras para colocar
+    /**
+     * Primer movimiento: memoria de partidas anteriores, esquinas o bordes
+     * @returns {Object} - Jugada {fila, columna, tipo, razon, explicacion}
+     */
+    jugadaPrimerMovimiento() {
+      const seleccion = this.seleccionarPrimeraCelda();
+      return { ...seleccion, explicacion: this.explicarSeleccionSinDeduccion(seleccion) };
+    }
+  
+    /**
+     * Banderas con 100% de certeza
+     * @returns {Object|null} - Jugada {tipo: 'banderas', banderas, razon, explicacion} o null si no hay
+     */
+    jugadaBanderas() {
       const banderasSeguras = this.gestorBanderas.colocarBanderasSeguras();
-      if (banderasSeguras.length > 0) {
-        // Notificar que se han colocado banderas (sin retornar celda)
-        return { 
-          tipo: 'banderas',
-          banderas: banderasSeguras,
-          razon: `He identificado ${banderasSeguras.length} mina${banderasSeguras.length > 1 ? 's' : ''} con 100% de certeza`
-        };
-      }
+      if (banderasSeguras.length === 0) return null;
+      
+      const razon = `He identificado ${banderasSeguras.length} mina${banderasSeguras.length > 1 ? 's' : ''} con 100% de certeza`;
+      
+      // Notificar que se han colocado banderas (sin retornar celda)
+      return { 
+        tipo: 'banderas',
+        banderas: banderasSeguras,
+        razon,
+        explicacion: combinarExplicaciones(
+          banderasSeguras.map(b => b.explicacion).filter(Boolean),
+          razon,
+          this.gestorBanderas.banderasDescartadas
+        )
+      };
+    }
   
-      // 3. Actualizar mapa de probabilidades
-      this.motorProbabilidad.calcularProbabilidades(this.gestorMemoria);
+    /**
+     * Celda demostrada segura por las reglas de GestorBanderas, sin consultar probabilidades
+     * @returns {Object|null} - Jugada o null si no hay
+     */
+    jugadaSeguraDeducida() {
+      const seguras = this.gestorBanderas.detectarCeldasSeguras();
+      if (seguras.length === 0) return null;
+      
+      const celdas = seguras.map(s => this.tablero.obtenerCelda(s.fila, s.columna));
+      const celdaElegida = this.elegirMejorCeldaSegura(celdas);
+      const deduccion = seguras[celdas.indexOf(celdaElegida)];
+      
+      return {
+        fila: celdaElegida.fila,
+        columna: celdaElegida.columna,
+        tipo: 'segura',
+        razon: `Celda 100% segura (${deduccion.origen})`,
+        probabilidadMina: 0,
+        explicacion: {
+          ...deduccion.explicacion,
+          alternativas: this.alternativasSeguras(celdaElegida, celdas)
+        }
+      };
+    }
   
-      // 4. Buscar celdas 100% seguras
+    /**
+     * Actualiza el mapa de probabilidades (necesario antes de jugadaSeguraEnumerada y las conjeturas)
+     */
+    calcularProbabilidades() {
+      this.motorProbabilidad.calcularProbabilidades();
+    }
+  
+    /**
+     * Celda 100% segura que solo revela la enumeración de configuraciones
+     * @returns {Object|null} - Jugada o null si no hay
+     */
+    jugadaSeguraEnumerada() {
       const celdasSeguras = this.tablero.obtenerCeldasConCertezaDeSeguridad();
-      if (celdasSeguras.length > 0) {
-        // Seleccionar la mejor celda segura (priorizar esquinas y bordes)
-        const celdaElegida = this.elegirMejorCeldaSegura(celdasSeguras);
-        return {
-          fila: celdaElegida.fila,
-          columna: celdaElegida.columna,
-          tipo: 'segura',
-          razon: 'Celda 100% segura'
-        };
-      }
+      if (celdasSeguras.length === 0) return null;
+      
+      // Seleccionar la mejor celda segura (priorizar esquinas y bordes)
+      const celdaElegida = this.elegirMejorCeldaSegura(celdasSeguras);
+      return {
+        fila: celdaElegida.fila,
+        columna: celdaElegida.columna,
+        tipo: 'segura',
+        razon: 'Celda 100% segura',
+        explicacion: this.explicarCeldaSegura(celdaElegida, celdasSeguras)
+      };
+    }
   
-      // 5. Segundo movimiento - Usar memoria si hay datos
-      if (this.historialMovimientos.length === 1) {
-        const mejorSegundoMovimiento = this.gestorMemoria.obtenerMejorSegundoMovimiento(
-          this.historialMovimientos[0],
-          this.tablero
-        );
-        
-        if (mejorSegundoMovimiento && mejorSegundoMovimiento.confianza > 0.5 && mejorSegundoMovimiento.tasaExito > 0.6) {
-          // Verificar que la celda no esté descubierta o con bandera
-          const celda = this.tablero.obtenerCelda(mejorSegundoMovimiento.fila, mejorSegundoMovimiento.columna);
-          if (celda && !celda.descubierta && !celda.tieneBandera) {
-            return {
-              fila: mejorSegundoMovimiento.fila,
-              columna: mejorSegundoMovimiento.columna,
-              tipo: 'memoria',
-              razon: `Mejor segundo movimiento (${Math.round(mejorSegundoMovimiento.tasaExito * 100)}% éxito en partidas anteriores)`
-            };
-          }
-        }
+    /**
+     * Segundo movimiento aprendido de partidas anteriores
+     * @returns {Object|null} - Jugada o null si no aplica o la memoria no es fiable
+     */
+    jugadaMemoria() {
+      if (this.historialMovimientos.length !== 1) return null;
+      
+      const mejorSegundoMovimiento = this.gestorMemoria.obtenerMejorSegundoMovimiento(
+        this.historialMovimientos[0],
+        this.tablero,
+        this.patronesMemoria || undefined
+      );
+      
+      if (!mejorSegundoMovimiento || mejorSegundoMovimiento.confianza <= 0.5 || mejorSegundoMovimiento.tasaExito <= 0.6) {
+        return null;
       }
+      
+      // Verificar que la celda no esté descubierta o con bandera
+      const celda = this.tablero.obtenerCelda(mejorSegundoMovimiento.fila, mejorSegundoMovimiento.columna);
+      if (!celda || celda.descubierta || celda.tieneBandera) return null;
+      
+      const seleccion = {
+        fila: mejorSegundoMovimiento.fila,
+        columna: mejorSegundoMovimiento.columna,
+        tipo: 'memoria',
+        razon: `Mejor segundo movimiento (${Math.round(mejorSegundoMovimiento.tasaExito * 100)}% éxito en partidas anteriores)`
+      };
+      return { ...seleccion, explicacion: this.explicarSeleccionSinDeduccion(seleccion) };
+    }
   
-      // 6. Seleccionar la celda más segura según probabilidades
-      return this.seleccionarCeldaMasProbable();
+    /**
+     * Celda desconocida al azar, sin consultar probabilidades
+     * @returns {Object} - Jugada
+     */
+    jugadaAleatoria() {
+      const seleccion = this.seleccionarCeldaCompletamenteAleatoria();
+      if (seleccion.tipo === 'error') return seleccion;
+      
+      return {
+        ...seleccion,
+        razon: 'Celda aleatoria: no hay ninguna deducción segura',
+        explicacion: crearExplicacion({
+          regla: REGLAS.ALEATORIO,
+          descripcion: 'Ninguna regla demuestra que una casilla sea segura y esta estrategia no calcula probabilidades: elige al azar entre las casillas desconocidas',
+          conclusion: { tipo: 'riesgo', celdas: [{ fila: seleccion.fila, columna: seleccion.columna }], probabilidadMina: null }
+        })
+      };
     }
   
     /**
@@ -90,7 +208,10 @@ class AnalizadorCeldas {
       this.partidaIniciada = true;
       
       // 1. Intentar usar memoria histórica si existe
-      const mejorMovimientoInicial = this.gestorMemoria.obtenerMejorMovimientoInicial(this.tablero);
+      const mejorMovimientoInicial = this.gestorMemoria.obtenerMejorMovimientoInicial(
+        this.tablero,
+        this.patronesMemoria || undefined
+      );
       
       if (mejorMovimientoInicial && mejorMovimientoInicial.tasaExito > 0.55) {
         // Usar el mejor movimiento inicial según la memoria
@@ -133,23 +254,14 @@ class AnalizadorCeldas {
      * @returns {Object|null} - Celda seleccionada o null si no hay disponibles
      */
     seleccionarEsquinaAleatoria() {
-      const esquinas = [
-        { fila: 0, columna: 0 },
-        { fila: 0, columna: this.tablero.columnas - 1 },
-        { fila: this.tablero.filas - 1, columna: 0 },
-        { fila: this.tablero.filas - 1, columna: this.tablero.columnas - 1 }
-      ];
-      
-      // Filtrar esquinas disponibles (no descubiertas ni con bandera)
-      const disponibles = esquinas.filter(pos => {
-        const celda = this.tablero.obtenerCelda(pos.fila, pos.columna);
-        return celda && !celda.descubierta && !celda.tieneBandera;
-      });
+      // Esquinas disponibles (no descubiertas ni con bandera), incluidas las que forman los huecos
+      const disponibles = this.tablero.obtenerCeldas()
+        .filter(celda => celda.esEsquina && !celda.descubierta && !celda.tieneBandera);
       
       if (disponibles.length === 0) return null;
       
       // Seleccionar aleatoriamente
-      const seleccion = disponibles[Math.floor(Math.random() * disponibles.length)];
+      const seleccion = this.generador.elegir(disponibles);
       
       return {
         fila: seleccion.fila,
@@ -203,7 +315,7 @@ class AnalizadorCeldas {
       if (disponibles.length === 0) return null;
       
       // Seleccionar aleatoriamente
-      const seleccion = disponibles[Math.floor(Math.random() * disponibles.length)];
+      const seleccion = this.generador.elegir(disponibles);
       
       return {
         fila: seleccion.fila,
@@ -235,7 +347,7 @@ class AnalizadorCeldas {
       if (interiores.length === 0) return null;
       
       // Seleccionar aleatoriamente
-      const seleccion = interiores[Math.floor(Math.random() * interiores.length)];
+      const seleccion = this.generador.elegir(interiores);
       
       return {
         fila: seleccion.fila,
@@ -273,7 +385,7 @@ class AnalizadorCeldas {
       }
       
       // Seleccionar aleatoriamente
-      const seleccion = celdasDisponibles[Math.floor(Math.random() * celdasDisponibles.length)];
+      const seleccion = this.generador.elegir(celdasDisponibles);
       
       return {
         fila: seleccion.fila,
@@ -326,14 +438,23 @@ class AnalizadorCeldas {
     }
   
     /**
-     * Selecciona la celda más probable (menor probabilidad de mina)
+     * Selecciona la mejor conjetura cuando no hay celdas seguras: combina la
+     * probabilidad de sobrevivir con la de que el número revelado permita seguir deduciendo
+     * @param {Object} opciones - Opciones de la elección
+     * @param {number} opciones.pesoProgreso - Peso del progreso esperado (0 = solo supervivencia)
+     * @param {boolean} opciones.soloFiables - Descartar estimaciones si hay probabilidades exactas
      * @returns {Object} - Celda seleccionada
      */
-    seleccionarCeldaMasProbable() {
+    seleccionarCeldaMasProbable({ pesoProgreso = PARAMETROS_ESTRATEGIA.PESO_PROGRESO, soloFiables = false } = {}) {
       // Obtener todas las celdas sin revelar
-      const celdasSinRevolar = this.tablero.obtenerCeldasSinRevolar()
+      let celdasSinRevolar = this.tablero.obtenerCeldasSinRevolar()
         .filter(c => !c.tieneBandera);
       
+      if (soloFiables) {
+        const fiables = celdasSinRevolar.filter(c => c.probabilidades.confianza >= PARAMETROS_ESTRATEGIA.CONFIANZA_CERTEZA);
+        if (fiables.length > 0) celdasSinRevolar = fiables;
+      }
+      
       if (celdasSinRevolar.length === 0) {
         // No quedan celdas (debería ser victoria)
         return {
@@ -342,43 +463,13 @@ class AnalizadorCeldas {
         };
       }
       
-      // Clasificar celdas por niveles de seguridad
-      const clasificadas = this.clasificarCeldasPorNiveles(celdasSinRevolar);
-      
-      // Seleccionar la celda más segura según la clasificación
-      let celdaSeleccionada;
-      let razonSeleccion;
+      // Puntuar cada candidata y elegir la mejor
+      const evaluaciones = new Map(celdasSinRevolar.map(celda => [celda, this.evaluarConjetura(celda, pesoProgreso)]));
+      const celdaSeleccionada = this.elegirMejorConjetura(celdasSinRevolar, evaluaciones);
+      const { supervivencia, progreso } = evaluaciones.get(celdaSeleccionada);
       
-      // Nivel 1: Celdas muy seguras (probabilidad < 0.1)
-      if (clasificadas.muySeguras.length > 0) {
-        celdaSeleccionada = this.elegirMejorCeldaEnCategoria(clasificadas.muySeguras);
-        razonSeleccion = `Celda muy segura (${Math.round((1-celdaSeleccionada.probabilidades.probabilidadMina)*100)}% seguridad)`;
-      }
-      // Nivel 2: Celdas seguras (probabilidad < 0.2)
-      else if (clasificadas.seguras.length > 0) {
-        celdaSeleccionada = this.elegirMejorCeldaEnCategoria(clasificadas.seguras);
-        razonSeleccion = `Celda relativamente segura (${Math.round((1-celdaSeleccionada.probabilidades.probabilidadMina)*100)}% seguridad)`;
-      }
-      // Nivel 3: Celdas de bajo riesgo (probabilidad < 0.3)
-      else if (clasificadas.bajoRiesgo.length > 0) {
-        celdaSeleccionada = this.elegirMejorCeldaEnCategoria(clasificadas.bajoRiesgo);
-        razonSeleccion = `Celda de bajo riesgo (${Math.round((1-celdaSeleccionada.probabilidades.probabilidadMina)*100)}% seguridad)`;
-      }
-      // Nivel 4: Celdas de riesgo moderado (probabilidad < 0.5)
-      else if (clasificadas.riesgoModerado.length > 0) {
-        celdaSeleccionada = this.elegirMejorCeldaEnCategoria(clasificadas.riesgoModerado);
-        razonSeleccion = `Celda de riesgo moderado (${Math.round((1-celdaSeleccionada.probabilidades.probabilidadMina)*100)}% seguridad)`;
-      }
-      // Nivel 5: Celdas de alto riesgo (todas las restantes)
-      else {
-        // Ordenar por menor probabilidad de mina
-        const ordenadas = [...clasificadas.altoRiesgo].sort((a, b) => 
-          a.probabilidades.probabilidadMina - b.probabilidades.probabilidadMina
-        );
-        
-        celdaSeleccionada = ordenadas[0];
-        razonSeleccion = `Celda menos arriesgada disponible (${Math.round((1-celdaSeleccionada.probabilidades.probabilidadMina)*100)}% seguridad)`;
-      }
+      const razonSeleccion = `${this.describirNivelRiesgo(celdaSeleccionada.probabilidades.probabilidadMina)} ` +
+        `(${Math.round(supervivencia*100)}% seguridad, ${Math.round(progreso*100)}% de progreso)`;
       
       return {
         fila: celdaSeleccionada.fila,
@@ -386,59 +477,238 @@ class AnalizadorCeldas {
         tipo: 'probabilidad',
         razon: razonSeleccion,
         probabilidadMina: celdaSeleccionada.probabilidades.probabilidadMina,
-        confianza: celdaSeleccionada.probabilidades.confianza
+        confianza: celdaSeleccionada.probabilidades.confianza,
+        explicacion: this.explicarCeldaArriesgada(celdaSeleccionada, celdasSinRevolar, evaluaciones)
       };
     }
   
     /**
-     * Clasifica celdas por niveles de seguridad
-     * @param {Array} celdas - Lista de celdas a clasificar
-     * @returns {Object} - Clasificación por niveles
+     * Evalúa una celda como conjetura.
+     * El progreso es la probabilidad de que el número revelado decida todas sus vecinas
+     * inciertas (todas seguras o todas minas), suponiendo vecinas independientes.
+     * @param {Celda} celda - Celda candidata
+     * @param {number} pesoProgreso - Peso del progreso frente a la supervivencia
+     * @returns {Object} - {supervivencia, progreso, puntuacion}
      */
-    clasificarCeldasPorNiveles(celdas) {
-      const clasificacion = {
-        muySeguras: [],      // < 0.1 probabilidad de mina
-        seguras: [],         // < 0.2 probabilidad de mina
-        bajoRiesgo: [],      // < 0.3 probabilidad de mina
-        riesgoModerado: [],  // < 0.5 probabilidad de mina
-        altoRiesgo: []       // >= 0.5 probabilidad de mina
+    evaluarConjetura(celda, pesoProgreso = PARAMETROS_ESTRATEGIA.PESO_PROGRESO) {
+      const supervivencia = 1 - celda.probabilidades.probabilidadMina;
+      
+      // Las banderas y las vecinas con certeza no aportan información nueva
+      const inciertas = this.tablero.obtenerCeldasAdyacentes(celda.fila, celda.columna)
+        .filter(c => !c.descubierta && !c.tieneBandera)
+        .map(c => c.probabilidades.probabilidadMina)
+        .filter(p => p > 0 && p < 1);
+      
+      const progreso = inciertas.length === 0
+        ? 0
+        : inciertas.reduce((producto, p) => producto * (1 - p), 1) + inciertas.reduce((producto, p) => producto * p, 1);
+      
+      return {
+        supervivencia,
+        progreso,
+        puntuacion: supervivencia * (1 + pesoProgreso * progreso)
       };
+    }
+  
+    /**
+     * Describe el nivel de riesgo de una probabilidad de mina
+     * @param {number} probabilidadMina - Probabilidad de mina
+     * @returns {string} - Descripción del nivel
+     */
+    describirNivelRiesgo(probabilidadMina) {
+      const { MUY_SEGURA, SEGURA, BAJO_RIESGO, RIESGO_MODERADO } = PARAMETROS_ESTRATEGIA.NIVELES_RIESGO;
+      
+      if (probabilidadMina < MUY_SEGURA) return 'Celda muy segura';
+      if (probabilidadMina < SEGURA) return 'Celda relativamente segura';
+      if (probabilidadMina < BAJO_RIESGO) return 'Celda de bajo riesgo';
+      if (probabilidadMina < RIESGO_MODERADO) return 'Celda de riesgo moderado';
+      return 'Celda de alto riesgo';
+    }
+  
+    /**
+     * Explica una selección que no procede de ninguna deducción (memoria, estrategia o azar)
+     * @param {Object} seleccion - Selección {fila, columna, tipo, razon}
+     * @returns {Object|null} - Explicación o null si la selección es un error
+     */
+    explicarSeleccionSinDeduccion(seleccion) {
+      const reglas = {
+        memoria: REGLAS.MEMORIA,
+        estrategia: REGLAS.ESTRATEGIA,
+        aleatorio: REGLAS.ALEATORIO
+      };
+      if (!reglas[seleccion.tipo]) return null;
       
-      celdas.forEach(celda => {
-        const prob = celda.probabilidades.probabilidadMina;
-        
-        if (prob < 0.1) {
-          clasificacion.muySeguras.push(celda);
-        } else if (prob < 0.2) {
-          clasificacion.seguras.push(celda);
-        } else if (prob < 0.3) {
-          clasificacion.bajoRiesgo.push(celda);
-        } else if (prob < 0.5) {
-          clasificacion.riesgoModerado.push(celda);
-        } else {
-          clasificacion.altoRiesgo.push(celda);
-        }
+      return crearExplicacion({
+        regla: reglas[seleccion.tipo],
+        descripcion: `${seleccion.razon}. No hay casillas numéricas de las que deducir nada.`,
+        conclusion: { tipo: 'riesgo', celdas: [{ fila: seleccion.fila, columna: seleccion.columna }], probabilidadMina: null }
       });
+    }
+  
+    /**
+     * Explica por qué una celda es segura con certeza
+     * @param {Celda} celda - Celda elegida
+     * @param {Array} celdasSeguras - Todas las celdas seguras disponibles
+     * @returns {Object} - Explicación
+     */
+    explicarCeldaSegura(celda, celdasSeguras) {
+      const componente = this.buscarComponente(celda);
+      const restricciones = componente ? componente.restricciones.map(restriccionDelSolucionador) : [];
+      const conclusion = { tipo: 'segura', celdas: [{ fila: celda.fila, columna: celda.columna }], probabilidadMina: 0 };
+      const alternativas = this.alternativasSeguras(celda, celdasSeguras);
+      
+      // Una sola restricción ya completa basta para demostrarlo
+      const completa = restricciones.find(r => r.minasFaltantes === 0 &&
+        r.celdas.some(c => c.fila === celda.fila && c.columna === celda.columna));
+      if (completa) {
+        return crearExplicacion({
+          regla: REGLAS.BASICA,
+          descripcion: `(${completa.fila+1},${completa.columna+1})=${completa.valor} ya tiene todas sus minas: sus demás vecinas son seguras`,
+          restricciones: [completa],
+          conclusion,
+          alternativas
+        });
+      }
+      
+      if (celda.probabilidades.origen === 'exterior') {
+        return crearExplicacion({
+          regla: REGLAS.ENUMERACION,
+          descripcion: 'Todas las minas que quedan tienen que estar en la frontera: las casillas sin explorar son seguras',
+          conclusion,
+          alternativas
+        });
+      }
       
-      return clasificacion;
+      if (celda.probabilidades.origen === 'analisis100') {
+        return crearExplicacion({
+          regla: REGLAS.SUBCONJUNTO,
+          descripcion: 'Las casillas numéricas vecinas ya colocan todas sus minas en casillas compartidas',
+          restricciones: this.restriccionesVecinas(celda),
+          conclusion,
+          alternativas
+        });
+      }
+      
+      const soluciones = componente?.resultado?.totalSoluciones;
+      return crearExplicacion({
+        regla: REGLAS.ENUMERACION,
+        descripcion: `En ${soluciones ? `las ${soluciones}` : 'todas las'} configuraciones compatibles con ${restricciones.length} restricciones esta casilla nunca tiene mina`,
+        restricciones,
+        conclusion,
+        alternativas
+      });
     }
   
     /**
-     * Elige la mejor celda dentro de una categoría
-     * @param {Array} celdas - Lista de celdas de la categoría
+     * Lista las otras celdas seguras que no se eligieron
+     * @param {Celda} celda - Celda elegida
+     * @param {Array} celdasSeguras - Todas las celdas seguras disponibles
+     * @returns {Array} - Hasta 3 alternativas {fila, columna, probabilidadMina, motivo}
+     */
+    alternativasSeguras(celda, celdasSeguras) {
+      return celdasSeguras
+        .filter(c => c !== celda)
+        .slice(0, 3)
+        .map(c => ({
+          fila: c.fila,
+          columna: c.columna,
+          probabilidadMina: 0,
+          motivo: 'También segura; se prefieren esquinas, bordes y cercanía al último movimiento'
+        }));
+    }
+  
+    /**
+     * Explica la elección de una celda sin certeza de que sea segura
+     * @param {Celda} celda - Celda elegida
+     * @param {Array} candidatas - Celdas que podían elegirse
+     * @param {Map} evaluaciones - Evaluación de cada candidata (ver evaluarConjetura)
+     * @returns {Object} - Explicación
+     */
+    explicarCeldaArriesgada(celda, candidatas, evaluaciones) {
+      const { probabilidadMina, origen } = celda.probabilidades;
+      const { progreso } = evaluaciones.get(celda);
+      const porcentaje = (p) => `${Math.round(p * 100)}%`;
+      const componente = this.buscarComponente(celda);
+      
+      const descripciones = {
+        enumeracion: `calculada sobre ${componente?.resultado?.totalSoluciones ?? 'todas las'} configuraciones compatibles de su zona`,
+        exterior: 'casilla sin restricciones: las minas restantes se reparten entre las casillas no exploradas',
+        aproximado: 'aproximada: la zona es demasiado grande para enumerar todas sus configuraciones',
+        densidad: 'estimada con la densidad media de minas porque no se conoce el total'
+      };
+      
+      const alternativas = candidatas
+        .filter(c => c !== celda)
+        .sort((a, b) => evaluaciones.get(b).puntuacion - evaluaciones.get(a).puntuacion)
+        .slice(0, 3)
+        .map(c => {
+          const probabilidad = c.probabilidades.probabilidadMina;
+          const progresoAlternativa = evaluaciones.get(c).progreso;
+          
+          let motivo;
+          if (probabilidad > probabilidadMina) {
+            motivo = `Más arriesgada (${porcentaje(probabilidad)} de mina)`;
+          } else if (progresoAlternativa < progreso) {
+            motivo = `${probabilidad < probabilidadMina ? 'Menos' : 'Igual de'} arriesgada (${porcentaje(probabilidad)} de mina), pero con menos progreso esperado (${porcentaje(progresoAlternativa)})`;
+          } else {
+            motivo = `Mismo riesgo (${porcentaje(probabilidad)}); se desempata por posición`;
+          }
+          
+          return { fila: c.fila, columna: c.columna, probabilidadMina: probabilidad, motivo };
+        });
+      
+      return crearExplicacion({
+        regla: origen === 'enumeracion' || origen === 'exterior' ? REGLAS.ENUMERACION : REGLAS.ESTIMACION,
+        descripcion: `Ninguna casilla es segura. Esta tiene ${porcentaje(probabilidadMina)} de probabilidad de mina (${descripciones[origen] || `según ${origen}`}) ` +
+          `y ${porcentaje(progreso)} de que su número decida sus vecinas: es la mejor combinación de supervivencia y progreso`,
+        restricciones: componente ? componente.restricciones.map(restriccionDelSolucionador) : [],
+        conclusion: { tipo: 'riesgo', celdas: [{ fila: celda.fila, columna: celda.columna }], probabilidadMina },
+        alternativas
+      });
+    }
+  
+    /**
+     * Busca el componente de la frontera que contiene una celda en el último cálculo
+     * @param {Celda} celda - Celda a buscar
+     * @returns {Object|null} - Componente {celdas, restricciones, resultado} o null si es exterior
+     */
+    buscarComponente(celda) {
+      const resultado = this.motorProbabilidad.ultimoResultado;
+      if (!resultado) return null;
+      
+      return resultado.componentes.find(c => c.celdas.includes(celda)) || null;
+    }
+  
+    /**
+     * Obtiene las restricciones de las casillas numéricas vecinas de una celda
+     * @param {Celda} celda - Celda a analizar
+     * @returns {Array} - Restricciones en formato de explicación
+     */
+    restriccionesVecinas(celda) {
+      return this.tablero.obtenerCeldasAdyacentes(celda.fila, celda.columna)
+        .filter(c => c.tieneValorNumerico())
+        .map(c => restriccionDeCelda(this.tablero, c));
+    }
+  
+    /**
+     * Elige la mejor conjetura según su puntuación
+     * @param {Array} celdas - Celdas candidatas
+     * @param {Map} evaluaciones - Evaluación de cada celda (ver evaluarConjetura)
      * @returns {Object} - Mejor celda
      */
-    elegirMejorCeldaEnCategoria(celdas) {
+    elegirMejorConjetura(celdas, evaluaciones) {
       // Si solo hay una, retornarla
       if (celdas.length === 1) {
         return celdas[0];
       }
       
+      const puntuacion = (celda) => evaluaciones.get(celda).puntuacion;
+      
       // Ordenar por múltiples criterios
       const ordenadas = [...celdas].sort((a, b) => {
-        // 1. Menor probabilidad de mina
-        const diffProb = a.probabilidades.probabilidadMina - b.probabilidades.probabilidadMina;
-        if (Math.abs(diffProb) > 0.05) return diffProb;
+        // 1. Mayor puntuación de supervivencia y progreso
+        const diffPuntuacion = puntuacion(b) - puntuacion(a);
+        if (Math.abs(diffPuntuacion) > 0.02) return diffPuntuacion;
         
         // 2. Mayor confianza
         const diffConf = b.probabilidades.confianza - a.probabilidades.confianza;
@@ -461,9 +731,12 @@ class AnalizadorCeldas {
         return 0;
       });
       
-      // Aleatorizar entre los N mejores para evitar patrones predecibles
-      const mejoresN = ordenadas.slice(0, Math.min(3, ordenadas.length));
-      return mejoresN[Math.floor(Math.random() * mejoresN.length)];
+      // Aleatorizar entre los N mejores (casi empatados) para evitar patrones predecibles
+      const mejorPuntuacion = puntuacion(ordenadas[0]);
+      const mejoresN = ordenadas
+        .filter(celda => mejorPuntuacion - puntuacion(celda) <= 0.02)
+        .slice(0, 3);
+      return this.generador.elegir(mejoresN);
     }
   
     /**
@@ -492,6 +765,54 @@ class AnalizadorCeldas {
       return this.historialMovimientos;
     }
   
+    /**
+     * Obtiene una copia del estado interno para analizar la jugada en otro hilo
+     * (ver AnalisisSerializado)
+     * @returns {Object} - Instantánea del analizador
+     */
+    obtenerInstantanea() {
+      return {
+        historialMovimientos: this.historialMovimientos.map(m => ({ ...m })),
+        partidaIniciada: this.partidaIniciada,
+        ultimoBordeAnalizado: this.ultimoBordeAnalizado,
+        patronesMemoria: this.patronesMemoria
+      };
+    }
+  
+    /**
+     * Restaura el estado interno desde una instantánea
+     * @param {Object} instantanea - Instantánea obtenida con obtenerInstantanea
+     */
+    restaurarInstantanea(instantanea) {
+      this.historialMovimientos = instantanea.historialMovimientos.map(m => ({ ...m }));
+      this.partidaIniciada = instantanea.partidaIniciada;
+      this.ultimoBordeAnalizado = instantanea.ultimoBordeAnalizado;
+      this.patronesMemoria = instantanea.patronesMemoria ?? null;
+    }
+  
+    /**
+     * Marca el estado interno para volver a él al deshacer. El historial solo crece
+     * hasta que se deshace, así que basta con su longitud
+     * @returns {Object} - Marca {movimientos, partidaIniciada, ultimoBordeAnalizado}
+     */
+    obtenerMarca() {
+      return {
+        movimientos: this.historialMovimientos.length,
+        partidaIniciada: this.partidaIniciada,
+        ultimoBordeAnalizado: this.ultimoBordeAnalizado
+      };
+    }
+  
+    /**
+     * Vuelve al estado interno marcado con obtenerMarca
+     * @param {Object} marca - Marca obtenida con obtenerMarca
+     */
+    restaurarMarca(marca) {
+      this.historialMovimientos = this.historialMovimientos.slice(0, marca.movimientos);
+      this.partidaIniciada = marca.partidaIniciada;
+      this.ultimoBordeAnalizado = marca.ultimoBordeAnalizado;
+    }
+  
     /**
      * Reinicia el historial de movimientos
      */
@@ -0,0 +1,52 @@
+import AnalizadorCeldas from './AnalizadorCeldas';
+import Tablero from '../modelos/Tablero';
+import { PARAMETROS_ESTRATEGIA } from '../constantes/ConfiguracionJuego';
+
+describe('AnalizadorCeldas al elegir una conjetura', () => {
+  // Fila ? A 1 B F: A y B tienen la misma probabilidad de mina, pero solo A tiene
+  // una vecina incierta que su número podría decidir; B confía más en su estimación
+  // y por eso va delante cuando empatan
+  const crearAnalizador = () => {
+    const tablero = new Tablero(1, 5);
+    tablero.establecerValorCelda(0, 2, '1');
+    tablero.establecerBandera(0, 4, true);
+    tablero.obtenerCelda(0, 0).establecerProbabilidades(0.5, 0.5, 'enumeracion');
+    tablero.obtenerCelda(0, 1).establecerProbabilidades(0.2, 0.5, 'enumeracion');
+    tablero.obtenerCelda(0, 3).establecerProbabilidades(0.2, 0.9, 'enumeracion');
+    return new AnalizadorCeldas(tablero, null, { ultimoResultado: null }, null);
+  };
+
+  test('con la misma supervivencia prefiere la casilla con más progreso esperado', () => {
+    const analizador = crearAnalizador();
+    const conProgreso = analizador.evaluarConjetura(analizador.tablero.obtenerCelda(0, 1));
+    const sinProgreso = analizador.evaluarConjetura(analizador.tablero.obtenerCelda(0, 3));
+
+    expect(conProgreso.supervivencia).toBeCloseTo(sinProgreso.supervivencia, 9);
+    expect(conProgreso.progreso).toBeCloseTo(1, 9);
+    expect(sinProgreso.progreso).toBe(0);
+    expect(conProgreso.puntuacion).toBeCloseTo(0.8 * (1 + PARAMETROS_ESTRATEGIA.PESO_PROGRESO), 9);
+
+    const elegir = jest.spyOn(analizador.generador, 'elegir');
+    const seleccion = analizador.seleccionarCeldaMasProbable();
+
+    expect(elegir.mock.calls[0][0].map(c => [c.fila, c.columna])).toEqual([[0, 1]]);
+    expect([seleccion.fila, seleccion.columna]).toEqual([0, 1]);
+  });
+
+  test('con pesoProgreso 0 vuelve a decidir solo la supervivencia', () => {
+    const analizador = crearAnalizador();
+    const conProgreso = analizador.evaluarConjetura(analizador.tablero.obtenerCelda(0, 1), 0);
+    const sinProgreso = analizador.evaluarConjetura(analizador.tablero.obtenerCelda(0, 3), 0);
+
+    expect(conProgreso.puntuacion).toBeCloseTo(conProgreso.supervivencia, 9);
+    expect(conProgreso.puntuacion).toBeCloseTo(sinProgreso.puntuacion, 9);
+
+    // Empatadas en supervivencia, las dos vuelven a sortearse entre las mejores
+    const elegir = jest.spyOn(analizador.generador, 'elegir');
+    const seleccion = analizador.seleccionarCeldaMasProbable({ pesoProgreso: 0 });
+    const sorteadas = elegir.mock.calls[0][0].map(c => [c.fila, c.columna]);
+
+    expect(sorteadas).toEqual([[0, 3], [0, 1]]);
+    expect(sorteadas).toContainEqual([seleccion.fila, seleccion.columna]);
+  });
+});
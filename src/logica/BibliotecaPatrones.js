@@ -0,0 +1,325 @@
+/**
+ * BibliotecaPatrones - Patrones de Buscaminas declarados como pequeñas cuadrículas
+ *
+ * Cada fila de la cuadrícula es una cadena de símbolos separados por espacios:
+ *   '1'...'8'  Casilla revelada con ese número de minas pendientes (valor menos banderas vecinas)
+ *   '#'        Casilla cerrada: revelada, con bandera o fuera del tablero
+ *   'o'        Casilla desconocida sin conclusión
+ *   'M'        Casilla desconocida que el patrón demuestra que es mina
+ *   'S'        Casilla desconocida que el patrón demuestra que es segura
+ *   '?'        Cualquier cosa
+ *
+ * Todas las vecinas de cada número deben estar dentro de la cuadrícula y no ser '?',
+ * para que la deducción dependa solo de lo declarado. Las casillas 'o' y 'S' también
+ * encajan si están cerradas: eso solo fija a 0 una incógnita y las conclusiones siguen
+ * siendo válidas. Cada patrón se busca en sus 8 simetrías (4 giros y sus reflejos).
+ */
+export const PATRONES_ESTANDAR = [
+  {
+    nombre: '1-2-1',
+    descripcion: 'las minas están frente a los 1 y las demás casillas del lado libre son seguras',
+    cuadricula: [
+      '# # # # #',
+      '# 1 2 1 #',
+      'S M S M S'
+    ]
+  },
+  {
+    nombre: '1-2-2-1',
+    descripcion: 'las minas están frente a los 2 y las demás casillas del lado libre son seguras',
+    cuadricula: [
+      '# # # # # #',
+      '# 1 2 2 1 #',
+      'S S M M S S'
+    ]
+  },
+  {
+    nombre: '1-2',
+    descripcion: 'el 2 necesita una mina fuera del alcance del 1, y la casilla que solo ve el 1 queda libre',
+    cuadricula: [
+      '# # # #',
+      '# 1 2 #',
+      'S o o M'
+    ]
+  },
+  {
+    nombre: '1-1 muro',
+    descripcion: 'la mina del primer 1 junto al muro también es la del segundo, así que la siguiente casilla es segura',
+    cuadricula: [
+      '# # # #',
+      '# 1 1 #',
+      '# o o S'
+    ]
+  },
+  {
+    nombre: '2-2 muro',
+    descripcion: 'el 2 junto al muro solo tiene dos casillas libres, que completan también el otro 2',
+    cuadricula: [
+      '# # # #',
+      '# 2 2 #',
+      '# M M S'
+    ]
+  },
+  {
+    nombre: '2-3-2',
+    descripcion: 'las tres casillas frente al 3 son minas y las de los extremos son seguras',
+    cuadricula: [
+      '# # # # #',
+      '# 2 3 2 #',
+      'S M M M S'
+    ]
+  },
+  {
+    nombre: '1-3-1 esquina',
+    descripcion: 'el 3 de la esquina necesita la casilla diagonal que ninguno de los 1 alcanza',
+    cuadricula: [
+      '? # # #',
+      '# # 1 o',
+      '# 1 3 o',
+      '# o o M'
+    ]
+  },
+  {
+    nombre: '1-1 esquina',
+    descripcion: 'la única casilla libre del primer 1 también toca en diagonal al segundo, que no admite más minas',
+    cuadricula: [
+      '# # # ?',
+      '# 1 # #',
+      '# M 1 #',
+      '? S S S'
+    ]
+  }
+];
+
+const VECINOS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+class BibliotecaPatrones {
+    /**
+     * Constructor
+     * @param {Array} patrones - Patrones {nombre, descripcion, cuadricula} a buscar
+     */
+    constructor(patrones = PATRONES_ESTANDAR) {
+      this.patrones = patrones;
+
+      // Todas las simetrías distintas de cada patrón, con sus casillas ya clasificadas
+      this.variantes = patrones.flatMap(patron =>
+        BibliotecaPatrones.simetrias(BibliotecaPatrones.leerCuadricula(patron.cuadricula))
+          .map(simbolos => ({ patron, ...BibliotecaPatrones.clasificar(simbolos) }))
+      );
+
+      // Distancia máxima a la que una casilla puede influir en las coincidencias de un origen:
+      // la extensión de los patrones más uno, por las banderas alrededor de sus números
+      this.alcance = 1 + Math.max(...this.variantes.flatMap(({ numeros, cerradas, minas, seguras }) =>
+        [...numeros, ...cerradas, ...minas, ...seguras].map(({ df, dc }) => Math.max(Math.abs(df), Math.abs(dc)))));
+
+      // Coincidencias por casilla de origen de la última búsqueda {tablero, version, porOrigen}
+      this.cache = null;
+    }
+
+    /**
+     * Convierte las filas de texto de un patrón en una matriz de símbolos
+     * @param {Array} cuadricula - Filas del patrón
+     * @returns {Array} - Matriz de símbolos
+     */
+    static leerCuadricula(cuadricula) {
+      return cuadricula.map(fila => fila.trim().split(/\s+/));
+    }
+
+    /**
+     * Genera las 8 simetrías de una matriz sin repetir las que coinciden
+     * @param {Array} simbolos - Matriz de símbolos
+     * @returns {Array} - Matrices distintas
+     */
+    static simetrias(simbolos) {
+      const girar = (m) => m[0].map((_, c) => m.map(fila => fila[c]).reverse());
+      const reflejar = (m) => m.map(fila => [...fila].reverse());
+
+      const resultado = [];
+      const vistas = new Set();
+      let actual = simbolos;
+
+      for (let giro = 0; giro < 4; giro++) {
+        [actual, reflejar(actual)].forEach(matriz => {
+          const clave = matriz.map(fila => fila.join(' ')).join('/');
+          if (!vistas.has(clave)) {
+            vistas.add(clave);
+            resultado.push(matriz);
+          }
+        });
+        actual = girar(actual);
+      }
+
+      return resultado;
+    }
+
+    /**
+     * Separa las casillas de una matriz por tipo, relativas al primer número
+     * @param {Array} simbolos - Matriz de símbolos
+     * @returns {Object} - Casillas {numeros, cerradas, minas, seguras}
+     */
+    static clasificar(simbolos) {
+      const casillas = [];
+      simbolos.forEach((fila, f) => fila.forEach((simbolo, c) => casillas.push({ f, c, simbolo })));
+
+      // El primer número sirve de ancla para alinear el patrón con el tablero
+      const ancla = casillas.find(casilla => /^[0-8]$/.test(casilla.simbolo));
+      const relativa = ({ f, c, simbolo }) => ({ df: f - ancla.f, dc: c - ancla.c, simbolo });
+
+      const deTipo = (prueba) => casillas.filter(casilla => prueba(casilla.simbolo)).map(relativa);
+
+      return {
+        numeros: deTipo(s => /^[0-8]$/.test(s)),
+        cerradas: deTipo(s => s === '#'),
+        minas: deTipo(s => s === 'M'),
+        seguras: deTipo(s => s === 'S')
+      };
+    }
+
+    /**
+     * Comprueba que un patrón es correcto: todas sus conclusiones se cumplen
+     * en cualquier asignación de minas compatible con sus números
+     * @param {Object} patron - Patrón {nombre, cuadricula}
+     * @returns {Object} - {valido, motivo}
+     */
+    static verificarPatron(patron) {
+      const simbolos = BibliotecaPatrones.leerCuadricula(patron.cuadricula);
+      const filas = simbolos.length;
+      const columnas = simbolos[0].length;
+
+      if (simbolos.some(fila => fila.length !== columnas)) {
+        return { valido: false, motivo: 'Las filas no tienen la misma longitud' };
+      }
+
+      const desconocidas = [];
+      simbolos.forEach((fila, f) => fila.forEach((simbolo, c) => {
+        if (simbolo === 'o' || simbolo === 'M' || simbolo === 'S') desconocidas.push(`${f},${c}`);
+      }));
+
+      // Cada número como lista de índices de desconocidas vecinas y minas requeridas
+      const restricciones = [];
+      for (let f = 0; f < filas; f++) {
+        for (let c = 0; c < columnas; c++) {
+          if (!/^[0-8]$/.test(simbolos[f][c])) continue;
+
+          const indices = [];
+          for (const [df, dc] of VECINOS) {
+            const vecino = simbolos[f + df]?.[c + dc];
+            if (vecino === undefined || vecino === '?') {
+              return { valido: false, motivo: `Las vecinas del número en (${f},${c}) no están todas declaradas` };
+            }
+            const indice = desconocidas.indexOf(`${f + df},${c + dc}`);
+            if (indice >= 0) indices.push(indice);
+          }
+          restricciones.push({ indices, minas: Number(simbolos[f][c]) });
+        }
+      }
+
+      // Enumerar todas las asignaciones de las desconocidas
+      let soluciones = 0;
+      const vecesMina = Array(desconocidas.length).fill(0);
+      for (let asignacion = 0; asignacion < (1 << desconocidas.length); asignacion++) {
+        const cumple = restricciones.every(r =>
+          r.indices.reduce((suma, i) => suma + ((asignacion >> i) & 1), 0) === r.minas);
+        if (!cumple) continue;
+
+        soluciones++;
+        desconocidas.forEach((_, i) => { vecesMina[i] += (asignacion >> i) & 1; });
+      }
+
+      if (soluciones === 0) {
+        return { valido: false, motivo: 'Los números del patrón son incompatibles' };
+      }
+
+      for (let i = 0; i < desconocidas.length; i++) {
+        const [f, c] = desconocidas[i].split(',').map(Number);
+        if (simbolos[f][c] === 'M' && vecesMina[i] !== soluciones) {
+          return { valido: false, motivo: `La casilla (${f},${c}) no es mina en todas las soluciones` };
+        }
+        if (simbolos[f][c] === 'S' && vecesMina[i] !== 0) {
+          return { valido: false, motivo: `La casilla (${f},${c}) no es segura en todas las soluciones` };
+        }
+      }
+
+      return { valido: true, motivo: null };
+    }
+
+    /**
+     * Busca todos los patrones en el tablero. Entre llamadas sobre el mismo tablero
+     * solo se vuelven a comprobar los orígenes cercanos a las casillas modificadas
+     * @param {Object} tablero - Tablero de juego
+     * @returns {Array} - Coincidencias {nombre, descripcion, numeros, minas, seguras} con celdas del tablero
+     */
+    buscar(tablero) {
+      // Los patrones describen la cuadrícula cuadrada con bordes; en otras topologías
+      // las deducciones equivalentes salen del sistema de ecuaciones
+      if (tablero.topologia.id !== 'cuadrada') return [];
+
+      const cambios = this.cache && this.cache.tablero === tablero
+        ? tablero.obtenerCambiosDesde(this.cache.version)
+        : null;
+
+      if (cambios === null) {
+        this.cache = { tablero, version: tablero.version, porOrigen: new Map() };
+      } else {
+        cambios.forEach(({ fila, columna }) => {
+          for (let f = fila - this.alcance; f <= fila + this.alcance; f++) {
+            for (let c = Math.max(0, columna - this.alcance); c <= Math.min(tablero.columnas - 1, columna + this.alcance); c++) {
+              this.cache.porOrigen.delete(f * tablero.columnas + c);
+            }
+          }
+        });
+        this.cache.version = tablero.version;
+      }
+
+      // Número de minas pendientes de cada casilla revelada
+      const pendientes = new Map();
+      const minasPendientes = (celda) => {
+        if (!pendientes.has(celda)) {
+          const banderas = tablero.obtenerCeldasAdyacentes(celda.fila, celda.columna).filter(c => c.tieneBandera).length;
+          pendientes.set(celda, celda.obtenerValorNumerico() - banderas);
+        }
+        return pendientes.get(celda);
+      };
+
+      const coincidencias = [];
+      for (const origen of tablero.obtenerCeldasNumericas()) {
+        const clave = origen.fila * tablero.columnas + origen.columna;
+        if (!this.cache.porOrigen.has(clave)) {
+          this.cache.porOrigen.set(clave, this.buscarDesde(tablero, origen, minasPendientes));
+        }
+        coincidencias.push(...this.cache.porOrigen.get(clave));
+      }
+
+      return coincidencias;
+    }
+
+    /**
+     * Busca los patrones anclados en una celda numérica
+     * @param {Object} tablero - Tablero de juego
+     * @param {Object} origen - Celda numérica donde se alinea el primer número de cada variante
+     * @param {Function} minasPendientes - Minas que le faltan a una celda numérica
+     * @returns {Array} - Coincidencias encontradas desde ese origen
+     */
+    buscarDesde(tablero, origen, minasPendientes) {
+      const esDesconocida = (celda) => celda && !celda.descubierta && !celda.tieneBandera;
+      const enTablero = ({ df, dc }) => tablero.obtenerCelda(origen.fila + df, origen.columna + dc);
+
+      return this.variantes
+        .filter(variante =>
+          variante.numeros.every(casilla => {
+            const celda = enTablero(casilla);
+            return celda && celda.tieneValorNumerico() && minasPendientes(celda) === Number(casilla.simbolo);
+          }) &&
+          variante.cerradas.every(casilla => !esDesconocida(enTablero(casilla))) &&
+          variante.minas.every(casilla => esDesconocida(enTablero(casilla))))
+        .map(variante => ({
+          nombre: variante.patron.nombre,
+          descripcion: variante.patron.descripcion,
+          numeros: variante.numeros.map(enTablero),
+          minas: variante.minas.map(enTablero),
+          seguras: variante.seguras.map(enTablero).filter(esDesconocida)
+        }));
+    }
+  }
+
+  export default BibliotecaPatrones;
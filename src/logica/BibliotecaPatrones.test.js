@@ -0,0 +1,38 @@
+import BibliotecaPatrones, { PATRONES_ESTANDAR } from './BibliotecaPatrones';
+import Tablero from '../modelos/Tablero';
+
+describe('BibliotecaPatrones', () => {
+  test.each(PATRONES_ESTANDAR.map(patron => [patron.nombre, patron]))(
+    'el patrón %s se cumple en todas sus soluciones',
+    (_, patron) => {
+      expect(BibliotecaPatrones.verificarPatron(patron)).toEqual({ valido: true, motivo: null });
+    }
+  );
+
+  test('rechaza un patrón cuyas conclusiones no están demostradas', () => {
+    const patron = { nombre: 'falso', cuadricula: ['# # #', '# 1 #', 'M o o'] };
+
+    expect(BibliotecaPatrones.verificarPatron(patron).valido).toBe(false);
+  });
+
+  test('genera las 8 simetrías sin repetir las iguales', () => {
+    const leer = BibliotecaPatrones.leerCuadricula;
+
+    expect(BibliotecaPatrones.simetrias(leer(['1 2', 'o M']))).toHaveLength(8);
+    expect(BibliotecaPatrones.simetrias(leer(['# # # # #', '# 1 2 1 #', 'S M S M S']))).toHaveLength(4);
+  });
+
+  test('encuentra un 1-2-1 vertical apoyado en el borde derecho', () => {
+    // Columna derecha revelada de arriba abajo: 1, 2, 1
+    const tablero = new Tablero(3, 2);
+    ['1', '2', '1'].forEach((valor, fila) => tablero.establecerValorCelda(fila, 1, valor));
+
+    const coincidencias = new BibliotecaPatrones().buscar(tablero);
+    const patron = coincidencias.find(c => c.nombre === '1-2-1');
+    const posiciones = (celdas) => celdas.map(c => [c.fila, c.columna]);
+
+    expect(patron).toBeDefined();
+    expect(posiciones(patron.minas)).toEqual(expect.arrayContaining([[0, 0], [2, 0]]));
+    expect(posiciones(patron.seguras)).toEqual([[1, 0]]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * ClienteAnalisis - Envía el análisis de cada jugada a un Web Worker
+ * Así el cálculo de probabilidades y deducciones no bloquea la interfaz en tableros grandes
+ */
+class ClienteAnalisis {
+    /**
+     * Constructor
+     */
+    constructor() {
+      this.trabajador = null;
+      this.siguienteId = 0;
+      this.pendientes = new Map();
+      this.averiado = false;
+    }
+
+    /**
+     * Indica si el análisis puede hacerse en segundo plano
+     * @returns {boolean} - false en Node y en los tests, o si el trabajador ha fallado
+     */
+    estaDisponible() {
+      return !this.averiado && typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Crea el trabajador la primera vez que se necesita
+     * @returns {Promise<Worker>} - Trabajador listo para recibir mensajes
+     */
+    obtenerTrabajador() {
+      if (!this.trabajador) {
+        // Importación diferida: el módulo que crea el Worker solo se carga en el navegador
+        this.trabajador = import('./crearTrabajadorAnalisis').then(({ default: crearTrabajadorAnalisis }) => {
+          const trabajador = crearTrabajadorAnalisis();
+          trabajador.onmessage = ({ data }) => this.recibirRespuesta(data);
+          trabajador.onerror = (evento) => this.averiar(new Error(evento.message || 'Error en el trabajador de análisis'));
+          return trabajador;
+        });
+      }
+      return this.trabajador;
+    }
+
+    /**
+     * Pide al trabajador la siguiente jugada
+     * @param {Object} estado - Estado obtenido con serializarAnalisis
+     * @returns {Promise<Object>} - Resultado de analizarEstadoSerializado
+     */
+    analizar(estado) {
+      const id = ++this.siguienteId;
+
+      return new Promise((resolver, rechazar) => {
+        this.pendientes.set(id, { resolver, rechazar });
+
+        this.obtenerTrabajador()
+          .then(trabajador => trabajador.postMessage({ id, estado }))
+          .catch(error => this.averiar(error));
+      });
+    }
+
+    /**
+     * Resuelve la petición a la que corresponde una respuesta del trabajador
+     * @param {Object} respuesta - Mensaje {id, resultado} o {id, error}
+     */
+    recibirRespuesta({ id, resultado, error }) {
+      const pendiente = this.pendientes.get(id);
+      if (!pendiente) return;
+
+      this.pendientes.delete(id);
+      if (error) {
+        pendiente.rechazar(new Error(error));
+      } else {
+        pendiente.resolver(resultado);
+      }
+    }
+
+    /**
+     * Deja de usar el trabajador tras un fallo que no es de una petición concreta
+     * @param {Error} error - Causa del fallo
+     */
+    averiar(error) {
+      this.averiado = true;
+      this.terminar(error);
+    }
+
+    /**
+     * Detiene el trabajador y rechaza las peticiones pendientes
+     * @param {Error} error - Motivo con el que se rechazan
+     */
+    terminar(error = new Error('Análisis cancelado')) {
+      this.pendientes.forEach(({ rechazar }) => rechazar(error));
+      this.pendientes.clear();
+
+      if (this.trabajador) {
+        this.trabajador.then(trabajador => trabajador.terminate(), () => {});
+        this.trabajador = null;
+      }
+    }
+  }
+
+  export default ClienteAnalisis;
@@ -0,0 +1,143 @@
+/**
+ * Explicacion - Construye la explicación estructurada de una jugada del sistema
+ *
+ * Una explicación es un objeto serializable (sin referencias a celdas del tablero):
+ * {
+ *   regla: 'basica',                 // Clave de REGLAS
+ *   nombreRegla: 'Análisis básico',
+ *   descripcion: '...',              // Frase que resume la deducción
+ *   restricciones: [                 // Casillas numéricas usadas
+ *     { fila, columna, valor, minasFaltantes, celdas: [{ fila, columna }] }
+ *   ],
+ *   conclusion: { tipo: 'mina' | 'segura' | 'riesgo', celdas: [{ fila, columna }], probabilidadMina },
+ *   alternativas: [{ fila, columna, probabilidadMina, motivo }],   // Opciones descartadas
+ *   pasos: []                        // Explicaciones parciales cuando se combinan varias
+ * }
+ */
+
+// Reglas que pueden justificar una jugada
+export const REGLAS = {
+  BASICA: 'basica',
+  SUBCONJUNTO: 'subconjunto',
+  PATRON: 'patron',
+  SISTEMA_ECUACIONES: 'sistema_ecuaciones',
+  TOTAL_MINAS: 'total_minas',
+  ENUMERACION: 'enumeracion',
+  ESTIMACION: 'estimacion',
+  MEMORIA: 'memoria',
+  ESTRATEGIA: 'estrategia',
+  ALEATORIO: 'aleatorio',
+  VARIAS: 'varias'
+};
+
+export const NOMBRES_REGLAS = {
+  [REGLAS.BASICA]: 'Análisis básico',
+  [REGLAS.SUBCONJUNTO]: 'Análisis de subconjuntos',
+  [REGLAS.PATRON]: 'Patrón conocido',
+  [REGLAS.SISTEMA_ECUACIONES]: 'Sistema de ecuaciones',
+  [REGLAS.TOTAL_MINAS]: 'Recuento total de minas',
+  [REGLAS.ENUMERACION]: 'Enumeración de configuraciones',
+  [REGLAS.ESTIMACION]: 'Estimación aproximada',
+  [REGLAS.MEMORIA]: 'Memoria de partidas anteriores',
+  [REGLAS.ESTRATEGIA]: 'Estrategia general',
+  [REGLAS.ALEATORIO]: 'Elección aleatoria',
+  [REGLAS.VARIAS]: 'Varias reglas'
+};
+
+const posicion = (celda) => ({ fila: celda.fila, columna: celda.columna });
+
+/**
+ * Crea una explicación
+ * @param {Object} datos - Campos de la explicación (ver formato del módulo)
+ * @returns {Object} - Explicación completa
+ */
+export const crearExplicacion = ({
+  regla,
+  descripcion,
+  restricciones = [],
+  conclusion = null,
+  alternativas = [],
+  pasos = []
+}) => ({
+  regla,
+  nombreRegla: NOMBRES_REGLAS[regla] || regla,
+  descripcion,
+  restricciones,
+  conclusion,
+  alternativas,
+  pasos
+});
+
+/**
+ * Describe la restricción que impone una casilla numérica del tablero
+ * @param {Object} tablero - Tablero de juego
+ * @param {Celda} celdaNumerica - Casilla revelada con número
+ * @returns {Object} - Restricción {fila, columna, valor, minasFaltantes, celdas}
+ */
+export const restriccionDeCelda = (tablero, celdaNumerica) => {
+  const adyacentes = tablero.obtenerCeldasAdyacentes(celdaNumerica.fila, celdaNumerica.columna);
+  const valor = celdaNumerica.obtenerValorNumerico();
+
+  return {
+    fila: celdaNumerica.fila,
+    columna: celdaNumerica.columna,
+    valor,
+    minasFaltantes: valor - adyacentes.filter(c => c.tieneBandera).length,
+    celdas: adyacentes.filter(c => !c.descubierta && !c.tieneBandera).map(posicion)
+  };
+};
+
+/**
+ * Convierte una restricción del SolucionadorExacto al formato de la explicación
+ * @param {Object} restriccion - Restricción {origen, valor, minas, celdas}
+ * @returns {Object} - Restricción {fila, columna, valor, minasFaltantes, celdas}
+ */
+export const restriccionDelSolucionador = (restriccion) => ({
+  fila: restriccion.origen.fila,
+  columna: restriccion.origen.columna,
+  valor: restriccion.valor,
+  minasFaltantes: restriccion.minas,
+  celdas: restriccion.celdas.map(posicion)
+});
+
+/**
+ * Une varias explicaciones (por ejemplo, las de cada bandera de un mismo turno)
+ * @param {Array} explicaciones - Explicaciones a unir
+ * @param {string} descripcion - Resumen del conjunto
+ * @param {Array} alternativas - Opciones descartadas en el conjunto
+ * @returns {Object} - Explicación combinada con cada una en pasos
+ */
+export const combinarExplicaciones = (explicaciones, descripcion, alternativas = []) => {
+  // Una sola deducción no necesita resumen
+  if (explicaciones.length === 1) {
+    return { ...explicaciones[0], alternativas: [...explicaciones[0].alternativas, ...alternativas] };
+  }
+
+  const reglas = [...new Set(explicaciones.map(e => e.regla))];
+
+  // Restricciones sin repetir la misma casilla numérica
+  const restricciones = [];
+  const vistas = new Set();
+  explicaciones.forEach(explicacion => {
+    explicacion.restricciones.forEach(restriccion => {
+      const clave = `${restriccion.fila},${restriccion.columna}`;
+      if (!vistas.has(clave)) {
+        vistas.add(clave);
+        restricciones.push(restriccion);
+      }
+    });
+  });
+
+  return crearExplicacion({
+    regla: reglas.length === 1 ? reglas[0] : REGLAS.VARIAS,
+    descripcion,
+    restricciones,
+    conclusion: {
+      tipo: 'mina',
+      celdas: explicaciones.flatMap(e => (e.conclusion ? e.conclusion.celdas : [])),
+      probabilidadMina: 1
+    },
+    alternativas,
+    pasos: explicaciones
+  });
+};
@@ -1,5 +1,11 @@
+import { REGLAS, crearExplicacion, restriccionDeCelda } from './Explicacion';
+import BibliotecaPatrones from './BibliotecaPatrones';
+import { PARAMETROS_PROBABILIDAD } from '../constantes/ConfiguracionJuego';
+import { DESCUBIERTA, BANDERA } from '../modelos/NucleoTablero';
+
 /**
  * GestorBanderas - Maneja la lógica de colocación de banderas con 100% de certeza
+ * y la detección simétrica de celdas seguras con las mismas reglas
  */
 class GestorBanderas {
     /**
@@ -9,7 +15,20 @@ class GestorBanderas {
     constructor(tablero) {
       this.tablero = tablero;
       this.banderasColocadas = [];
+      this.banderasDescartadas = [];
+      this.celdasSeguras = [];
+      this.bibliotecaPatrones = new BibliotecaPatrones();
       this.ultimaIteracion = 0;
+      
+      // Resultados de resolverSistemaEcuaciones por componente de la frontera
+      this.cacheSistemas = new Map();
+      this.versionCacheSistemas = tablero.versionReinicio;
+      
+      // Casillas numéricas y sus vecinas como índices (ver obtenerFrontera)
+      this.frontera = null;
+      
+      // Restricciones ya descritas para las explicaciones, válidas mientras no cambie el tablero
+      this.restriccionesDescritas = { version: -1, porIndice: new Map(), porLista: new WeakMap() };
     }
   
     /**
@@ -20,6 +39,7 @@ class GestorBanderas {
       // Asegurar que las restricciones estén actualizadas
       this.tablero.actualizarRestricciones();
       this.banderasColocadas = [];
+      this.banderasDescartadas = [];
       this.ultimaIteracion++;
   
       // Primero: Análisis simple de restricciones
@@ -34,6 +54,11 @@ class GestorBanderas {
       // Cuarto: Análisis de sistemas de ecuaciones
       this.analizarSistemasEcuaciones();
       
+      // Quinto: si lo local no basta, el total de minas (final de partida)
+      if (this.banderasColocadas.length === 0) {
+        this.analizarTotalMinas();
+      }
+      
       // Verificación final de consistencia global
       this.validarConsistenciaGlobal();
       
@@ -45,37 +70,108 @@ class GestorBanderas {
      * tienen que ir en las celdas restantes, todas son minas
      */
     analizarRestriccionesBasicas() {
-      // Obtener todas las celdas numéricas
-      const celdasNumericas = this.tablero.obtenerCeldasNumericas();
+      const { numericas, valores, banderas } = this.obtenerFrontera();
       
-      for (const celdaNumerica of celdasNumericas) {
-        // Obtener restricciones de esta celda
-        const valor = celdaNumerica.obtenerValorNumerico();
-        const celdasAdyacentes = this.tablero.obtenerCeldasAdyacentes(celdaNumerica.fila, celdaNumerica.columna);
-        
-        // Celdas sin revelar y sin bandera
-        const celdasSinRevolarSinBandera = celdasAdyacentes.filter(c => 
-          !c.descubierta && !c.tieneBandera
-        );
+      for (let k = 0; k < numericas.length; k++) {
+        // Minas faltantes
+        const minasFaltantes = valores[k] - banderas[k];
         
-        // Banderas ya colocadas
-        const banderasColocadas = celdasAdyacentes.filter(c => c.tieneBandera).length;
+        // Si el número de celdas sin revelar y sin bandera es igual a las minas
+        // faltantes, todas tienen minas
+        if (minasFaltantes <= 0 || this.contarDesconocidas(k) !== minasFaltantes) continue;
         
-        // Minas faltantes
-        const minasFaltantes = valor - banderasColocadas;
+        const celdaNumerica = this.tablero.obtenerCeldaPorIndice(numericas[k]);
+        this.casillasDe(k).filter(c => !c.tieneBandera).forEach(celda => {
+          // Solo si es seguro colocar bandera
+          if (this.esSeguroColocarBandera(celda, 'restriccion_basica')) {
+            celda.actualizarProbabilidades(1, 1, 'analisis100');
+            this.marcarParaBandera(celda, `análisis básico de celda (${celdaNumerica.fila+1},${celdaNumerica.columna+1})`,
+              this.explicarBandera(celda, REGLAS.BASICA,
+                `${formatearCelda(celdaNumerica)} necesita ${minasFaltantes} mina${minasFaltantes > 1 ? 's' : ''} más y solo le quedan ${minasFaltantes} casilla${minasFaltantes > 1 ? 's' : ''} libre${minasFaltantes > 1 ? 's' : ''}`,
+                [celdaNumerica]));
+          }
+        });
+      }
+    }
+  
+    /**
+     * Obtiene las casillas numéricas y sus vecinas sin revelar (con o sin bandera) como
+     * índices del núcleo del tablero. Se calcula una vez por versión del tablero.
+     * Las vecinas de la k-ésima numérica son casillas[inicio[k]] ... casillas[inicio[k + 1] - 1]
+     * @returns {Object} - {numericas, posicion, inicio, casillas, valores, banderas}, donde
+     *   posicion[i] es k para la numérica de índice i (-1 si no es numérica)
+     */
+    obtenerFrontera() {
+      const { tablero } = this;
+      if (this.frontera && this.frontera.version === tablero.version) return this.frontera;
+      
+      const { nucleo } = tablero;
+      const { estado, inicioVecinas, vecinas } = nucleo;
+      const numericas = Int32Array.from(tablero.obtenerCeldasNumericas(), celda => celda.indice);
+      const n = numericas.length;
+      const posicion = new Int32Array(nucleo.total).fill(-1);
+      const inicio = new Int32Array(n + 1);
+      const valores = new Int8Array(n);
+      const banderas = new Int8Array(n);
+      const casillas = [];
+      
+      for (let k = 0; k < n; k++) {
+        const i = numericas[k];
+        posicion[i] = k;
+        inicio[k] = casillas.length;
+        valores[k] = nucleo.valorNumerico(i);
         
-        // Si el número de celdas sin revelar es igual a las minas faltantes,
-        // todas tienen minas
-        if (celdasSinRevolarSinBandera.length === minasFaltantes && minasFaltantes > 0) {
-          celdasSinRevolarSinBandera.forEach(celda => {
-            // Solo si es seguro colocar bandera
-            if (this.esSeguroColocarBandera(celda, 'restriccion_basica')) {
-              celda.actualizarProbabilidades(1, 1, 'analisis100');
-              this.marcarParaBandera(celda, `análisis básico de celda (${celdaNumerica.fila+1},${celdaNumerica.columna+1})`);
-            }
-          });
+        for (let v = inicioVecinas[i]; v < inicioVecinas[i + 1]; v++) {
+          const vecina = vecinas[v];
+          if (estado[vecina] & DESCUBIERTA) continue;
+          
+          casillas.push(vecina);
+          if (estado[vecina] & BANDERA) banderas[k]++;
         }
       }
+      inicio[n] = casillas.length;
+      
+      this.frontera = {
+        version: tablero.version,
+        numericas,
+        posicion,
+        inicio,
+        casillas: Int32Array.from(casillas),
+        valores,
+        banderas,
+        marcas: new Int32Array(n),
+        sello: 0
+      };
+      return this.frontera;
+    }
+  
+    /**
+     * Obtiene las vecinas sin revelar de una casilla numérica de la frontera
+     * @param {number} k - Posición de la numérica en la frontera
+     * @returns {Array} - Celdas, con o sin bandera
+     */
+    casillasDe(k) {
+      const { inicio, casillas } = this.frontera;
+      const celdas = [];
+      for (let c = inicio[k]; c < inicio[k + 1]; c++) {
+        celdas.push(this.tablero.obtenerCeldaPorIndice(casillas[c]));
+      }
+      return celdas;
+    }
+  
+    /**
+     * Cuenta las vecinas sin revelar y sin bandera de una casilla numérica de la frontera
+     * @param {number} k - Posición de la numérica en la frontera
+     * @returns {number} - Casillas desconocidas
+     */
+    contarDesconocidas(k) {
+      const { inicio, casillas } = this.frontera;
+      const { estado } = this.tablero.nucleo;
+      let cuenta = 0;
+      for (let c = inicio[k]; c < inicio[k + 1]; c++) {
+        if (!(estado[casillas[c]] & BANDERA)) cuenta++;
+      }
+      return cuenta;
     }
   
     /**
@@ -83,337 +179,230 @@ class GestorBanderas {
      * la diferencia entre ellas tiene información útil
      */
     analizarSubconjuntos() {
-      // Obtener todas las celdas numéricas
-      const celdasNumericas = this.tablero.obtenerCeldasNumericas();
+      this.tablero.actualizarRestricciones();
+      
+      const { numericas, inicio, valores } = this.obtenerFrontera();
+      const n = numericas.length;
+      const longitud = (k) => inicio[k + 1] - inicio[k];
+      
+      // Una restricción A sin vecinas sin revelar es subconjunto de cualquier otra B,
+      // pero solo deduce algo si a B le faltan exactamente valor(A) minas más que casillas
+      // sin bandera tiene: se agrupan por valor las vacías y por ese exceso las demás
+      // (minas que faltan menos casillas sin bandera = valor menos casillas sin revelar)
+      const vaciasPorValor = new Map();
+      const llenasPorExceso = new Map();
+      for (let k = 0; k < n; k++) {
+        const [grupos, clave] = longitud(k) === 0
+          ? [vaciasPorValor, valores[k]]
+          : [llenasPorExceso, valores[k] - longitud(k)];
+        if (!grupos.has(clave)) grupos.set(clave, []);
+        grupos.get(clave).push(k);
+      }
       
-      // Crear pares de restricciones para analizar
-      for (let i = 0; i < celdasNumericas.length; i++) {
-        const celdaA = celdasNumericas[i];
+      // Crear pares de restricciones para analizar: los que no comparten
+      // ninguna casilla no aportan nada y se saltan
+      for (let i = 0; i < n; i++) {
+        const candidatas = longitud(i) === 0
+          ? llenasPorExceso.get(valores[i]) || []
+          : this.numericasQueRodean(i, false, vaciasPorValor.get(valores[i] - longitud(i)));
         
-        for (let j = 0; j < celdasNumericas.length; j++) {
+        for (const j of candidatas) {
           // No comparar consigo misma
           if (i === j) continue;
           
-          const celdaB = celdasNumericas[j];
-          
-          // Obtener las celdas adyacentes sin revelar de cada restricción
-          const adyacentesA = this.tablero.obtenerCeldasAdyacentes(celdaA.fila, celdaA.columna)
-            .filter(c => !c.descubierta);
-          
-          const adyacentesB = this.tablero.obtenerCeldasAdyacentes(celdaB.fila, celdaB.columna)
-            .filter(c => !c.descubierta);
-          
           // Verificar si hay una relación de subconjunto
-          if (this.esSubconjunto(adyacentesA, adyacentesB)) {
+          if (this.esSubconjunto(i, j)) {
             // A es subconjunto de B
-            this.aplicarAnalisisSubconjunto(celdaA, celdaB, adyacentesA, adyacentesB);
-          } else if (this.esSubconjunto(adyacentesB, adyacentesA)) {
+            this.aplicarAnalisisSubconjunto(i, j);
+          } else if (this.esSubconjunto(j, i)) {
             // B es subconjunto de A
-            this.aplicarAnalisisSubconjunto(celdaB, celdaA, adyacentesB, adyacentesA);
+            this.aplicarAnalisisSubconjunto(j, i);
           }
           
           // Analizar también intersecciones parciales
-          this.analizarInterseccionParcial(celdaA, celdaB, adyacentesA, adyacentesB);
+          this.analizarInterseccionParcial(i, j);
         }
       }
     }
   
     /**
-     * Verifica si conjuntoA es subconjunto de conjuntoB
-     * @param {Array} conjuntoA - Primer conjunto de celdas
-     * @param {Array} conjuntoB - Segundo conjunto de celdas
-     * @returns {boolean} - true si conjuntoA es subconjunto de conjuntoB
+     * Obtiene las casillas numéricas vecinas de alguna de las casillas sin revelar de otra
+     * @param {number} k - Posición de la numérica en la frontera
+     * @param {boolean} soloDesconocidas - Si solo cuentan las casillas sin bandera
+     * @param {Array} extra - Posiciones que se añaden al resultado
+     * @returns {Array} - Posiciones en la frontera, de menor a mayor
      */
-    esSubconjunto(conjuntoA, conjuntoB) {
-      if (conjuntoA.length > conjuntoB.length) {
-        return false;
+    numericasQueRodean(k, soloDesconocidas, extra = []) {
+      const { frontera } = this;
+      const { posicion, inicio, casillas, marcas } = frontera;
+      const { estado, inicioVecinas, vecinas } = this.tablero.nucleo;
+      
+      // Cada consulta marca las posiciones ya añadidas con un número distinto
+      const sello = ++frontera.sello;
+      const resultado = [];
+      const agregar = (j) => {
+        if (marcas[j] === sello) return;
+        marcas[j] = sello;
+        resultado.push(j);
+      };
+      
+      for (let c = inicio[k]; c < inicio[k + 1]; c++) {
+        const casilla = casillas[c];
+        if (soloDesconocidas && (estado[casilla] & BANDERA)) continue;
+        
+        for (let v = inicioVecinas[casilla]; v < inicioVecinas[casilla + 1]; v++) {
+          const j = posicion[vecinas[v]];
+          if (j >= 0) agregar(j);
+        }
       }
+      extra.forEach(agregar);
       
-      // Verificar si cada elemento de conjuntoA está en conjuntoB
-      return conjuntoA.every(celdaA => 
-        conjuntoB.some(celdaB => celdaA.fila === celdaB.fila && celdaA.columna === celdaB.columna)
-      );
+      return resultado.sort((a, b) => a - b);
     }
   
     /**
-     * Aplica el análisis de subconjuntos para encontrar minas
-     * @param {Celda} celdaSubconjunto - Celda del subconjunto
-     * @param {Celda} celdaSuperconjunto - Celda del superconjunto
-     * @param {Array} adyacentesSubconjunto - Celdas adyacentes sin revelar del subconjunto
-     * @param {Array} adyacentesSuperconjunto - Celdas adyacentes sin revelar del superconjunto
+     * Verifica si las casillas sin revelar de A son un subconjunto de las de B
+     * @param {number} a - Posición de A en la frontera
+     * @param {number} b - Posición de B en la frontera
+     * @returns {boolean} - true si A es subconjunto de B
      */
-    aplicarAnalisisSubconjunto(celdaSubconjunto, celdaSuperconjunto, adyacentesSubconjunto, adyacentesSuperconjunto) {
-      // Contar banderas en cada conjunto
-      const banderasSubconjunto = adyacentesSubconjunto.filter(c => c.tieneBandera).length;
-      const banderasSuperconjunto = adyacentesSuperconjunto.filter(c => c.tieneBandera).length;
-      
-      // Calcular minas faltantes
-      const valorSubconjunto = celdaSubconjunto.obtenerValorNumerico();
-      const valorSuperconjunto = celdaSuperconjunto.obtenerValorNumerico();
-      
-      const minasFaltantesSubconjunto = valorSubconjunto - banderasSubconjunto;
-      const minasFaltantesSuperconjunto = valorSuperconjunto - banderasSuperconjunto;
-      
-      // Calcular la diferencia de conjuntos (celdas en superconjunto pero no en subconjunto)
-      const celdasDiferencia = adyacentesSuperconjunto.filter(celdaSuper => 
-        !adyacentesSubconjunto.some(celdaSub => 
-          celdaSub.fila === celdaSuper.fila && celdaSub.columna === celdaSuper.columna
-        )
-      );
-      
-      // Calcular minas en la diferencia
-      const minasDiferencia = minasFaltantesSuperconjunto - minasFaltantesSubconjunto;
+    esSubconjunto(a, b) {
+      const { inicio, casillas } = this.frontera;
+      if (inicio[a + 1] - inicio[a] > inicio[b + 1] - inicio[b]) {
+        return false;
+      }
       
-      // Si todas las celdas de la diferencia tienen minas
-      if (celdasDiferencia.length === minasDiferencia && minasDiferencia > 0) {
-        celdasDiferencia.forEach(celda => {
-          if (!celda.tieneBandera && !celda.descubierta) {
-            // Solo si es seguro colocar bandera
-            if (this.esSeguroColocarBandera(celda, 'subconjunto')) {
-              celda.actualizarProbabilidades(1, 1, 'analisis100');
-              this.marcarParaBandera(celda, `análisis de subconjunto (${celdaSubconjunto.fila+1},${celdaSubconjunto.columna+1}-${celdaSuperconjunto.fila+1},${celdaSuperconjunto.columna+1})`);
-            }
-          }
-        });
+      // Verificar si cada casilla de A está en B
+      for (let x = inicio[a]; x < inicio[a + 1]; x++) {
+        if (!this.contiene(b, casillas[x])) return false;
       }
+      return true;
     }
   
     /**
-     * Analiza intersección parcial entre dos conjuntos de celdas
-     * @param {Celda} celdaA - Primera celda 
-     * @param {Celda} celdaB - Segunda celda
-     * @param {Array} adyacentesA - Celdas adyacentes sin revelar de A
-     * @param {Array} adyacentesB - Celdas adyacentes sin revelar de B
+     * Indica si una casilla es vecina sin revelar de una numérica de la frontera
+     * @param {number} k - Posición de la numérica en la frontera
+     * @param {number} casilla - Índice de la casilla en el núcleo
+     * @returns {boolean} - true si está entre sus casillas
      */
-    analizarInterseccionParcial(celdaA, celdaB, adyacentesA, adyacentesB) {
-      // Calcular intersección
-      const celdasInterseccion = adyacentesA.filter(celdaA => 
-        adyacentesB.some(celdaB => celdaA.fila === celdaB.fila && celdaA.columna === celdaB.columna)
-      );
-      
-      // Solo procesar si hay intersección parcial
-      if (celdasInterseccion.length > 0 && 
-          celdasInterseccion.length < adyacentesA.length && 
-          celdasInterseccion.length < adyacentesB.length) {
-        
-        // Contar banderas en cada conjunto
-        const banderasA = adyacentesA.filter(c => c.tieneBandera).length;
-        const banderasB = adyacentesB.filter(c => c.tieneBandera).length;
-        const banderasInterseccion = celdasInterseccion.filter(c => c.tieneBandera).length;
-        
-        // Calcular minas faltantes
-        const valorA = celdaA.obtenerValorNumerico();
-        const valorB = celdaB.obtenerValorNumerico();
-        
-        const minasFaltantesA = valorA - banderasA;
-        const minasFaltantesB = valorB - banderasB;
-        
-        // Celdas exclusivas de cada conjunto
-        const celdasSoloA = adyacentesA.filter(celdaA => 
-          !celdasInterseccion.some(celdaInt => celdaA.fila === celdaInt.fila && celdaA.columna === celdaInt.columna)
-        );
-        
-        const celdasSoloB = adyacentesB.filter(celdaB => 
-          !celdasInterseccion.some(celdaInt => celdaB.fila === celdaInt.fila && celdaB.columna === celdaInt.columna)
-        );
-        
-        // Caso 1: Si todas las minas de A deben estar en la intersección
-        if (minasFaltantesA <= celdasInterseccion.length - banderasInterseccion && 
-            celdasSoloA.length > 0) {
-          
-          celdasSoloA.forEach(celda => {
-            if (!celda.descubierta && !celda.tieneBandera) {
-              celda.actualizarProbabilidades(0, 1, 'analisis100');
-            }
-          });
-        }
-        
-        // Caso 2: Si todas las minas de B deben estar en la intersección
-        if (minasFaltantesB <= celdasInterseccion.length - banderasInterseccion && 
-            celdasSoloB.length > 0) {
-          
-          celdasSoloB.forEach(celda => {
-            if (!celda.descubierta && !celda.tieneBandera) {
-              celda.actualizarProbabilidades(0, 1, 'analisis100');
-            }
-          });
-        }
-        
-        // Calcular límites de minas en la intersección
-        const minasMaxInterseccion = Math.min(minasFaltantesA, minasFaltantesB);
-        const minasMinA = Math.max(0, minasFaltantesA - celdasSoloA.length);
-        const minasMinB = Math.max(0, minasFaltantesB - celdasSoloB.length);
-        const minasMinInterseccion = Math.max(minasMinA, minasMinB);
-        
-        // Si sabemos exactamente el número de minas en la intersección
-        if (minasMinInterseccion === minasMaxInterseccion && minasMinInterseccion === celdasInterseccion.length - banderasInterseccion) {
-          celdasInterseccion.forEach(celda => {
-            if (!celda.descubierta && !celda.tieneBandera) {
-              // Solo si es seguro colocar bandera
-              if (this.esSeguroColocarBandera(celda, 'interseccion')) {
-                celda.actualizarProbabilidades(1, 1, 'analisis100');
-                this.marcarParaBandera(celda, `análisis de intersección (${celdaA.fila+1},${celdaA.columna+1}-${celdaB.fila+1},${celdaB.columna+1})`);
-              }
-            }
-          });
-        }
+    contiene(k, casilla) {
+      const { inicio, casillas } = this.frontera;
+      for (let c = inicio[k]; c < inicio[k + 1]; c++) {
+        if (casillas[c] === casilla) return true;
       }
+      return false;
     }
   
     /**
-     * Analiza patrones conocidos como 1-2-1 para detectar minas
+     * Aplica el análisis de subconjuntos para encontrar minas
+     * @param {number} subconjunto - Posición en la frontera de la numérica del subconjunto
+     * @param {number} superconjunto - Posición en la frontera de la numérica del superconjunto
      */
-    analizarPatrones() {
-      // Patrones a buscar:
-      // 1. Patrón 1-2-1 (horizontal y vertical)
-      this.buscarPatron121();
+    aplicarAnalisisSubconjunto(subconjunto, superconjunto) {
+      const { numericas, inicio, valores, banderas } = this.frontera;
       
-      // 2. Patrón 1-1 con esquina común
-      this.buscarPatron11Esquina();
+      // Calcular minas faltantes
+      const minasFaltantesSubconjunto = valores[subconjunto] - banderas[subconjunto];
+      const minasFaltantesSuperconjunto = valores[superconjunto] - banderas[superconjunto];
       
-      // 3. Patrón borde (1 en borde con restricción)
-      this.buscarPatronBorde();
-    }
-  
-    /**
-     * Busca el patrón 1-2-1 en el tablero
-     */
-    buscarPatron121() {
-      // Direcciones a verificar (horizontal y vertical)
-      const direcciones = [
-        { dx: 1, dy: 0 }, // horizontal
-        { dx: 0, dy: 1 }  // vertical
-      ];
+      // Calcular minas y casillas sin bandera en la diferencia (celdas en superconjunto pero no en
+      // subconjunto). Las banderas del subconjunto también son del superconjunto, así que basta restar
+      const desconocidas = (k) => inicio[k + 1] - inicio[k] - banderas[k];
+      const minasDiferencia = minasFaltantesSuperconjunto - minasFaltantesSubconjunto;
+      const casillasDiferencia = desconocidas(superconjunto) - desconocidas(subconjunto);
       
-      for (let fila = 0; fila < this.tablero.filas; fila++) {
-        for (let columna = 0; columna < this.tablero.columnas; columna++) {
-          // Para cada dirección
-          direcciones.forEach(({ dx, dy }) => {
-            // Verificar si hay espacio suficiente
-            if (fila + 2*dy < this.tablero.filas && columna + 2*dx < this.tablero.columnas) {
-              // Obtener las tres celdas del patrón
-              const celda1 = this.tablero.obtenerCelda(fila, columna);
-              const celda2 = this.tablero.obtenerCelda(fila + dy, columna + dx);
-              const celda3 = this.tablero.obtenerCelda(fila + 2*dy, columna + 2*dx);
-              
-              // Verificar si es un patrón 1-2-1
-              if (celda1.tieneValorNumerico() && celda1.obtenerValorNumerico() === 1 &&
-                  celda2.tieneValorNumerico() && celda2.obtenerValorNumerico() === 2 &&
-                  celda3.tieneValorNumerico() && celda3.obtenerValorNumerico() === 1) {
-                
-                // Obtener celdas adyacentes
-                const adyacentes1 = this.tablero.obtenerCeldasAdyacentes(celda1.fila, celda1.columna);
-                const adyacentes2 = this.tablero.obtenerCeldasAdyacentes(celda2.fila, celda2.columna);
-                const adyacentes3 = this.tablero.obtenerCeldasAdyacentes(celda3.fila, celda3.columna);
-                
-                // Celdas que son adyacentes solo al 2
-                const celdasSoloDel2 = adyacentes2.filter(celda => 
-                  !adyacentes1.some(c => c.fila === celda.fila && c.columna === celda.columna) &&
-                  !adyacentes3.some(c => c.fila === celda.fila && c.columna === celda.columna) &&
-                  !celda.descubierta
-                );
-                
-                // Si hay exactamente 2 celdas adyacentes solo al 2, ambas son minas
-                if (celdasSoloDel2.length === 2) {
-                  celdasSoloDel2.forEach(celda => {
-                    if (!celda.tieneBandera) {
-                      // Solo si es seguro colocar bandera
-                      if (this.esSeguroColocarBandera(celda, 'patron_121')) {
-                        celda.actualizarProbabilidades(1, 1, 'patron');
-                        this.marcarParaBandera(celda, `patrón 1-2-1 (${celda2.fila+1},${celda2.columna+1})`);
-                      }
-                    }
-                  });
-                }
-              }
-            }
-          });
+      // Si todas las celdas de la diferencia tienen minas
+      if (casillasDiferencia !== minasDiferencia || minasDiferencia <= 0) return;
+      
+      const celdaSubconjunto = this.tablero.obtenerCeldaPorIndice(numericas[subconjunto]);
+      const celdaSuperconjunto = this.tablero.obtenerCeldaPorIndice(numericas[superconjunto]);
+      
+      this.casillasDe(superconjunto).forEach(celda => {
+        if (this.contiene(subconjunto, celda.indice) || celda.tieneBandera || celda.descubierta) return;
+        
+        // Solo si es seguro colocar bandera
+        if (this.esSeguroColocarBandera(celda, 'subconjunto')) {
+          celda.actualizarProbabilidades(1, 1, 'analisis100');
+          this.marcarParaBandera(celda, `análisis de subconjunto (${celdaSubconjunto.fila+1},${celdaSubconjunto.columna+1}-${celdaSuperconjunto.fila+1},${celdaSuperconjunto.columna+1})`,
+            this.explicarBandera(celda, REGLAS.SUBCONJUNTO,
+              `Las casillas libres de ${formatearCelda(celdaSubconjunto)} también rodean a ${formatearCelda(celdaSuperconjunto)}: ${minasDiferencia === 1 ? 'la mina de diferencia ocupa la casilla restante' : `las ${minasDiferencia} minas de diferencia ocupan las ${minasDiferencia} casillas restantes`}`,
+              [celdaSubconjunto, celdaSuperconjunto]));
         }
-      }
+      });
     }
   
     /**
-     * Busca el patrón 1-1 con esquina común
+     * Analiza intersección parcial entre las casillas sin revelar de dos numéricas
+     * @param {number} a - Posición de A en la frontera
+     * @param {number} b - Posición de B en la frontera
      */
-    buscarPatron11Esquina() {
-      // Verificar las cuatro posibles esquinas
-      const esquinas = [
-        { dx1: 0, dy1: -1, dx2: -1, dy2: 0 }, // Esquina superior izquierda
-        { dx1: 0, dy1: -1, dx2: 1, dy2: 0 },  // Esquina superior derecha
-        { dx1: 0, dy1: 1, dx2: -1, dy2: 0 },  // Esquina inferior izquierda
-        { dx1: 0, dy1: 1, dx2: 1, dy2: 0 }    // Esquina inferior derecha
-      ];
+    analizarInterseccionParcial(a, b) {
+      const { numericas, inicio, casillas, valores, banderas } = this.frontera;
+      const { estado } = this.tablero.nucleo;
+      const longitudA = inicio[a + 1] - inicio[a];
+      const longitudB = inicio[b + 1] - inicio[b];
       
-      for (let fila = 0; fila < this.tablero.filas; fila++) {
-        for (let columna = 0; columna < this.tablero.columnas; columna++) {
-          // Para cada esquina
-          esquinas.forEach(({ dx1, dy1, dx2, dy2 }) => {
-            // Verificar si hay espacio suficiente
-            if (fila + dy1 >= 0 && fila + dy1 < this.tablero.filas &&
-                columna + dx1 >= 0 && columna + dx1 < this.tablero.columnas &&
-                fila + dy2 >= 0 && fila + dy2 < this.tablero.filas &&
-                columna + dx2 >= 0 && columna + dx2 < this.tablero.columnas) {
-              
-              // Obtener las tres celdas del patrón
-              const celdaCentral = this.tablero.obtenerCelda(fila, columna);
-              const celda1 = this.tablero.obtenerCelda(fila + dy1, columna + dx1);
-              const celda2 = this.tablero.obtenerCelda(fila + dy2, columna + dx2);
-              
-              // Verificar si las celdas 1 y 2 tienen valor 1
-              if (celda1.tieneValorNumerico() && celda1.obtenerValorNumerico() === 1 &&
-                  celda2.tieneValorNumerico() && celda2.obtenerValorNumerico() === 1 &&
-                  !celdaCentral.descubierta && !celdaCentral.tieneBandera) {
-                
-                // Obtener celdas adyacentes
-                const adyacentes1 = this.tablero.obtenerCeldasAdyacentes(celda1.fila, celda1.columna)
-                  .filter(c => !c.descubierta && !c.tieneBandera);
-                
-                const adyacentes2 = this.tablero.obtenerCeldasAdyacentes(celda2.fila, celda2.columna)
-                  .filter(c => !c.descubierta && !c.tieneBandera);
-                
-                // Verificar si solo queda la celda central sin descubrir
-                if (adyacentes1.length === 1 && adyacentes2.length === 1 &&
-                    adyacentes1[0].fila === celdaCentral.fila && adyacentes1[0].columna === celdaCentral.columna &&
-                    adyacentes2[0].fila === celdaCentral.fila && adyacentes2[0].columna === celdaCentral.columna) {
-                  
-                  // La celda central debe ser mina
-                  if (this.esSeguroColocarBandera(celdaCentral, 'patron_11_esquina')) {
-                    celdaCentral.actualizarProbabilidades(1, 1, 'patron');
-                    this.marcarParaBandera(celdaCentral, `patrón 1-1 esquina (${celda1.fila+1},${celda1.columna+1}-${celda2.fila+1},${celda2.columna+1})`);
-                  }
-                }
-              }
-            }
-          });
+      // Calcular intersección
+      let interseccion = 0;
+      let banderasInterseccion = 0;
+      for (let x = inicio[a]; x < inicio[a + 1]; x++) {
+        if (this.contiene(b, casillas[x])) {
+          interseccion++;
+          if (estado[casillas[x]] & BANDERA) banderasInterseccion++;
         }
       }
+      
+      // Solo procesar si hay intersección parcial
+      if (interseccion === 0 || interseccion >= longitudA || interseccion >= longitudB) return;
+      
+      // Calcular minas faltantes
+      const minasFaltantesA = valores[a] - banderas[a];
+      const minasFaltantesB = valores[b] - banderas[b];
+      
+      // Las celdas exclusivas seguras se deducen en detectarCeldasSeguras
+      
+      // Calcular límites de minas en la intersección
+      const minasMaxInterseccion = Math.min(minasFaltantesA, minasFaltantesB);
+      const minasMinA = Math.max(0, minasFaltantesA - (longitudA - interseccion));
+      const minasMinB = Math.max(0, minasFaltantesB - (longitudB - interseccion));
+      const minasMinInterseccion = Math.max(minasMinA, minasMinB);
+      
+      // Si sabemos exactamente el número de minas en la intersección
+      if (minasMinInterseccion !== minasMaxInterseccion || minasMinInterseccion !== interseccion - banderasInterseccion) return;
+      
+      const celdaA = this.tablero.obtenerCeldaPorIndice(numericas[a]);
+      const celdaB = this.tablero.obtenerCeldaPorIndice(numericas[b]);
+      
+      this.casillasDe(a).forEach(celda => {
+        if (!this.contiene(b, celda.indice) || celda.descubierta || celda.tieneBandera) return;
+        
+        // Solo si es seguro colocar bandera
+        if (this.esSeguroColocarBandera(celda, 'interseccion')) {
+          celda.actualizarProbabilidades(1, 1, 'analisis100');
+          this.marcarParaBandera(celda, `análisis de intersección (${celdaA.fila+1},${celdaA.columna+1}-${celdaB.fila+1},${celdaB.columna+1})`,
+            this.explicarBandera(celda, REGLAS.SUBCONJUNTO,
+              `${formatearCelda(celdaA)} y ${formatearCelda(celdaB)} obligan a que todas las casillas que comparten sean minas`,
+              [celdaA, celdaB]));
+        }
+      });
     }
   
     /**
-     * Busca el patrón de borde (1 en borde)
+     * Busca los patrones de la BibliotecaPatrones (en todas sus simetrías) para detectar minas
      */
-    buscarPatronBorde() {
-      // Patrones de borde con 1 en el borde
-      for (let fila = 0; fila < this.tablero.filas; fila++) {
-        for (let columna = 0; columna < this.tablero.columnas; columna++) {
-          const celda = this.tablero.obtenerCelda(fila, columna);
+    analizarPatrones() {
+      for (const coincidencia of this.bibliotecaPatrones.buscar(this.tablero)) {
+        const [ancla] = coincidencia.numeros;
+        
+        coincidencia.minas.forEach(celda => {
+          if (celda.tieneBandera || !this.esSeguroColocarBandera(celda, 'patron')) return;
           
-          // Solo procesar celdas de borde con valor 1
-          if (celda.esBorde && celda.tieneValorNumerico() && celda.obtenerValorNumerico() === 1) {
-            // Obtener celdas adyacentes sin descubrir
-            const adyacentesSinDescubrir = this.tablero.obtenerCeldasAdyacentes(fila, columna)
-              .filter(c => !c.descubierta && !c.tieneBandera);
-            
-            // Si solo queda una celda adyacente sin descubrir, debe ser mina
-            if (adyacentesSinDescubrir.length === 1) {
-              const celdaMina = adyacentesSinDescubrir[0];
-              if (this.esSeguroColocarBandera(celdaMina, 'patron_borde')) {
-                celdaMina.actualizarProbabilidades(1, 1, 'patron');
-                this.marcarParaBandera(celdaMina, `patrón borde (${celda.fila+1},${celda.columna+1})`);
-              }
-            }
-          }
-        }
+          celda.actualizarProbabilidades(1, 1, 'patron');
+          this.marcarParaBandera(celda, `patrón ${coincidencia.nombre} (${ancla.fila+1},${ancla.columna+1})`,
+            this.explicarBandera(celda, REGLAS.PATRON,
+              `Patrón ${coincidencia.nombre} en ${formatearCelda(ancla)}: ${coincidencia.descripcion}`,
+              coincidencia.numeros));
+        });
       }
     }
   
@@ -428,6 +417,7 @@ class GestorBanderas {
       grupos.forEach(grupo => {
         if (grupo.celdas.length >= 2) { // Al menos 2 restricciones
           const resultado = this.resolverSistemaEcuaciones(grupo);
+          const numericas = grupo.restricciones.map(r => r.celda);
           
           if (resultado) {
             // Procesar resultado
@@ -435,11 +425,14 @@ class GestorBanderas {
               const valor = resultado.soluciones[i];
               const celda = resultado.celdas[i];
               
-              // Si el valor es 1 (o muy cercano), es mina
-              if (valor >= 0.99 && !celda.tieneBandera && !celda.descubierta) {
+              // Si la incógnita solo puede valer 1, es mina
+              if (valor === 1 && !celda.tieneBandera && !celda.descubierta) {
                 if (this.esSeguroColocarBandera(celda, 'sistema_ecuaciones')) {
                   celda.actualizarProbabilidades(1, 1, 'analisis100');
-                  this.marcarParaBandera(celda, `sistema de ecuaciones`);
+                  this.marcarParaBandera(celda, `sistema de ecuaciones`,
+                    this.explicarBandera(celda, REGLAS.SISTEMA_ECUACIONES,
+                      `Sistema de ${grupo.restricciones.length} ecuaciones con ${resultado.celdas.length} incógnitas: la ecuación ${formatearEcuacion(resultado.justificaciones[i], resultado.celdas)} solo se cumple si esta casilla es mina`,
+                      numericas));
                 }
               }
             }
@@ -448,59 +441,112 @@ class GestorBanderas {
       });
     }
   
+    /**
+     * Añade al sistema la ecuación del total de minas restantes para detectar minas
+     * que las restricciones locales no deciden (por ejemplo, zonas aisladas)
+     */
+    analizarTotalMinas() {
+      const global = this.resolverSistemaGlobal();
+      if (!global) return;
+      
+      global.soluciones.forEach((valor, i) => {
+        const celda = global.celdas[i];
+        if (valor !== 1 || !this.esSeguroColocarBandera(celda, 'total_minas')) return;
+        
+        celda.actualizarProbabilidades(1, 1, 'analisis100');
+        this.marcarParaBandera(celda, 'total de minas',
+          this.explicarBandera(celda, REGLAS.TOTAL_MINAS, this.describirDeduccionGlobal(global, i, 'es mina'),
+            this.restriccionesDeEcuacion(global, i)));
+      });
+    }
+  
+    /**
+     * Describe una deducción del sistema con la ecuación del total de minas
+     * @param {Object} global - Resultado de resolverSistemaGlobal
+     * @param {number} indice - Incógnita deducida
+     * @param {string} conclusion - Final de la frase ('es mina' o 'no tiene mina')
+     * @returns {string} - Descripción
+     */
+    describirDeduccionGlobal(global, indice, conclusion) {
+      const ecuacion = global.justificaciones[indice];
+      const terminos = ecuacion.coeficientes.filter(a => a !== 0).length;
+      const minas = `${global.minasRestantes} mina${global.minasRestantes === 1 ? '' : 's'}`;
+      
+      // Las ecuaciones largas (casi todo el tablero) no aportan nada escritas
+      const razon = terminos <= 8
+        ? `la ecuación ${formatearEcuacion(ecuacion, global.celdas)} solo se cumple si esta casilla ${conclusion}`
+        : `el reparto solo es posible si esta casilla ${conclusion}`;
+      
+      return `Quedan ${minas} entre ${global.celdas.length} casillas desconocidas; junto con los números, ${razon}`;
+    }
+  
+    /**
+     * Obtiene las casillas numéricas cuyas vecinas aparecen en la ecuación que fijó una incógnita
+     * @param {Object} global - Resultado de resolverSistemaGlobal
+     * @param {number} indice - Incógnita deducida
+     * @returns {Array} - Casillas numéricas
+     */
+    restriccionesDeEcuacion(global, indice) {
+      const { coeficientes } = global.justificaciones[indice];
+      const enEcuacion = new Set(global.celdas.filter((_, j) => coeficientes[j] !== 0));
+      
+      return global.restricciones
+        .map(r => r.celda)
+        .filter(celda => this.obtenerRestriccionEfectiva(celda).desconocidas.some(c => enEcuacion.has(c)));
+    }
+  
     /**
      * Agrupa restricciones que comparten celdas comunes
      * @returns {Array} - Grupos de restricciones relacionadas
      */
     agruparRestriccionesPorCeldasComunes() {
-      const celdasNumericas = this.tablero.obtenerCeldasNumericas();
+      const { numericas, posicion, inicio, casillas, valores } = this.obtenerFrontera();
+      const { inicioVecinas, vecinas } = this.tablero.nucleo;
+      const n = numericas.length;
       const grupos = [];
       
-      // Crear mapa de restricciones por celda
-      const mapaCeldas = {};
+      // Recorrido en anchura desde cada restricción no procesada: de una restricción a
+      // sus casillas sin revelar y de cada casilla a las demás numéricas que la rodean
+      const procesadas = new Uint8Array(n);
+      const enGrupo = new Set();
       
-      for (const celdaNumerica of celdasNumericas) {
-        // Obtener celdas adyacentes sin revelar
-        const adyacentes = this.tablero.obtenerCeldasAdyacentes(celdaNumerica.fila, celdaNumerica.columna)
-          .filter(c => !c.descubierta);
+      for (let inicial = 0; inicial < n; inicial++) {
+        if (procesadas[inicial]) continue;
         
-        // Si hay celdas sin revelar, agregar restricción
-        if (adyacentes.length > 0) {
-          const restriccion = {
-            celda: celdaNumerica,
-            valor: celdaNumerica.obtenerValorNumerico(),
-            celdas: adyacentes
-          };
+        const grupo = {
+          restricciones: [],
+          celdas: []
+        };
+        const cola = [inicial];
+        enGrupo.clear();
+        
+        for (let cabeza = 0; cabeza < cola.length; cabeza++) {
+          const k = cola[cabeza];
+          if (procesadas[k]) continue;
+          procesadas[k] = 1;
           
-          // Agregar a mapa por cada celda afectada
-          adyacentes.forEach(celda => {
-            const clave = `${celda.fila},${celda.columna}`;
-            if (!mapaCeldas[clave]) {
-              mapaCeldas[clave] = [];
-            }
-            mapaCeldas[clave].push(restriccion);
+          grupo.restricciones.push({
+            celda: this.tablero.obtenerCeldaPorIndice(numericas[k]),
+            valor: valores[k]
           });
+          
+          for (let c = inicio[k]; c < inicio[k + 1]; c++) {
+            const casilla = casillas[c];
+            if (enGrupo.has(casilla)) continue;
+            
+            enGrupo.add(casilla);
+            grupo.celdas.push(this.tablero.obtenerCeldaPorIndice(casilla));
+            
+            // Restricciones de las numéricas vecinas, en el orden de la lista de numéricas
+            this.numericasVecinas(casilla, posicion, inicioVecinas, vecinas).forEach(j => {
+              if (!procesadas[j]) cola.push(j);
+            });
+          }
         }
-      }
-      
-      // Encontrar grupos conectados
-      const restriccionesProcesadas = new Set();
-      
-      for (const celdaNumerica of celdasNumericas) {
-        const claveRestriccion = `${celdaNumerica.fila},${celdaNumerica.columna}`;
-        
-        // Si ya está procesada, continuar
-        if (restriccionesProcesadas.has(claveRestriccion)) continue;
-        
-        // Obtener grupo relacionado
-        const grupo = this.obtenerGrupoConectado(celdaNumerica, mapaCeldas, restriccionesProcesadas);
         
         // Si hay al menos 2 restricciones, guardar grupo
         if (grupo.restricciones.length >= 2) {
-          grupos.push({
-            restricciones: grupo.restricciones,
-            celdas: grupo.celdas
-          });
+          grupos.push(grupo);
         }
       }
       
@@ -508,193 +554,407 @@ class GestorBanderas {
     }
   
     /**
-     * Obtiene grupo de restricciones conectadas
-     * @param {Celda} celdaInicio - Celda numérica de inicio
-     * @param {Object} mapaCeldas - Mapa de restricciones por celda
-     * @param {Set} restriccionesProcesadas - Conjunto de restricciones ya procesadas
-     * @returns {Object} - Grupo de restricciones y celdas
+     * Obtiene las casillas numéricas vecinas de una casilla
+     * @param {number} casilla - Índice de la casilla en el núcleo
+     * @param {Int32Array} posicion - Posición en la frontera de cada índice (-1 si no es numérica)
+     * @param {Int32Array} inicioVecinas - Inicio de las vecinas de cada índice en vecinas
+     * @param {Int32Array} vecinas - Vecinas de todas las casillas
+     * @returns {Array} - Posiciones en la frontera, de menor a mayor
      */
-    obtenerGrupoConectado(celdaInicio, mapaCeldas, restriccionesProcesadas) {
-      const grupo = {
-        restricciones: [],
-        celdas: []
-      };
+    numericasVecinas(casilla, posicion, inicioVecinas, vecinas) {
+      const resultado = [];
+      for (let v = inicioVecinas[casilla]; v < inicioVecinas[casilla + 1]; v++) {
+        const j = posicion[vecinas[v]];
+        if (j >= 0) resultado.push(j);
+      }
+      return resultado.sort((a, b) => a - b);
+    }
+  
+    /**
+     * Resuelve un sistema de ecuaciones para identificar minas
+     * @param {Object} grupo - Grupo de restricciones
+     * @returns {Object|null} - {soluciones, justificaciones, celdas} o null si no es posible resolver
+     */
+    resolverSistemaEcuaciones(grupo) {
+      // Las banderas ya están descontadas del valor de cada restricción y no son incógnitas
+      const celdas = grupo.celdas.filter(c => !c.tieneBandera);
+      if (celdas.length === 0) return null;
       
-      const colaRestricciones = [celdaInicio];
-      const celdasEnGrupo = new Set();
+      // Mismas restricciones y mismas incógnitas: mismo sistema que en una jugada anterior.
+      // Tras reiniciar el tablero las celdas son otras y lo guardado no sirve
+      if (this.versionCacheSistemas !== this.tablero.versionReinicio ||
+          this.cacheSistemas.size > PARAMETROS_PROBABILIDAD.MAX_SISTEMAS_EN_CACHE) {
+        this.cacheSistemas.clear();
+        this.versionCacheSistemas = this.tablero.versionReinicio;
+      }
       
-      while (colaRestricciones.length > 0) {
-        const celdaRestriccion = colaRestricciones.shift();
-        const claveRestriccion = `${celdaRestriccion.fila},${celdaRestriccion.columna}`;
-        
-        // Si ya está procesada, continuar
-        if (restriccionesProcesadas.has(claveRestriccion)) continue;
-        
-        // Marcar como procesada
-        restriccionesProcesadas.add(claveRestriccion);
-        
-        // Agregar restricción al grupo
-        grupo.restricciones.push({
-          celda: celdaRestriccion,
-          valor: celdaRestriccion.obtenerValorNumerico()
-        });
-        
-        // Obtener celdas adyacentes sin revelar
-        const adyacentes = this.tablero.obtenerCeldasAdyacentes(celdaRestriccion.fila, celdaRestriccion.columna)
-          .filter(c => !c.descubierta);
+      const posicion = (celda) => `${celda.indice}${celda.tieneBandera ? 'B' : ''}`;
+      const clave = `${grupo.restricciones.map(r => posicion(r.celda)).join(';')}|${grupo.celdas.map(posicion).join(';')}`;
+      
+      if (!this.cacheSistemas.has(clave)) {
+        const { matriz, valores } = this.construirEcuaciones(grupo.restricciones, celdas);
         
-        // Procesar cada celda
-        adyacentes.forEach(celda => {
-          const claveCelda = `${celda.fila},${celda.columna}`;
-          
-          // Si no está en el grupo, agregarla
-          if (!celdasEnGrupo.has(claveCelda)) {
-            celdasEnGrupo.add(claveCelda);
-            grupo.celdas.push(celda);
-            
-            // Buscar otras restricciones relacionadas
-            if (mapaCeldas[claveCelda]) {
-              mapaCeldas[claveCelda].forEach(restriccion => {
-                // Agregar restricción a la cola si no está procesada
-                if (!restriccionesProcesadas.has(`${restriccion.celda.fila},${restriccion.celda.columna}`)) {
-                  colaRestricciones.push(restriccion.celda);
-                }
-              });
-            }
-          }
-        });
+        const resultado = this.resolverSistemaBinario(matriz, valores);
+        this.cacheSistemas.set(clave, resultado ? { ...resultado, celdas } : null);
       }
       
-      return grupo;
+      return this.cacheSistemas.get(clave);
     }
   
     /**
-     * Resuelve un sistema de ecuaciones para identificar minas
-     * @param {Object} grupo - Grupo de restricciones
-     * @returns {Object|null} - Resultado con soluciones o null si no es posible resolver
+     * Resuelve el sistema de todas las restricciones junto con la ecuación global
+     * "suma de todas las casillas desconocidas = minas restantes". Solo se aplica si se
+     * conoce el total de minas y quedan pocas casillas desconocidas (final de partida).
+     * @returns {Object|null} - {soluciones, justificaciones, celdas, restricciones, minasRestantes} o null
      */
-    resolverSistemaEcuaciones(grupo) {
-      const { restricciones, celdas } = grupo;
+    resolverSistemaGlobal() {
+      const minasRestantes = this.tablero.obtenerMinasRestantes();
+      if (minasRestantes === null) return null;
+      
+      const celdas = this.tablero.obtenerCeldasSinRevolar().filter(c => !c.tieneBandera);
+      if (celdas.length === 0 || celdas.length > PARAMETROS_PROBABILIDAD.MAX_CELDAS_ECUACION_GLOBAL) return null;
+      
+      const restricciones = this.tablero.obtenerCeldasNumericas()
+        .filter(celda => this.obtenerRestriccionEfectiva(celda).desconocidas.length > 0)
+        .map(celda => ({ celda, valor: celda.obtenerValorNumerico() }));
+      
+      const { matriz, valores } = this.construirEcuaciones(restricciones, celdas);
+      matriz.push(Array(celdas.length).fill(1));
+      valores.push(minasRestantes);
+      
+      const resultado = this.resolverSistemaBinario(matriz, valores);
+      return resultado ? { ...resultado, celdas, restricciones, minasRestantes } : null;
+    }
+  
+    /**
+     * Construye la matriz de coeficientes de un conjunto de restricciones
+     * @param {Array} restricciones - Restricciones {celda, valor}
+     * @param {Array} celdas - Incógnitas (celdas desconocidas sin bandera)
+     * @returns {Object} - {matriz, valores} con una fila por restricción
+     */
+    construirEcuaciones(restricciones, celdas) {
+      const { estado, inicioVecinas, vecinas } = this.tablero.nucleo;
       
       // Crear matriz de coeficientes y vector de valores
       const matriz = [];
       const valores = [];
       
-      // Mapeo de celdas a índices
-      const indiceCeldas = {};
-      celdas.forEach((celda, indice) => {
-        indiceCeldas[`${celda.fila},${celda.columna}`] = indice;
-      });
+      // Columna de cada incógnita por su índice en el núcleo
+      const columnas = new Map(celdas.map((celda, columna) => [celda.indice, columna]));
       
-      // Llenar matriz y vector
-      restricciones.forEach(restriccion => {
+      // Poner 1 en las vecinas sin revelar que son incógnitas y descontar
+      // del valor las banderas ya colocadas
+      restricciones.forEach(({ celda, valor }) => {
         const fila = Array(celdas.length).fill(0);
+        let banderasColocadas = 0;
         
-        // Obtener celdas adyacentes sin revelar
-        const adyacentes = this.tablero.obtenerCeldasAdyacentes(restriccion.celda.fila, restriccion.celda.columna)
-          .filter(c => !c.descubierta);
-        
-        // Poner 1 en las celdas afectadas
-        adyacentes.forEach(celda => {
-          const indice = indiceCeldas[`${celda.fila},${celda.columna}`];
-          if (indice !== undefined) {
-            fila[indice] = 1;
-          }
-        });
-        
-        // Calcular valor efectivo (descontando banderas ya colocadas)
-        const banderasColocadas = this.tablero.obtenerCeldasAdyacentes(restriccion.celda.fila, restriccion.celda.columna)
-          .filter(c => c.tieneBandera).length;
-        
-        const valorEfectivo = restriccion.valor - banderasColocadas;
+        for (let v = inicioVecinas[celda.indice]; v < inicioVecinas[celda.indice + 1]; v++) {
+          const vecina = vecinas[v];
+          if (estado[vecina] & DESCUBIERTA) continue;
+          
+          const columna = columnas.get(vecina);
+          if (columna !== undefined) fila[columna] = 1;
+          if (estado[vecina] & BANDERA) banderasColocadas++;
+        }
         
         matriz.push(fila);
-        valores.push(valorEfectivo);
+        valores.push(valor - banderasColocadas);
       });
       
-      // Resolver sistema
-      try {
-        const soluciones = this.eliminarGaussiana(matriz, valores);
-        
-        if (soluciones) {
-          return {
-            soluciones,
-            celdas
-          };
-        }
-      } catch (error) {
-        console.error("Error al resolver sistema de ecuaciones:", error);
-      }
-      
-      return null;
+      return { matriz, valores };
     }
   
     /**
-     * Resuelve un sistema de ecuaciones mediante eliminación gaussiana
+     * Resuelve un sistema de ecuaciones cuyas incógnitas solo pueden valer 0 o 1.
+     * Escalona el sistema con aritmética entera y aplica a cada ecuación (original y
+     * reducida) las cotas 0/1: si una incógnita no puede valer 1 (o 0) sin que la suma
+     * se salga del rango alcanzable, queda fijada. Cada valor fijado se sustituye y se
+     * repite hasta que no haya novedades.
      * @param {Array} matriz - Matriz de coeficientes
      * @param {Array} vector - Vector de valores
-     * @returns {Array|null} - Vector de soluciones o null si no hay solución única
+     * @returns {Object|null} - {soluciones, justificaciones}: cada solución es 1, 0 o null si no
+     *   se pudo fijar, y cada justificación la ecuación {coeficientes, valor} que la fijó;
+     *   null si el sistema es contradictorio
      */
-    eliminarGaussiana(matriz, vector) {
-      const n = matriz.length; // Número de ecuaciones
-      const m = matriz[0].length; // Número de incógnitas
+    resolverSistemaBinario(matriz, vector) {
+      const m = matriz.length > 0 ? matriz[0].length : 0; // Número de incógnitas
+      const soluciones = Array(m).fill(null);
+      const justificaciones = Array(m).fill(null);
       
-      // Si hay más incógnitas que ecuaciones, no hay solución única
-      if (m > n) return null;
+      let hayNovedades = true;
+      while (hayNovedades) {
+        hayNovedades = false;
+        
+        // Sustituir las incógnitas ya fijadas
+        const originales = matriz.map((fila, i) => ({
+          coeficientes: fila.map((a, j) => (soluciones[j] === null ? a : 0)),
+          valor: vector[i] - fila.reduce((suma, a, j) => suma + (soluciones[j] === 1 ? a : 0), 0)
+        }));
+        
+        const reducidas = this.escalonarEnteros(originales);
+        if (!reducidas) return null;
+        
+        for (const ecuacion of [...originales, ...reducidas]) {
+          const { coeficientes, valor } = ecuacion;
+          
+          // Rango alcanzable de la suma con incógnitas 0/1
+          let minimo = 0;
+          let maximo = 0;
+          coeficientes.forEach(a => {
+            if (a < 0) minimo += a;
+            else maximo += a;
+          });
+          if (valor < minimo || valor > maximo) return null;
+          
+          for (let j = 0; j < m; j++) {
+            const a = coeficientes[j];
+            if (a === 0 || soluciones[j] !== null) continue;
+            
+            // Valor que hace falta para no salirse del rango
+            let fijado = null;
+            if (a > 0 && valor < minimo + a) fijado = 0;
+            else if (a > 0 && valor > maximo - a) fijado = 1;
+            else if (a < 0 && valor > maximo + a) fijado = 0;
+            else if (a < 0 && valor < minimo - a) fijado = 1;
+            
+            if (fijado !== null) {
+              soluciones[j] = fijado;
+              justificaciones[j] = ecuacion;
+              hayNovedades = true;
+            }
+          }
+        }
+      }
       
-      // Crear matriz aumentada
-      const matrizAumentada = matriz.map((fila, i) => [...fila, vector[i]]);
+      return { soluciones, justificaciones };
+    }
+  
+    /**
+     * Reduce un sistema a forma escalonada reducida sin salir de los enteros:
+     * las filas se combinan multiplicando en cruz y se dividen por su máximo común divisor
+     * @param {Array} ecuaciones - Ecuaciones {coeficientes, valor}
+     * @returns {Array|null} - Ecuaciones reducidas no nulas, o null si alguna queda 0 = k con k ≠ 0
+     */
+    escalonarEnteros(ecuaciones) {
+      const filas = ecuaciones.map(e => [...e.coeficientes, e.valor]);
+      const m = filas.length > 0 ? filas[0].length - 1 : 0;
       
-      // Eliminación hacia adelante
-      for (let i = 0; i < n; i++) {
-        // Buscar pivote no nulo
-        let maxFila = i;
-        for (let j = i + 1; j < n; j++) {
-          if (Math.abs(matrizAumentada[j][i]) > Math.abs(matrizAumentada[maxFila][i])) {
-            maxFila = j;
+      let pivotes = 0;
+      for (let columna = 0; columna < m && pivotes < filas.length; columna++) {
+        // Pivote con el menor coeficiente no nulo para que los números crezcan poco
+        let elegida = -1;
+        for (let i = pivotes; i < filas.length; i++) {
+          if (filas[i][columna] !== 0 && (elegida < 0 || Math.abs(filas[i][columna]) < Math.abs(filas[elegida][columna]))) {
+            elegida = i;
           }
         }
+        if (elegida < 0) continue;
+        
+        [filas[pivotes], filas[elegida]] = [filas[elegida], filas[pivotes]];
+        const pivote = filas[pivotes];
         
-        // Intercambiar filas
-        if (maxFila !== i) {
-          [matrizAumentada[i], matrizAumentada[maxFila]] = [matrizAumentada[maxFila], matrizAumentada[i]];
+        // Eliminar la columna en el resto de filas
+        for (let i = 0; i < filas.length; i++) {
+          const factor = filas[i][columna];
+          if (i === pivotes || factor === 0) continue;
+          
+          filas[i] = simplificarFila(filas[i].map((x, k) => x * pivote[columna] - pivote[k] * factor));
         }
         
-        // Si el pivote es cero, continuar con la siguiente fila
-        if (Math.abs(matrizAumentada[i][i]) < 1e-10) continue;
+        filas[pivotes] = simplificarFila(pivote[columna] < 0 ? pivote.map(x => -x) : pivote);
+        pivotes++;
+      }
+      
+      // Una fila sin coeficientes con valor distinto de 0 es una contradicción
+      if (filas.slice(pivotes).some(fila => fila[m] !== 0)) return null;
+      
+      return filas.slice(0, pivotes).map(fila => ({ coeficientes: fila.slice(0, m), valor: fila[m] }));
+    }
+  
+    /**
+     * Busca celdas sin mina con 100% de certeza usando las mismas reglas que las banderas
+     * @returns {Array} - Celdas seguras {fila, columna, origen, explicacion}
+     */
+    detectarCeldasSeguras() {
+      this.tablero.actualizarRestricciones();
+      this.celdasSeguras = [];
+      
+      // Primero: restricciones ya completas
+      this.analizarSegurasBasicas();
+      
+      // Segundo: diferencias entre restricciones que se solapan
+      this.analizarSegurasSubconjuntos();
+      
+      // Tercero: patrones comunes
+      this.analizarSegurasPatrones();
+      
+      // Cuarto: sistemas de ecuaciones
+      this.analizarSegurasSistemas();
+      
+      // Quinto: si lo local no basta, el total de minas (final de partida)
+      if (this.celdasSeguras.length === 0) {
+        this.analizarSegurasTotalMinas();
+      }
+      
+      return this.celdasSeguras;
+    }
+  
+    /**
+     * Obtiene las vecinas desconocidas y las minas que faltan alrededor de una celda revelada
+     * @param {Celda} celda - Celda revelada
+     * @returns {Object} - {desconocidas, minasFaltantes}
+     */
+    obtenerRestriccionEfectiva(celda) {
+      const adyacentes = this.tablero.obtenerCeldasAdyacentes(celda.fila, celda.columna);
+      return {
+        desconocidas: adyacentes.filter(c => !c.descubierta && !c.tieneBandera),
+        minasFaltantes: celda.obtenerValorNumerico() - adyacentes.filter(c => c.tieneBandera).length
+      };
+    }
+  
+    /**
+     * Análisis básico: si una restricción ya tiene todas sus minas, el resto de vecinas son seguras.
+     * Cuentan todas las celdas reveladas sin mina, también las vacías
+     */
+    analizarSegurasBasicas() {
+      const { nucleo } = this.tablero;
+      
+      for (const { indice } of this.tablero.obtenerCeldasReveladas()) {
+        const valor = nucleo.valorNumerico(indice);
+        if (valor === null || valor !== nucleo.contarVecinas(indice, BANDERA) ||
+            nucleo.contarVecinasDesconocidas(indice) === 0) continue;
         
-        // Normalizar fila
-        const pivote = matrizAumentada[i][i];
-        for (let j = i; j <= m; j++) {
-          matrizAumentada[i][j] /= pivote;
-        }
+        const celdaNumerica = this.tablero.obtenerCeldaPorIndice(indice);
+        const descripcion = valor === 0
+          ? `${formatearCelda(celdaNumerica)} no tiene minas alrededor`
+          : `${formatearCelda(celdaNumerica)} ya tiene todas sus minas: sus demás vecinas son seguras`;
         
-        // Eliminar términos en otras filas
-        for (let j = 0; j < n; j++) {
-          if (j !== i) {
-            const factor = matrizAumentada[j][i];
-            for (let k = i; k <= m; k++) {
-              matrizAumentada[j][k] -= factor * matrizAumentada[i][k];
-            }
-          }
-        }
+        this.obtenerRestriccionEfectiva(celdaNumerica).desconocidas.forEach(celda => {
+          this.marcarComoSegura(celda, `análisis básico de celda (${celdaNumerica.fila+1},${celdaNumerica.columna+1})`,
+            this.explicarSegura(celda, REGLAS.BASICA, descripcion, [celdaNumerica]));
+        });
       }
+    }
+  
+    /**
+     * Análisis de subconjuntos: si B obliga a poner en las casillas que comparte con A
+     * al menos tantas minas como le faltan a A, las demás vecinas de A son seguras
+     */
+    analizarSegurasSubconjuntos() {
+      this.tablero.actualizarRestricciones();
       
-      // Extraer soluciones
-      const soluciones = Array(m).fill(0);
-      for (let i = 0; i < n; i++) {
-        let sum = matrizAumentada[i][m];
-        for (let j = 0; j < m; j++) {
-          if (i !== j && Math.abs(matrizAumentada[i][j]) > 1e-10) {
-            sum -= matrizAumentada[i][j] * soluciones[j];
+      const { numericas, inicio, casillas, valores, banderas } = this.obtenerFrontera();
+      const { estado } = this.tablero.nucleo;
+      
+      for (let a = 0; a < numericas.length; a++) {
+        const desconocidasA = this.contarDesconocidas(a);
+        if (desconocidasA === 0) continue;
+        
+        // Solo las que comparten alguna casilla desconocida con A
+        for (const b of this.numericasQueRodean(a, true)) {
+          if (a === b) continue;
+          
+          let compartidas = 0;
+          for (let x = inicio[a]; x < inicio[a + 1]; x++) {
+            if (!(estado[casillas[x]] & BANDERA) && this.contiene(b, casillas[x])) compartidas++;
+          }
+          if (compartidas === 0) continue;
+          
+          const soloA = desconocidasA - compartidas;
+          const soloB = this.contarDesconocidas(b) - compartidas;
+          
+          // Minas que B tiene que colocar sí o sí en las casillas compartidas
+          const minimoCompartidas = Math.max(0, valores[b] - banderas[b] - soloB);
+          
+          if (soloA > 0 && minimoCompartidas >= valores[a] - banderas[a]) {
+            const celdaA = this.tablero.obtenerCeldaPorIndice(numericas[a]);
+            const celdaB = this.tablero.obtenerCeldaPorIndice(numericas[b]);
+            const descripcion = soloB === 0
+              ? `Todas las casillas libres de ${formatearCelda(celdaB)} rodean también a ${formatearCelda(celdaA)} y ya contienen las minas que le faltan`
+              : `${formatearCelda(celdaB)} necesita al menos ${minimoCompartidas} mina${minimoCompartidas > 1 ? 's' : ''} en las casillas que comparte con ${formatearCelda(celdaA)}, que ya son todas las que le faltan`;
+            
+            this.casillasDe(a)
+              .filter(celda => !celda.tieneBandera && !this.contiene(b, celda.indice))
+              .forEach(celda => {
+                this.marcarComoSegura(celda, `análisis de subconjunto (${celdaA.fila+1},${celdaA.columna+1}-${celdaB.fila+1},${celdaB.columna+1})`,
+                  this.explicarSegura(celda, REGLAS.SUBCONJUNTO, descripcion, [celdaA, celdaB]));
+              });
           }
         }
-        if (Math.abs(matrizAumentada[i][i]) > 1e-10) {
-          soluciones[i] = sum / matrizAumentada[i][i];
-        }
       }
+    }
+  
+    /**
+     * Busca los patrones de la BibliotecaPatrones (en todas sus simetrías) para detectar celdas seguras
+     */
+    analizarSegurasPatrones() {
+      for (const coincidencia of this.bibliotecaPatrones.buscar(this.tablero)) {
+        const [ancla] = coincidencia.numeros;
+        
+        coincidencia.seguras.forEach(celda => {
+          this.marcarComoSegura(celda, `patrón ${coincidencia.nombre} (${ancla.fila+1},${ancla.columna+1})`,
+            this.explicarSegura(celda, REGLAS.PATRON,
+              `Patrón ${coincidencia.nombre} en ${formatearCelda(ancla)}: ${coincidencia.descripcion}`,
+              coincidencia.numeros));
+        });
+      }
+    }
+  
+    /**
+     * Resuelve los sistemas de ecuaciones y marca como seguras las incógnitas fijadas a 0
+     */
+    analizarSegurasSistemas() {
+      this.agruparRestriccionesPorCeldasComunes().forEach(grupo => {
+        const resultado = this.resolverSistemaEcuaciones(grupo);
+        if (!resultado) return;
+        const numericas = grupo.restricciones.map(r => r.celda);
+        
+        resultado.soluciones.forEach((valor, i) => {
+          const celda = resultado.celdas[i];
+          if (valor === 0 && !celda.tieneBandera && !celda.descubierta) {
+            this.marcarComoSegura(celda, 'sistema de ecuaciones',
+              this.explicarSegura(celda, REGLAS.SISTEMA_ECUACIONES,
+                `Sistema de ${grupo.restricciones.length} ecuaciones con ${resultado.celdas.length} incógnitas: la ecuación ${formatearEcuacion(resultado.justificaciones[i], resultado.celdas)} solo se cumple si esta casilla no tiene mina`,
+                numericas));
+          }
+        });
+      });
+    }
+  
+    /**
+     * Añade al sistema la ecuación del total de minas restantes para detectar celdas seguras
+     */
+    analizarSegurasTotalMinas() {
+      const global = this.resolverSistemaGlobal();
+      if (!global) return;
       
-      return soluciones;
+      global.soluciones.forEach((valor, i) => {
+        if (valor !== 0) return;
+        
+        const celda = global.celdas[i];
+        this.marcarComoSegura(celda, 'total de minas',
+          this.explicarSegura(celda, REGLAS.TOTAL_MINAS, this.describirDeduccionGlobal(global, i, 'no tiene mina'),
+            this.restriccionesDeEcuacion(global, i)));
+      });
+    }
+  
+    /**
+     * Marca una celda como segura (una sola vez por celda)
+     * @param {Celda} celda - Celda segura
+     * @param {string} origen - Regla que lo demuestra
+     * @param {Object} explicacion - Explicación estructurada de la deducción
+     */
+    marcarComoSegura(celda, origen, explicacion) {
+      if (this.celdasSeguras.some(s => s.fila === celda.fila && s.columna === celda.columna)) return;
+      
+      celda.actualizarProbabilidades(0, 1, 'analisis100');
+      this.celdasSeguras.push({
+        fila: celda.fila,
+        columna: celda.columna,
+        origen,
+        iteracion: this.ultimaIteracion,
+        explicacion
+      });
     }
   
     /**
@@ -711,6 +971,12 @@ class GestorBanderas {
           this.banderasColocadas.push(bandera);
         } else {
           console.warn(`Bandera inconsistente en (${bandera.fila+1},${bandera.columna+1}). No se colocará.`);
+          this.banderasDescartadas.push({
+            fila: bandera.fila,
+            columna: bandera.columna,
+            probabilidadMina: null,
+            motivo: `Propuesta por ${bandera.origen}, pero superaría el número de una casilla vecina`
+          });
         }
       }
     }
@@ -810,15 +1076,127 @@ class GestorBanderas {
      * Marca una celda para colocar bandera
      * @param {Celda} celda - Celda a marcar
      * @param {string} origen - Origen de la bandera
+     * @param {Object|null} explicacion - Explicación estructurada de la deducción
+     * @returns {Object} - Bandera marcada {fila, columna, origen, iteracion, explicacion}
      */
-    marcarParaBandera(celda, origen) {
-      this.banderasColocadas.push({
+    marcarParaBandera(celda, origen, explicacion = null) {
+      const bandera = {
         fila: celda.fila,
         columna: celda.columna,
         origen: origen,
-        iteracion: this.ultimaIteracion
+        iteracion: this.ultimaIteracion,
+        explicacion
+      };
+      
+      this.banderasColocadas.push(bandera);
+      return bandera;
+    }
+  
+    /**
+     * Crea la explicación de una bandera
+     * @param {Celda} celda - Celda que será bandera
+     * @param {string} regla - Regla aplicada (REGLAS)
+     * @param {string} descripcion - Resumen de la deducción
+     * @param {Array} celdasNumericas - Casillas numéricas usadas en la deducción
+     * @returns {Object} - Explicación
+     */
+    explicarBandera(celda, regla, descripcion, celdasNumericas) {
+      return this.explicarCelda(celda, 'mina', regla, descripcion, celdasNumericas);
+    }
+  
+    /**
+     * Crea la explicación de una celda segura
+     * @param {Celda} celda - Celda segura
+     * @param {string} regla - Regla aplicada (REGLAS)
+     * @param {string} descripcion - Resumen de la deducción
+     * @param {Array} celdasNumericas - Casillas numéricas usadas en la deducción
+     * @returns {Object} - Explicación
+     */
+    explicarSegura(celda, regla, descripcion, celdasNumericas) {
+      return this.explicarCelda(celda, 'segura', regla, descripcion, celdasNumericas);
+    }
+  
+    /**
+     * Crea la explicación de una conclusión sobre una celda
+     * @param {Celda} celda - Celda deducida
+     * @param {string} tipo - 'mina' o 'segura'
+     * @param {string} regla - Regla aplicada (REGLAS)
+     * @param {string} descripcion - Resumen de la deducción
+     * @param {Array} celdasNumericas - Casillas numéricas usadas en la deducción
+     * @returns {Object} - Explicación
+     */
+    explicarCelda(celda, tipo, regla, descripcion, celdasNumericas) {
+      return crearExplicacion({
+        regla,
+        descripcion,
+        restricciones: this.describirRestricciones(celdasNumericas),
+        conclusion: {
+          tipo,
+          celdas: [{ fila: celda.fila, columna: celda.columna }],
+          probabilidadMina: tipo === 'mina' ? 1 : 0
+        }
+      });
+    }
+  
+    /**
+     * Describe las restricciones citadas por una explicación.
+     * Todas las celdas de un mismo sistema citan sus ecuaciones, así que las
+     * descripciones se comparten (por casilla y por lista) hasta que el tablero cambie
+     * @param {Array} celdasNumericas - Casillas numéricas usadas en la deducción
+     * @returns {Array} - Restricciones (ver restriccionDeCelda)
+     */
+    describirRestricciones(celdasNumericas) {
+      if (this.restriccionesDescritas.version !== this.tablero.version) {
+        this.restriccionesDescritas = { version: this.tablero.version, porIndice: new Map(), porLista: new WeakMap() };
+      }
+      
+      const { porIndice, porLista } = this.restriccionesDescritas;
+      if (porLista.has(celdasNumericas)) return porLista.get(celdasNumericas);
+      
+      const restricciones = celdasNumericas.map(celda => {
+        if (!porIndice.has(celda.indice)) {
+          porIndice.set(celda.indice, restriccionDeCelda(this.tablero, celda));
+        }
+        return porIndice.get(celda.indice);
       });
+      porLista.set(celdasNumericas, restricciones);
+      return restricciones;
     }
   }
   
+  /**
+   * Formatea una casilla numérica como (fila,columna)=valor, contando desde 1
+   * @param {Celda} celda - Casilla numérica
+   * @returns {string} - Texto de la casilla
+   */
+  const formatearCelda = (celda) => `(${celda.fila+1},${celda.columna+1})=${celda.obtenerValorNumerico()}`;
+  
+  /**
+   * Divide una fila entera por el máximo común divisor de sus elementos
+   * @param {Array} fila - Coeficientes y término independiente
+   * @returns {Array} - Fila simplificada
+   */
+  const simplificarFila = (fila) => {
+    const mcd = (a, b) => (b === 0 ? a : mcd(b, a % b));
+    const divisor = fila.reduce((d, x) => mcd(d, Math.abs(x)), 0);
+    return divisor > 1 ? fila.map(x => x / divisor) : fila;
+  };
+  
+  /**
+   * Formatea una ecuación del sistema como suma de casillas, contando desde 1
+   * @param {Object} ecuacion - Ecuación {coeficientes, valor}
+   * @param {Array} celdas - Celdas de cada incógnita
+   * @returns {string} - Texto como (2,3) + (2,4) − (3,5) = 1
+   */
+  const formatearEcuacion = ({ coeficientes, valor }, celdas) => {
+    const terminos = [];
+    coeficientes.forEach((a, j) => {
+      if (a === 0) return;
+      const signo = a < 0 ? '−' : '+';
+      const factor = Math.abs(a) > 1 ? `${Math.abs(a)}·` : '';
+      terminos.push(`${terminos.length === 0 && a > 0 ? '' : `${signo} `}${factor}(${celdas[j].fila+1},${celdas[j].columna+1})`);
+    });
+    return `${terminos.join(' ')} = ${valor}`;
+  };
+  
   export default GestorBanderas;
\ No newline at end of file
@@ -0,0 +1,81 @@
+import GestorBanderas from './GestorBanderas';
+import Tablero from '../modelos/Tablero';
+
+describe('GestorBanderas.resolverSistemaBinario', () => {
+  const gestor = new GestorBanderas(new Tablero(3, 3));
+
+  test('deduce aunque haya más incógnitas que ecuaciones', () => {
+    // x0 + x1 = 1 y x0 + x1 + x2 = 2: la diferencia obliga a x2 = 1
+    const { soluciones } = gestor.resolverSistemaBinario([[1, 1, 0], [1, 1, 1]], [1, 2]);
+
+    expect(soluciones).toEqual([null, null, 1]);
+  });
+
+  test('aplica las cotas 0/1 a las ecuaciones reducidas con coeficientes negativos', () => {
+    // Patrón 1-2: x3 − x0 = 1 solo se cumple con x3 = 1 y x0 = 0
+    const { soluciones, justificaciones } = gestor.resolverSistemaBinario([[1, 1, 1, 0], [0, 1, 1, 1]], [1, 2]);
+
+    expect(soluciones).toEqual([0, null, null, 1]);
+    expect(justificaciones[3].coeficientes.filter(a => a !== 0)).toHaveLength(2);
+  });
+
+  test('una ecuación cuyo valor es el número de incógnitas las fija todas a 1', () => {
+    const { soluciones } = gestor.resolverSistemaBinario([[1, 1, 1, 0]], [3]);
+
+    expect(soluciones).toEqual([1, 1, 1, null]);
+  });
+
+  test('devuelve null si el sistema es contradictorio', () => {
+    expect(gestor.resolverSistemaBinario([[1, 1], [1, 1]], [1, 2])).toBeNull();
+    expect(gestor.resolverSistemaBinario([[1, 1]], [3])).toBeNull();
+  });
+});
+
+describe('GestorBanderas con el total de minas', () => {
+  // Fila ? ? 1 ?: el 1 reparte una mina entre (0,1) y (0,3); (0,0) no toca ningún número
+  const crearTablero = (totalMinas) => {
+    const tablero = new Tablero(1, 4, totalMinas);
+    tablero.establecerValorCelda(0, 2, '1');
+    return tablero;
+  };
+
+  test('sin total conocido la casilla aislada queda sin decidir', () => {
+    const gestor = new GestorBanderas(crearTablero(null));
+
+    expect(gestor.detectarCeldasSeguras()).toEqual([]);
+    expect(gestor.colocarBanderasSeguras()).toEqual([]);
+  });
+
+  test('si solo queda la mina del 1, la casilla aislada es segura', () => {
+    const gestor = new GestorBanderas(crearTablero(1));
+    const seguras = gestor.detectarCeldasSeguras();
+
+    expect(seguras.map(c => [c.fila, c.columna])).toEqual([[0, 0]]);
+    expect(seguras[0].explicacion.regla).toBe('total_minas');
+  });
+
+  test('si quedan dos minas, la casilla aislada es mina', () => {
+    const gestor = new GestorBanderas(crearTablero(2));
+
+    expect(gestor.colocarBanderasSeguras().map(b => [b.fila, b.columna])).toEqual([[0, 0]]);
+  });
+});
+
+describe('GestorBanderas.analizarSubconjuntos', () => {
+  test('no cuenta las banderas de la diferencia como casillas libres', () => {
+    // M ? F      El 1 de (1,0) tiene su mina entre las casillas que comparte con el 3
+    // 1 3 2      de (1,1); al 3 le faltan dos y la bandera de (0,2) no cuenta:
+    // ? ? x      la otra mina de la diferencia es (2,2)
+    const tablero = new Tablero(3, 3);
+    tablero.establecerValorCelda(1, 0, '1');
+    tablero.establecerValorCelda(1, 1, '3');
+    tablero.establecerValorCelda(1, 2, '2');
+    tablero.establecerBandera(0, 2, true);
+
+    const banderas = new GestorBanderas(tablero).colocarBanderasSeguras();
+    const bandera = banderas.find(b => b.fila === 2 && b.columna === 2);
+
+    expect(bandera).toBeDefined();
+    expect(bandera.origen).toMatch(/^análisis de subconjunto/);
+  });
+});
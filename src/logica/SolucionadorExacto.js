@@ -0,0 +1,643 @@
+import { PARAMETROS_PROBABILIDAD } from '../constantes/ConfiguracionJuego';
+import { BANDERA } from '../modelos/NucleoTablero';
+
+/**
+ * SolucionadorExacto - Resuelve las restricciones de la frontera como un problema
+ * de satisfacción de restricciones y obtiene probabilidades marginales exactas.
+ * El modelo trabaja con índices del núcleo del tablero; solo el resultado de
+ * calcular se traduce a celdas
+ */
+class SolucionadorExacto {
+    /**
+     * Constructor
+     * @param {Object} tablero - Instancia del tablero de juego
+     */
+    constructor(tablero) {
+      this.tablero = tablero;
+      this.nodosExplorados = 0; // Nodos visitados en la última resolución
+      this.enFrontera = null;   // Marcas por índice del núcleo, reutilizadas en cada modelo
+      this.orden = null;        // Posición de cada casilla en la frontera o el componente en curso
+    }
+
+    /**
+     * Construye el modelo de restricciones a partir del estado del tablero.
+     * Las restricciones son {origen, valor, minas, casillas}, con el origen y las
+     * casillas desconocidas como índices del núcleo
+     * @param {Object|null} supuesto - Respuesta hipotética {fila, columna, valor} aún no aplicada
+     *   ('M' para mina, '' o '0'...'8' para celdas seguras)
+     * @returns {Object} - Restricciones, restricciones violadas, frontera y casillas exteriores
+     */
+    construirModelo(supuesto = null) {
+      const restricciones = [];
+      const violadas = [];
+      const frontera = [];
+      const exterior = [];
+
+      // Casillas ya añadidas a la frontera, por índice del núcleo
+      const { nucleo } = this.tablero;
+      const { estado, inicioVecinas, vecinas, total } = nucleo;
+      if (!this.enFrontera || this.enFrontera.length !== total) {
+        this.enFrontera = new Uint8Array(total);
+        this.orden = new Int32Array(total);
+      }
+      const { enFrontera } = this;
+
+      const indiceSupuesto = supuesto === null ? -1 : supuesto.fila * nucleo.columnas + supuesto.columna;
+      const supuestoMina = supuesto !== null && supuesto.valor === 'M';
+
+      // 1. Una restricción por cada casilla numérica con vecinas desconocidas
+      const agregarRestriccion = (i, valor) => {
+        const casillas = [];
+        let banderas = 0;
+        for (let v = inicioVecinas[i]; v < inicioVecinas[i + 1]; v++) {
+          const vecina = vecinas[v];
+          if ((estado[vecina] & BANDERA) || (vecina === indiceSupuesto && supuestoMina)) {
+            banderas++;
+          } else if (vecina !== indiceSupuesto && nucleo.esDesconocida(vecina)) {
+            casillas.push(vecina);
+          }
+        }
+
+        const restriccion = { origen: i, valor, minas: valor - banderas, casillas };
+
+        // Restricciones imposibles por sí solas (demasiadas minas o pocas celdas libres)
+        if (restriccion.minas < 0 || restriccion.minas > casillas.length) {
+          violadas.push(restriccion);
+        }
+
+        if (casillas.length === 0) return;
+
+        restricciones.push(restriccion);
+
+        for (const casilla of casillas) {
+          if (!enFrontera[casilla]) {
+            enFrontera[casilla] = 1;
+            frontera.push(casilla);
+          }
+        }
+      };
+
+      // Las vacías cuentan como 0 (no tienen minas alrededor), y la casilla
+      // hipotética también si no es una mina
+      for (let i = 0; i < total; i++) {
+        const valor = nucleo.valorNumerico(i);
+        if (valor !== null) agregarRestriccion(i, valor);
+      }
+      if (supuesto !== null && !supuestoMina) {
+        agregarRestriccion(indiceSupuesto, supuesto.valor === '' ? 0 : parseInt(supuesto.valor));
+      }
+
+      // 2. Casillas desconocidas sin ninguna restricción (interior no explorado)
+      for (let i = 0; i < total; i++) {
+        if (i !== indiceSupuesto && !enFrontera[i] && nucleo.esDesconocida(i)) {
+          exterior.push(i);
+        }
+      }
+
+      // Dejar las marcas limpias para la siguiente construcción
+      frontera.forEach(i => {
+        enFrontera[i] = 0;
+      });
+
+      return { restricciones, violadas, frontera, exterior };
+    }
+
+    /**
+     * Obtiene la fila y la columna de un índice del núcleo
+     * @param {number} indice - Índice de la casilla
+     * @returns {Object} - {fila, columna}
+     */
+    coordenadas(indice) {
+      const { columnas } = this.tablero.nucleo;
+      return { fila: Math.floor(indice / columnas), columna: indice % columnas };
+    }
+
+    /**
+     * Comprueba si una respuesta es compatible con las restricciones actuales
+     * @param {Object} supuesto - Respuesta hipotética {fila, columna, valor}
+     * @param {number|null} totalMinas - Total de minas declarado (null si se desconoce)
+     * @returns {Object|null} - Contradicción encontrada o null si la respuesta es consistente
+     */
+    buscarContradiccion(supuesto, totalMinas = null) {
+      const modelo = this.construirModelo(supuesto);
+      const formatear = (r) => {
+        const { fila, columna } = this.coordenadas(r.origen);
+        return `(${fila+1},${columna+1})=${r.valor}`;
+      };
+      const describir = (lista) => lista.map(r => ({ ...this.coordenadas(r.origen), valor: r.valor }));
+
+      // 1. Restricciones imposibles por sí mismas
+      if (modelo.violadas.length > 0) {
+        const r = modelo.violadas[0];
+        const contar = (n, singular, plural) => `${n} ${n === 1 ? singular : plural}`;
+        const libres = r.casillas.length;
+        const detalle = r.minas < 0
+          ? `tiene ya ${contar(r.valor - r.minas, 'mina', 'minas')} alrededor`
+          : `necesita ${contar(r.minas, 'mina', 'minas')} más, pero solo le ${libres === 1 ? 'queda' : 'quedan'} ${contar(libres, 'casilla libre', 'casillas libres')}`;
+        return {
+          tipo: 'restriccion_imposible',
+          celdas: describir(modelo.violadas),
+          mensaje: `La casilla ${formatear(r)} ${detalle}.`
+        };
+      }
+
+      // 2. Componentes de la frontera sin ninguna asignación válida
+      const componentes = this.separarComponentes(modelo.restricciones, modelo.frontera);
+      let minasMinimas = 0;
+      let minasMaximas = 0;
+
+      for (const componente of componentes) {
+        const resultado = this.enumerarComponente(componente);
+
+        // Si no se puede enumerar, no se puede demostrar la contradicción
+        if (resultado === null) {
+          minasMaximas += componente.casillas.length;
+          continue;
+        }
+
+        if (resultado.totalSoluciones === 0) {
+          // Las casillas más cercanas a la respuesta primero
+          const distancia = (r) => {
+            const { fila, columna } = this.coordenadas(r.origen);
+            return Math.max(Math.abs(fila - supuesto.fila), Math.abs(columna - supuesto.columna));
+          };
+          const implicadas = [...componente.restricciones].sort((a, b) => distancia(a) - distancia(b));
+          const nombradas = implicadas.slice(0, 6).map(formatear).join(', ');
+          return {
+            tipo: 'sistema_inconsistente',
+            celdas: describir(implicadas),
+            mensaje: `Ninguna colocación de minas satisface a la vez las casillas ${nombradas}${implicadas.length > 6 ? '...' : ''}.`
+          };
+        }
+
+        const cantidades = Array.from(resultado.porMinas.keys());
+        minasMinimas += Math.min(...cantidades);
+        minasMaximas += Math.max(...cantidades);
+      }
+
+      // 3. Total de minas declarado
+      if (totalMinas !== null && totalMinas !== undefined) {
+        const banderas = this.tablero.contadorBanderas + (supuesto.valor === 'M' ? 1 : 0);
+        const minasRestantes = totalMinas - banderas;
+        
+        if (minasMinimas > minasRestantes) {
+          return {
+            tipo: 'total_minas',
+            celdas: describir(modelo.restricciones),
+            mensaje: `Las casillas numéricas necesitarían al menos ${minasMinimas} minas más, pero solo quedan ${minasRestantes} de las ${totalMinas} declaradas.`
+          };
+        }
+        
+        if (minasMaximas + modelo.exterior.length < minasRestantes) {
+          return {
+            tipo: 'total_minas',
+            celdas: describir(modelo.restricciones),
+            mensaje: `Quedan ${minasRestantes} minas por ubicar de las ${totalMinas} declaradas, pero solo caben ${minasMaximas + modelo.exterior.length}.`
+          };
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Calcula la probabilidad exacta de mina de todas las celdas desconocidas
+     * @param {number|null} totalMinas - Total de minas del tablero (null si se desconoce)
+     * @returns {Object} - Probabilidades por celda y datos del cálculo (frontera, exterior y
+     *   componentes con celdas del tablero, y restricciones con origen {fila, columna})
+     */
+    calcular(totalMinas = null) {
+      const modelo = this.construirModelo();
+      this.nodosExplorados = 0;
+
+      // 1. Separar la frontera en componentes independientes
+      const componentes = this.separarComponentes(modelo.restricciones, modelo.frontera);
+
+      // 2. Enumerar cada componente con backtracking
+      componentes.forEach(componente => {
+        componente.resultado = this.enumerarComponente(componente);
+      });
+
+      // Un componente sin soluciones indica un tablero inconsistente
+      const consistente = modelo.violadas.length === 0 &&
+        componentes.every(c => c.resultado === null || c.resultado.totalSoluciones > 0);
+
+      // Si el tablero es inconsistente no hay distribución exacta: se aproxima todo
+      const exactos = consistente ? componentes.filter(c => c.resultado !== null) : [];
+      const aproximados = componentes.filter(c => !exactos.includes(c));
+
+      // 3. Combinar componentes con las celdas exteriores
+      const celda = (indice) => this.tablero.obtenerCeldaPorIndice(indice);
+      const probabilidades = new Map();
+      let probabilidadExterior;
+      let exteriorExacto = false;
+
+      const minasRestantes = totalMinas !== null && totalMinas !== undefined
+        ? totalMinas - this.tablero.contadorBanderas
+        : null;
+
+      let combinacion = null;
+      if (consistente && minasRestantes !== null) {
+        const minasAproximadas = aproximados.reduce((suma, c) => suma + this.estimarMinasComponente(c), 0);
+        combinacion = this.combinarConTotal(exactos, modelo.exterior.length, minasRestantes - minasAproximadas);
+      }
+
+      if (combinacion) {
+        exactos.forEach((componente, indice) => {
+          componente.casillas.forEach((casilla, j) => {
+            probabilidades.set(celda(casilla), combinacion.componentes[indice][j]);
+          });
+        });
+        probabilidadExterior = combinacion.exterior;
+        exteriorExacto = true;
+      } else {
+        // Sin total conocido: cada configuración se pondera con la densidad estimada
+        const densidad = PARAMETROS_PROBABILIDAD.DENSIDAD_ESTIMADA;
+        exactos.forEach(componente => {
+          const marginales = this.marginalesConDensidad(componente.resultado, densidad);
+          componente.casillas.forEach((casilla, j) => probabilidades.set(celda(casilla), marginales[j]));
+        });
+        probabilidadExterior = densidad;
+      }
+
+      // 4. Componentes demasiado grandes: aproximación local
+      aproximados.forEach(componente => {
+        this.aproximarComponente(componente).forEach((prob, j) => {
+          probabilidades.set(celda(componente.casillas[j]), prob);
+        });
+      });
+
+      // Sin combinación exacta, el total de minas sigue valiendo como ecuación global:
+      // el exterior recibe las minas que no se esperan en la frontera
+      if (!combinacion && minasRestantes !== null && modelo.exterior.length > 0) {
+        let minasFrontera = 0;
+        probabilidades.forEach(probabilidad => { minasFrontera += probabilidad; });
+        probabilidadExterior = Math.min(1, Math.max(0, (minasRestantes - minasFrontera) / modelo.exterior.length));
+      }
+
+      modelo.exterior.forEach(casilla => probabilidades.set(celda(casilla), probabilidadExterior));
+
+      return {
+        consistente,
+        probabilidades,
+        componentes: componentes.map(componente => ({
+          celdas: componente.casillas.map(celda),
+          restricciones: componente.restricciones.map(r => ({
+            origen: this.coordenadas(r.origen),
+            valor: r.valor,
+            minas: r.minas,
+            celdas: r.casillas.map(celda)
+          })),
+          resultado: componente.resultado
+        })),
+        frontera: modelo.frontera.map(celda),
+        exterior: modelo.exterior.map(celda),
+        exteriorExacto,
+        aproximados: new Set(aproximados.flatMap(c => c.casillas.map(celda))),
+        nodosExplorados: this.nodosExplorados
+      };
+    }
+
+    /**
+     * Separa la frontera en componentes que no comparten restricciones
+     * @param {Array} restricciones - Restricciones del modelo
+     * @param {Array} frontera - Índices de las casillas de frontera
+     * @returns {Array} - Componentes con sus casillas y restricciones
+     */
+    separarComponentes(restricciones, frontera) {
+      // Unión-búsqueda sobre posiciones en la frontera
+      const { enFrontera, orden } = this;
+      frontera.forEach((casilla, k) => { orden[casilla] = k; });
+      const padre = Int32Array.from(frontera, (_, k) => k);
+
+      const raiz = (k) => {
+        while (padre[k] !== k) {
+          padre[k] = padre[padre[k]];
+          k = padre[k];
+        }
+        return k;
+      };
+
+      restricciones.forEach(restriccion => {
+        const primera = raiz(orden[restriccion.casillas[0]]);
+        restriccion.casillas.forEach(casilla => {
+          padre[raiz(orden[casilla])] = primera;
+        });
+      });
+
+      // Agrupar restricciones por raíz
+      const grupoDeRaiz = new Int32Array(frontera.length).fill(-1);
+      const grupos = [];
+      restricciones.forEach(restriccion => {
+        const r = raiz(orden[restriccion.casillas[0]]);
+        if (grupoDeRaiz[r] < 0) {
+          grupoDeRaiz[r] = grupos.length;
+          grupos.push({ casillas: [], restricciones: [] });
+        }
+        grupos[grupoDeRaiz[r]].restricciones.push(restriccion);
+      });
+
+      // Ordenar casillas por aparición en restricciones para podar antes
+      grupos.forEach(grupo => {
+        grupo.restricciones.forEach(restriccion => {
+          restriccion.casillas.forEach(casilla => {
+            if (!enFrontera[casilla]) {
+              enFrontera[casilla] = 1;
+              grupo.casillas.push(casilla);
+            }
+          });
+        });
+      });
+      frontera.forEach(casilla => { enFrontera[casilla] = 0; });
+
+      return grupos;
+    }
+
+    /**
+     * Enumera las asignaciones consistentes de un componente mediante backtracking
+     * @param {Object} componente - Casillas y restricciones del componente
+     * @returns {Object|null} - Soluciones agrupadas por número de minas, o null si se excede el límite
+     */
+    enumerarComponente(componente) {
+      const n = componente.casillas.length;
+      const { orden } = this;
+      componente.casillas.forEach((casilla, i) => { orden[casilla] = i; });
+
+      // Restricciones como listas de posiciones en el componente
+      const necesarias = componente.restricciones.map(r => r.minas);
+      const libres = componente.restricciones.map(r => r.casillas.length);
+      const asignadas = componente.restricciones.map(() => 0);
+      const restriccionesDeCelda = componente.casillas.map(() => []);
+      componente.restricciones.forEach((restriccion, r) => {
+        restriccion.casillas.forEach(casilla => restriccionesDeCelda[orden[casilla]].push(r));
+      });
+
+      // Una restricción imposible desde el principio no tiene soluciones
+      const imposible = componente.restricciones.some((r, i) => necesarias[i] < 0 || necesarias[i] > libres[i]);
+
+      const porMinas = new Map(); // minas -> { soluciones, minasPorCelda }
+      const asignacion = new Uint8Array(n);
+      const limite = PARAMETROS_PROBABILIDAD.LIMITE_NODOS_ENUMERACION;
+      let nodos = 0;
+      let excedido = false;
+
+      const registrarSolucion = (minas) => {
+        if (!porMinas.has(minas)) {
+          porMinas.set(minas, { soluciones: 0, minasPorCelda: new Float64Array(n) });
+        }
+        const entrada = porMinas.get(minas);
+        entrada.soluciones++;
+        for (let i = 0; i < n; i++) {
+          if (asignacion[i]) entrada.minasPorCelda[i]++;
+        }
+      };
+
+      const asignar = (i, minas) => {
+        if (excedido) return;
+        if (++nodos > limite) {
+          excedido = true;
+          return;
+        }
+
+        if (i === n) {
+          registrarSolucion(minas);
+          return;
+        }
+
+        for (let valor = 0; valor <= 1; valor++) {
+          // Aplicar valor y comprobar cada restricción afectada
+          let valido = true;
+          for (const r of restriccionesDeCelda[i]) {
+            asignadas[r] += valor;
+            libres[r]--;
+            if (asignadas[r] > necesarias[r] || asignadas[r] + libres[r] < necesarias[r]) {
+              valido = false;
+            }
+          }
+
+          if (valido) {
+            asignacion[i] = valor;
+            asignar(i + 1, minas + valor);
+          }
+
+          // Deshacer
+          for (const r of restriccionesDeCelda[i]) {
+            asignadas[r] -= valor;
+            libres[r]++;
+          }
+          asignacion[i] = 0;
+        }
+      };
+
+      if (!imposible) {
+        asignar(0, 0);
+      }
+      this.nodosExplorados += nodos;
+
+      if (excedido) return null;
+
+      let totalSoluciones = 0;
+      porMinas.forEach(entrada => { totalSoluciones += entrada.soluciones; });
+
+      return { porMinas, totalSoluciones };
+    }
+
+    /**
+     * Combina los componentes sabiendo el número exacto de minas restantes.
+     * Cada configuración se pondera por las formas de repartir el resto de minas
+     * entre las celdas exteriores.
+     * @param {Array} componentes - Componentes enumerados
+     * @param {number} celdasExteriores - Número de celdas sin restricciones
+     * @param {number} minasRestantes - Minas que faltan por ubicar
+     * @returns {Object|null} - Probabilidades por componente y exterior, o null si es inconsistente
+     */
+    combinarConTotal(componentes, celdasExteriores, minasRestantes) {
+      // Distribuciones normalizadas de cada componente para evitar desbordamientos
+      const distribuciones = componentes.map(c => this.distribucionNormalizada(c.resultado));
+
+      // Peso (en logaritmos) de colocar m minas en el exterior
+      const logPesoExterior = (minasFrontera) => {
+        const m = minasRestantes - minasFrontera;
+        if (m < 0 || m > celdasExteriores) return -Infinity;
+        return logCombinaciones(celdasExteriores, m);
+      };
+
+      const total = convolucionar(distribuciones.map(d => d.pesos));
+
+      // Escalar pesos exteriores respecto al máximo posible
+      let maxLog = -Infinity;
+      for (let k = 0; k < total.length; k++) {
+        if (total[k] > 0) maxLog = Math.max(maxLog, logPesoExterior(k));
+      }
+      if (maxLog === -Infinity) return null;
+      const pesoExterior = (k) => Math.exp(logPesoExterior(k) - maxLog);
+
+      let normalizacion = 0;
+      let minasExteriorEsperadas = 0;
+      for (let k = 0; k < total.length; k++) {
+        const peso = total[k] * pesoExterior(k);
+        normalizacion += peso;
+        minasExteriorEsperadas += peso * (minasRestantes - k);
+      }
+      if (normalizacion <= 0) return null;
+
+      // Marginales de cada componente combinando el resto sin él
+      const probabilidadesComponentes = distribuciones.map((distribucion, indice) => {
+        const resto = convolucionar(distribuciones.filter((_, j) => j !== indice).map(d => d.pesos));
+        const n = componentes[indice].casillas.length;
+        const acumulado = new Float64Array(n);
+        let normalizacionComponente = 0;
+
+        distribucion.minasPorCelda.forEach((minasPorCelda, k) => {
+          // Peso combinado de todas las formas de completar con k minas aquí
+          let pesoResto = 0;
+          for (let kr = 0; kr < resto.length; kr++) {
+            if (resto[kr] > 0) pesoResto += resto[kr] * pesoExterior(k + kr);
+          }
+          if (pesoResto === 0) return;
+          normalizacionComponente += distribucion.pesos[k] * pesoResto;
+          for (let j = 0; j < n; j++) {
+            acumulado[j] += minasPorCelda[j] * pesoResto;
+          }
+        });
+
+        return Array.from(acumulado, valor => ajustarCerteza(valor / normalizacionComponente));
+      });
+
+      return {
+        componentes: probabilidadesComponentes,
+        exterior: celdasExteriores > 0
+          ? ajustarCerteza(minasExteriorEsperadas / normalizacion / celdasExteriores)
+          : 0
+      };
+    }
+
+    /**
+     * Marginales de un componente cuando se desconoce el total de minas:
+     * cada solución con k minas pesa (densidad / (1 - densidad))^k
+     * @param {Object} resultado - Resultado de la enumeración
+     * @param {number} densidad - Densidad de minas estimada
+     * @returns {Array} - Probabilidad de mina por celda
+     */
+    marginalesConDensidad(resultado, densidad) {
+      const razon = Math.log(densidad / (1 - densidad));
+      let maxLog = -Infinity;
+      resultado.porMinas.forEach((_, k) => { maxLog = Math.max(maxLog, k * razon); });
+
+      let normalizacion = 0;
+      let acumulado = null;
+      resultado.porMinas.forEach((entrada, k) => {
+        const peso = Math.exp(k * razon - maxLog);
+        normalizacion += entrada.soluciones * peso;
+        if (!acumulado) acumulado = new Float64Array(entrada.minasPorCelda.length);
+        entrada.minasPorCelda.forEach((minas, j) => { acumulado[j] += minas * peso; });
+      });
+
+      return Array.from(acumulado, valor => ajustarCerteza(valor / normalizacion));
+    }
+
+    /**
+     * Normaliza la distribución de soluciones de un componente
+     * @param {Object} resultado - Resultado de la enumeración
+     * @returns {Object} - Pesos por número de minas y minas por celda escaladas
+     */
+    distribucionNormalizada(resultado) {
+      let maximo = 0;
+      resultado.porMinas.forEach(entrada => { maximo = Math.max(maximo, entrada.soluciones); });
+
+      const pesos = [];
+      const minasPorCelda = new Map();
+      resultado.porMinas.forEach((entrada, k) => {
+        pesos[k] = entrada.soluciones / maximo;
+        minasPorCelda.set(k, entrada.minasPorCelda.map(m => m / maximo));
+      });
+      for (let k = 0; k < pesos.length; k++) {
+        if (pesos[k] === undefined) pesos[k] = 0;
+      }
+
+      return { pesos, minasPorCelda };
+    }
+
+    /**
+     * Aproxima probabilidades de un componente que excede el límite de enumeración
+     * @param {Object} componente - Casillas y restricciones del componente
+     * @returns {Array} - Probabilidad estimada por casilla
+     */
+    aproximarComponente(componente) {
+      const n = componente.casillas.length;
+      const { orden } = this;
+      componente.casillas.forEach((casilla, i) => { orden[casilla] = i; });
+
+      // Promedio de las proporciones locales de cada restricción
+      const sumas = new Float64Array(n);
+      const cuentas = new Int32Array(n);
+      componente.restricciones.forEach(r => {
+        const proporcion = Math.max(0, Math.min(1, r.minas / r.casillas.length));
+        r.casillas.forEach(casilla => {
+          sumas[orden[casilla]] += proporcion;
+          cuentas[orden[casilla]]++;
+        });
+      });
+      return Array.from(sumas, (suma, i) => suma / cuentas[i]);
+    }
+
+    /**
+     * Estima cuántas minas contiene un componente aproximado
+     * @param {Object} componente - Casillas y restricciones del componente
+     * @returns {number} - Número estimado de minas
+     */
+    estimarMinasComponente(componente) {
+      return Math.round(this.aproximarComponente(componente).reduce((suma, p) => suma + p, 0));
+    }
+  }
+
+  /**
+   * Convoluciona varias distribuciones de minas
+   * @param {Array} distribuciones - Lista de arrays indexados por número de minas
+   * @returns {Array} - Distribución del total de minas
+   */
+  function convolucionar(distribuciones) {
+    let resultado = [1];
+    distribuciones.forEach(distribucion => {
+      const nuevo = new Array(resultado.length + distribucion.length - 1).fill(0);
+      for (let i = 0; i < resultado.length; i++) {
+        if (resultado[i] === 0) continue;
+        for (let j = 0; j < distribucion.length; j++) {
+          nuevo[i + j] += resultado[i] * distribucion[j];
+        }
+      }
+      // Reescalar para mantener los valores en rango
+      const maximo = Math.max(...nuevo);
+      resultado = maximo > 0 ? nuevo.map(v => v / maximo) : nuevo;
+    });
+    return resultado;
+  }
+
+  /**
+   * Logaritmo del coeficiente binomial C(n, k)
+   * @param {number} n - Total de elementos
+   * @param {number} k - Elementos elegidos
+   * @returns {number} - log(C(n, k))
+   */
+  function logCombinaciones(n, k) {
+    if (k < 0 || k > n) return -Infinity;
+    k = Math.min(k, n - k);
+    let resultado = 0;
+    for (let i = 1; i <= k; i++) {
+      resultado += Math.log(n - k + i) - Math.log(i);
+    }
+    return resultado;
+  }
+
+  /**
+   * Redondea a 1 los valores que solo difieren por error numérico
+   * @param {number} probabilidad - Probabilidad calculada
+   * @returns {number} - Probabilidad ajustada
+   */
+  function ajustarCerteza(probabilidad) {
+    if (probabilidad <= 0) return 0;
+    if (probabilidad > 1 - 1e-9) return 1;
+    return probabilidad;
+  }
+
+  export default SolucionadorExacto;
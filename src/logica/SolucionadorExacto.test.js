@@ -0,0 +1,102 @@
+import SolucionadorExacto from './SolucionadorExacto';
+import Tablero from '../modelos/Tablero';
+import { PARAMETROS_PROBABILIDAD } from '../constantes/ConfiguracionJuego';
+
+// Revela casillas con el número de minas vecinas de una colocación conocida;
+// las que no tienen minas alrededor se responden como vacías salvo que se pidan como '0'
+const revelar = (tablero, minas, casillas, ceros = []) => {
+  const esMina = (fila, columna) => minas.includes(`${fila},${columna}`);
+  casillas.forEach(clave => {
+    const [fila, columna] = clave.split(',').map(Number);
+    const vecinas = tablero.obtenerCeldasAdyacentes(fila, columna).filter(c => esMina(c.fila, c.columna)).length;
+    const valor = vecinas > 0 ? String(vecinas) : (ceros.includes(clave) ? '0' : '');
+    tablero.establecerValorCelda(fila, columna, valor);
+  });
+};
+
+// Probabilidades de mina recorriendo todas las colocaciones de las casillas desconocidas.
+// Sin total de minas, una colocación con k minas pesa (densidad / (1 - densidad))^k
+const fuerzaBruta = (tablero, totalMinas) => {
+  const desconocidas = tablero.obtenerCeldasSinRevolar().filter(c => !c.tieneBandera);
+  const restricciones = tablero.obtenerCeldasReveladas()
+    .filter(c => c.obtenerValorNumerico() !== null)
+    .map(c => ({ valor: c.obtenerValorNumerico(), vecinas: tablero.obtenerCeldasAdyacentes(c.fila, c.columna) }));
+  const posicion = new Map(desconocidas.map((c, i) => [`${c.fila},${c.columna}`, i]));
+  const densidad = PARAMETROS_PROBABILIDAD.DENSIDAD_ESTIMADA;
+
+  const minasPorCelda = desconocidas.map(() => 0);
+  let total = 0;
+  for (let mascara = 0; mascara < (1 << desconocidas.length); mascara++) {
+    const esMina = (c) => {
+      const i = posicion.get(`${c.fila},${c.columna}`);
+      return c.tieneBandera || (i !== undefined && (mascara & (1 << i)) !== 0);
+    };
+    if (!restricciones.every(r => r.vecinas.filter(esMina).length === r.valor)) continue;
+
+    const k = desconocidas.filter(esMina).length;
+    if (totalMinas !== null && tablero.contadorBanderas + k !== totalMinas) continue;
+
+    const peso = totalMinas === null ? (densidad / (1 - densidad)) ** k : 1;
+    total += peso;
+    desconocidas.forEach((c, i) => { if (esMina(c)) minasPorCelda[i] += peso; });
+  }
+
+  return new Map(desconocidas.map((c, i) => [`${c.fila},${c.columna}`, minasPorCelda[i] / total]));
+};
+
+const probabilidades = (tablero, totalMinas) => {
+  const { probabilidades: resultado } = new SolucionadorExacto(tablero).calcular(totalMinas);
+  return new Map(Array.from(resultado, ([celda, p]) => [`${celda.fila},${celda.columna}`, p]));
+};
+
+const compararConFuerzaBruta = (tablero, totalMinas) => {
+  const esperadas = fuerzaBruta(tablero, totalMinas);
+  const obtenidas = probabilidades(tablero, totalMinas);
+
+  expect(Array.from(obtenidas.keys()).sort()).toEqual(Array.from(esperadas.keys()).sort());
+  esperadas.forEach((p, clave) => expect(obtenidas.get(clave)).toBeCloseTo(p, 9));
+};
+
+describe('SolucionadorExacto frente a la enumeración completa', () => {
+  test('una casilla vacía no deja minas alrededor', () => {
+    const tablero = new Tablero(3, 3);
+    tablero.establecerValorCelda(1, 1, '');
+
+    probabilidades(tablero, null).forEach(p => expect(p).toBe(0));
+    compararConFuerzaBruta(tablero, null);
+  });
+
+  test('con vacías y ceros, con y sin total de minas', () => {
+    // 4×4 con minas en (0,3), (2,0) y (3,3)
+    const minas = ['0,3', '2,0', '3,3'];
+    const tablero = new Tablero(4, 4, minas.length);
+    revelar(tablero, minas, ['0,0', '0,1', '1,1', '1,2', '2,2'], ['0,1']);
+
+    expect(tablero.obtenerCelda(0, 0).valor).toBe('');
+    expect(tablero.obtenerCelda(0, 1).valor).toBe('0');
+    compararConFuerzaBruta(tablero, minas.length);
+    compararConFuerzaBruta(tablero, null);
+  });
+
+  test('con banderas y varios componentes', () => {
+    // 3×6 con minas en (0,0), (2,2) y (1,5); la de (0,0) ya tiene bandera
+    const minas = ['0,0', '2,2', '1,5'];
+    const tablero = new Tablero(3, 6, minas.length);
+    tablero.establecerBandera(0, 0, true);
+    revelar(tablero, minas, ['1,0', '1,1', '0,3', '2,4']);
+
+    compararConFuerzaBruta(tablero, minas.length);
+    compararConFuerzaBruta(tablero, null);
+  });
+
+  test('en una fila con una vacía entre dos números', () => {
+    // 2×5 con minas en (1,0) y (1,4)
+    const minas = ['1,0', '1,4'];
+    const tablero = new Tablero(2, 5, minas.length);
+    revelar(tablero, minas, ['0,1', '0,2', '0,3']);
+
+    expect(tablero.obtenerCelda(0, 2).valor).toBe('');
+    compararConFuerzaBruta(tablero, minas.length);
+    compararConFuerzaBruta(tablero, null);
+  });
+});
@@ -0,0 +1,14 @@
+/* eslint-env worker */
+import { analizarEstadoSerializado } from './AnalisisSerializado';
+
+/**
+ * Web Worker del análisis: recibe {id, estado} y responde {id, resultado} o {id, error}
+ * (ver AnalisisSerializado para el formato del estado y del resultado)
+ */
+onmessage = ({ data }) => {
+  try {
+    postMessage({ id: data.id, resultado: analizarEstadoSerializado(data.estado) });
+  } catch (error) {
+    postMessage({ id: data.id, error: error.message });
+  }
+};
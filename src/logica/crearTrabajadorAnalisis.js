@@ -0,0 +1,10 @@
+/**
+ * Crea el Web Worker del análisis
+ *
+ * Está aparte de ClienteAnalisis porque import.meta solo existe en los módulos que
+ * empaqueta webpack: Jest y Node nunca cargan este archivo.
+ * @returns {Worker} - Trabajador que ejecuta analisis.worker.js
+ */
+const crearTrabajadorAnalisis = () => new Worker(new URL('./analisis.worker.js', import.meta.url));
+
+export default crearTrabajadorAnalisis;
@@ -0,0 +1,46 @@
+import EstrategiaCompleta from './EstrategiaCompleta';
+import EstrategiaDeduccionAleatoria from './EstrategiaDeduccionAleatoria';
+import EstrategiaProbabilidadExacta from './EstrategiaProbabilidadExacta';
+import EstrategiaPrudente from './EstrategiaPrudente';
+
+/**
+ * CatalogoEstrategias - Estrategias disponibles para el sistema
+ *
+ * Una estrategia es un objeto con id, nombre, descripcion y el método
+ * decidir(tablero, contexto) → jugada, donde contexto es {analizador, esPrimerMovimiento}
+ * y el analizador (AnalizadorCeldas) ofrece los pasos con los que componer la decisión.
+ */
+const CLASES_ESTRATEGIA = [
+  EstrategiaCompleta,
+  EstrategiaDeduccionAleatoria,
+  EstrategiaProbabilidadExacta,
+  EstrategiaPrudente
+];
+
+export const ESTRATEGIA_PREDETERMINADA = 'completa';
+
+// Datos de cada estrategia para la interfaz {id, nombre, descripcion}
+export const ESTRATEGIAS = CLASES_ESTRATEGIA.map(Clase => {
+  const { id, nombre, descripcion } = new Clase();
+  return { id, nombre, descripcion };
+});
+
+/**
+ * Indica si existe una estrategia con ese identificador
+ * @param {string} id - Identificador de la estrategia
+ * @returns {boolean} - true si existe
+ */
+export const esEstrategiaValida = (id) => ESTRATEGIAS.some(e => e.id === id);
+
+/**
+ * Crea una estrategia por su identificador
+ * @param {string} id - Identificador de la estrategia
+ * @returns {Object} - Nueva instancia de la estrategia
+ */
+export const crearEstrategia = (id = ESTRATEGIA_PREDETERMINADA) => {
+  const indice = ESTRATEGIAS.findIndex(e => e.id === id);
+  if (indice < 0) {
+    throw new Error(`Estrategia desconocida: ${id}`);
+  }
+  return new CLASES_ESTRATEGIA[indice]();
+};
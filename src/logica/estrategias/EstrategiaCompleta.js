@@ -0,0 +1,39 @@
+/**
+ * EstrategiaCompleta - Estrategia original del sistema: memoria para las primeras
+ * jugadas, deducciones, probabilidades exactas y conjeturas que valoran el progreso
+ */
+class EstrategiaCompleta {
+    constructor() {
+      this.id = 'completa';
+      this.nombre = 'Completa';
+      this.descripcion = 'Deducciones, probabilidades exactas, memoria de partidas y conjeturas que buscan progreso';
+    }
+
+    /**
+     * Decide la siguiente jugada
+     * @param {Object} tablero - Tablero de juego
+     * @param {Object} contexto - {analizador, esPrimerMovimiento}
+     * @returns {Object} - Jugada {fila, columna, tipo, razon, explicacion} o {tipo: 'banderas', banderas, ...}
+     */
+    decidir(tablero, { analizador, esPrimerMovimiento }) {
+      // 1. Primer movimiento - Estrategia especial
+      if (esPrimerMovimiento) {
+        return analizador.jugadaPrimerMovimiento();
+      }
+
+      // 2. Banderas seguras y 3. celdas demostradas seguras antes de consultar probabilidades
+      const deduccion = analizador.jugadaBanderas() || analizador.jugadaSeguraDeducida();
+      if (deduccion) return deduccion;
+
+      // 4. Actualizar mapa de probabilidades
+      analizador.calcularProbabilidades();
+
+      // 5. Celdas seguras que solo revela la enumeración, 6. memoria para el segundo
+      //    movimiento y 7. la mejor conjetura
+      return analizador.jugadaSeguraEnumerada() ||
+        analizador.jugadaMemoria() ||
+        analizador.seleccionarCeldaMasProbable();
+    }
+  }
+
+  export default EstrategiaCompleta;
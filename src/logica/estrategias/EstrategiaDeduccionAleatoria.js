@@ -0,0 +1,29 @@
+/**
+ * EstrategiaDeduccionAleatoria - Solo juega lo que puede demostrar; cuando no hay
+ * ninguna deducción elige al azar. Sirve de referencia mínima para comparar estrategias
+ */
+class EstrategiaDeduccionAleatoria {
+    constructor() {
+      this.id = 'deduccion_aleatoria';
+      this.nombre = 'Deducción y azar';
+      this.descripcion = 'Banderas y celdas seguras demostradas; si no hay ninguna, una celda al azar';
+    }
+
+    /**
+     * Decide la siguiente jugada
+     * @param {Object} tablero - Tablero de juego
+     * @param {Object} contexto - {analizador, esPrimerMovimiento}
+     * @returns {Object} - Jugada
+     */
+    decidir(tablero, { analizador, esPrimerMovimiento }) {
+      if (esPrimerMovimiento) {
+        return analizador.jugadaAleatoria();
+      }
+
+      return analizador.jugadaBanderas() ||
+        analizador.jugadaSeguraDeducida() ||
+        analizador.jugadaAleatoria();
+    }
+  }
+
+  export default EstrategiaDeduccionAleatoria;
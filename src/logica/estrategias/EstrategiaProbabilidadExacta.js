@@ -0,0 +1,33 @@
+/**
+ * EstrategiaProbabilidadExacta - Decide solo con el cálculo de probabilidades:
+ * sin memoria de partidas ni preferencias de posición más allá de los desempates,
+ * y cada conjetura es la celda con menor probabilidad de mina
+ */
+class EstrategiaProbabilidadExacta {
+    constructor() {
+      this.id = 'probabilidad_exacta';
+      this.nombre = 'Probabilidad exacta';
+      this.descripcion = 'Deducciones y, si no bastan, la celda con menor probabilidad de mina';
+    }
+
+    /**
+     * Decide la siguiente jugada
+     * @param {Object} tablero - Tablero de juego
+     * @param {Object} contexto - {analizador, esPrimerMovimiento}
+     * @returns {Object} - Jugada
+     */
+    decidir(tablero, { analizador, esPrimerMovimiento }) {
+      // En el primer movimiento todas las celdas tienen la misma probabilidad
+      if (!esPrimerMovimiento) {
+        const deduccion = analizador.jugadaBanderas() || analizador.jugadaSeguraDeducida();
+        if (deduccion) return deduccion;
+      }
+
+      analizador.calcularProbabilidades();
+
+      return analizador.jugadaSeguraEnumerada() ||
+        analizador.seleccionarCeldaMasProbable({ pesoProgreso: 0 });
+    }
+  }
+
+  export default EstrategiaProbabilidadExacta;
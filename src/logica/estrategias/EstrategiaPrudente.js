@@ -0,0 +1,39 @@
+/**
+ * EstrategiaPrudente - Variante de la estrategia completa que no arriesga por
+ * información: empieza por una esquina, no usa la memoria de partidas, y sus
+ * conjeturas solo buscan la menor probabilidad de mina, prefiriendo las calculadas
+ * con exactitud a las estimadas
+ */
+class EstrategiaPrudente {
+    constructor() {
+      this.id = 'prudente';
+      this.nombre = 'Prudente';
+      this.descripcion = 'Empieza por una esquina y solo conjetura sobre probabilidades exactas y con el menor riesgo';
+    }
+
+    /**
+     * Decide la siguiente jugada
+     * @param {Object} tablero - Tablero de juego
+     * @param {Object} contexto - {analizador, esPrimerMovimiento}
+     * @returns {Object} - Jugada
+     */
+    decidir(tablero, { analizador, esPrimerMovimiento }) {
+      if (esPrimerMovimiento) {
+        const esquina = analizador.seleccionarEsquinaAleatoria();
+        if (esquina) {
+          return { ...esquina, explicacion: analizador.explicarSeleccionSinDeduccion(esquina) };
+        }
+        return analizador.jugadaAleatoria();
+      }
+
+      const deduccion = analizador.jugadaBanderas() || analizador.jugadaSeguraDeducida();
+      if (deduccion) return deduccion;
+
+      analizador.calcularProbabilidades();
+
+      return analizador.jugadaSeguraEnumerada() ||
+        analizador.seleccionarCeldaMasProbable({ pesoProgreso: 0, soloFiables: true });
+    }
+  }
+
+  export default EstrategiaPrudente;
@@ -3,25 +3,74 @@ import GestorBanderas from '../logica/GestorBanderas';
 import MotorProbabilidad from '../logica/MotorProbabilidad';
 import AnalizadorCeldas from '../logica/AnalizadorCeldas';
 import GestorMemoria from '../utilidades/GestorMemoria';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import RegistroPartida from '../utilidades/RegistroPartida';
+import EmisorEventos from '../utilidades/EmisorEventos';
+import ClienteAnalisis from '../logica/ClienteAnalisis';
+import { serializarAnalisis } from '../logica/AnalisisSerializado';
+import { ESTRATEGIA_PREDETERMINADA, crearEstrategia, esEstrategiaValida } from '../logica/estrategias/CatalogoEstrategias';
+import { TOPOLOGIA_PREDETERMINADA, crearTopologia, esTopologiaValida } from './topologias/CatalogoTopologias';
+import { CANALES_JUEGO, EVENTOS_JUEGO } from '../constantes/ConfiguracionJuego';
+
+const { TICK, TABLERO, ACCION, ESTADISTICAS } = CANALES_JUEGO;
+const {
+  PARTIDA_INICIADA,
+  CELDA_SELECCIONADA,
+  RESPUESTA_RECIBIDA,
+  BANDERAS_COLOCADAS,
+  VICTORIA,
+  DERROTA,
+  CONTRADICCION
+} = EVENTOS_JUEGO;
 
 /**
  * Clase Juego - Controlador principal del juego de Buscaminas Inverso
- * Coordina todos los componentes y gestiona el flujo del juego
+ * Coordina todos los componentes y gestiona el flujo del juego.
+ * La interfaz se suscribe por canales (CANALES_JUEGO) a la parte del estado que muestra,
+ * y el código externo escucha los sucesos de la partida (EVENTOS_JUEGO)
  */
 class Juego {
   /**
    * Constructor
    * @param {number} filas - Número de filas del tablero
    * @param {number} columnas - Número de columnas del tablero
-   * @param {Function} actualizarEstado - Función para actualizar la interfaz
+   * @param {Function|null} actualizarEstado - Recibe el estado completo tras cada cambio salvo el tic del reloj
+   *   (opcional: la interfaz usa suscribir)
+   * @param {Object} opciones - Opciones de ejecución
+   * @param {boolean} opciones.sincrono - Sin temporizadores ni Web Worker: los movimientos se ejecutan con ejecutarMovimientoPendiente
+   * @param {Object} opciones.gestorMemoria - Gestor de memoria a usar en lugar del persistente
+   * @param {number} opciones.semilla - Semilla inicial del generador aleatorio
+   * @param {string} opciones.estrategia - Identificador de la estrategia del sistema (ver CatalogoEstrategias)
+   * @param {Array} opciones.deshabilitadas - Posiciones {fila, columna} que no forman parte del tablero
+   * @param {string} opciones.topologia - Identificador de la vecindad del tablero (ver CatalogoTopologias)
    */
-  constructor(filas, columnas, actualizarEstado) {
+  constructor(filas, columnas, actualizarEstado, opciones = {}) {
     // Dimensiones del tablero
     this.filas = filas;
     this.columnas = columnas;
     
-    // Función para actualizar la interfaz
-    this.actualizarEstado = actualizarEstado || (() => {});
+    // Total de minas declarado por el usuario (null si no lo ha indicado)
+    this.totalMinas = null;
+    
+    // Huecos del tablero: posiciones {fila, columna} deshabilitadas
+    this.deshabilitadas = opciones.deshabilitadas || [];
+    
+    // Forma de la cuadrícula: qué casillas son vecinas
+    this.topologia = esTopologiaValida(opciones.topologia) ? opciones.topologia : TOPOLOGIA_PREDETERMINADA;
+    
+    // Avisos a la interfaz: suscripciones por canal y, opcionalmente, el estado completo
+    this.eventos = new EmisorEventos(Object.values(CANALES_JUEGO));
+    this.actualizarEstado = actualizarEstado || null;
+    
+    // Sucesos de la partida para integraciones externas
+    this.sucesos = new EmisorEventos(Object.values(EVENTOS_JUEGO));
+    
+    // Modo síncrono (simulaciones sin interfaz)
+    this.sincrono = Boolean(opciones.sincrono);
+    this.movimientoPendiente = null;
+    
+    // Análisis en un Web Worker para no bloquear la interfaz (no se usa en modo síncrono)
+    this.clienteAnalisis = this.sincrono ? null : new ClienteAnalisis();
     
     // Estado del juego
     this.enCurso = false;
@@ -35,16 +84,30 @@ class Juego {
     this.intervalTiempo = null;
     this.movimientosRealizados = 0;
     
+    // Generador aleatorio compartido por todos los módulos de decisión
+    this.semilla = GeneradorAleatorio.esSemillaValida(opciones.semilla)
+      ? opciones.semilla
+      : GeneradorAleatorio.crearSemilla();
+    this.generador = new GeneradorAleatorio(this.semilla);
+    
+    // Patrones de la memoria con los que decide la partida en curso
+    this.patronesDecision = null;
+    
+    // Estrategia con la que el sistema decide sus jugadas
+    this.estrategia = esEstrategiaValida(opciones.estrategia) ? opciones.estrategia : ESTRATEGIA_PREDETERMINADA;
+    
     // Inicializar componentes
-    this.tablero = new Tablero(filas, columnas);
-    this.gestorMemoria = new GestorMemoria();
+    this.tablero = new Tablero(filas, columnas, this.totalMinas, this.deshabilitadas, crearTopologia(this.topologia));
+    this.gestorMemoria = opciones.gestorMemoria || new GestorMemoria({ generador: this.generador });
     this.gestorBanderas = new GestorBanderas(this.tablero);
     this.motorProbabilidad = new MotorProbabilidad(this.tablero);
     this.analizadorCeldas = new AnalizadorCeldas(
       this.tablero, 
       this.gestorBanderas, 
       this.motorProbabilidad,
-      this.gestorMemoria
+      this.gestorMemoria,
+      this.generador,
+      crearEstrategia(this.estrategia)
     );
     
     // Estado de la última acción
@@ -56,15 +119,47 @@ class Juego {
     
     // Celda actualmente seleccionada
     this.celdaActual = null;
+    
+    // Última respuesta rechazada por contradecir el tablero
+    this.errorRespuesta = null;
+    
+    // Explicación estructurada de la última jugada del sistema
+    this.explicacion = null;
+    
+    // Registro exportable de la partida en curso
+    this.registro = null;
+    
+    // Historial de respuestas para deshacer y rehacer
+    this.pilaDeshacer = [];
+    this.pilaRehacer = [];
+    this.puntoDecision = null;
+    this.memoriaAntesDelResultado = null;
+    
+    // Siguiente movimiento automático programado
+    this.temporizadorMovimiento = null;
+    this.generacionMovimiento = 0;
   }
   
   /**
    * Inicializa una nueva partida
+   * @param {number|null} semilla - Semilla para repetir una partida anterior (null para una nueva)
    */
-  iniciarPartida() {
+  iniciarPartida(semilla = null) {
     // Reiniciar tablero
     this.tablero.reiniciar();
     
+    // Fijar la semilla de la partida para poder reproducirla
+    this.semilla = GeneradorAleatorio.esSemillaValida(semilla) ? semilla : GeneradorAleatorio.crearSemilla();
+    this.generador.reiniciar(this.semilla);
+    
+    // Patrones aprendidos con los que decide la partida. Al repetir una partida guardada se
+    // usan los que tenía entonces: la memoria ha podido cambiar desde que se jugó
+    const patronesGuardados = GeneradorAleatorio.esSemillaValida(semilla)
+      ? this.gestorMemoria.buscarPatronesDecision(this.semilla, this.tablero)
+      : null;
+    this.patronesDecision = patronesGuardados || this.gestorMemoria.obtenerPatronesDecision();
+    this.analizadorCeldas.establecerPatronesMemoria(this.patronesDecision);
+    
     // Reiniciar estado
     this.enCurso = true;
     this.esperandoRespuesta = false;
@@ -88,14 +183,88 @@ class Juego {
     };
     
     this.celdaActual = null;
+    this.errorRespuesta = null;
+    this.explicacion = null;
+    
+    // Nuevo registro de la partida
+    this.registro = new RegistroPartida({
+      filas: this.filas,
+      columnas: this.columnas,
+      deshabilitadas: this.deshabilitadas,
+      topologia: this.topologia,
+      totalMinas: this.totalMinas,
+      semilla: this.semilla
+    });
+    
+    // Reiniciar historial de deshacer/rehacer
+    this.reiniciarHistorialRespuestas();
+    this.puntoDecision = this.crearInstantanea();
     
     // Actualizar interfaz
-    this.actualizarEstado(this.obtenerEstadoActual());
+    this.notificar(TICK, TABLERO, ACCION);
+    this.emitirSuceso(PARTIDA_INICIADA, {
+      semilla: this.semilla,
+      filas: this.filas,
+      columnas: this.columnas,
+      totalMinas: this.totalMinas,
+      deshabilitadas: this.deshabilitadas.map(({ fila, columna }) => ({ fila, columna })),
+      topologia: this.topologia,
+      estrategia: this.estrategia
+    });
     
     // Programar primer movimiento con un pequeño retraso para la animación
-    setTimeout(() => {
-      this.realizarSiguienteMovimiento(true);
-    }, 1000);
+    this.programarSiguienteMovimiento(1000, true);
+  }
+  
+  /**
+   * Programa el siguiente movimiento del sistema, descartando el que hubiera pendiente
+   * @param {number} retraso - Milisegundos de espera
+   * @param {boolean} esPrimerMovimiento - Si es el primer movimiento de la partida
+   */
+  programarSiguienteMovimiento(retraso, esPrimerMovimiento = false) {
+    this.cancelarMovimientoProgramado();
+    
+    // En modo síncrono quien controla la partida decide cuándo ejecutarlo
+    if (this.sincrono) {
+      this.movimientoPendiente = { esPrimerMovimiento };
+      return;
+    }
+    
+    const generacion = this.generacionMovimiento;
+    this.temporizadorMovimiento = setTimeout(() => {
+      this.temporizadorMovimiento = null;
+      
+      // Ignorar movimientos programados antes de deshacer o reiniciar
+      if (generacion !== this.generacionMovimiento) return;
+      
+      this.realizarSiguienteMovimiento(esPrimerMovimiento);
+    }, retraso);
+  }
+  
+  /**
+   * Cancela el movimiento automático pendiente, si lo hay
+   */
+  cancelarMovimientoProgramado() {
+    if (this.temporizadorMovimiento) {
+      clearTimeout(this.temporizadorMovimiento);
+      this.temporizadorMovimiento = null;
+    }
+    this.movimientoPendiente = null;
+    this.generacionMovimiento++;
+  }
+  
+  /**
+   * Ejecuta el movimiento pendiente en modo síncrono
+   * @returns {boolean} - true si había un movimiento pendiente
+   */
+  ejecutarMovimientoPendiente() {
+    if (!this.movimientoPendiente) return false;
+    
+    const { esPrimerMovimiento } = this.movimientoPendiente;
+    this.movimientoPendiente = null;
+    this.realizarSiguienteMovimiento(esPrimerMovimiento);
+    
+    return true;
   }
   
   /**
@@ -108,34 +277,117 @@ class Juego {
       return;
     }
     
+    // En el navegador el análisis se hace fuera del hilo de la interfaz
+    if (this.clienteAnalisis && this.clienteAnalisis.estaDisponible()) {
+      this.solicitarAnalisisEnSegundoPlano(esPrimerMovimiento);
+      return;
+    }
+    
+    this.realizarMovimientoLocal(esPrimerMovimiento);
+  }
+  
+  /**
+   * Calcula y aplica el siguiente movimiento en el hilo actual
+   * @param {boolean} esPrimerMovimiento - Si es el primer movimiento de la partida
+   */
+  realizarMovimientoLocal(esPrimerMovimiento) {
     try {
-      // Seleccionar la mejor celda
-      const seleccion = this.analizadorCeldas.seleccionarMejorCelda(esPrimerMovimiento);
+      this.aplicarSeleccion(this.analizadorCeldas.seleccionarMejorCelda(esPrimerMovimiento));
+    } catch (error) {
+      this.notificarErrorMovimiento(error);
+    }
+  }
+  
+  /**
+   * Envía el análisis al Web Worker y aplica su resultado cuando llega
+   * @param {boolean} esPrimerMovimiento - Si es el primer movimiento de la partida
+   */
+  solicitarAnalisisEnSegundoPlano(esPrimerMovimiento) {
+    const generacion = this.generacionMovimiento;
+    const estado = serializarAnalisis({
+      tablero: this.tablero,
+      analizador: this.analizadorCeldas,
+      generador: this.generador,
+      gestorMemoria: this.gestorMemoria,
+      estrategia: this.estrategia,
+      esPrimerMovimiento
+    });
+    
+    this.clienteAnalisis.analizar(estado).then(resultado => {
+      // Descartar el resultado si entretanto se deshizo o reinició la partida
+      if (generacion !== this.generacionMovimiento || !this.enCurso || this.esperandoRespuesta || this.juegoTerminado) {
+        return;
+      }
       
-      // Si son banderas, procesarlas y continuar con el siguiente movimiento
-      if (seleccion.tipo === 'banderas') {
-        this.procesarNuevasBanderas(seleccion.banderas, seleccion.razon);
-        
-        // Programar siguiente movimiento
-        setTimeout(() => {
-          this.realizarSiguienteMovimiento();
-        }, 1000);
+      try {
+        // Dejar el tablero, el analizador y el generador como si el cálculo se hubiera hecho aquí
+        resultado.probabilidades.forEach(({ fila, columna, probabilidades }) => {
+          const celda = this.tablero.obtenerCelda(fila, columna);
+          if (celda) celda.probabilidades = probabilidades;
+        });
+        this.analizadorCeldas.restaurarInstantanea(resultado.analizador);
+        this.generador.estado = resultado.generador;
         
-        return;
+        this.aplicarSeleccion(resultado.seleccion);
+      } catch (error) {
+        this.notificarErrorMovimiento(error);
       }
+    }, error => {
+      if (generacion !== this.generacionMovimiento) return;
       
-      // Seleccionar la celda
-      this.seleccionarCelda(seleccion.fila, seleccion.columna, seleccion.razon);
+      // Si el trabajador falla, repetir el cálculo en el hilo principal
+      console.warn("Error en el análisis en segundo plano, se calcula en el hilo principal:", error);
+      this.realizarMovimientoLocal(esPrimerMovimiento);
+    });
+  }
+  
+  /**
+   * Aplica la jugada elegida por la estrategia
+   * @param {Object} seleccion - Jugada {tipo, fila, columna, banderas, razon, explicacion}
+   */
+  aplicarSeleccion(seleccion) {
+    this.explicacion = seleccion.explicacion || null;
+    
+    // Si son banderas, procesarlas y continuar con el siguiente movimiento
+    if (seleccion.tipo === 'banderas') {
+      this.procesarNuevasBanderas(seleccion.banderas, seleccion.razon);
       
-    } catch (error) {
-      console.error("Error al realizar movimiento:", error);
+      // Programar siguiente movimiento
+      this.programarSiguienteMovimiento(1000);
+      
+      return;
+    }
+    
+    // Sin celdas que seleccionar: detenerse en lugar de reintentar sin fin
+    if (seleccion.tipo === 'error') {
       this.ultimaAccion = {
         tipo: 'error',
-        mensaje: 'Error al calcular el siguiente movimiento',
+        mensaje: seleccion.razon,
         celda: null
       };
-      this.actualizarEstado(this.obtenerEstadoActual());
+      this.notificar(ACCION);
+      return;
     }
+    
+    // Seleccionar la celda
+    this.seleccionarCelda(seleccion.fila, seleccion.columna, seleccion.razon, {
+      tipo: seleccion.tipo,
+      probabilidadMina: seleccion.probabilidadMina
+    });
+  }
+  
+  /**
+   * Informa de un error al calcular el movimiento
+   * @param {Error} error - Error producido
+   */
+  notificarErrorMovimiento(error) {
+    console.error("Error al realizar movimiento:", error);
+    this.ultimaAccion = {
+      tipo: 'error',
+      mensaje: 'Error al calcular el siguiente movimiento',
+      celda: null
+    };
+    this.notificar(ACCION);
   }
   
   /**
@@ -143,17 +395,16 @@ class Juego {
    * @param {number} fila - Fila de la celda
    * @param {number} columna - Columna de la celda
    * @param {string} razon - Razón de la selección
+   * @param {Object} detalle - Tipo de selección y probabilidad de mina estimada
    */
-  seleccionarCelda(fila, columna, razon) {
+  seleccionarCelda(fila, columna, razon, detalle = null) {
     // Verificar si la celda es válida
     const celda = this.tablero.obtenerCelda(fila, columna);
     if (!celda || celda.descubierta || celda.tieneBandera) {
       console.warn("Celda inválida o ya procesada:", fila, columna);
       
       // Intentar otro movimiento
-      setTimeout(() => {
-        this.realizarSiguienteMovimiento();
-      }, 500);
+      this.programarSiguienteMovimiento(500);
       
       return;
     }
@@ -162,18 +413,35 @@ class Juego {
     this.esperandoRespuesta = true;
     this.celdaActual = { fila, columna };
     
+    // Tras deshacer, solo se puede rehacer si se vuelve a preguntar por la misma celda
+    const siguienteRehacer = this.pilaRehacer[this.pilaRehacer.length - 1];
+    if (siguienteRehacer && (siguienteRehacer.fila !== fila || siguienteRehacer.columna !== columna)) {
+      this.pilaRehacer = [];
+    }
+    
     // Actualizar última acción
     this.ultimaAccion = {
       tipo: 'seleccion',
       mensaje: `He seleccionado la casilla (${fila+1},${columna+1}). ${razon}`,
-      celda: { fila, columna }
+      celda: { fila, columna },
+      seleccion: detalle
     };
     
+    this.registro?.registrarSeleccion(fila, columna, razon, detalle, this.ultimaAccion.mensaje);
+    
     // Incrementar contador de movimientos
     this.movimientosRealizados++;
     
     // Actualizar interfaz
-    this.actualizarEstado(this.obtenerEstadoActual());
+    this.notificar(TABLERO, ACCION);
+    this.emitirSuceso(CELDA_SELECCIONADA, {
+      fila,
+      columna,
+      razon,
+      tipo: detalle?.tipo ?? null,
+      probabilidadMina: detalle?.probabilidadMina ?? null,
+      movimiento: this.movimientosRealizados
+    });
   }
   
   /**
@@ -185,11 +453,10 @@ class Juego {
     if (!banderas || banderas.length === 0) return;
     
     // Colocar cada bandera en el tablero
-    banderas.forEach(bandera => {
+    const colocadas = banderas.filter(bandera => {
       const celda = this.tablero.obtenerCelda(bandera.fila, bandera.columna);
-      if (celda && !celda.descubierta && !celda.tieneBandera) {
+      return celda && !celda.descubierta && !celda.tieneBandera &&
         this.tablero.establecerBandera(bandera.fila, bandera.columna, true);
-      }
     });
     
     // Actualizar última acción
@@ -199,11 +466,14 @@ class Juego {
       banderas: banderas.map(b => ({ fila: b.fila, columna: b.columna }))
     };
     
+    this.registro?.registrarBanderas(colocadas, razon, this.ultimaAccion.mensaje);
+    this.emitirBanderasColocadas(colocadas, razon);
+    
     // Verificar victoria
     this.verificarVictoria();
     
     // Actualizar interfaz
-    this.actualizarEstado(this.obtenerEstadoActual());
+    this.notificar(TABLERO, ACCION);
   }
   
   /**
@@ -218,23 +488,66 @@ class Juego {
     
     const { fila, columna } = this.celdaActual;
     
+    // Validar la respuesta antes de aplicarla
+    const valorPropuesto = respuesta === 'mina' ? 'M' : (respuesta === 'vacío' ? '' : respuesta);
+    const contradiccion = this.motorProbabilidad.buscarContradiccion(fila, columna, valorPropuesto);
+    
+    if (contradiccion) {
+      // Registrar para detectar cambios de tablero y rechazar la respuesta
+      this.gestorMemoria.registrarContradiccion({
+        tipo: contradiccion.tipo,
+        fila,
+        columna,
+        respuesta,
+        celdas: contradiccion.celdas
+      });
+      
+      this.errorRespuesta = {
+        respuesta,
+        mensaje: contradiccion.mensaje,
+        celdas: contradiccion.celdas
+      };
+      
+      this.notificar(ACCION, ESTADISTICAS);
+      this.emitirSuceso(CONTRADICCION, {
+        fila,
+        columna,
+        respuesta,
+        tipo: contradiccion.tipo,
+        mensaje: contradiccion.mensaje,
+        celdas: contradiccion.celdas
+      });
+      return;
+    }
+    
+    this.errorRespuesta = null;
+    
+    // Guardar el punto previo para poder deshacer esta respuesta
+    this.registrarRespuestaEnHistorial(fila, columna, respuesta);
+    
     // Procesar respuesta
     if (respuesta === 'mina') {
       // Encontró una mina - Fin del juego (derrota)
       this.tablero.establecerValorCelda(fila, columna, 'M');
       
+      // Conservar la memoria previa para poder deshacer la derrota
+      this.memoriaAntesDelResultado = this.gestorMemoria.obtenerInstantanea();
+      
       // Registrar mina para aprendizaje
       this.gestorMemoria.registrarMinaEncontrada(fila, columna, this.tablero);
       
-      // Terminar juego
-      this.terminarJuego(false);
-      
       // Actualizar última acción
       this.ultimaAccion = {
         tipo: 'derrota',
         mensaje: `¡BOOM! He encontrado una mina en (${fila+1},${columna+1}).`,
         celda: { fila, columna }
       };
+      
+      this.registro?.registrarRespuesta(fila, columna, respuesta, this.ultimaAccion.mensaje);
+      this.emitirSuceso(RESPUESTA_RECIBIDA, { fila, columna, respuesta, movimiento: this.movimientosRealizados });
+      
+      // Terminar juego
+      this.terminarJuego(false);
     } else {
       // Valor numérico o vacío
       let valor = respuesta;
@@ -261,6 +574,9 @@ class Juego {
         valor: respuesta
       };
       
+      this.registro?.registrarRespuesta(fila, columna, respuesta, this.ultimaAccion.mensaje);
+      this.emitirSuceso(RESPUESTA_RECIBIDA, { fila, columna, respuesta, movimiento: this.movimientosRealizados });
+      
       // Verificar victoria
       this.verificarVictoria();
     }
@@ -270,16 +586,164 @@ class Juego {
     this.celdaActual = null;
     
     // Actualizar interfaz
-    this.actualizarEstado(this.obtenerEstadoActual());
+    this.notificar(TABLERO, ACCION);
     
     // Si el juego continúa, programar siguiente movimiento
     if (this.enCurso && !this.juegoTerminado) {
-      setTimeout(() => {
-        this.realizarSiguienteMovimiento();
-      }, 1500);
+      this.puntoDecision = this.crearInstantanea();
+      this.programarSiguienteMovimiento(1500);
     }
   }
   
+  /**
+   * Guarda en el historial la respuesta que se va a aplicar
+   * @param {number} fila - Fila de la celda
+   * @param {number} columna - Columna de la celda
+   * @param {string} respuesta - Respuesta del usuario
+   */
+  registrarRespuestaEnHistorial(fila, columna, respuesta) {
+    this.pilaDeshacer.push({
+      instantanea: this.puntoDecision,
+      fila,
+      columna,
+      respuesta
+    });
+    
+    // Repetir la respuesta deshecha conserva el resto de la pila de rehacer
+    const siguienteRehacer = this.pilaRehacer[this.pilaRehacer.length - 1];
+    if (siguienteRehacer &&
+        siguienteRehacer.fila === fila &&
+        siguienteRehacer.columna === columna &&
+        siguienteRehacer.respuesta === respuesta) {
+      this.pilaRehacer.pop();
+    } else {
+      this.pilaRehacer = [];
+    }
+  }
+  
+  /**
+   * Reinicia el historial de respuestas
+   */
+  reiniciarHistorialRespuestas() {
+    this.pilaDeshacer = [];
+    this.pilaRehacer = [];
+    this.puntoDecision = null;
+    this.memoriaAntesDelResultado = null;
+  }
+  
+  /**
+   * Marca el punto actual de la partida para volver a él al deshacer. Solo guarda
+   * longitudes: el registro y el historial del analizador solo crecen hasta que se
+   * deshace, y el tablero se reconstruye con los eventos del registro. Copiar el
+   * tablero en cada respuesta llenaba la memoria en los tableros grandes
+   * @returns {Object} - Instantánea del juego
+   */
+  crearInstantanea() {
+    return {
+      analizador: this.analizadorCeldas.obtenerMarca(),
+      generador: this.generador.estado,
+      eventosRegistro: this.registro.eventos.length,
+      movimientosRealizados: this.movimientosRealizados
+    };
+  }
+  
+  /**
+   * Vuelve al punto marcado en una instantánea
+   * @param {Object} instantanea - Instantánea obtenida con crearInstantanea
+   */
+  restaurarInstantanea(instantanea) {
+    this.registro.truncar(instantanea.eventosRegistro);
+    this.tablero.restaurarEstado(this.registro.obtenerEstadoTablero());
+    this.analizadorCeldas.restaurarMarca(instantanea.analizador);
+    this.generador.estado = instantanea.generador;
+    this.movimientosRealizados = instantanea.movimientosRealizados;
+  }
+  
+  /**
+   * Indica si hay alguna respuesta que se pueda deshacer
+   * @returns {boolean} - true si se puede deshacer
+   */
+  puedeDeshacer() {
+    return this.pilaDeshacer.length > 0 && (this.enCurso || this.juegoTerminado);
+  }
+  
+  /**
+   * Indica si se puede rehacer la última respuesta deshecha
+   * @returns {boolean} - true si el sistema vuelve a preguntar por la misma celda
+   */
+  puedeRehacer() {
+    const siguiente = this.pilaRehacer[this.pilaRehacer.length - 1];
+    return Boolean(siguiente && this.esperandoRespuesta && this.celdaActual &&
+      this.celdaActual.fila === siguiente.fila &&
+      this.celdaActual.columna === siguiente.columna);
+  }
+  
+  /**
+   * Deshace la última respuesta y vuelve a calcular la jugada desde ese punto
+   * @returns {boolean} - true si se deshizo alguna respuesta
+   */
+  deshacer() {
+    if (!this.puedeDeshacer()) return false;
+    
+    const entrada = this.pilaDeshacer.pop();
+    this.pilaRehacer.push(entrada);
+    
+    // Descartar el movimiento automático pendiente
+    this.cancelarMovimientoProgramado();
+    
+    // Si la partida había terminado, retirar su resultado de la memoria
+    if (this.memoriaAntesDelResultado) {
+      this.gestorMemoria.restaurarInstantanea(this.memoriaAntesDelResultado);
+      this.memoriaAntesDelResultado = null;
+    }
+    
+    // Volver al punto anterior a la respuesta
+    this.restaurarInstantanea(entrada.instantanea);
+    this.puntoDecision = entrada.instantanea;
+    
+    this.enCurso = true;
+    this.esperandoRespuesta = false;
+    this.juegoTerminado = false;
+    this.victoria = false;
+    this.celdaActual = null;
+    this.errorRespuesta = null;
+    this.explicacion = null;
+    
+    // Reanudar el temporizador si la partida se había detenido
+    if (!this.intervalTiempo) {
+      this.tiempoInicio = Date.now() - this.tiempoJuego * 1000;
+      this.iniciarTemporizador();
+    }
+    
+    this.ultimaAccion = {
+      tipo: 'deshacer',
+      mensaje: `Respuesta "${entrada.respuesta}" en (${entrada.fila+1},${entrada.columna+1}) deshecha. Recalculando...`,
+      celda: { fila: entrada.fila, columna: entrada.columna }
+    };
+    
+    // Actualizar interfaz
+    this.notificar(TABLERO, ACCION, ESTADISTICAS);
+    
+    // Repetir la decisión desde el punto restaurado
+    const esPrimerMovimiento = this.analizadorCeldas.obtenerHistorialMovimientos().length === 0;
+    this.programarSiguienteMovimiento(1000, esPrimerMovimiento);
+    
+    return true;
+  }
+  
+  /**
+   * Vuelve a aplicar la última respuesta deshecha
+   * @returns {boolean} - true si se rehízo la respuesta
+   */
+  rehacer() {
+    if (!this.puedeRehacer()) return false;
+    
+    const entrada = this.pilaRehacer[this.pilaRehacer.length - 1];
+    this.procesarRespuesta(entrada.respuesta);
+    
+    return true;
+  }
+  
   /**
    * Verifica si se ha alcanzado la victoria
    * @returns {boolean} - true si hay victoria
@@ -299,6 +763,21 @@ class Juego {
       return true;
     }
     
+    // Con el total de minas conocido, basta con haber revelado todas las celdas seguras
+    if (this.totalMinas !== null &&
+        this.tablero.contadorDescubiertas === this.tablero.obtenerTotalCeldas() - this.totalMinas) {
+      // Las celdas que quedan son todas minas: marcarlas
+      const pendientes = celdasSinRevolar.filter(celda => !celda.tieneBandera);
+      pendientes.forEach(celda => {
+        this.tablero.establecerBandera(celda.fila, celda.columna, true);
+      });
+      this.registro?.registrarBanderas(pendientes, 'Todas las celdas seguras están reveladas');
+      this.emitirBanderasColocadas(pendientes, 'Todas las celdas seguras están reveladas');
+      
+      this.terminarJuego(true);
+      return true;
+    }
+    
     return false;
   }
   
@@ -315,12 +794,21 @@ class Juego {
     this.juegoTerminado = true;
     this.victoria = victoria;
     
+    this.registro?.establecerResultado(victoria ? 'victoria' : 'derrota', this.movimientosRealizados, this.tiempoJuego);
+    
+    // Conservar la memoria previa para poder deshacer el resultado
+    if (!this.memoriaAntesDelResultado) {
+      this.memoriaAntesDelResultado = this.gestorMemoria.obtenerInstantanea();
+    }
+    
     // Registrar resultado en la memoria
     this.gestorMemoria.registrarResultadoPartida(
       victoria,
       this.analizadorCeldas.obtenerHistorialMovimientos(),
       this.tablero,
-      this.tiempoJuego
+      this.tiempoJuego,
+      this.registro,
+      this.patronesDecision
     );
     
     // Actualizar última acción si es victoria
@@ -333,7 +821,14 @@ class Juego {
     }
     
     // Actualizar interfaz
-    this.actualizarEstado(this.obtenerEstadoActual());
+    this.notificar(TABLERO, ACCION, ESTADISTICAS);
+    
+    const resultado = { movimientos: this.movimientosRealizados, tiempoJuego: this.tiempoJuego, semilla: this.semilla };
+    if (victoria) {
+      this.emitirSuceso(VICTORIA, resultado);
+    } else {
+      this.emitirSuceso(DERROTA, { celda: this.celdaActual && { ...this.celdaActual }, ...resultado });
+    }
   }
   
   /**
@@ -343,10 +838,13 @@ class Juego {
     // Detener si ya existe
     this.detenerTemporizador();
     
+    // Las simulaciones no llevan reloj
+    if (this.sincrono) return;
+    
     // Iniciar nuevo temporizador
     this.intervalTiempo = setInterval(() => {
       this.tiempoJuego = Math.floor((Date.now() - this.tiempoInicio) / 1000);
-      this.actualizarEstado(this.obtenerEstadoActual());
+      this.notificar(TICK);
     }, 1000);
   }
   
@@ -364,18 +862,21 @@ class Juego {
    * Reinicia el juego
    */
   reiniciarJuego() {
-    // Detener temporizador
+    // Detener temporizador y movimientos pendientes
     this.detenerTemporizador();
+    this.cancelarMovimientoProgramado();
     
     // Reiniciar componentes
-    this.tablero = new Tablero(this.filas, this.columnas);
+    this.tablero = new Tablero(this.filas, this.columnas, this.totalMinas, this.deshabilitadas, crearTopologia(this.topologia));
     this.gestorBanderas = new GestorBanderas(this.tablero);
     this.motorProbabilidad = new MotorProbabilidad(this.tablero);
     this.analizadorCeldas = new AnalizadorCeldas(
       this.tablero, 
       this.gestorBanderas, 
       this.motorProbabilidad,
-      this.gestorMemoria
+      this.gestorMemoria,
+      this.generador,
+      crearEstrategia(this.estrategia)
     );
     
     // Reiniciar estado
@@ -394,9 +895,13 @@ class Juego {
     };
     
     this.celdaActual = null;
+    this.errorRespuesta = null;
+    this.explicacion = null;
+    this.registro = null;
+    this.reiniciarHistorialRespuestas();
     
     // Actualizar interfaz
-    this.actualizarEstado(this.obtenerEstadoActual());
+    this.notificar(TICK, TABLERO, ACCION);
   }
   
   /**
@@ -412,28 +917,303 @@ class Juego {
     
     this.filas = filas;
     this.columnas = columnas;
+    this.deshabilitadas = [];
+    
+    // Descartar un total de minas que no cabe en el nuevo tablero
+    if (this.totalMinas !== null && this.totalMinas >= filas * columnas) {
+      this.totalMinas = null;
+    }
     
     // Reiniciar con nuevo tamaño
     this.reiniciarJuego();
   }
   
   /**
-   * Obtiene el estado actual del juego para la interfaz
+   * Establece el total de minas que el usuario ha colocado en su tablero
+   * @param {number|null} totalMinas - Número de minas o null si no se quiere indicar
+   * @returns {boolean} - true si se aceptó el valor
+   */
+  establecerTotalMinas(totalMinas) {
+    if (this.enCurso) {
+      // No permitir cambiar durante el juego
+      return false;
+    }
+    
+    if (totalMinas !== null &&
+        (!Number.isInteger(totalMinas) || totalMinas < 1 || totalMinas >= this.tablero.obtenerTotalCeldas())) {
+      return false;
+    }
+    
+    this.totalMinas = totalMinas;
+    this.tablero.totalMinas = totalMinas;
+    
+    // Actualizar interfaz
+    this.notificar(TABLERO, ACCION);
+    
+    return true;
+  }
+  
+  /**
+   * Establece los huecos del tablero: posiciones que no existen para el juego ni para el sistema
+   * @param {Array} deshabilitadas - Posiciones {fila, columna} deshabilitadas
+   * @returns {boolean} - true si se aceptó la máscara
+   */
+  establecerCeldasDeshabilitadas(deshabilitadas) {
+    if (this.enCurso) {
+      // No permitir cambiar durante el juego
+      return false;
+    }
+    
+    const dentro = deshabilitadas.every(({ fila, columna }) =>
+      Number.isInteger(fila) && Number.isInteger(columna) &&
+      fila >= 0 && fila < this.filas && columna >= 0 && columna < this.columnas);
+    const claves = new Set(deshabilitadas.map(({ fila, columna }) => `${fila},${columna}`));
+    const celdasRestantes = this.filas * this.columnas - claves.size;
+    
+    // Deben quedar al menos dos celdas y sitio para las minas declaradas
+    if (!dentro || celdasRestantes < 2 || (this.totalMinas !== null && this.totalMinas >= celdasRestantes)) {
+      return false;
+    }
+    
+    this.deshabilitadas = [...claves].map(clave => {
+      const [fila, columna] = clave.split(',').map(Number);
+      return { fila, columna };
+    });
+    
+    // Reiniciar con la nueva forma (actualiza la interfaz)
+    this.reiniciarJuego();
+    
+    return true;
+  }
+  
+  /**
+   * Habilita o deshabilita una posición del tablero (editor de huecos)
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @returns {boolean} - true si se aceptó el cambio
+   */
+  alternarCeldaDeshabilitada(fila, columna) {
+    const deshabilitada = this.tablero.estaDeshabilitada(fila, columna);
+    const deshabilitadas = deshabilitada
+      ? this.deshabilitadas.filter(p => p.fila !== fila || p.columna !== columna)
+      : [...this.deshabilitadas, { fila, columna }];
+    
+    return this.establecerCeldasDeshabilitadas(deshabilitadas);
+  }
+  
+  /**
+   * Cambia la forma de la cuadrícula (qué casillas son vecinas)
+   * @param {string} topologia - Identificador de la topología (ver CatalogoTopologias)
+   * @returns {boolean} - true si se aceptó el cambio
+   */
+  cambiarTopologia(topologia) {
+    if (this.enCurso || !esTopologiaValida(topologia)) {
+      // No permitir cambiar durante el juego
+      return false;
+    }
+    
+    this.topologia = topologia;
+    
+    // Reiniciar con la nueva vecindad (actualiza la interfaz)
+    this.reiniciarJuego();
+    
+    return true;
+  }
+  
+  /**
+   * Cambia la estrategia con la que el sistema decide sus jugadas
+   * @param {string} estrategia - Identificador de la estrategia (ver CatalogoEstrategias)
+   * @returns {boolean} - true si se aceptó el cambio
+   */
+  cambiarEstrategia(estrategia) {
+    if (this.enCurso || !esEstrategiaValida(estrategia)) {
+      // No permitir cambiar durante el juego
+      return false;
+    }
+    
+    this.estrategia = estrategia;
+    this.analizadorCeldas.establecerEstrategia(crearEstrategia(estrategia));
+    
+    // Actualizar interfaz
+    this.notificar(ACCION);
+    
+    return true;
+  }
+  
+  /**
+   * Exporta el registro completo de la partida actual
+   * @returns {string|null} - JSON del registro o null si no se ha iniciado ninguna partida
+   */
+  exportarPartida() {
+    if (!this.registro) return null;
+    
+    if (!this.juegoTerminado) {
+      this.registro.establecerResultado('en_curso', this.movimientosRealizados, this.tiempoJuego);
+    }
+    
+    return this.registro.aJSON();
+  }
+  
+  /**
+   * Obtiene un resumen de las partidas guardadas en la memoria
+   * @returns {Array} - Partidas {id, fecha, resultado, filas, columnas}, de la más reciente a la más antigua
+   */
+  obtenerPartidasGuardadas() {
+    return this.gestorMemoria.memoria.partidas
+      .map(partida => ({
+        id: partida.id,
+        fecha: partida.fecha,
+        resultado: partida.resultado,
+        filas: partida.tamañoTablero.filas,
+        columnas: partida.tamañoTablero.columnas
+      }))
+      .reverse();
+  }
+  
+  /**
+   * Obtiene el registro de una partida guardada en la memoria
+   * @param {number} id - Identificador de la partida
+   * @returns {RegistroPartida|null} - Registro o null si no existe
+   */
+  obtenerRegistroPartidaGuardada(id) {
+    const partida = this.gestorMemoria.memoria.partidas.find(p => p.id === id);
+    return partida ? RegistroPartida.desdePartidaGuardada(partida) : null;
+  }
+  
+  /**
+   * Obtiene una copia del registro de la partida actual
+   * @returns {RegistroPartida|null} - Registro o null si no se ha iniciado ninguna partida
+   */
+  obtenerRegistroActual() {
+    return this.registro ? RegistroPartida.importar(this.registro.exportar()) : null;
+  }
+  
+  /**
+   * Suscribe una función a un canal de avisos para la interfaz
+   * @param {string} canal - Canal (CANALES_JUEGO)
+   * @param {Function} manejador - Recibe el estado del canal (obtenerEstadoCanal) cada vez que cambia
+   * @returns {Function} - Función que cancela la suscripción
+   */
+  suscribir(canal, manejador) {
+    return this.eventos.suscribir(canal, manejador);
+  }
+  
+  /**
+   * Avisa de los canales cuyo estado ha cambiado. Solo se calcula el estado de los
+   * canales con suscriptores: el tic del reloj no recorre la memoria ni el tablero
+   * @param {...string} canales - Canales (CANALES_JUEGO) que han cambiado
+   */
+  notificar(...canales) {
+    canales.forEach(canal => {
+      if (this.eventos.tieneSuscriptores(canal)) {
+        this.eventos.emitir(canal, this.obtenerEstadoCanal(canal));
+      }
+    });
+    
+    if (this.actualizarEstado && canales.some(canal => canal !== TICK)) {
+      this.actualizarEstado(this.obtenerEstadoActual());
+    }
+  }
+  
+  /**
+   * Obtiene la parte del estado que corresponde a un canal
+   * @param {string} canal - Canal (CANALES_JUEGO)
+   * @returns {Object} - Estado del canal (un objeto nuevo en cada llamada)
+   */
+  obtenerEstadoCanal(canal) {
+    switch (canal) {
+      case TICK:
+        return { tiempoJuego: this.tiempoJuego };
+      case TABLERO:
+        return {
+          tablero: this.tablero,
+          celdaActual: this.celdaActual,
+          ultimaAccion: this.ultimaAccion,
+          explicacion: this.explicacion,
+          movimientosRealizados: this.movimientosRealizados,
+          minasRestantes: this.tablero.obtenerMinasRestantes()
+        };
+      case ACCION:
+        return {
+          enCurso: this.enCurso,
+          esperandoRespuesta: this.esperandoRespuesta,
+          juegoTerminado: this.juegoTerminado,
+          victoria: this.victoria,
+          totalMinas: this.totalMinas,
+          deshabilitadas: this.deshabilitadas,
+          topologia: this.topologia,
+          maximoVecinas: this.tablero.topologia.maximoVecinas,
+          semilla: this.semilla,
+          estrategia: this.estrategia,
+          ultimaAccion: this.ultimaAccion,
+          celdaActual: this.celdaActual,
+          errorRespuesta: this.errorRespuesta,
+          explicacion: this.explicacion,
+          puedeDeshacer: this.puedeDeshacer(),
+          puedeRehacer: this.puedeRehacer(),
+          puedeExportar: this.registro !== null
+        };
+      case ESTADISTICAS:
+        return {
+          partidasGuardadas: this.obtenerPartidasGuardadas(),
+          estadisticas: this.gestorMemoria.obtenerEstadisticas()
+        };
+      default:
+        throw new Error(`Canal desconocido: ${canal}`);
+    }
+  }
+  
+  /**
+   * Obtiene el estado completo del juego (todos los canales juntos)
    * @returns {Object} - Estado actual
    */
   obtenerEstadoActual() {
-    return {
-      tablero: this.tablero,
-      enCurso: this.enCurso,
-      esperandoRespuesta: this.esperandoRespuesta,
-      juegoTerminado: this.juegoTerminado,
-      victoria: this.victoria,
-      tiempoJuego: this.tiempoJuego,
-      movimientosRealizados: this.movimientosRealizados,
-      ultimaAccion: this.ultimaAccion,
-      celdaActual: this.celdaActual,
-      estadisticas: this.gestorMemoria.obtenerEstadisticas()
-    };
+    return Object.values(CANALES_JUEGO).reduce(
+      (estado, canal) => ({ ...estado, ...this.obtenerEstadoCanal(canal) }),
+      {}
+    );
+  }
+  
+  /**
+   * Escucha un suceso de la partida (registro, sonidos, analítica...)
+   * @param {string} evento - Suceso (EVENTOS_JUEGO)
+   * @param {Function} manejador - Recibe {evento, ...datos del suceso}
+   * @returns {Function} - Función que deja de escuchar
+   */
+  escuchar(evento, manejador) {
+    // Un manejador que falla no debe interrumpir la partida ni al resto de manejadores
+    return this.sucesos.suscribir(evento, datos => {
+      try {
+        manejador(datos);
+      } catch (error) {
+        console.error(`Error en un manejador del suceso ${evento}:`, error);
+      }
+    });
+  }
+  
+  /**
+   * Avisa de un suceso a quien lo escuche
+   * @param {string} evento - Suceso (EVENTOS_JUEGO)
+   * @param {Object} datos - Datos del suceso
+   */
+  emitirSuceso(evento, datos) {
+    if (this.sucesos.tieneSuscriptores(evento)) {
+      this.sucesos.emitir(evento, { evento, ...datos });
+    }
+  }
+  
+  /**
+   * Avisa de las banderas que se acaban de colocar, si hay alguna
+   * @param {Array} banderas - Celdas marcadas
+   * @param {string} razon - Razón de la colocación
+   */
+  emitirBanderasColocadas(banderas, razon) {
+    if (banderas.length === 0) return;
+    
+    this.emitirSuceso(BANDERAS_COLOCADAS, {
+      banderas: banderas.map(({ fila, columna }) => ({ fila, columna })),
+      razon
+    });
   }
   
   /**
@@ -446,12 +1226,21 @@ class Juego {
     return `${minutos.toString().padStart(2, '0')}:${segundos.toString().padStart(2, '0')}`;
   }
   
+  /**
+   * Libera los recursos del juego cuando deja de usarse: temporizadores y trabajador de análisis
+   */
+  liberar() {
+    this.detenerTemporizador();
+    this.cancelarMovimientoProgramado();
+    this.clienteAnalisis?.terminar();
+  }
+  
   /**
    * Reinicia la memoria del sistema
    */
   reiniciarMemoria() {
     this.gestorMemoria.reiniciarMemoria();
-    this.actualizarEstado(this.obtenerEstadoActual());
+    this.notificar(ESTADISTICAS);
   }
 }
 
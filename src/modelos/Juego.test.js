@@ -0,0 +1,417 @@
+import Juego from './Juego';
+import GestorMemoria from '../utilidades/GestorMemoria';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import Oraculo from '../simulacion/Oraculo';
+import { CANALES_JUEGO, EVENTOS_JUEGO } from '../constantes/ConfiguracionJuego';
+
+describe('Juego con suscripciones por canal', () => {
+  const crearJuego = (opciones = {}) => new Juego(9, 9, null, {
+    gestorMemoria: new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(4) }),
+    ...opciones
+  });
+
+  // Cuenta los avisos de cada canal
+  const escuchar = (juego) => {
+    const avisos = Object.fromEntries(Object.values(CANALES_JUEGO).map(canal => [canal, []]));
+    Object.values(CANALES_JUEGO).forEach(canal => juego.suscribir(canal, estado => avisos[canal].push(estado)));
+    return avisos;
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('el tic del reloj solo avisa al canal tick y no consulta la memoria', () => {
+    jest.useFakeTimers();
+    const juego = crearJuego();
+    const avisos = escuchar(juego);
+    const consultarMemoria = jest.spyOn(juego.gestorMemoria, 'obtenerEstadisticas');
+
+    juego.tiempoInicio = Date.now();
+    juego.iniciarTemporizador();
+    jest.advanceTimersByTime(3000);
+    juego.liberar();
+
+    expect(avisos.tick.map(estado => estado.tiempoJuego)).toEqual([1, 2, 3]);
+    expect(avisos.tablero).toHaveLength(0);
+    expect(avisos.accion).toHaveLength(0);
+    expect(avisos.estadisticas).toHaveLength(0);
+    expect(consultarMemoria).not.toHaveBeenCalled();
+  });
+
+  test('cada cambio avisa a los canales afectados', () => {
+    const juego = crearJuego({ sincrono: true });
+    const avisos = escuchar(juego);
+
+    juego.iniciarPartida(4);
+    juego.ejecutarMovimientoPendiente();
+    expect(avisos.tablero.at(-1).celdaActual).toEqual(juego.celdaActual);
+    expect(avisos.accion.at(-1).esperandoRespuesta).toBe(true);
+    expect(avisos.estadisticas).toHaveLength(0);
+
+    juego.procesarRespuesta('mina');
+    expect(avisos.accion.at(-1).juegoTerminado).toBe(true);
+    expect(avisos.estadisticas.at(-1).estadisticas.derrotas).toBe(1);
+  });
+
+  test('cancelar la suscripción deja de recibir avisos', () => {
+    const juego = crearJuego({ sincrono: true });
+    const avisos = [];
+    const cancelar = juego.suscribir(CANALES_JUEGO.ACCION, estado => avisos.push(estado));
+
+    juego.iniciarPartida(4);
+    cancelar();
+    juego.reiniciarJuego();
+
+    expect(avisos).toHaveLength(1);
+    expect(() => juego.suscribir('desconocido', () => {})).toThrow('Canal desconocido');
+  });
+});
+
+describe('Juego con sucesos para integraciones', () => {
+  const crearJuego = () => {
+    const juego = new Juego(9, 9, null, {
+      sincrono: true,
+      gestorMemoria: new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(7) })
+    });
+    juego.establecerTotalMinas(10);
+    return juego;
+  };
+
+  // Anota todos los sucesos en orden
+  const anotar = (juego) => {
+    const sucesos = [];
+    Object.values(EVENTOS_JUEGO).forEach(evento => juego.escuchar(evento, datos => sucesos.push(datos)));
+    return sucesos;
+  };
+
+  // Juega la partida respondiendo con el tablero del oráculo
+  const jugar = (juego, oraculo) => {
+    let turnos = 0;
+    while (!juego.juegoTerminado && turnos < 300) {
+      if (juego.esperandoRespuesta) {
+        juego.procesarRespuesta(oraculo.responder(juego.celdaActual.fila, juego.celdaActual.columna));
+      } else if (!juego.ejecutarMovimientoPendiente()) {
+        break;
+      }
+      turnos++;
+    }
+  };
+
+  test('una partida completa emite sus sucesos en orden y con datos estructurados', () => {
+    const juego = crearJuego();
+    const sucesos = anotar(juego);
+
+    juego.iniciarPartida(7);
+    jugar(juego, new Oraculo(9, 9, 10, 7));
+
+    const nombres = sucesos.map(s => s.evento);
+    expect(sucesos[0]).toEqual({
+      evento: 'partidaIniciada',
+      semilla: 7,
+      filas: 9,
+      columnas: 9,
+      totalMinas: 10,
+      deshabilitadas: [],
+      topologia: juego.topologia,
+      estrategia: juego.estrategia
+    });
+    expect(nombres[1]).toBe('celdaSeleccionada');
+
+    // Cada selección va seguida de su respuesta (salvo que la partida termine con banderas)
+    const selecciones = sucesos.filter(s => s.evento === 'celdaSeleccionada');
+    const respuestas = sucesos.filter(s => s.evento === 'respuestaRecibida');
+    expect(respuestas.map(({ fila, columna }) => ({ fila, columna })))
+      .toEqual(selecciones.slice(0, respuestas.length).map(({ fila, columna }) => ({ fila, columna })));
+    expect(selecciones.map(s => s.movimiento)).toEqual(selecciones.map((s, i) => i + 1));
+
+    sucesos.filter(s => s.evento === 'banderasColocadas').forEach(({ banderas }) => {
+      expect(banderas.length).toBeGreaterThan(0);
+      banderas.forEach(({ fila, columna }) => expect(juego.tablero.obtenerCelda(fila, columna).tieneBandera).toBe(true));
+    });
+
+    // Un único resultado, al final
+    const final = sucesos[sucesos.length - 1];
+    expect(nombres.filter(n => n === 'victoria' || n === 'derrota')).toEqual([final.evento]);
+    expect(final.evento).toBe(juego.victoria ? 'victoria' : 'derrota');
+    expect(final.movimientos).toBe(juego.movimientosRealizados);
+  });
+
+  test('una mina emite la respuesta y la derrota con la celda', () => {
+    const juego = crearJuego();
+    const sucesos = anotar(juego);
+
+    juego.iniciarPartida(7);
+    juego.ejecutarMovimientoPendiente();
+    const { fila, columna } = juego.celdaActual;
+    juego.procesarRespuesta('mina');
+
+    expect(sucesos.slice(-2)).toEqual([
+      { evento: 'respuestaRecibida', fila, columna, respuesta: 'mina', movimiento: 1 },
+      { evento: 'derrota', celda: { fila, columna }, movimientos: 1, tiempoJuego: 0, semilla: 7 }
+    ]);
+  });
+
+  test('una respuesta imposible emite la contradicción y no la respuesta', () => {
+    const juego = crearJuego();
+    juego.iniciarPartida(7);
+    juego.ejecutarMovimientoPendiente();
+    juego.procesarRespuesta('0');
+    juego.ejecutarMovimientoPendiente();
+
+    // Tras un 0 las vecinas no tienen minas
+    const sucesos = anotar(juego);
+    juego.procesarRespuesta('mina');
+
+    expect(sucesos).toHaveLength(1);
+    expect(sucesos[0]).toMatchObject({ evento: 'contradiccion', respuesta: 'mina', ...juego.celdaActual });
+    expect(typeof sucesos[0].mensaje).toBe('string');
+  });
+
+  test('un manejador que falla no interrumpe la partida ni a los demás', () => {
+    const juego = crearJuego();
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const recibidos = [];
+    juego.escuchar(EVENTOS_JUEGO.PARTIDA_INICIADA, () => { throw new Error('fallo'); });
+    const dejar = juego.escuchar(EVENTOS_JUEGO.PARTIDA_INICIADA, datos => recibidos.push(datos));
+
+    juego.iniciarPartida(7);
+    dejar();
+    juego.iniciarPartida(8);
+
+    expect(recibidos.map(d => d.semilla)).toEqual([7]);
+    expect(juego.enCurso).toBe(true);
+    expect(error).toHaveBeenCalled();
+    expect(() => juego.escuchar('desconocido', () => {})).toThrow('Canal desconocido');
+    error.mockRestore();
+  });
+});
+
+describe('Juego al deshacer', () => {
+  // Tablero de 5×5 con tres minas; el test hace de usuario y responde con él
+  const MINAS = ['1,3', '3,1', '3,3'];
+
+  const responder = (juego) => {
+    const { fila, columna } = juego.celdaActual;
+    if (MINAS.includes(`${fila},${columna}`)) {
+      juego.procesarRespuesta('mina');
+      return;
+    }
+    let vecinas = 0;
+    for (let df = -1; df <= 1; df++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if ((df || dc) && MINAS.includes(`${fila + df},${columna + dc}`)) vecinas++;
+      }
+    }
+    juego.procesarRespuesta(vecinas === 0 ? 'vacío' : String(vecinas));
+  };
+
+  // Deja pasar los movimientos automáticos hasta que el sistema pregunte o termine
+  const esperarPregunta = (juego) => {
+    for (let i = 0; i < 100 && !juego.esperandoRespuesta && !juego.juegoTerminado; i++) {
+      jest.advanceTimersByTime(1500);
+    }
+  };
+
+  const estadoTablero = (juego) => {
+    const { celdasReveladas, celdasConBandera } = juego.tablero.obtenerEstadoParaMemoria();
+    return { celdasReveladas, celdasConBandera, historial: juego.analizadorCeldas.obtenerHistorialMovimientos().length };
+  };
+
+  // Estadísticas de la memoria sin el tiempo, que sigue corriendo al repetir
+  const estadisticas = (juego) => {
+    const { tiempoTotal, ...resto } = juego.gestorMemoria.obtenerEstadisticas();
+    return resto;
+  };
+
+  let juego;
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.useFakeTimers();
+    // Sin azar, la misma posición lleva siempre a la misma jugada
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    juego = new Juego(5, 5);
+    juego.establecerTotalMinas(MINAS.length);
+    juego.iniciarPartida();
+  });
+
+  afterEach(() => {
+    juego.reiniciarJuego();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('vuelve al tablero de cada respuesta y rehace la respuesta deshecha', () => {
+    const estados = [estadoTablero(juego)];
+    for (let i = 0; i < 3; i++) {
+      esperarPregunta(juego);
+      responder(juego);
+      estados.push(estadoTablero(juego));
+    }
+    expect(juego.juegoTerminado).toBe(false);
+
+    expect(juego.deshacer()).toBe(true);
+    expect(estadoTablero(juego)).toEqual(estados[2]);
+    expect(juego.deshacer()).toBe(true);
+    expect(estadoTablero(juego)).toEqual(estados[1]);
+
+    // El sistema vuelve a preguntar por la misma casilla y se puede rehacer
+    esperarPregunta(juego);
+    expect(juego.puedeRehacer()).toBe(true);
+    expect(juego.rehacer()).toBe(true);
+    expect(estadoTablero(juego)).toEqual(estados[2]);
+  });
+
+  test('deshacer el final y volver a jugarlo no cuenta la partida dos veces', () => {
+    const jugarHastaElFinal = () => {
+      for (let i = 0; i < 30 && !juego.juegoTerminado; i++) {
+        esperarPregunta(juego);
+        if (juego.esperandoRespuesta) responder(juego);
+      }
+      expect(juego.juegoTerminado).toBe(true);
+    };
+
+    jugarHastaElFinal();
+    const estadisticasFinales = estadisticas(juego);
+    const partidasFinales = juego.gestorMemoria.memoria.partidas.length;
+    expect(estadisticasFinales.partidasJugadas).toBe(1);
+
+    expect(juego.deshacer()).toBe(true);
+    expect(estadisticas(juego).partidasJugadas).toBe(0);
+
+    jugarHastaElFinal();
+    expect(estadisticas(juego)).toEqual(estadisticasFinales);
+    expect(juego.gestorMemoria.memoria.partidas).toHaveLength(partidasFinales);
+  });
+});
+
+describe('Juego al deshacer una partida con semilla', () => {
+  const estadoTablero = (juego) => {
+    const { celdasReveladas, celdasConBandera } = juego.tablero.obtenerEstadoParaMemoria();
+    return { celdasReveladas, celdasConBandera, historial: juego.analizadorCeldas.obtenerHistorialMovimientos().length };
+  };
+
+  test('reconstruye el tablero de cada respuesta con el registro y repite las mismas jugadas', () => {
+    const juego = new Juego(9, 9, null, {
+      sincrono: true,
+      gestorMemoria: new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(4) })
+    });
+    const oraculo = new Oraculo(9, 9, 10, 4);
+    juego.establecerTotalMinas(10);
+    juego.iniciarPartida(4);
+
+    // Estado tras cada respuesta (el punto al que vuelve deshacer) y casillas elegidas
+    const estados = [estadoTablero(juego)];
+    const elegidas = [];
+    const responder = () => {
+      while (!juego.esperandoRespuesta) juego.ejecutarMovimientoPendiente();
+      elegidas.push({ ...juego.celdaActual });
+      juego.procesarRespuesta(oraculo.responder(juego.celdaActual.fila, juego.celdaActual.columna));
+      estados.push(estadoTablero(juego));
+    };
+    for (let i = 0; i < 6 && !juego.juegoTerminado; i++) responder();
+    expect(juego.juegoTerminado).toBe(false);
+
+    for (let i = 0; i < 3; i++) {
+      expect(juego.deshacer()).toBe(true);
+      expect(estadoTablero(juego)).toEqual(estados[estados.length - 2 - i]);
+    }
+
+    // Con las mismas respuestas, las mismas jugadas
+    const originales = elegidas.splice(3);
+    for (let i = 0; i < 3; i++) responder();
+    expect(elegidas.slice(3)).toEqual(originales);
+  });
+});
+
+describe('Juego repetido desde su semilla', () => {
+  // Juega una partida con el tablero del oráculo y devuelve las jugadas del sistema
+  const jugar = (gestorMemoria, semilla) => {
+    const juego = new Juego(9, 9, null, { sincrono: true, gestorMemoria });
+    const oraculo = new Oraculo(9, 9, 10, semilla);
+    const jugadas = [];
+    juego.escuchar(EVENTOS_JUEGO.CELDA_SELECCIONADA, ({ fila, columna }) => jugadas.push({ fila, columna }));
+    juego.escuchar(EVENTOS_JUEGO.BANDERAS_COLOCADAS, ({ banderas }) => jugadas.push({ banderas }));
+
+    juego.iniciarPartida(semilla);
+    let turnos = 0;
+    while (!juego.juegoTerminado && turnos < 300) {
+      if (juego.esperandoRespuesta) {
+        juego.procesarRespuesta(oraculo.responder(juego.celdaActual.fila, juego.celdaActual.columna));
+      } else if (!juego.ejecutarMovimientoPendiente()) {
+        break;
+      }
+      turnos++;
+    }
+    return jugadas;
+  };
+
+  test('repite las mismas jugadas aunque la memoria haya cambiado entretanto', () => {
+    const gestorMemoria = new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(1) });
+
+    const original = jugar(gestorMemoria, 1);
+
+    // Las partidas siguientes enseñan a la memoria un movimiento inicial que antes no conocía
+    for (let semilla = 2; semilla <= 12; semilla++) jugar(gestorMemoria, semilla);
+    expect(Object.keys(gestorMemoria.memoria.patrones.movimientosIniciales)).not.toHaveLength(0);
+
+    expect(jugar(gestorMemoria, 1)).toEqual(original);
+  });
+});
+
+describe('Juego al validar respuestas', () => {
+  const estadoTablero = (juego) => {
+    const { celdasReveladas, celdasConBandera } = juego.tablero.obtenerEstadoParaMemoria();
+    return { celdasReveladas, celdasConBandera };
+  };
+
+  // Responde vacía a la primera casilla y deja que el sistema elija una vecina, que no puede tener mina
+  const prepararJuego = () => {
+    const juego = new Juego(9, 9, null, {
+      sincrono: true,
+      gestorMemoria: new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(5) })
+    });
+    juego.iniciarPartida(5);
+    juego.ejecutarMovimientoPendiente();
+    const vacia = { ...juego.celdaActual };
+    juego.procesarRespuesta('vacío');
+    while (!juego.esperandoRespuesta) juego.ejecutarMovimientoPendiente();
+
+    const { fila, columna } = juego.celdaActual;
+    expect(Math.max(Math.abs(fila - vacia.fila), Math.abs(columna - vacia.columna))).toBe(1);
+    return { juego, vacia };
+  };
+
+  test('rechaza una mina junto a una casilla vacía sin cambiar el tablero', () => {
+    const { juego, vacia } = prepararJuego();
+    const celdaActual = { ...juego.celdaActual };
+    const antes = estadoTablero(juego);
+    const registrar = jest.spyOn(juego.gestorMemoria, 'registrarContradiccion');
+
+    juego.procesarRespuesta('mina');
+
+    expect(estadoTablero(juego)).toEqual(antes);
+    expect(juego.esperandoRespuesta).toBe(true);
+    expect(juego.celdaActual).toEqual(celdaActual);
+    expect(juego.juegoTerminado).toBe(false);
+    expect(juego.errorRespuesta.mensaje).toBe(`La casilla (${vacia.fila + 1},${vacia.columna + 1})=0 tiene ya 1 mina alrededor.`);
+    expect(juego.errorRespuesta.celdas).toEqual([{ ...vacia, valor: 0 }]);
+    expect(registrar).toHaveBeenCalledWith({
+      tipo: 'restriccion_imposible',
+      ...celdaActual,
+      respuesta: 'mina',
+      celdas: [{ ...vacia, valor: 0 }]
+    });
+  });
+
+  test('tras el rechazo acepta una respuesta válida', () => {
+    const { juego } = prepararJuego();
+    juego.procesarRespuesta('mina');
+    juego.procesarRespuesta('1');
+
+    expect(juego.errorRespuesta).toBeNull();
+    expect(juego.esperandoRespuesta).toBe(false);
+    expect(juego.movimientosRealizados).toBe(2);
+  });
+});
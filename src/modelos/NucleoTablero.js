@@ -0,0 +1,326 @@
+// Bits de NucleoTablero.estado
+export const HUECO = 1;
+export const DESCUBIERTA = 2;
+export const BANDERA = 4;
+
+// Códigos de NucleoTablero.valores: 0-8 son los números ('0'...'8')
+export const SIN_VALOR = -1;
+export const VALOR_MINA = 9;
+export const VALOR_VACIO = 10;
+
+// Orígenes de probabilidad y su fiabilidad, de más a menos fiable
+const JERARQUIA_ORIGENES = {
+  'revelada': 10,      // Celda revelada (certeza absoluta)
+  'bandera': 9,        // Celda con bandera (certeza alta)
+  'analisis100': 8,    // Análisis con 100% de certeza
+  'enumeracion': 8,    // Enumeración exacta de la frontera
+  'exterior': 8,       // Celda sin restricciones con total de minas conocido
+  'restricciones': 7,  // Análisis de restricciones
+  'patron': 6,         // Patrón reconocido (1-2-1, etc.)
+  'subconjunto': 5,    // Análisis de subconjuntos
+  'probabilidad': 4,   // Cálculo de probabilidad
+  'aproximado': 4,     // Frontera demasiado grande para enumerar
+  'densidad': 3,       // Densidad estimada sin total de minas
+  'memoria': 3,        // Basado en memoria histórica
+  'estrategia': 2,     // Estrategia general
+  'inicial': 1         // Valor inicial
+};
+
+// El origen de cada casilla se guarda como posición en esta lista; los que no
+// están en la jerarquía se añaden al final la primera vez que aparecen
+const ORIGENES = Object.keys(JERARQUIA_ORIGENES);
+const FIABILIDAD = ORIGENES.map(origen => JERARQUIA_ORIGENES[origen]);
+const ORIGEN_INICIAL = ORIGENES.indexOf('inicial');
+const ORIGEN_REVELADA = ORIGENES.indexOf('revelada');
+const ORIGEN_BANDERA = ORIGENES.indexOf('bandera');
+
+/**
+ * Obtiene el código de un origen de probabilidad
+ * @param {string} origen - Origen ('revelada', 'analisis100'...)
+ * @returns {number} - Posición del origen en la lista de orígenes
+ */
+export const codigoOrigen = (origen) => {
+  let codigo = ORIGENES.indexOf(origen);
+  if (codigo < 0) {
+    codigo = ORIGENES.push(origen) - 1;
+    FIABILIDAD.push(0);
+  }
+  return codigo;
+};
+
+/**
+ * Obtiene el origen de probabilidad de un código
+ * @param {number} codigo - Código obtenido con codigoOrigen
+ * @returns {string} - Origen
+ */
+export const nombreOrigen = (codigo) => ORIGENES[codigo];
+
+/**
+ * Clase NucleoTablero - Estado compacto del tablero en arrays tipados
+ *
+ * Cada posición del rectángulo filas × columnas tiene un índice (fila * columnas + columna)
+ * con el que se consultan el estado, el valor y el mapa de probabilidades sin crear
+ * objetos. Las vecinas se guardan en formato compacto: las de la casilla i son
+ * vecinas[inicioVecinas[i]] ... vecinas[inicioVecinas[i + 1] - 1], sin huecos.
+ * Las Celda del Tablero son vistas sobre este núcleo.
+ */
+class NucleoTablero {
+  /**
+   * Constructor del núcleo
+   * @param {number} filas - Número de filas
+   * @param {number} columnas - Número de columnas
+   * @param {Array} deshabilitadas - Posiciones {fila, columna} que no forman parte del tablero
+   * @param {Object} topologia - Vecindad de las casillas (ver CatalogoTopologias)
+   */
+  constructor(filas, columnas, deshabilitadas, topologia) {
+    this.filas = filas;
+    this.columnas = columnas;
+    this.total = filas * columnas;
+
+    // Estado y valor de cada casilla
+    this.estado = new Uint8Array(this.total);
+    this.valores = new Int8Array(this.total);
+    deshabilitadas.forEach(({ fila, columna }) => {
+      this.estado[fila * columnas + columna] = HUECO;
+    });
+
+    // Mapa mental del sistema: la probabilidad de ser segura es siempre 1 - probabilidadMina
+    this.probabilidadMina = new Float64Array(this.total);
+    this.confianza = new Float64Array(this.total);
+    this.origen = new Uint8Array(this.total);
+
+    // Restricciones numéricas que afectan a cada casilla (null si ninguna)
+    this.restricciones = new Array(this.total);
+
+    this.calcularVecindad(topologia);
+    this.calcularBordes(topologia);
+    this.reiniciar();
+  }
+
+  /**
+   * Devuelve todas las casillas a su estado inicial sin tocar la geometría
+   */
+  reiniciar() {
+    for (let i = 0; i < this.total; i++) {
+      this.estado[i] &= HUECO;
+    }
+    this.valores.fill(SIN_VALOR);
+    this.probabilidadMina.fill(0.5);
+    this.confianza.fill(0);
+    this.origen.fill(ORIGEN_INICIAL);
+    this.restricciones.fill(null);
+  }
+
+  /**
+   * Calcula las vecinas de cada casilla y la lista de casillas del tablero
+   * @param {Object} topologia - Vecindad de las casillas
+   */
+  calcularVecindad(topologia) {
+    const vecinas = [];
+    const indices = [];
+    this.inicioVecinas = new Int32Array(this.total + 1);
+
+    for (let i = 0; i < this.total; i++) {
+      this.inicioVecinas[i] = vecinas.length;
+      if (this.estado[i] & HUECO) continue;
+
+      indices.push(i);
+      topologia.obtenerVecinas(Math.floor(i / this.columnas), i % this.columnas, this.filas, this.columnas)
+        .forEach(({ fila, columna }) => {
+          const vecina = fila * this.columnas + columna;
+          if (!(this.estado[vecina] & HUECO)) vecinas.push(vecina);
+        });
+    }
+    this.inicioVecinas[this.total] = vecinas.length;
+
+    this.vecinas = Int32Array.from(vecinas);
+    this.indices = Int32Array.from(indices);
+  }
+
+  /**
+   * Marca esquinas y bordes y calcula la distancia de cada casilla al borde.
+   * Los huecos cuentan como el exterior: una casilla junto a un hueco es borde
+   * @param {Object} topologia - Vecindad de las casillas
+   */
+  calcularBordes(topologia) {
+    const existe = (fila, columna) => !(this.estado[fila * this.columnas + columna] & HUECO);
+    this.esquina = new Uint8Array(this.total);
+    this.borde = new Uint8Array(this.total);
+    this.distanciaBorde = new Float64Array(this.total).fill(Infinity);
+
+    const bordes = [];
+    this.indices.forEach(i => {
+      this.esquina[i] = topologia.esEsquina(Math.floor(i / this.columnas), i % this.columnas,
+        this.filas, this.columnas, existe) ? 1 : 0;
+
+      // Es borde si le falta alguna vecina
+      if (this.inicioVecinas[i + 1] - this.inicioVecinas[i] < topologia.maximoVecinas) {
+        this.borde[i] = 1;
+        this.distanciaBorde[i] = 0;
+        bordes.push(i);
+      }
+    });
+
+    // Recorrido en anchura desde los bordes (sin bordes, como en un toro sin huecos,
+    // todas las casillas quedan a distancia infinita)
+    for (let k = 0; k < bordes.length; k++) {
+      const i = bordes[k];
+      for (let v = this.inicioVecinas[i]; v < this.inicioVecinas[i + 1]; v++) {
+        const vecina = this.vecinas[v];
+        if (this.distanciaBorde[vecina] === Infinity) {
+          this.distanciaBorde[vecina] = this.distanciaBorde[i] + 1;
+          bordes.push(vecina);
+        }
+      }
+    }
+  }
+
+  /**
+   * Indica si una casilla está descubierta
+   * @param {number} i - Índice de la casilla
+   * @returns {boolean} - true si está descubierta
+   */
+  estaDescubierta(i) {
+    return (this.estado[i] & DESCUBIERTA) !== 0;
+  }
+
+  /**
+   * Indica si una casilla tiene bandera
+   * @param {number} i - Índice de la casilla
+   * @returns {boolean} - true si tiene bandera
+   */
+  tieneBandera(i) {
+    return (this.estado[i] & BANDERA) !== 0;
+  }
+
+  /**
+   * Indica si una casilla es desconocida: sin descubrir y sin bandera
+   * @param {number} i - Índice de la casilla
+   * @returns {boolean} - true si es desconocida
+   */
+  esDesconocida(i) {
+    return (this.estado[i] & (HUECO | DESCUBIERTA | BANDERA)) === 0;
+  }
+
+  /**
+   * Indica si una casilla está descubierta con un número ('0'...'8')
+   * @param {number} i - Índice de la casilla
+   * @returns {boolean} - true si tiene valor numérico
+   */
+  esNumerica(i) {
+    return (this.estado[i] & DESCUBIERTA) !== 0 && this.valores[i] >= 0 && this.valores[i] <= 8;
+  }
+
+  /**
+   * Obtiene el valor numérico de una casilla
+   * @param {number} i - Índice de la casilla
+   * @returns {number|null} - Número de minas vecinas (0 si está vacía) o null si no aplica
+   */
+  valorNumerico(i) {
+    const valor = this.valores[i];
+    if (valor === VALOR_VACIO) return 0;
+    if (valor >= 0 && valor <= 8 && (this.estado[i] & DESCUBIERTA) !== 0) return valor;
+    return null;
+  }
+
+  /**
+   * Cuenta las vecinas de una casilla que tienen algún bit de estado
+   * @param {number} i - Índice de la casilla
+   * @param {number} bits - Bits de estado (DESCUBIERTA, BANDERA)
+   * @returns {number} - Número de vecinas con alguno de los bits
+   */
+  contarVecinas(i, bits) {
+    let cuenta = 0;
+    for (let v = this.inicioVecinas[i]; v < this.inicioVecinas[i + 1]; v++) {
+      if (this.estado[this.vecinas[v]] & bits) cuenta++;
+    }
+    return cuenta;
+  }
+
+  /**
+   * Cuenta las vecinas desconocidas (sin descubrir y sin bandera) de una casilla
+   * @param {number} i - Índice de la casilla
+   * @returns {number} - Número de vecinas desconocidas
+   */
+  contarVecinasDesconocidas(i) {
+    let cuenta = 0;
+    for (let v = this.inicioVecinas[i]; v < this.inicioVecinas[i + 1]; v++) {
+      if (!(this.estado[this.vecinas[v]] & (DESCUBIERTA | BANDERA))) cuenta++;
+    }
+    return cuenta;
+  }
+
+  /**
+   * Descubre una casilla con su valor
+   * @param {number} i - Índice de la casilla
+   * @param {string} valor - Valor ('', '0', '1'...'8', 'M')
+   */
+  descubrir(i, valor) {
+    this.estado[i] |= DESCUBIERTA;
+    this.valores[i] = valor === 'M' ? VALOR_MINA : (valor === '' ? VALOR_VACIO : parseInt(valor));
+
+    this.probabilidadMina[i] = valor === 'M' ? 1 : 0;
+    this.confianza[i] = 1;
+    this.origen[i] = ORIGEN_REVELADA;
+  }
+
+  /**
+   * Coloca o quita una bandera
+   * @param {number} i - Índice de la casilla
+   * @param {boolean} tieneBandera - Si debe tener bandera o no
+   */
+  marcarBandera(i, tieneBandera) {
+    if (tieneBandera) {
+      this.estado[i] |= BANDERA;
+      this.probabilidadMina[i] = 1;
+      this.confianza[i] = 1;
+      this.origen[i] = ORIGEN_BANDERA;
+    } else {
+      this.estado[i] &= ~BANDERA;
+    }
+  }
+
+  /**
+   * Obtiene el valor de una casilla como texto
+   * @param {number} i - Índice de la casilla
+   * @returns {string|null} - Valor ('', '0', '1'...'8', 'M') o null si no se ha descubierto
+   */
+  textoValor(i) {
+    const valor = this.valores[i];
+    if (valor === SIN_VALOR) return null;
+    if (valor === VALOR_MINA) return 'M';
+    if (valor === VALOR_VACIO) return '';
+    return String(valor);
+  }
+
+  /**
+   * Actualiza la probabilidad de una casilla si la nueva confianza es mayor,
+   * o igual pero de un origen más fiable
+   * @param {number} i - Índice de la casilla
+   * @param {number} probMina - Probabilidad de mina (0-1)
+   * @param {number} confianza - Nivel de confianza (0-1)
+   * @param {string} origen - Origen del cálculo
+   */
+  actualizarProbabilidad(i, probMina, confianza, origen) {
+    const codigo = codigoOrigen(origen);
+    if (confianza > this.confianza[i] ||
+       (confianza === this.confianza[i] && FIABILIDAD[codigo] > FIABILIDAD[this.origen[i]])) {
+      this.establecerProbabilidad(i, probMina, confianza, origen);
+    }
+  }
+
+  /**
+   * Sustituye la probabilidad de una casilla sin comparar con la anterior
+   * @param {number} i - Índice de la casilla
+   * @param {number} probMina - Probabilidad de mina (0-1)
+   * @param {number} confianza - Nivel de confianza (0-1)
+   * @param {string} origen - Origen del cálculo
+   */
+  establecerProbabilidad(i, probMina, confianza, origen) {
+    this.probabilidadMina[i] = probMina;
+    this.confianza[i] = confianza;
+    this.origen[i] = codigoOrigen(origen);
+  }
+}
+
+export default NucleoTablero;
@@ -1,4 +1,6 @@
 import Celda from './Celda';
+import NucleoTablero, { HUECO, DESCUBIERTA, BANDERA } from './NucleoTablero';
+import TopologiaCuadrada from './topologias/TopologiaCuadrada';
 
 /**
  * Clase Tablero - Representa el tablero completo del juego de Buscaminas
@@ -8,10 +10,26 @@ class Tablero {
    * Constructor del tablero
    * @param {number} filas - Número de filas
    * @param {number} columnas - Número de columnas
+   * @param {number|null} totalMinas - Total de minas declarado (null si se desconoce)
+   * @param {Array} deshabilitadas - Posiciones {fila, columna} que no forman parte del tablero (huecos)
+   * @param {Object} topologia - Vecindad de las casillas (ver CatalogoTopologias)
    */
-  constructor(filas, columnas) {
+  constructor(filas, columnas, totalMinas = null, deshabilitadas = [], topologia = new TopologiaCuadrada()) {
     this.filas = filas;
     this.columnas = columnas;
+    this.totalMinas = totalMinas;
+    this.deshabilitadas = new Set(deshabilitadas.map(({ fila, columna }) => `${fila},${columna}`));
+    this.topologia = topologia;
+    
+    // Estado de todas las casillas en arrays tipados; las Celda son vistas sobre él
+    this.nucleo = new NucleoTablero(filas, columnas, deshabilitadas, topologia);
+    
+    // Posiciones y celdas vecinas de cada casilla, calculadas la primera vez que se piden
+    this.posicionesVecinas = new Array(filas * columnas);
+    this.celdasVecinas = new Array(filas * columnas);
+    
+    // Listas de celdas de las consultas, válidas mientras no cambie la versión
+    this.consultas = {};
     this.celdas = this.inicializarTablero();
     this.contadorDescubiertas = 0;
     this.contadorBanderas = 0;
@@ -22,61 +40,96 @@ class Tablero {
       columna: null,
       valor: null
     };
+    
+    // Registro de cambios: las restricciones y los análisis que guardan resultados
+    // los usan para recalcular solo alrededor de las casillas modificadas
+    this.version = 0;
+    this.versionReinicio = 0;
+    this.cambios = [];
+    this.versionRestricciones = -1;
   }
 
   /**
-   * Inicializa el tablero con celdas vacías
-   * @returns {Array} - Matriz 2D de celdas
+   * Crea una celda (vista sobre el núcleo) por cada posición que forma parte del tablero
+   * @returns {Array} - Matriz 2D de celdas (null en las posiciones deshabilitadas)
    */
   inicializarTablero() {
     const tablero = [];
+    this.listaCeldas = [];
+    this.vistas = new Array(this.nucleo.total).fill(null);
     for (let fila = 0; fila < this.filas; fila++) {
       const filaCeldas = [];
       for (let columna = 0; columna < this.columnas; columna++) {
-        filaCeldas.push(new Celda(fila, columna));
+        const indice = fila * this.columnas + columna;
+        const celda = this.nucleo.estado[indice] & HUECO ? null : new Celda(this.nucleo, indice);
+        filaCeldas.push(celda);
+        this.vistas[indice] = celda;
+        if (celda) this.listaCeldas.push(celda);
       }
       tablero.push(filaCeldas);
     }
     
-    // Marcar celdas especiales (esquinas y bordes)
-    this.marcarCeldasEspeciales(tablero);
-    
     return tablero;
   }
 
   /**
-   * Marca celdas especiales (esquinas y bordes) para análisis
-   * @param {Array} tablero - Matriz de celdas
+   * Obtiene las posiciones vecinas de una casilla según la topología, sin huecos
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @returns {Array} - Posiciones {fila, columna}
    */
-  marcarCeldasEspeciales(tablero) {
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = tablero[fila][columna];
-        
-        // Determinar si es esquina
-        celda.esEsquina = (fila === 0 || fila === this.filas - 1) && 
-                          (columna === 0 || columna === this.columnas - 1);
-        
-        // Determinar si es borde
-        celda.esBorde = fila === 0 || fila === this.filas - 1 || 
-                        columna === 0 || columna === this.columnas - 1;
-        
-        // Calcular distancia al borde más cercano
-        celda.distanciaBorde = Math.min(
-          fila,                    // Distancia al borde superior
-          this.filas - 1 - fila,   // Distancia al borde inferior
-          columna,                 // Distancia al borde izquierdo
-          this.columnas - 1 - columna // Distancia al borde derecho
-        );
-      }
+  obtenerPosicionesVecinas(fila, columna) {
+    // Las posiciones fuera del rectángulo no están en el núcleo
+    if (fila < 0 || fila >= this.filas || columna < 0 || columna >= this.columnas) {
+      return this.topologia.obtenerVecinas(fila, columna, this.filas, this.columnas)
+        .filter(p => !this.estaDeshabilitada(p.fila, p.columna));
     }
+    
+    const indice = fila * this.columnas + columna;
+    if (!this.posicionesVecinas[indice]) {
+      const { inicioVecinas, vecinas } = this.nucleo;
+      this.posicionesVecinas[indice] = Array.from(vecinas.subarray(inicioVecinas[indice], inicioVecinas[indice + 1]),
+        vecina => ({ fila: Math.floor(vecina / this.columnas), columna: vecina % this.columnas }));
+    }
+    return this.posicionesVecinas[indice];
+  }
+
+  /**
+   * Indica si una posición del rectángulo está deshabilitada (es un hueco)
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @returns {boolean} - true si la posición no forma parte del tablero
+   */
+  estaDeshabilitada(fila, columna) {
+    if (fila < 0 || fila >= this.filas || columna < 0 || columna >= this.columnas) return false;
+    return (this.nucleo.estado[fila * this.columnas + columna] & HUECO) !== 0;
+  }
+
+  /**
+   * Obtiene las posiciones deshabilitadas
+   * @returns {Array} - Posiciones {fila, columna} de los huecos
+   */
+  obtenerCeldasDeshabilitadas() {
+    return [...this.deshabilitadas].map(clave => {
+      const [fila, columna] = clave.split(',').map(Number);
+      return { fila, columna };
+    });
+  }
+
+  /**
+   * Obtiene todas las celdas que forman parte del tablero
+   * @returns {Array} - Array de objetos Celda, por filas
+   */
+  obtenerCeldas() {
+    return this.listaCeldas;
   }
 
   /**
    * Reinicia el tablero a su estado inicial
    */
   reiniciar() {
-    this.celdas = this.inicializarTablero();
+    // Las celdas son vistas: siguen siendo las mismas, con el núcleo vacío
+    this.nucleo.reiniciar();
     this.contadorDescubiertas = 0;
     this.contadorBanderas = 0;
     this.restriccionesActualizadas = false;
@@ -86,13 +139,60 @@ class Tablero {
       columna: null,
       valor: null
     };
+    
+    // Los cambios anteriores ya no sirven para actualizar nada
+    this.versionReinicio = ++this.version;
+    this.cambios = [];
+  }
+
+  /**
+   * Anota un cambio en una casilla
+   * @param {string} tipo - 'descubierta' o 'bandera'
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @param {string|boolean} valor - Valor revelado o estado de la bandera
+   */
+  registrarCambio(tipo, fila, columna, valor) {
+    this.ultimoCambio = { tipo, fila, columna, valor };
+    this.cambios.push({ fila, columna });
+    this.version++;
+    
+    // Indicar que hay que actualizar restricciones
+    this.restriccionesActualizadas = false;
+  }
+
+  /**
+   * Obtiene las casillas modificadas después de una versión del tablero
+   * @param {number} version - Versión (valor de this.version) de la que se parte
+   * @returns {Array|null} - Posiciones {fila, columna}, o null si el tablero se reinició desde entonces
+   */
+  obtenerCambiosDesde(version) {
+    if (version < this.versionReinicio) return null;
+    return this.cambios.slice(version - this.versionReinicio);
+  }
+
+  /**
+   * Obtiene el número total de celdas del tablero
+   * @returns {number} - Total de celdas
+   */
+  obtenerTotalCeldas() {
+    return this.filas * this.columnas - this.deshabilitadas.size;
+  }
+
+  /**
+   * Obtiene las minas que quedan por marcar con bandera
+   * @returns {number|null} - Minas restantes o null si no se conoce el total
+   */
+  obtenerMinasRestantes() {
+    if (this.totalMinas === null) return null;
+    return this.totalMinas - this.contadorBanderas;
   }
 
   /**
    * Obtiene una celda específica
    * @param {number} fila - Fila
    * @param {number} columna - Columna
-   * @returns {Celda|null} - La celda o null si está fuera de límites
+   * @returns {Celda|null} - La celda o null si está fuera de límites o deshabilitada
    */
   obtenerCelda(fila, columna) {
     if (this.esPosicionValida(fila, columna)) {
@@ -102,13 +202,23 @@ class Tablero {
   }
 
   /**
-   * Verifica si una posición está dentro de los límites del tablero
+   * Obtiene la celda de un índice del núcleo (fila * columnas + columna)
+   * @param {number} indice - Índice de la posición
+   * @returns {Celda|null} - La celda o null si es un hueco
+   */
+  obtenerCeldaPorIndice(indice) {
+    return this.vistas[indice];
+  }
+
+  /**
+   * Verifica si una posición está dentro de los límites del tablero y no es un hueco
    * @param {number} fila - Fila
    * @param {number} columna - Columna
    * @returns {boolean} - true si la posición es válida
    */
   esPosicionValida(fila, columna) {
-    return fila >= 0 && fila < this.filas && columna >= 0 && columna < this.columnas;
+    return fila >= 0 && fila < this.filas && columna >= 0 && columna < this.columnas &&
+      !this.estaDeshabilitada(fila, columna);
   }
 
   /**
@@ -123,17 +233,7 @@ class Tablero {
     if (celda && !celda.descubierta) {
       celda.establecerValor(valor);
       this.contadorDescubiertas++;
-      
-      // Registrar el cambio
-      this.ultimoCambio = {
-        tipo: 'descubierta',
-        fila,
-        columna,
-        valor
-      };
-      
-      // Indicar que hay que actualizar restricciones
-      this.restriccionesActualizadas = false;
+      this.registrarCambio('descubierta', fila, columna, valor);
       
       return true;
     }
@@ -154,17 +254,7 @@ class Tablero {
       if (celda.tieneBandera !== tieneBandera) {
         celda.establecerBandera(tieneBandera);
         this.contadorBanderas += tieneBandera ? 1 : -1;
-        
-        // Registrar el cambio
-        this.ultimoCambio = {
-          tipo: 'bandera',
-          fila,
-          columna,
-          valor: tieneBandera
-        };
-        
-        // Indicar que hay que actualizar restricciones
-        this.restriccionesActualizadas = false;
+        this.registrarCambio('bandera', fila, columna, tieneBandera);
         
         return true;
       }
@@ -173,98 +263,130 @@ class Tablero {
   }
 
   /**
-   * Obtiene todas las celdas adyacentes a una posición
+   * Obtiene todas las celdas adyacentes a una posición según la topología del tablero
    * @param {number} fila - Fila
    * @param {number} columna - Columna
    * @returns {Array} - Array de objetos Celda adyacentes
    */
   obtenerCeldasAdyacentes(fila, columna) {
-    const celdasAdyacentes = [];
-    
-    for (let i = -1; i <= 1; i++) {
-      for (let j = -1; j <= 1; j++) {
-        // Saltar la celda central
-        if (i === 0 && j === 0) continue;
-        
-        const nuevaFila = fila + i;
-        const nuevaColumna = columna + j;
-        
-        const celda = this.obtenerCelda(nuevaFila, nuevaColumna);
-        if (celda) {
-          celdasAdyacentes.push(celda);
-        }
-      }
+    if (fila < 0 || fila >= this.filas || columna < 0 || columna >= this.columnas) {
+      return this.obtenerPosicionesVecinas(fila, columna).map(p => this.celdas[p.fila][p.columna]);
     }
     
-    return celdasAdyacentes;
+    // La misma lista en cada consulta: quien la recibe no debe modificarla
+    const indice = fila * this.columnas + columna;
+    if (!this.celdasVecinas[indice]) {
+      const { inicioVecinas, vecinas } = this.nucleo;
+      this.celdasVecinas[indice] = Array.from(vecinas.subarray(inicioVecinas[indice], inicioVecinas[indice + 1]),
+        vecina => this.vistas[vecina]);
+    }
+    return this.celdasVecinas[indice];
   }
 
   /**
-   * Actualiza las restricciones numéricas en todo el tablero
+   * Actualiza las restricciones numéricas del tablero. La primera vez (o tras reiniciar)
+   * las calcula todas; después solo las de las casillas numéricas junto a las modificadas
    */
   actualizarRestricciones() {
     // Si ya están actualizadas, no hacer nada
     if (this.restriccionesActualizadas) return;
     
-    // Limpiar todas las restricciones existentes
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        this.celdas[fila][columna].restricciones = [];
-      }
-    }
+    const cambios = this.obtenerCambiosDesde(this.versionRestricciones);
     
-    // Recalcular restricciones basadas en celdas numéricas
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        
-        // Si es una celda numérica revelada
-        if (celda.tieneValorNumerico()) {
-          const valor = celda.obtenerValorNumerico();
-          const celdasAdyacentes = this.obtenerCeldasAdyacentes(fila, columna);
-          
-          // Celdas sin revelar que están afectadas por esta restricción
-          const celdasSinRevolar = celdasAdyacentes.filter(c => !c.descubierta);
-          
-          // Si hay celdas sin revelar, crear restricción
-          if (celdasSinRevolar.length > 0) {
-            // Contar banderas ya colocadas
-            const banderasColocadas = celdasAdyacentes.filter(c => c.tieneBandera).length;
-            const minasRestantes = valor - banderasColocadas;
-            
-            // Agregar restricción a cada celda afectada
-            celdasSinRevolar.forEach(celdaAfectada => {
-              celdaAfectada.agregarRestriccion({
-                celdaOrigen: { fila, columna },
-                valor: valor,
-                banderasColocadas: banderasColocadas,
-                minasRestantes: minasRestantes,
-                celdasAfectadas: celdasSinRevolar.map(c => ({ fila: c.fila, columna: c.columna }))
-              });
-            });
-          }
-        }
-      }
+    if (cambios === null) {
+      // Limpiar todas las restricciones existentes y recalcularlas
+      this.listaCeldas.forEach(celda => {
+        celda.restricciones = [];
+      });
+      this.listaCeldas.forEach(celda => this.agregarRestriccionesDe(celda));
+    } else {
+      // Casillas numéricas cuya restricción depende de alguna casilla modificada
+      const origenes = new Set();
+      cambios.forEach(({ fila, columna }) => {
+        [this.celdas[fila][columna], ...this.obtenerCeldasAdyacentes(fila, columna)].forEach(celda => {
+          if (celda.tieneValorNumerico()) origenes.add(celda);
+        });
+      });
+      
+      // Retirar su restricción anterior de las vecinas y volver a calcularla
+      const afectadas = new Set();
+      origenes.forEach(origen => {
+        this.obtenerCeldasAdyacentes(origen.fila, origen.columna).forEach(celda => {
+          celda.restricciones = celda.restricciones.filter(r =>
+            r.celdaOrigen.fila !== origen.fila || r.celdaOrigen.columna !== origen.columna);
+          afectadas.add(celda);
+        });
+      });
+      origenes.forEach(origen => this.agregarRestriccionesDe(origen));
+      
+      // Mismo orden que al calcularlas todas: por posición de la casilla de origen
+      const indice = ({ fila, columna }) => fila * this.columnas + columna;
+      afectadas.forEach(celda => {
+        celda.restricciones.sort((a, b) => indice(a.celdaOrigen) - indice(b.celdaOrigen));
+      });
     }
     
+    this.versionRestricciones = this.version;
     this.restriccionesActualizadas = true;
   }
 
+  /**
+   * Añade la restricción de una celda numérica a sus vecinas sin revelar
+   * @param {Celda} celda - Celda del tablero (las que no son numéricas no imponen restricción)
+   */
+  agregarRestriccionesDe(celda) {
+    if (!celda.tieneValorNumerico()) return;
+    
+    const { fila, columna } = celda;
+    const valor = celda.obtenerValorNumerico();
+    const celdasAdyacentes = this.obtenerCeldasAdyacentes(fila, columna);
+    
+    // Celdas sin revelar que están afectadas por esta restricción
+    const celdasSinRevolar = celdasAdyacentes.filter(c => !c.descubierta);
+    if (celdasSinRevolar.length === 0) return;
+    
+    // Contar banderas ya colocadas
+    const banderasColocadas = this.nucleo.contarVecinas(celda.indice, BANDERA);
+    
+    // La misma restricción para cada celda afectada: nadie la modifica
+    const restriccion = {
+      celdaOrigen: { fila, columna },
+      valor: valor,
+      banderasColocadas: banderasColocadas,
+      minasRestantes: valor - banderasColocadas,
+      celdasAfectadas: celdasSinRevolar.map(c => ({ fila: c.fila, columna: c.columna }))
+    };
+    celdasSinRevolar.forEach(celdaAfectada => celdaAfectada.agregarRestriccion(restriccion));
+  }
+
+  /**
+   * Recorre los índices del núcleo y devuelve las celdas que cumplen una condición.
+   * La lista se guarda hasta que cambia el tablero, así que quien la recibe no debe modificarla
+   * @param {string} clave - Nombre de la consulta
+   * @param {Function} condicion - (indice) => true si la celda entra en la lista
+   * @returns {Array} - Celdas por filas
+   */
+  filtrarCeldas(clave, condicion) {
+    const guardada = this.consultas[clave];
+    if (guardada && guardada.version === this.version) return guardada.celdas;
+    
+    const celdas = [];
+    const { indices } = this.nucleo;
+    for (let k = 0; k < indices.length; k++) {
+      if (condicion(indices[k])) celdas.push(this.vistas[indices[k]]);
+    }
+    
+    this.consultas[clave] = { version: this.version, celdas };
+    return celdas;
+  }
+
   /**
    * Obtiene todas las celdas sin revelar
    * @returns {Array} - Array de objetos Celda sin revelar
    */
   obtenerCeldasSinRevolar() {
-    const celdasSinRevolar = [];
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        if (!celda.descubierta) {
-          celdasSinRevolar.push(celda);
-        }
-      }
-    }
-    return celdasSinRevolar;
+    const { estado } = this.nucleo;
+    return this.filtrarCeldas('sinRevelar', i => !(estado[i] & DESCUBIERTA));
   }
 
   /**
@@ -272,16 +394,8 @@ class Tablero {
    * @returns {Array} - Array de objetos Celda con banderas
    */
   obtenerCeldasConBandera() {
-    const celdasConBandera = [];
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        if (celda.tieneBandera) {
-          celdasConBandera.push(celda);
-        }
-      }
-    }
-    return celdasConBandera;
+    const { estado } = this.nucleo;
+    return this.filtrarCeldas('conBandera', i => (estado[i] & BANDERA) !== 0);
   }
 
   /**
@@ -289,16 +403,8 @@ class Tablero {
    * @returns {Array} - Array de objetos Celda revelados
    */
   obtenerCeldasReveladas() {
-    const celdasReveladas = [];
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        if (celda.descubierta) {
-          celdasReveladas.push(celda);
-        }
-      }
-    }
-    return celdasReveladas;
+    const { estado } = this.nucleo;
+    return this.filtrarCeldas('reveladas', i => (estado[i] & DESCUBIERTA) !== 0);
   }
 
   /**
@@ -306,16 +412,7 @@ class Tablero {
    * @returns {Array} - Array de objetos Celda con valores numéricos
    */
   obtenerCeldasNumericas() {
-    const celdasNumericas = [];
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        if (celda.tieneValorNumerico()) {
-          celdasNumericas.push(celda);
-        }
-      }
-    }
-    return celdasNumericas;
+    return this.filtrarCeldas('numericas', i => this.nucleo.esNumerica(i));
   }
 
   /**
@@ -323,16 +420,15 @@ class Tablero {
    * @returns {Array} - Array de celdas con 100% de certeza de tener mina
    */
   obtenerCeldasConCertezaDeMina() {
-    const celdasConMina = [];
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        if (!celda.descubierta && !celda.tieneBandera && celda.es100PorCientoMina()) {
-          celdasConMina.push(celda);
-        }
+    const { indices, probabilidadMina, confianza } = this.nucleo;
+    const celdas = [];
+    for (let k = 0; k < indices.length; k++) {
+      const i = indices[k];
+      if (this.nucleo.esDesconocida(i) && probabilidadMina[i] === 1 && confianza[i] === 1) {
+        celdas.push(this.vistas[i]);
       }
     }
-    return celdasConMina;
+    return celdas;
   }
 
   /**
@@ -340,16 +436,15 @@ class Tablero {
    * @returns {Array} - Array de celdas con 100% de certeza de ser seguras
    */
   obtenerCeldasConCertezaDeSeguridad() {
-    const celdasSeguras = [];
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        if (!celda.descubierta && !celda.tieneBandera && celda.es100PorCientoSegura()) {
-          celdasSeguras.push(celda);
-        }
+    const { indices, probabilidadMina, confianza } = this.nucleo;
+    const celdas = [];
+    for (let k = 0; k < indices.length; k++) {
+      const i = indices[k];
+      if (this.nucleo.esDesconocida(i) && 1 - probabilidadMina[i] === 1 && confianza[i] === 1) {
+        celdas.push(this.vistas[i]);
       }
     }
-    return celdasSeguras;
+    return celdas;
   }
 
   /**
@@ -360,7 +455,8 @@ class Tablero {
     for (let fila = 0; fila < this.filas; fila++) {
       let filaString = '';
       for (let columna = 0; columna < this.columnas; columna++) {
-        filaString += this.celdas[fila][columna].toString() + ' ';
+        const celda = this.celdas[fila][columna];
+        filaString += (celda ? celda.toString() : '#') + ' ';
       }
       output += filaString + '\n';
     }
@@ -375,6 +471,7 @@ class Tablero {
     const estado = {
       filas: this.filas,
       columnas: this.columnas,
+      totalMinas: this.totalMinas,
       contadorDescubiertas: this.contadorDescubiertas,
       contadorBanderas: this.contadorBanderas,
       celdasReveladas: [],
@@ -383,26 +480,46 @@ class Tablero {
     };
     
     // Agregar celdas reveladas
-    for (let fila = 0; fila < this.filas; fila++) {
-      for (let columna = 0; columna < this.columnas; columna++) {
-        const celda = this.celdas[fila][columna];
-        if (celda.descubierta) {
-          estado.celdasReveladas.push({
-            fila: celda.fila,
-            columna: celda.columna,
-            valor: celda.valor
-          });
-        } else if (celda.tieneBandera) {
-          estado.celdasConBandera.push({
-            fila: celda.fila,
-            columna: celda.columna
-          });
-        }
+    this.listaCeldas.forEach(celda => {
+      if (celda.descubierta) {
+        estado.celdasReveladas.push({
+          fila: celda.fila,
+          columna: celda.columna,
+          valor: celda.valor
+        });
+      } else if (celda.tieneBandera) {
+        estado.celdasConBandera.push({
+          fila: celda.fila,
+          columna: celda.columna
+        });
       }
-    }
+    });
     
     return estado;
   }
+
+  /**
+   * Restaura el tablero a partir de un estado obtenido con obtenerEstadoParaMemoria
+   * @param {Object} estado - Estado del tablero a restaurar
+   */
+  restaurarEstado(estado) {
+    this.reiniciar();
+    
+    estado.celdasReveladas.forEach(({ fila, columna, valor }) => {
+      this.establecerValorCelda(fila, columna, valor);
+    });
+    
+    estado.celdasConBandera.forEach(({ fila, columna }) => {
+      this.establecerBandera(fila, columna, true);
+    });
+    
+    this.ultimoCambio = {
+      tipo: 'restaurado',
+      fila: null,
+      columna: null,
+      valor: null
+    };
+  }
 }
 
 export default Tablero;
\ No newline at end of file
@@ -0,0 +1,142 @@
+import Tablero from './Tablero';
+import GestorBanderas from '../logica/GestorBanderas';
+import { crearTopologia } from './topologias/CatalogoTopologias';
+import Oraculo from '../simulacion/Oraculo';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+
+describe('Tablero con huecos', () => {
+  // 4×4 con un hueco en (1,1)
+  const crearTablero = () => new Tablero(4, 4, null, [{ fila: 1, columna: 1 }]);
+
+  test('los huecos no existen para las consultas del tablero', () => {
+    const tablero = crearTablero();
+
+    expect(tablero.obtenerCelda(1, 1)).toBeNull();
+    expect(tablero.obtenerTotalCeldas()).toBe(15);
+    expect(tablero.obtenerCeldasSinRevolar()).toHaveLength(15);
+    expect(tablero.obtenerCeldasAdyacentes(2, 2)).toHaveLength(7);
+  });
+
+  test('las celdas junto a un hueco son borde', () => {
+    const tablero = crearTablero();
+
+    // A (2,1) solo le falta la vecina de arriba: es borde pero no esquina
+    expect(tablero.obtenerCelda(2, 1).esBorde).toBe(true);
+    expect(tablero.obtenerCelda(2, 1).esEsquina).toBe(false);
+    expect(tablero.obtenerCelda(2, 2).esBorde).toBe(true);
+    expect(tablero.obtenerCelda(2, 2).distanciaBorde).toBe(0);
+    // (1,0) está entre el borde izquierdo y el hueco: le faltan vecinas horizontales pero no verticales
+    expect(tablero.obtenerCelda(1, 0).esEsquina).toBe(false);
+    // (0,1) le falta la vecina de arriba (exterior) y la de abajo (hueco), pero tiene ambas horizontales
+    expect(tablero.obtenerCelda(0, 1).esEsquina).toBe(false);
+  });
+
+  test('un hueco en el borde crea nuevas esquinas', () => {
+    const tablero = new Tablero(3, 4, null, [{ fila: 0, columna: 1 }]);
+
+    // A (0,2) le falta la vecina de arriba (exterior) y la de la izquierda (hueco)
+    expect(tablero.obtenerCelda(0, 2).esEsquina).toBe(true);
+    expect(tablero.obtenerCelda(0, 0).esEsquina).toBe(true);
+    expect(tablero.obtenerCelda(1, 1).esEsquina).toBe(false);
+  });
+
+  test('las restricciones y deducciones ignoran los huecos', () => {
+    const tablero = crearTablero();
+
+    // (0,0) solo tiene dos vecinas, (0,1) y (1,0): un 2 las convierte en minas
+    tablero.establecerValorCelda(0, 0, '2');
+    const banderas = new GestorBanderas(tablero).colocarBanderasSeguras();
+
+    expect(banderas.map(b => `${b.fila},${b.columna}`).sort()).toEqual(['0,1', '1,0']);
+  });
+});
+
+describe('Tablero con otras topologías', () => {
+  const posiciones = (celdas) => celdas.map(c => `${c.fila},${c.columna}`).sort();
+
+  test('en el toro las vecinas dan la vuelta por los bordes', () => {
+    const tablero = new Tablero(4, 5, null, [], crearTopologia('toroidal'));
+
+    expect(posiciones(tablero.obtenerCeldasAdyacentes(0, 0)))
+      .toEqual(['0,1', '0,4', '1,0', '1,1', '1,4', '3,0', '3,1', '3,4']);
+    expect(tablero.obtenerCelda(0, 0).esEsquina).toBe(false);
+    expect(tablero.obtenerCelda(0, 0).esBorde).toBe(false);
+  });
+
+  test('en la cuadrícula hexagonal cada casilla tiene 6 vecinas según la paridad de su fila', () => {
+    const tablero = new Tablero(4, 4, null, [], crearTopologia('hexagonal'));
+
+    expect(posiciones(tablero.obtenerCeldasAdyacentes(2, 1))).toEqual(['1,0', '1,1', '2,0', '2,2', '3,0', '3,1']);
+    expect(posiciones(tablero.obtenerCeldasAdyacentes(1, 1))).toEqual(['0,1', '0,2', '1,0', '1,2', '2,1', '2,2']);
+    expect(tablero.obtenerCelda(0, 0).esEsquina).toBe(true);
+    expect(tablero.obtenerCelda(1, 1).distanciaBorde).toBe(1);
+  });
+
+  test('las deducciones usan la vecindad de la topología', () => {
+    const tablero = new Tablero(3, 3, null, [], crearTopologia('hexagonal'));
+
+    // (0,0) en fila par solo tiene por vecinas (0,1) y (1,0)
+    tablero.establecerValorCelda(0, 0, '2');
+    const banderas = new GestorBanderas(tablero).colocarBanderasSeguras();
+
+    expect(posiciones(banderas)).toEqual(['0,1', '1,0']);
+  });
+});
+
+describe('Tablero con restricciones incrementales', () => {
+  test('tras cada cambio coinciden con las calculadas desde cero', () => {
+    const oraculo = new Oraculo(8, 8, 10, 3);
+    const tablero = new Tablero(8, 8, 10);
+    const generador = new GeneradorAleatorio(3);
+    const posiciones = generador.barajar(tablero.obtenerCeldas().map(({ fila, columna }) => ({ fila, columna })));
+
+    posiciones.slice(0, 40).forEach(({ fila, columna }) => {
+      // Las minas se marcan con bandera y el resto se revela con su número
+      if (oraculo.esMina(fila, columna)) {
+        tablero.establecerBandera(fila, columna, true);
+      } else {
+        const minas = oraculo.contarMinasAdyacentes(fila, columna);
+        tablero.establecerValorCelda(fila, columna, minas === 0 ? '' : String(minas));
+      }
+      tablero.actualizarRestricciones();
+
+      const desdeCero = new Tablero(8, 8, 10);
+      desdeCero.restaurarEstado(tablero.obtenerEstadoParaMemoria());
+      desdeCero.actualizarRestricciones();
+
+      expect(tablero.obtenerCeldas().map(c => c.restricciones))
+        .toEqual(desdeCero.obtenerCeldas().map(c => c.restricciones));
+    });
+  });
+});
+
+describe('Tablero sobre el núcleo tipado', () => {
+  test('las celdas leen y escriben en el núcleo', () => {
+    const tablero = new Tablero(3, 3, null, [{ fila: 0, columna: 0 }]);
+    const celda = tablero.obtenerCelda(1, 2);
+    const vecina = tablero.obtenerCelda(2, 2);
+
+    tablero.establecerValorCelda(1, 2, '3');
+    vecina.actualizarProbabilidades(0.25, 0.5, 'probabilidad');
+
+    expect(tablero.obtenerCeldaPorIndice(celda.indice)).toBe(celda);
+    expect(tablero.nucleo.valorNumerico(celda.indice)).toBe(3);
+    expect(celda.valor).toBe('3');
+    expect(vecina.obtenerProbabilidades()).toEqual({ probabilidadMina: 0.25, probabilidadSegura: 0.75, confianza: 0.5, origen: 'probabilidad' });
+  });
+
+  test('reiniciar conserva los huecos y las vistas', () => {
+    const tablero = new Tablero(3, 3, null, [{ fila: 0, columna: 0 }]);
+    const celda = tablero.obtenerCelda(2, 2);
+    tablero.establecerValorCelda(2, 2, '');
+    tablero.establecerBandera(1, 1, true);
+
+    tablero.reiniciar();
+
+    expect(tablero.obtenerCelda(2, 2)).toBe(celda);
+    expect(celda.descubierta).toBe(false);
+    expect(tablero.obtenerCeldasConBandera()).toHaveLength(0);
+    expect(tablero.estaDeshabilitada(0, 0)).toBe(true);
+    expect(tablero.obtenerCeldasSinRevolar()).toHaveLength(8);
+  });
+});
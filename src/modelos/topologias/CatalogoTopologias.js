@@ -0,0 +1,44 @@
+import TopologiaCuadrada from './TopologiaCuadrada';
+import TopologiaToroidal from './TopologiaToroidal';
+import TopologiaHexagonal from './TopologiaHexagonal';
+
+/**
+ * CatalogoTopologias - Formas de vecindad disponibles para el tablero
+ *
+ * Una topología es un objeto con id, nombre, descripcion, maximoVecinas, forma y los métodos
+ * obtenerVecinas(fila, columna, filas, columnas) y esEsquina(fila, columna, filas, columnas, existe).
+ * El Tablero la usa para todas sus consultas de vecindad, así que el resto del motor no la conoce.
+ */
+const CLASES_TOPOLOGIA = [
+  TopologiaCuadrada,
+  TopologiaToroidal,
+  TopologiaHexagonal
+];
+
+export const TOPOLOGIA_PREDETERMINADA = 'cuadrada';
+
+// Datos de cada topología para la interfaz {id, nombre, descripcion}
+export const TOPOLOGIAS = CLASES_TOPOLOGIA.map(Clase => {
+  const { id, nombre, descripcion } = new Clase();
+  return { id, nombre, descripcion };
+});
+
+/**
+ * Indica si existe una topología con ese identificador
+ * @param {string} id - Identificador de la topología
+ * @returns {boolean} - true si existe
+ */
+export const esTopologiaValida = (id) => TOPOLOGIAS.some(t => t.id === id);
+
+/**
+ * Crea una topología por su identificador
+ * @param {string} id - Identificador de la topología
+ * @returns {Object} - Nueva instancia de la topología
+ */
+export const crearTopologia = (id = TOPOLOGIA_PREDETERMINADA) => {
+  const indice = TOPOLOGIAS.findIndex(t => t.id === id);
+  if (indice < 0) {
+    throw new Error(`Topología desconocida: ${id}`);
+  }
+  return new CLASES_TOPOLOGIA[indice]();
+};
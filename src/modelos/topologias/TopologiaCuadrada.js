@@ -0,0 +1,91 @@
+// Desplazamientos de las 8 vecinas en una cuadrícula cuadrada
+const DIRECCIONES = [
+  { df: -1, dc: -1 }, { df: -1, dc: 0 }, { df: -1, dc: 1 },
+  { df: 0, dc: -1 }, { df: 0, dc: 1 },
+  { df: 1, dc: -1 }, { df: 1, dc: 0 }, { df: 1, dc: 1 }
+];
+
+/**
+ * TopologiaCuadrada - Cuadrícula clásica: 8 vecinas y bordes que limitan el tablero
+ *
+ * Una topología describe qué posiciones son vecinas. Las posiciones son siempre
+ * {fila, columna} dentro del rectángulo filas × columnas; los huecos los filtra el Tablero.
+ */
+class TopologiaCuadrada {
+  constructor() {
+    this.id = 'cuadrada';
+    this.nombre = 'Cuadrada';
+    this.descripcion = '8 vecinas por casilla; los bordes limitan el tablero';
+    this.maximoVecinas = 8;
+    this.forma = 'cuadrada'; // Cómo se dibujan las casillas
+  }
+
+  /**
+   * Desplazamientos de las vecinas de una casilla
+   * @param {number} fila - Fila de la casilla (las cuadrículas hexagonales dependen de ella)
+   * @returns {Array} - Desplazamientos {df, dc}
+   */
+  direcciones(fila) {
+    return DIRECCIONES;
+  }
+
+  /**
+   * Lleva una posición al rectángulo del tablero
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @param {number} filas - Número de filas
+   * @param {number} columnas - Número de columnas
+   * @returns {Object|null} - Posición {fila, columna} o null si cae fuera
+   */
+  normalizar(fila, columna, filas, columnas) {
+    if (fila < 0 || fila >= filas || columna < 0 || columna >= columnas) return null;
+    return { fila, columna };
+  }
+
+  /**
+   * Obtiene las posiciones vecinas de una casilla, sin repetir ni incluirla a ella
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @param {number} filas - Número de filas
+   * @param {number} columnas - Número de columnas
+   * @returns {Array} - Posiciones {fila, columna}
+   */
+  obtenerVecinas(fila, columna, filas, columnas) {
+    const vistas = new Set([`${fila},${columna}`]);
+    const vecinas = [];
+
+    for (const { df, dc } of this.direcciones(fila)) {
+      const posicion = this.normalizar(fila + df, columna + dc, filas, columnas);
+      if (!posicion) continue;
+
+      // En tableros envolventes pequeños dos direcciones pueden llegar a la misma casilla
+      const clave = `${posicion.fila},${posicion.columna}`;
+      if (vistas.has(clave)) continue;
+
+      vistas.add(clave);
+      vecinas.push(posicion);
+    }
+
+    return vecinas;
+  }
+
+  /**
+   * Indica si una casilla es esquina: le falta una vecina vertical y otra horizontal
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @param {number} filas - Número de filas
+   * @param {number} columnas - Número de columnas
+   * @param {Function} existe - (fila, columna) => true si la posición no es un hueco
+   * @returns {boolean} - true si es esquina
+   */
+  esEsquina(fila, columna, filas, columnas, existe) {
+    const falta = (df, dc) => {
+      const posicion = this.normalizar(fila + df, columna + dc, filas, columnas);
+      return !posicion || !existe(posicion.fila, posicion.columna);
+    };
+
+    return (falta(-1, 0) || falta(1, 0)) && (falta(0, -1) || falta(0, 1));
+  }
+}
+
+export default TopologiaCuadrada;
@@ -0,0 +1,54 @@
+import TopologiaCuadrada from './TopologiaCuadrada';
+
+// Desplazamientos de las 6 vecinas con las filas impares desplazadas media casilla a la derecha
+const DIRECCIONES_FILA_PAR = [
+  { df: -1, dc: -1 }, { df: -1, dc: 0 },
+  { df: 0, dc: -1 }, { df: 0, dc: 1 },
+  { df: 1, dc: -1 }, { df: 1, dc: 0 }
+];
+const DIRECCIONES_FILA_IMPAR = [
+  { df: -1, dc: 0 }, { df: -1, dc: 1 },
+  { df: 0, dc: -1 }, { df: 0, dc: 1 },
+  { df: 1, dc: 0 }, { df: 1, dc: 1 }
+];
+
+/**
+ * TopologiaHexagonal - Casillas hexagonales de 6 vecinas. Se guardan en el mismo
+ * rectángulo filas × columnas, con las filas impares desplazadas media casilla
+ */
+class TopologiaHexagonal extends TopologiaCuadrada {
+  constructor() {
+    super();
+    this.id = 'hexagonal';
+    this.nombre = 'Hexagonal';
+    this.descripcion = '6 vecinas por casilla; las filas impares se desplazan media casilla';
+    this.maximoVecinas = 6;
+    this.forma = 'hexagonal';
+  }
+
+  /**
+   * Desplazamientos de las vecinas de una casilla
+   * @param {number} fila - Fila de la casilla
+   * @returns {Array} - Desplazamientos {df, dc}
+   */
+  direcciones(fila) {
+    return fila % 2 === 0 ? DIRECCIONES_FILA_PAR : DIRECCIONES_FILA_IMPAR;
+  }
+
+  /**
+   * Indica si una casilla es esquina: tiene como mucho la mitad de sus vecinas
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @param {number} filas - Número de filas
+   * @param {number} columnas - Número de columnas
+   * @param {Function} existe - (fila, columna) => true si la posición no es un hueco
+   * @returns {boolean} - true si es esquina
+   */
+  esEsquina(fila, columna, filas, columnas, existe) {
+    const vecinas = this.obtenerVecinas(fila, columna, filas, columnas)
+      .filter(p => existe(p.fila, p.columna));
+    return vecinas.length <= this.maximoVecinas / 2;
+  }
+}
+
+export default TopologiaHexagonal;
@@ -0,0 +1,31 @@
+import TopologiaCuadrada from './TopologiaCuadrada';
+
+/**
+ * TopologiaToroidal - Cuadrícula de 8 vecinas cuyos bordes se unen con el lado
+ * opuesto: no hay bordes ni esquinas salvo los que formen los huecos
+ */
+class TopologiaToroidal extends TopologiaCuadrada {
+  constructor() {
+    super();
+    this.id = 'toroidal';
+    this.nombre = 'Toroidal';
+    this.descripcion = '8 vecinas por casilla; cada borde continúa por el lado opuesto';
+  }
+
+  /**
+   * Lleva una posición al rectángulo del tablero dando la vuelta por los bordes
+   * @param {number} fila - Fila
+   * @param {number} columna - Columna
+   * @param {number} filas - Número de filas
+   * @param {number} columnas - Número de columnas
+   * @returns {Object} - Posición {fila, columna}
+   */
+  normalizar(fila, columna, filas, columnas) {
+    return {
+      fila: ((fila % filas) + filas) % filas,
+      columna: ((columna % columnas) + columnas) % columnas
+    };
+  }
+}
+
+export default TopologiaToroidal;
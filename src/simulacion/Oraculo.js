@@ -0,0 +1,85 @@
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import TopologiaCuadrada from '../modelos/topologias/TopologiaCuadrada';
+
+/**
+ * Oraculo - Sustituye al jugador humano en las simulaciones
+ * Genera una distribución oculta de minas y responde a las casillas que pide el sistema
+ */
+class Oraculo {
+    /**
+     * Constructor
+     * @param {number} filas - Número de filas del tablero
+     * @param {number} columnas - Número de columnas del tablero
+     * @param {number} totalMinas - Número de minas a colocar
+     * @param {number} semilla - Semilla para reproducir la distribución
+     * @param {Array} deshabilitadas - Posiciones {fila, columna} de los huecos, donde no hay minas
+     * @param {Object} topologia - Vecindad de las casillas (ver CatalogoTopologias)
+     */
+    constructor(filas, columnas, totalMinas, semilla, deshabilitadas = [], topologia = new TopologiaCuadrada()) {
+      this.huecos = new Set(deshabilitadas.map(({ fila, columna }) => `${fila},${columna}`));
+
+      if (!Number.isInteger(totalMinas) || totalMinas < 1 || totalMinas >= filas * columnas - this.huecos.size) {
+        throw new Error(`Número de minas inválido para un tablero ${filas}×${columnas}: ${totalMinas}`);
+      }
+
+      this.filas = filas;
+      this.columnas = columnas;
+      this.totalMinas = totalMinas;
+      this.topologia = topologia;
+      this.semilla = semilla;
+      this.minas = this.colocarMinas(new GeneradorAleatorio(semilla));
+    }
+
+    /**
+     * Coloca las minas al azar fuera de los huecos
+     * @param {GeneradorAleatorio} generador - Generador con semilla
+     * @returns {Set} - Conjunto de posiciones "fila,columna" con mina
+     */
+    colocarMinas(generador) {
+      const posiciones = [];
+      for (let fila = 0; fila < this.filas; fila++) {
+        for (let columna = 0; columna < this.columnas; columna++) {
+          const clave = `${fila},${columna}`;
+          if (!this.huecos.has(clave)) posiciones.push(clave);
+        }
+      }
+
+      return new Set(generador.barajar(posiciones).slice(0, this.totalMinas));
+    }
+
+    /**
+     * Indica si hay una mina en una posición
+     * @param {number} fila - Fila
+     * @param {number} columna - Columna
+     * @returns {boolean} - true si hay mina
+     */
+    esMina(fila, columna) {
+      return this.minas.has(`${fila},${columna}`);
+    }
+
+    /**
+     * Cuenta las minas en las casillas adyacentes
+     * @param {number} fila - Fila
+     * @param {number} columna - Columna
+     * @returns {number} - Minas adyacentes
+     */
+    contarMinasAdyacentes(fila, columna) {
+      return this.topologia.obtenerVecinas(fila, columna, this.filas, this.columnas)
+        .filter(p => this.esMina(p.fila, p.columna)).length;
+    }
+
+    /**
+     * Responde como lo haría el jugador en PanelRespuesta
+     * @param {number} fila - Fila de la casilla seleccionada
+     * @param {number} columna - Columna de la casilla seleccionada
+     * @returns {string} - 'mina', 'vacío' o '1'...'8'
+     */
+    responder(fila, columna) {
+      if (this.esMina(fila, columna)) return 'mina';
+
+      const minas = this.contarMinasAdyacentes(fila, columna);
+      return minas === 0 ? 'vacío' : String(minas);
+    }
+  }
+
+  export default Oraculo;
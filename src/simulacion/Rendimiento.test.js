@@ -0,0 +1,170 @@
+import Juego from '../modelos/Juego';
+import Tablero from '../modelos/Tablero';
+import GestorBanderas from '../logica/GestorBanderas';
+import MotorProbabilidad from '../logica/MotorProbabilidad';
+import GestorMemoria from '../utilidades/GestorMemoria';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import RegistroPartida from '../utilidades/RegistroPartida';
+import Oraculo from './Oraculo';
+
+// Medición del coste del análisis por jugada en tableros grandes. Tarda varios
+// minutos, así que solo se ejecuta con RENDIMIENTO=1 npm run simular
+const describirSiSeMide = process.env.RENDIMIENTO ? describe : describe.skip;
+const SEMILLA = Number(process.env.SIMULACION_SEMILLA) || 20240601;
+const MINIMO_EVENTOS = 100;
+const INTENTOS_PARTIDA = 20;
+
+const TABLEROS = [
+  { nombre: '20×20 / 60 minas', filas: 20, columnas: 20, minas: 60 },
+  { nombre: '30×30 / 130 minas', filas: 30, columnas: 30, minas: 130 },
+  { nombre: '40×40 / 240 minas', filas: 40, columnas: 40, minas: 240 }
+];
+
+// Tableros grandes jugados enteros desde la interfaz (SIMULACION_SEMILLA también fija su semilla)
+const TABLEROS_GRANDES = [
+  { nombre: '50×50 / 400 minas', filas: 50, columnas: 50, minas: 400 },
+  { nombre: '100×100 / 1600 minas', filas: 100, columnas: 100, minas: 1600 }
+];
+const SEMILLA_GRANDES = Number(process.env.SIMULACION_SEMILLA) || 3;
+
+/**
+ * Juega una partida contra el oráculo y devuelve su registro
+ * @param {Object} configuracion - Tablero {filas, columnas, minas}
+ * @param {number} semilla - Semilla del oráculo y de las decisiones
+ * @returns {RegistroPartida} - Registro con todos los eventos de la partida
+ */
+const jugarPartida = ({ filas, columnas, minas }, semilla) => {
+  const oraculo = new Oraculo(filas, columnas, minas, semilla);
+  const gestorMemoria = new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(semilla) });
+  const juego = new Juego(filas, columnas, null, { sincrono: true, gestorMemoria });
+  juego.establecerTotalMinas(minas);
+  juego.iniciarPartida(semilla);
+
+  while (!juego.juegoTerminado) {
+    if (juego.esperandoRespuesta) {
+      juego.procesarRespuesta(oraculo.responder(juego.celdaActual.fila, juego.celdaActual.columna));
+    } else if (!juego.ejecutarMovimientoPendiente()) {
+      break;
+    }
+  }
+
+  return juego.registro;
+};
+
+/**
+ * Busca, a partir de la semilla configurada, una partida que no acabe en las primeras
+ * jugadas: en tableros densos muchas se pierden antes de abrir la frontera
+ * @param {Object} configuracion - Tablero {filas, columnas, minas}
+ * @returns {RegistroPartida} - Registro de la primera partida con suficientes eventos
+ */
+const jugarPartidaRepresentativa = (configuracion) => {
+  let registro = null;
+  for (let semilla = SEMILLA; semilla < SEMILLA + INTENTOS_PARTIDA; semilla++) {
+    registro = jugarPartida(configuracion, semilla);
+    if (registro.eventos.length >= MINIMO_EVENTOS) break;
+  }
+  return registro;
+};
+
+/**
+ * Muestra una tabla de resultados en la consola
+ * @param {string} titulo - Título de la tabla
+ * @param {Array} cabecera - Títulos de las columnas
+ * @param {Array} filas - Filas de valores (texto); la primera columna se alinea a la izquierda
+ */
+const imprimirTabla = (titulo, cabecera, filas) => {
+  const anchos = cabecera.map((t, i) => Math.max(t.length, ...filas.map(f => f[i].length)));
+  const formatearFila = (fila) => fila.map((valor, i) => i === 0 ? valor.padEnd(anchos[i]) : valor.padStart(anchos[i])).join('  ');
+  console.log(`${titulo}:\n${[formatearFila(cabecera), anchos.map(a => '-'.repeat(a)).join('  '), ...filas.map(formatearFila)].join('\n')}`);
+};
+
+/**
+ * Hace el análisis completo de una jugada: banderas, celdas seguras y probabilidades
+ * @param {GestorBanderas} gestorBanderas - Gestor del tablero analizado
+ * @param {MotorProbabilidad} motorProbabilidad - Motor del tablero analizado
+ * @returns {Object} - {milisegundos, banderas} con las posiciones de las banderas deducidas
+ */
+const analizar = (gestorBanderas, motorProbabilidad) => {
+  const inicio = performance.now();
+  const banderas = gestorBanderas.colocarBanderasSeguras();
+  gestorBanderas.detectarCeldasSeguras();
+  motorProbabilidad.calcularProbabilidades();
+
+  return {
+    milisegundos: performance.now() - inicio,
+    banderas: banderas.map(b => `${b.fila},${b.columna}`)
+  };
+};
+
+describirSiSeMide('Rendimiento del análisis por jugada', () => {
+  test('el análisis incremental deduce lo mismo que desde cero y tarda menos', () => {
+    const filas = TABLEROS.map(configuracion => {
+      const registro = jugarPartidaRepresentativa(configuracion);
+      const { filas: f, columnas: c, minas } = configuracion;
+
+      // El mismo tablero a lo largo de la partida, como en el juego
+      const tablero = new Tablero(f, c, minas);
+      const gestorBanderas = new GestorBanderas(tablero);
+      const motorProbabilidad = new MotorProbabilidad(tablero);
+
+      let desdeCero = 0;
+      let incremental = 0;
+      let posiciones = 0;
+
+      registro.eventos.forEach((evento, i) => {
+        RegistroPartida.aplicarEvento(tablero, evento);
+        if (evento.tipo === 'seleccion') return;
+
+        // Un tablero nuevo en cada posición: restricciones y patrones se calculan enteros
+        const copia = registro.reconstruirTablero(i + 1);
+        const frio = analizar(new GestorBanderas(copia), new MotorProbabilidad(copia));
+        const caliente = analizar(gestorBanderas, motorProbabilidad);
+
+        expect(caliente.banderas).toEqual(frio.banderas);
+        desdeCero += frio.milisegundos;
+        incremental += caliente.milisegundos;
+        posiciones++;
+      });
+
+      return [
+        configuracion.nombre,
+        String(posiciones),
+        (desdeCero / posiciones).toFixed(2),
+        (incremental / posiciones).toFixed(2),
+        `×${(desdeCero / incremental).toFixed(1)}`
+      ];
+    });
+
+    imprimirTabla(
+      `Coste del análisis por jugada (semilla inicial ${SEMILLA})`,
+      ['Tablero', 'Posiciones', 'ms desde cero', 'ms incremental', 'Mejora'],
+      filas
+    );
+  });
+
+  test('una partida completa en 50×50 y 100×100 termina y se mide su tiempo por jugada', () => {
+    const filas = TABLEROS_GRANDES.map(configuracion => {
+      const inicio = performance.now();
+      const registro = jugarPartida(configuracion, SEMILLA_GRANDES);
+      const milisegundos = performance.now() - inicio;
+
+      // Jugadas del sistema: casillas seleccionadas y grupos de banderas
+      const jugadas = registro.eventos.filter(evento => evento.tipo !== 'respuesta').length;
+      expect(['victoria', 'derrota']).toContain(registro.resultado.estado);
+
+      return [
+        configuracion.nombre,
+        registro.resultado.estado,
+        String(jugadas),
+        (milisegundos / 1000).toFixed(1),
+        (milisegundos / jugadas).toFixed(1)
+      ];
+    });
+
+    imprimirTabla(
+      `Partida completa en tableros grandes (semilla ${SEMILLA_GRANDES})`,
+      ['Tablero', 'Resultado', 'Jugadas', 's en total', 'ms por jugada'],
+      filas
+    );
+  });
+});
@@ -0,0 +1,166 @@
+import Juego from '../modelos/Juego';
+import GestorMemoria from '../utilidades/GestorMemoria';
+import GeneradorAleatorio from '../utilidades/GeneradorAleatorio';
+import Oraculo from './Oraculo';
+import { ESTRATEGIA_PREDETERMINADA } from '../logica/estrategias/CatalogoEstrategias';
+import { TOPOLOGIA_PREDETERMINADA, crearTopologia } from '../modelos/topologias/CatalogoTopologias';
+import { CONFIGURACIONES_SIMULACION } from '../constantes/ConfiguracionJuego';
+
+/**
+ * Simulador - Juega partidas completas sin interfaz contra un oráculo
+ * Sirve para medir si los cambios en la estrategia del sistema mejoran sus resultados
+ */
+class Simulador {
+    /**
+     * Constructor
+     * @param {Object} opciones - Opciones de simulación
+     * @param {boolean} opciones.declararTotal - Si se indica al sistema el número de minas
+     * @param {boolean} opciones.compartirMemoria - Si el aprendizaje se conserva entre partidas
+     * @param {number} opciones.maxPasos - Pasos máximos por partida antes de darla por atascada
+     * @param {string} opciones.estrategia - Estrategia con la que juega el sistema (ver CatalogoEstrategias)
+     */
+    constructor({ declararTotal = true, compartirMemoria = true, maxPasos = 10000, estrategia = ESTRATEGIA_PREDETERMINADA } = {}) {
+      this.declararTotal = declararTotal;
+      this.compartirMemoria = compartirMemoria;
+      this.maxPasos = maxPasos;
+      this.estrategia = estrategia;
+      this.gestorMemoria = new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(1) });
+    }
+
+    /**
+     * Juega una partida completa
+     * @param {Object} configuracion - Tablero a jugar {filas, columnas, minas, deshabilitadas, topologia}
+     * @param {number} semilla - Semilla de la distribución de minas y de las decisiones
+     * @returns {Object} - Resultado de la partida
+     */
+    jugarPartida({ filas, columnas, minas, deshabilitadas = [], topologia = TOPOLOGIA_PREDETERMINADA }, semilla) {
+      const oraculo = new Oraculo(filas, columnas, minas, semilla, deshabilitadas, crearTopologia(topologia));
+      const gestorMemoria = this.compartirMemoria
+        ? this.gestorMemoria
+        : new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(semilla) });
+
+      const juego = new Juego(filas, columnas, null, { sincrono: true, gestorMemoria, estrategia: this.estrategia, deshabilitadas, topologia });
+      if (this.declararTotal) {
+        juego.establecerTotalMinas(minas);
+      }
+
+      // La misma semilla fija el tablero oculto y las decisiones del sistema
+      juego.iniciarPartida(semilla);
+
+      let conjeturas = 0;
+      let pasos = 0;
+      let respuestaRechazada = false;
+
+      while (!juego.juegoTerminado && pasos < this.maxPasos) {
+        pasos++;
+
+        if (juego.esperandoRespuesta) {
+          const { fila, columna } = juego.celdaActual;
+          juego.procesarRespuesta(oraculo.responder(fila, columna));
+
+          // El oráculo nunca miente: si se rechaza su respuesta, alguna bandera es errónea
+          if (juego.errorRespuesta) {
+            respuestaRechazada = true;
+            break;
+          }
+        } else if (juego.ejecutarMovimientoPendiente()) {
+          // Contar las casillas abiertas sin certeza de que sean seguras
+          if (juego.esperandoRespuesta && esConjetura(juego.ultimaAccion.seleccion)) {
+            conjeturas++;
+          }
+        } else {
+          // Sin respuesta pendiente ni movimiento programado
+          break;
+        }
+      }
+
+      return {
+        semilla,
+        victoria: juego.juegoTerminado && juego.victoria,
+        respuestaRechazada,
+        atascada: !juego.juegoTerminado && !respuestaRechazada,
+        movimientos: juego.movimientosRealizados,
+        conjeturas,
+        banderas: juego.tablero.contadorBanderas
+      };
+    }
+
+    /**
+     * Juega varias partidas por cada configuración de tablero
+     * @param {Object} opciones - Opciones de la ejecución
+     * @param {Array} opciones.configuraciones - Tableros {nombre, filas, columnas, minas, deshabilitadas, topologia}
+     * @param {number} opciones.partidas - Partidas por tablero
+     * @param {number} opciones.semilla - Semilla de la que se derivan las de cada partida
+     * @returns {Array} - Informe con un resumen por configuración
+     */
+    ejecutar({ configuraciones = CONFIGURACIONES_SIMULACION, partidas = 100, semilla = 1 } = {}) {
+      const generador = new GeneradorAleatorio(semilla);
+
+      // Memoria nueva en cada ejecución para que el informe sea reproducible
+      this.gestorMemoria = new GestorMemoria({ persistente: false, generador: new GeneradorAleatorio(semilla) });
+
+      return configuraciones.map(configuracion => {
+        const resultados = [];
+        const inicio = Date.now();
+
+        for (let i = 0; i < partidas; i++) {
+          resultados.push(this.jugarPartida(configuracion, generador.entero(4294967296)));
+        }
+
+        const victorias = resultados.filter(r => r.victoria).length;
+        const media = (clave) => resultados.reduce((suma, r) => suma + r[clave], 0) / Math.max(1, resultados.length);
+
+        return {
+          nombre: configuracion.nombre || `${configuracion.filas}×${configuracion.columnas} / ${configuracion.minas} minas`,
+          filas: configuracion.filas,
+          columnas: configuracion.columnas,
+          minas: configuracion.minas,
+          estrategia: this.estrategia,
+          partidas,
+          victorias,
+          atascadas: resultados.filter(r => r.atascada).length,
+          respuestasRechazadas: resultados.filter(r => r.respuestaRechazada).length,
+          tasaVictoria: partidas > 0 ? victorias / partidas : 0,
+          movimientosPromedio: media('movimientos'),
+          conjeturasPromedio: media('conjeturas'),
+          milisegundosPorPartida: (Date.now() - inicio) / Math.max(1, partidas),
+          resultados
+        };
+      });
+    }
+  }
+
+  /**
+   * Indica si una selección se hizo sin certeza de que la casilla sea segura
+   * @param {Object|null} seleccion - Detalle de la selección {tipo, probabilidadMina}
+   * @returns {boolean} - true si la selección fue una conjetura
+   */
+  export const esConjetura = (seleccion) => {
+    if (!seleccion) return true;
+    return seleccion.tipo !== 'segura' && seleccion.probabilidadMina !== 0;
+  };
+
+  /**
+   * Formatea un informe del simulador como tabla de texto
+   * @param {Array} informe - Resultado de Simulador.ejecutar
+   * @returns {string} - Tabla legible
+   */
+  export const formatearInforme = (informe) => {
+    const cabecera = ['Tablero', 'Partidas', '% Victoria', 'Rechazadas', 'Movimientos', 'Conjeturas', 'ms/partida'];
+    const filas = informe.map(r => [
+      r.nombre,
+      String(r.partidas),
+      `${(r.tasaVictoria * 100).toFixed(1)}%`,
+      String(r.respuestasRechazadas),
+      r.movimientosPromedio.toFixed(1),
+      r.conjeturasPromedio.toFixed(2),
+      r.milisegundosPorPartida.toFixed(0)
+    ]);
+
+    const anchos = cabecera.map((titulo, i) => Math.max(titulo.length, ...filas.map(f => f[i].length)));
+    const formatearFila = (fila) => fila.map((valor, i) => i === 0 ? valor.padEnd(anchos[i]) : valor.padStart(anchos[i])).join('  ');
+
+    return [formatearFila(cabecera), anchos.map(a => '-'.repeat(a)).join('  '), ...filas.map(formatearFila)].join('\n');
+  };
+
+  export default Simulador;
@@ -0,0 +1,88 @@
+import Simulador, { formatearInforme } from './Simulador';
+import Oraculo from './Oraculo';
+import { ESTRATEGIAS, ESTRATEGIA_PREDETERMINADA } from '../logica/estrategias/CatalogoEstrategias';
+import { CONFIGURACIONES_SIMULACION } from '../constantes/ConfiguracionJuego';
+
+// Pocas partidas por defecto para que la suite sea rápida;
+// SIMULACION_PARTIDAS=1000 npm run simular para una medición real (y su informe)
+// y SIMULACION_ESTRATEGIA=prudente para medir otra estrategia
+const MEDICION = Boolean(process.env.SIMULACION_PARTIDAS);
+const PARTIDAS = Number(process.env.SIMULACION_PARTIDAS) || 2;
+const SEMILLA = Number(process.env.SIMULACION_SEMILLA) || 20240601;
+const ESTRATEGIA = process.env.SIMULACION_ESTRATEGIA || ESTRATEGIA_PREDETERMINADA;
+
+describe('Oraculo', () => {
+  test('la misma semilla genera la misma distribución de minas', () => {
+    const a = new Oraculo(9, 9, 10, 42);
+    const b = new Oraculo(9, 9, 10, 42);
+
+    expect(a.minas.size).toBe(10);
+    expect([...a.minas]).toEqual([...b.minas]);
+  });
+
+  test('responde como el jugador humano', () => {
+    const oraculo = new Oraculo(3, 3, 1, 7);
+    const [mina] = [...oraculo.minas];
+    const [fila, columna] = mina.split(',').map(Number);
+
+    expect(oraculo.responder(fila, columna)).toBe('mina');
+    expect(oraculo.contarMinasAdyacentes(1, 1)).toBe(fila === 1 && columna === 1 ? 0 : 1);
+  });
+});
+
+describe('Simulador', () => {
+  test('la misma semilla reproduce exactamente las mismas partidas', () => {
+    const configuraciones = [CONFIGURACIONES_SIMULACION[0]];
+    const primera = new Simulador().ejecutar({ configuraciones, partidas: 3, semilla: 99 });
+    const segunda = new Simulador().ejecutar({ configuraciones, partidas: 3, semilla: 99 });
+
+    expect(segunda[0].resultados).toEqual(primera[0].resultados);
+  });
+
+  test('juega partidas completas y genera un informe por tablero', () => {
+    const simulador = new Simulador({ estrategia: ESTRATEGIA });
+    const informe = simulador.ejecutar({ configuraciones: CONFIGURACIONES_SIMULACION, partidas: PARTIDAS, semilla: SEMILLA });
+
+    if (MEDICION) console.log(`Simulación (${PARTIDAS} partidas por tablero, semilla ${SEMILLA}, estrategia ${ESTRATEGIA}):\n${formatearInforme(informe)}`);
+
+    expect(informe).toHaveLength(CONFIGURACIONES_SIMULACION.length);
+    informe.forEach(resultado => {
+      expect(resultado.partidas).toBe(PARTIDAS);
+      expect(resultado.atascadas).toBe(0);
+      expect(resultado.movimientosPromedio).toBeGreaterThan(0);
+      expect(resultado.conjeturasPromedio).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  test.each(ESTRATEGIAS.map(e => e.id))('la estrategia %s termina sus partidas', (estrategia) => {
+    const configuraciones = [CONFIGURACIONES_SIMULACION[0]];
+    const [resultado] = new Simulador({ estrategia }).ejecutar({ configuraciones, partidas: 3, semilla: 7 });
+
+    expect(resultado.estrategia).toBe(estrategia);
+    expect(resultado.atascadas).toBe(0);
+    expect(resultado.respuestasRechazadas).toBe(0);
+  });
+
+  test('juega en tableros con huecos sin respuestas rechazadas', () => {
+    // 9×9 con un hueco de 3×3 en el centro
+    const deshabilitadas = [];
+    for (let fila = 3; fila < 6; fila++) {
+      for (let columna = 3; columna < 6; columna++) {
+        deshabilitadas.push({ fila, columna });
+      }
+    }
+    const configuraciones = [{ nombre: 'Anillo 9×9', filas: 9, columnas: 9, minas: 10, deshabilitadas }];
+    const [resultado] = new Simulador().ejecutar({ configuraciones, partidas: 3, semilla: 11 });
+
+    expect(resultado.atascadas).toBe(0);
+    expect(resultado.respuestasRechazadas).toBe(0);
+  });
+
+  test.each(['toroidal', 'hexagonal'])('juega en la topología %s sin respuestas rechazadas', (topologia) => {
+    const configuraciones = [{ nombre: topologia, filas: 9, columnas: 9, minas: 10, topologia }];
+    const [resultado] = new Simulador().ejecutar({ configuraciones, partidas: 3, semilla: 5 });
+
+    expect(resultado.atascadas).toBe(0);
+    expect(resultado.respuestasRechazadas).toBe(0);
+  });
+});
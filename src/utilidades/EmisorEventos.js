@@ -0,0 +1,59 @@
+/**
+ * EmisorEventos - Suscripciones por canal con nombre
+ * Cada suscriptor recibe solo los avisos de los canales a los que se ha suscrito
+ */
+class EmisorEventos {
+    /**
+     * Constructor
+     * @param {Array} canales - Canales admitidos (cualquier otro es un error)
+     */
+    constructor(canales) {
+      this.suscriptores = new Map(canales.map(canal => [canal, new Set()]));
+    }
+
+    /**
+     * Suscribe una función a un canal
+     * @param {string} canal - Canal
+     * @param {Function} manejador - Recibe los datos de cada aviso del canal
+     * @returns {Function} - Función que cancela la suscripción
+     */
+    suscribir(canal, manejador) {
+      const suscriptores = this.obtenerSuscriptores(canal);
+      suscriptores.add(manejador);
+      return () => suscriptores.delete(manejador);
+    }
+
+    /**
+     * Indica si alguien escucha un canal (para no preparar datos que nadie recibirá)
+     * @param {string} canal - Canal
+     * @returns {boolean} - true si el canal tiene suscriptores
+     */
+    tieneSuscriptores(canal) {
+      return this.obtenerSuscriptores(canal).size > 0;
+    }
+
+    /**
+     * Avisa a los suscriptores de un canal
+     * @param {string} canal - Canal
+     * @param {*} datos - Datos del aviso
+     */
+    emitir(canal, datos) {
+      // Copia: un suscriptor puede cancelar su suscripción (o la de otro) al recibir el aviso
+      [...this.obtenerSuscriptores(canal)].forEach(manejador => manejador(datos));
+    }
+
+    /**
+     * Obtiene los suscriptores de un canal
+     * @param {string} canal - Canal
+     * @returns {Set} - Funciones suscritas
+     */
+    obtenerSuscriptores(canal) {
+      const suscriptores = this.suscriptores.get(canal);
+      if (!suscriptores) {
+        throw new Error(`Canal desconocido: ${canal}`);
+      }
+      return suscriptores;
+    }
+  }
+
+  export default EmisorEventos;
@@ -0,0 +1,84 @@
+/**
+ * GeneradorAleatorio - Generador de números pseudoaleatorios con semilla (mulberry32)
+ * Permite reproducir exactamente una secuencia de valores a partir de la misma semilla
+ */
+class GeneradorAleatorio {
+    /**
+     * Constructor
+     * @param {number} semilla - Semilla inicial (entero de 32 bits)
+     */
+    constructor(semilla = GeneradorAleatorio.crearSemilla()) {
+      this.reiniciar(semilla);
+    }
+
+    /**
+     * Crea una semilla nueva, corta para que el usuario pueda anotarla
+     * @returns {number} - Semilla entre 0 y 999999
+     */
+    static crearSemilla() {
+      return Math.floor(Math.random() * 1000000);
+    }
+
+    /**
+     * Indica si un valor puede usarse como semilla
+     * @param {*} semilla - Valor a comprobar
+     * @returns {boolean} - true si es un entero de 32 bits sin signo
+     */
+    static esSemillaValida(semilla) {
+      return Number.isInteger(semilla) && semilla >= 0 && semilla <= 0xFFFFFFFF;
+    }
+
+    /**
+     * Vuelve al inicio de la secuencia de una semilla
+     * @param {number} semilla - Semilla (entero de 32 bits)
+     */
+    reiniciar(semilla) {
+      this.semilla = semilla >>> 0;
+      this.estado = this.semilla;
+    }
+
+    /**
+     * Devuelve el siguiente número de la secuencia
+     * @returns {number} - Número en el intervalo [0, 1)
+     */
+    siguiente() {
+      this.estado = (this.estado + 0x6D2B79F5) >>> 0;
+      let t = this.estado;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Devuelve un entero aleatorio
+     * @param {number} maximo - Límite superior (excluido)
+     * @returns {number} - Entero en el intervalo [0, maximo)
+     */
+    entero(maximo) {
+      return Math.floor(this.siguiente() * maximo);
+    }
+
+    /**
+     * Elige un elemento aleatorio de una lista
+     * @param {Array} lista - Lista de elementos
+     * @returns {*} - Elemento elegido o undefined si la lista está vacía
+     */
+    elegir(lista) {
+      return lista[this.entero(lista.length)];
+    }
+
+    /**
+     * Baraja una lista en su lugar (Fisher-Yates)
+     * @param {Array} lista - Lista a barajar
+     * @returns {Array} - La misma lista barajada
+     */
+    barajar(lista) {
+      for (let i = lista.length - 1; i > 0; i--) {
+        const j = this.entero(i + 1);
+        [lista[i], lista[j]] = [lista[j], lista[i]];
+      }
+      return lista;
+    }
+  }
+
+  export default GeneradorAleatorio;
@@ -1,3 +1,8 @@
+import GeneradorAleatorio from './GeneradorAleatorio';
+
+// Partidas recientes que guardan su registro completo para verlas paso a paso
+const PARTIDAS_CON_REGISTRO = 20;
+
 /**
  * GestorMemoria - Maneja el aprendizaje del sistema basado en la experiencia
  * Permite recordar posiciones de minas, patrones y estrategias efectivas
@@ -5,9 +10,14 @@
 class GestorMemoria {
     /**
      * Constructor
+     * @param {Object} opciones - Opciones del gestor
+     * @param {boolean} opciones.persistente - Si la memoria se lee y guarda en localStorage
+     * @param {GeneradorAleatorio} opciones.generador - Generador aleatorio con semilla
      */
-    constructor() {
+    constructor({ persistente = true, generador = new GeneradorAleatorio() } = {}) {
       this.CLAVE_ALMACENAMIENTO = 'buscaminas_memoria_sistema';
+      this.persistente = persistente;
+      this.generador = generador;
       this.memoria = this.cargarMemoria();
       this.idPartidaActual = Date.now();
       this.cambiosDetectados = false;
@@ -18,6 +28,10 @@ class GestorMemoria {
      * @returns {Object} - Objeto con la memoria cargada o estructura inicial
      */
     cargarMemoria() {
+      if (!this.persistente) {
+        return this.crearMemoriaInicial();
+      }
+      
       try {
         const memoriaGuardada = localStorage.getItem(this.CLAVE_ALMACENAMIENTO);
         if (memoriaGuardada) {
@@ -28,6 +42,14 @@ class GestorMemoria {
       }
       
       // Si no hay memoria guardada o hay error, crear estructura inicial
+      return this.crearMemoriaInicial();
+    }
+  
+    /**
+     * Crea la estructura de una memoria vacía
+     * @returns {Object} - Memoria inicial
+     */
+    crearMemoriaInicial() {
       return {
         // Registro de posiciones con mina
         mapaMinasConocidas: {},
@@ -69,6 +91,8 @@ class GestorMemoria {
      * Guarda la memoria en el almacenamiento local
      */
     guardarMemoria() {
+      if (!this.persistente) return;
+      
       try {
         localStorage.setItem(this.CLAVE_ALMACENAMIENTO, JSON.stringify(this.memoria));
       } catch (error) {
@@ -76,6 +100,23 @@ class GestorMemoria {
       }
     }
   
+    /**
+     * Obtiene una copia completa de la memoria actual
+     * @returns {Object} - Copia independiente de la memoria
+     */
+    obtenerInstantanea() {
+      return JSON.parse(JSON.stringify(this.memoria));
+    }
+  
+    /**
+     * Sustituye la memoria por una copia anterior y la guarda
+     * @param {Object} memoria - Copia obtenida con obtenerInstantanea
+     */
+    restaurarInstantanea(memoria) {
+      this.memoria = JSON.parse(JSON.stringify(memoria));
+      this.guardarMemoria();
+    }
+  
     /**
      * Registra una mina encontrada para aprendizaje futuro
      * @param {number} fila - Fila de la mina
@@ -130,8 +171,10 @@ class GestorMemoria {
      * @param {Array} movimientos - Historial de movimientos
      * @param {Object} tablero - Referencia al tablero
      * @param {number} tiempoJuego - Tiempo en segundos
+     * @param {Object|null} registro - RegistroPartida completo para poder repetir la partida
+     * @param {Object|null} patronesDecision - Patrones con los que decidió la partida (obtenerPatronesDecision)
      */
-    registrarResultadoPartida(victoria, movimientos, tablero, tiempoJuego) {
+    registrarResultadoPartida(victoria, movimientos, tablero, tiempoJuego, registro = null, patronesDecision = null) {
       // Actualizar estadísticas
       this.memoria.estadisticas.partidasJugadas++;
       this.memoria.estadisticas.tiempoTotal += tiempoJuego;
@@ -163,7 +206,10 @@ class GestorMemoria {
           columnas: tablero.columnas
         },
         tiempoJuego,
-        cambiosDetectados: this.cambiosDetectados
+        cambiosDetectados: this.cambiosDetectados,
+        registro: registro ? registro.exportar() : null,
+        semilla: registro ? registro.semilla : null,
+        patronesDecision
       });
       
       // Limitar historial a 50 partidas
@@ -171,6 +217,11 @@ class GestorMemoria {
         this.memoria.partidas = this.memoria.partidas.slice(-50);
       }
       
+      // Conservar el registro completo solo en las más recientes para no llenar localStorage
+      this.memoria.partidas.slice(0, -PARTIDAS_CON_REGISTRO).forEach(partida => {
+        partida.registro = null;
+      });
+      
       // Actualizar fecha
       this.memoria.ultimaActualizacion = new Date().toISOString();
       
@@ -368,22 +419,55 @@ class GestorMemoria {
       this.memoria.ultimaActualizacion = new Date().toISOString();
     }
   
+    /**
+     * Copia los patrones que consultan las decisiones del sistema (movimientos iniciales
+     * y segundos movimientos), solo con sus recuentos
+     * @returns {Object} - Patrones {movimientosIniciales, segundosMovimientos}
+     */
+    obtenerPatronesDecision() {
+      const copiarRecuentos = (patrones) => Object.fromEntries(
+        Object.entries(patrones).map(([clave, { victorias, derrotas }]) => [clave, { victorias, derrotas }])
+      );
+      
+      return {
+        movimientosIniciales: copiarRecuentos(this.memoria.patrones.movimientosIniciales),
+        segundosMovimientos: copiarRecuentos(this.memoria.patrones.segundosMovimientos)
+      };
+    }
+  
+    /**
+     * Busca los patrones con los que decidió una partida guardada, para repetirla desde su semilla
+     * @param {number} semilla - Semilla de la partida
+     * @param {Object} tablero - Referencia al tablero (la partida debe tener el mismo tamaño)
+     * @returns {Object|null} - Patrones guardados o null si la partida ya no está en la memoria
+     */
+    buscarPatronesDecision(semilla, tablero) {
+      const partida = this.memoria.partidas.find(p =>
+        p.semilla === semilla &&
+        p.patronesDecision &&
+        p.tamañoTablero.filas === tablero.filas &&
+        p.tamañoTablero.columnas === tablero.columnas);
+      
+      return partida ? JSON.parse(JSON.stringify(partida.patronesDecision)) : null;
+    }
+  
     /**
      * Obtiene el mejor movimiento inicial basado en la memoria
      * @param {Object} tablero - Referencia al tablero
+     * @param {Object} patrones - Patrones a consultar (por defecto, los de la memoria actual)
      * @returns {Object|null} - Celda recomendada o null si no hay datos
      */
-    obtenerMejorMovimientoInicial(tablero) {
+    obtenerMejorMovimientoInicial(tablero, patrones = this.memoria.patrones) {
       // No hay datos suficientes
-      if (Object.keys(this.memoria.patrones.movimientosIniciales).length === 0) {
+      if (Object.keys(patrones.movimientosIniciales).length === 0) {
         return null;
       }
       
       const movimientos = [];
       
       // Convertir a lista y calcular tasa de éxito
-      for (const clave in this.memoria.patrones.movimientosIniciales) {
-        const datos = this.memoria.patrones.movimientosIniciales[clave];
+      for (const clave in patrones.movimientosIniciales) {
+        const datos = patrones.movimientosIniciales[clave];
         const total = datos.victorias + datos.derrotas;
         
         if (total >= 2) { // Sólo considerar movimientos con suficientes datos
@@ -398,7 +482,7 @@ class GestorMemoria {
             const columna = Math.round(columnaNorm * (tablero.columnas - 1));
             
             // Verificar validez
-            if (fila >= 0 && fila < tablero.filas && columna >= 0 && columna < tablero.columnas) {
+            if (tablero.esPosicionValida(fila, columna)) {
               movimientos.push({
                 fila,
                 columna,
@@ -429,7 +513,7 @@ class GestorMemoria {
       });
       
       // Retornar el mejor (con cierta aleatoriedad entre los mejores)
-      const indiceAleatorio = Math.floor(Math.random() * Math.min(3, movimientos.length));
+      const indiceAleatorio = this.generador.entero(Math.min(3, movimientos.length));
       return movimientos[indiceAleatorio];
     }
   
@@ -437,11 +521,12 @@ class GestorMemoria {
      * Obtiene el mejor segundo movimiento basado en la memoria
      * @param {Object} primerMovimiento - Datos del primer movimiento
      * @param {Object} tablero - Referencia al tablero
+     * @param {Object} patrones - Patrones a consultar (por defecto, los de la memoria actual)
      * @returns {Object|null} - Celda recomendada o null si no hay datos
      */
-    obtenerMejorSegundoMovimiento(primerMovimiento, tablero) {
+    obtenerMejorSegundoMovimiento(primerMovimiento, tablero, patrones = this.memoria.patrones) {
       // No hay datos suficientes
-      if (Object.keys(this.memoria.patrones.segundosMovimientos).length === 0) {
+      if (Object.keys(patrones.segundosMovimientos).length === 0) {
         return null;
       }
       
@@ -453,9 +538,9 @@ class GestorMemoria {
       const movimientos = [];
       
       // Buscar segundos movimientos que siguen a este
-      for (const clave in this.memoria.patrones.segundosMovimientos) {
+      for (const clave in patrones.segundosMovimientos) {
         if (clave.startsWith(clavePrimero + '|')) {
-          const datos = this.memoria.patrones.segundosMovimientos[clave];
+          const datos = patrones.segundosMovimientos[clave];
           const total = datos.victorias + datos.derrotas;
           
           if (total >= 2) { // Sólo considerar movimientos con suficientes datos
@@ -471,7 +556,7 @@ class GestorMemoria {
               const columna = Math.round(columnaNorm * (tablero.columnas - 1));
               
               // Verificar validez
-              if (fila >= 0 && fila < tablero.filas && columna >= 0 && columna < tablero.columnas) {
+              if (tablero.esPosicionValida(fila, columna)) {
                 movimientos.push({
                   fila,
                   columna,
@@ -601,30 +686,7 @@ class GestorMemoria {
      * Reinicia la memoria del sistema
      */
     reiniciarMemoria() {
-      this.memoria = {
-        mapaMinasConocidas: {},
-        patrones: {
-          movimientosIniciales: {},
-          segundosMovimientos: {},
-          secuenciasGanadoras: [],
-          secuenciasPerdedoras: []
-        },
-        partidas: [],
-        estadisticas: {
-          partidasJugadas: 0,
-          victorias: 0,
-          derrotas: 0,
-          minasTotales: 0,
-          movimientosTotales: 0,
-          tiempoTotal: 0
-        },
-        controlCambios: {
-          ultimoTablero: null,
-          contadorCambios: 0,
-          historialCambios: []
-        },
-        ultimaActualizacion: new Date().toISOString()
-      };
+      this.memoria = this.crearMemoriaInicial();
       
       this.idPartidaActual = Date.now();
       this.cambiosDetectados = false;
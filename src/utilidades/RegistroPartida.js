@@ -0,0 +1,410 @@
+import Tablero from '../modelos/Tablero';
+import { crearTopologia, esTopologiaValida } from '../modelos/topologias/CatalogoTopologias';
+import { LIMITES_TABLERO } from '../constantes/ConfiguracionJuego';
+
+/**
+ * RegistroPartida - Registro completo de una partida exportable a JSON
+ *
+ * Formato del archivo (versión 4):
+ * {
+ *   "formato": "buscaminas-inverso/partida",
+ *   "version": 4,
+ *   "creado": "2024-06-01T10:00:00.000Z",      // Fecha ISO de inicio
+ *   "tablero": {
+ *     "filas": 9, "columnas": 9,
+ *     "deshabilitadas": [{ "fila": 4, "columna": 4 }], // Huecos que no forman parte del tablero
+ *     "topologia": "cuadrada"                  // 'cuadrada', 'toroidal' o 'hexagonal'
+ *   },
+ *   "totalMinas": 10,                          // null si el usuario no lo indicó
+ *   "semilla": 123456,                         // Semilla de las decisiones del sistema
+ *   "eventos": [                               // En orden cronológico; "mensaje" es el texto
+ *                                              // mostrado al usuario tras ese paso
+ *     { "tipo": "seleccion", "fila": 0, "columna": 0, "razon": "...",
+ *       "tipoSeleccion": "probabilidad", "probabilidadMina": 0.12,   // probabilidadMina puede ser null
+ *       "mensaje": "..." },
+ *     { "tipo": "respuesta", "fila": 0, "columna": 0, "respuesta": "1", // 'vacío', '0'...'8' o 'mina'
+ *       "mensaje": "..." },
+ *     { "tipo": "banderas", "razon": "...", "banderas": [{ "fila": 1, "columna": 1 }], "mensaje": "..." }
+ *   ],
+ *   "resultado": {
+ *     "estado": "victoria",                    // 'victoria', 'derrota' o 'en_curso'
+ *     "movimientos": 12,
+ *     "tiempoJuego": 95                        // Segundos
+ *   }
+ * }
+ *
+ * Las filas y columnas empiezan en 0. Cada lado del tablero mide como mucho
+ * LIMITES_TABLERO.MAX_DIMENSION y totalMinas es menor que su número de casillas.
+ * Al cambiar el esquema se incrementa la versión y se añade una migración desde
+ * la anterior en MIGRACIONES.
+ */
+export const FORMATO_REGISTRO = 'buscaminas-inverso/partida';
+export const VERSION_REGISTRO = 4;
+
+/**
+ * Describe un evento del registro en una línea
+ * @param {Object} evento - Evento del registro
+ * @returns {string} - Descripción legible
+ */
+export const describirEvento = (evento) => {
+  const posicion = (e) => `(${e.fila + 1},${e.columna + 1})`;
+
+  switch (evento.tipo) {
+    case 'seleccion': {
+      const probabilidad = evento.probabilidadMina !== null && evento.probabilidadMina !== undefined
+        ? ` [${Math.round(evento.probabilidadMina * 100)}% mina]`
+        : '';
+      return `Sistema selecciona ${posicion(evento)}: ${evento.razon}${probabilidad}`;
+    }
+    case 'respuesta':
+      return `Respuesta en ${posicion(evento)}: ${evento.respuesta}`;
+    case 'banderas':
+      return `Banderas en ${evento.banderas.map(posicion).join(', ')}: ${evento.razon}`;
+    default:
+      return evento.tipo;
+  }
+};
+
+// Migraciones de cada versión a la siguiente: { [versionOrigen]: (datos) => datosVersionSiguiente }
+const MIGRACIONES = {
+  // La versión 1 no guardaba el mensaje de cada paso: se reconstruye a partir del evento
+  1: (datos) => ({
+    ...datos,
+    version: 2,
+    eventos: (datos.eventos || []).map(evento => ({ ...evento, mensaje: describirEvento(evento) }))
+  }),
+  // La versión 2 solo admitía tableros rectangulares completos
+  2: (datos) => ({
+    ...datos,
+    version: 3,
+    tablero: datos.tablero && { ...datos.tablero, deshabilitadas: [] }
+  }),
+  // La versión 3 solo admitía la cuadrícula cuadrada
+  3: (datos) => ({
+    ...datos,
+    version: 4,
+    tablero: datos.tablero && { ...datos.tablero, topologia: 'cuadrada' }
+  })
+};
+
+const RESPUESTAS_VALIDAS = ['vacío', '0', '1', '2', '3', '4', '5', '6', '7', '8', 'mina'];
+
+class RegistroPartida {
+    /**
+     * Constructor
+     * @param {Object} datos - Datos iniciales de la partida
+     * @param {number} datos.filas - Número de filas
+     * @param {number} datos.columnas - Número de columnas
+     * @param {Array} datos.deshabilitadas - Posiciones {fila, columna} de los huecos del tablero
+     * @param {string} datos.topologia - Identificador de la vecindad del tablero
+     * @param {number|null} datos.totalMinas - Total de minas declarado
+     * @param {number|null} datos.semilla - Semilla de la partida
+     */
+    constructor({ filas, columnas, deshabilitadas = [], topologia = 'cuadrada', totalMinas = null, semilla = null }) {
+      this.creado = new Date().toISOString();
+      this.filas = filas;
+      this.columnas = columnas;
+      this.deshabilitadas = deshabilitadas.map(({ fila, columna }) => ({ fila, columna }));
+      this.topologia = topologia;
+      this.totalMinas = totalMinas;
+      this.semilla = semilla;
+      this.eventos = [];
+      this.resultado = {
+        estado: 'en_curso',
+        movimientos: 0,
+        tiempoJuego: 0
+      };
+    }
+
+    /**
+     * Registra una casilla seleccionada por el sistema
+     * @param {number} fila - Fila
+     * @param {number} columna - Columna
+     * @param {string} razon - Razón de la selección
+     * @param {Object|null} detalle - Tipo de selección y probabilidad de mina
+     * @param {string|null} mensaje - Mensaje mostrado al usuario (se genera si no se indica)
+     */
+    registrarSeleccion(fila, columna, razon, detalle = null, mensaje = null) {
+      this.agregarEvento({
+        tipo: 'seleccion',
+        fila,
+        columna,
+        razon,
+        tipoSeleccion: detalle?.tipo ?? null,
+        probabilidadMina: detalle?.probabilidadMina ?? null
+      }, mensaje);
+    }
+
+    /**
+     * Registra la respuesta del usuario
+     * @param {number} fila - Fila
+     * @param {number} columna - Columna
+     * @param {string} respuesta - Respuesta ('vacío', '0'...'8', 'mina')
+     * @param {string|null} mensaje - Mensaje mostrado al usuario (se genera si no se indica)
+     */
+    registrarRespuesta(fila, columna, respuesta, mensaje = null) {
+      this.agregarEvento({ tipo: 'respuesta', fila, columna, respuesta }, mensaje);
+    }
+
+    /**
+     * Registra las banderas colocadas por el sistema
+     * @param {Array} banderas - Posiciones {fila, columna}
+     * @param {string} razon - Razón de la colocación
+     * @param {string|null} mensaje - Mensaje mostrado al usuario (se genera si no se indica)
+     */
+    registrarBanderas(banderas, razon, mensaje = null) {
+      if (banderas.length === 0) return;
+
+      this.agregarEvento({
+        tipo: 'banderas',
+        razon,
+        banderas: banderas.map(b => ({ fila: b.fila, columna: b.columna }))
+      }, mensaje);
+    }
+
+    /**
+     * Añade un evento con su mensaje
+     * @param {Object} evento - Evento sin mensaje
+     * @param {string|null} mensaje - Mensaje mostrado al usuario
+     */
+    agregarEvento(evento, mensaje) {
+      this.eventos.push({ ...evento, mensaje: mensaje ?? describirEvento(evento) });
+    }
+
+    /**
+     * Descarta los eventos posteriores a una posición (al deshacer)
+     * @param {number} cantidad - Número de eventos a conservar
+     */
+    truncar(cantidad) {
+      this.eventos = this.eventos.slice(0, cantidad);
+      this.resultado = { ...this.resultado, estado: 'en_curso' };
+    }
+
+    /**
+     * Actualiza el resultado de la partida
+     * @param {string} estado - 'victoria', 'derrota' o 'en_curso'
+     * @param {number} movimientos - Movimientos realizados
+     * @param {number} tiempoJuego - Tiempo en segundos
+     */
+    establecerResultado(estado, movimientos, tiempoJuego) {
+      this.resultado = { estado, movimientos, tiempoJuego };
+    }
+
+    /**
+     * Convierte el registro en un objeto con el formato documentado
+     * @returns {Object} - Datos serializables
+     */
+    exportar() {
+      return {
+        formato: FORMATO_REGISTRO,
+        version: VERSION_REGISTRO,
+        creado: this.creado,
+        tablero: {
+          filas: this.filas,
+          columnas: this.columnas,
+          deshabilitadas: this.deshabilitadas.map(p => ({ ...p })),
+          topologia: this.topologia
+        },
+        totalMinas: this.totalMinas,
+        semilla: this.semilla,
+        eventos: this.eventos.map(evento => ({ ...evento })),
+        resultado: { ...this.resultado }
+      };
+    }
+
+    /**
+     * Convierte el registro en texto JSON
+     * @returns {string} - JSON con sangría
+     */
+    aJSON() {
+      return JSON.stringify(this.exportar(), null, 2);
+    }
+
+    /**
+     * Crea un registro a partir de un archivo exportado
+     * @param {string|Object} entrada - Texto JSON u objeto ya parseado
+     * @returns {RegistroPartida} - Registro validado
+     * @throws {Error} - Si el archivo no tiene el formato esperado
+     */
+    static importar(entrada) {
+      let datos = entrada;
+      if (typeof entrada === 'string') {
+        try {
+          datos = JSON.parse(entrada);
+        } catch (error) {
+          throw new Error('El archivo no contiene JSON válido.');
+        }
+      }
+
+      if (!datos || datos.formato !== FORMATO_REGISTRO) {
+        throw new Error('El archivo no es un registro de partida de Buscaminas Inverso.');
+      }
+
+      if (!Number.isInteger(datos.version) || datos.version < 1) {
+        throw new Error('El registro no indica una versión válida.');
+      }
+
+      if (datos.version > VERSION_REGISTRO) {
+        throw new Error(`El registro usa la versión ${datos.version} del formato y esta aplicación solo admite hasta la ${VERSION_REGISTRO}.`);
+      }
+
+      // Actualizar registros antiguos versión a versión
+      while (datos.version < VERSION_REGISTRO) {
+        datos = MIGRACIONES[datos.version](datos);
+      }
+
+      RegistroPartida.validar(datos);
+
+      const registro = new RegistroPartida({
+        filas: datos.tablero.filas,
+        columnas: datos.tablero.columnas,
+        deshabilitadas: datos.tablero.deshabilitadas,
+        topologia: datos.tablero.topologia,
+        totalMinas: datos.totalMinas ?? null,
+        semilla: datos.semilla ?? null
+      });
+      registro.creado = datos.creado;
+      registro.eventos = datos.eventos.map(evento => ({ ...evento }));
+      registro.resultado = { ...datos.resultado };
+
+      return registro;
+    }
+
+    /**
+     * Crea un registro a partir de una partida guardada en la memoria del sistema
+     * Las partidas guardadas antes de existir el registro solo conservan los movimientos,
+     * así que se reconstruyen como pares de selección y respuesta sin banderas
+     * @param {Object} partida - Entrada de GestorMemoria.memoria.partidas
+     * @returns {RegistroPartida} - Registro de la partida
+     */
+    static desdePartidaGuardada(partida) {
+      if (partida.registro) {
+        return RegistroPartida.importar(partida.registro);
+      }
+
+      const registro = new RegistroPartida({
+        filas: partida.tamañoTablero.filas,
+        columnas: partida.tamañoTablero.columnas
+      });
+      registro.creado = partida.fecha;
+
+      (partida.movimientos || []).forEach(movimiento => {
+        registro.registrarSeleccion(movimiento.fila, movimiento.columna, 'Partida antigua: razón no guardada');
+        if (movimiento.respuesta !== null && movimiento.respuesta !== undefined) {
+          const respuesta = movimiento.respuesta === '' ? 'vacío' : String(movimiento.respuesta);
+          registro.registrarRespuesta(movimiento.fila, movimiento.columna, respuesta === 'M' ? 'mina' : respuesta);
+        }
+      });
+
+      registro.establecerResultado(partida.resultado, partida.movimientos?.length ?? 0, partida.tiempoJuego ?? 0);
+      return registro;
+    }
+
+    /**
+     * Comprueba la estructura de un registro en la versión actual
+     * @param {Object} datos - Datos del registro
+     * @throws {Error} - Con la descripción del primer problema encontrado
+     */
+    static validar(datos) {
+      const { tablero, eventos, resultado } = datos;
+
+      const dimensionValida = (n) => Number.isInteger(n) && n >= 1 && n <= LIMITES_TABLERO.MAX_DIMENSION;
+      if (!tablero || !dimensionValida(tablero.filas) || !dimensionValida(tablero.columnas)) {
+        throw new Error(`El registro no indica un tamaño de tablero válido (de 1 a ${LIMITES_TABLERO.MAX_DIMENSION} filas y columnas).`);
+      }
+
+      const dentroDelTablero = (e) => Number.isInteger(e.fila) && Number.isInteger(e.columna) &&
+        e.fila >= 0 && e.fila < tablero.filas && e.columna >= 0 && e.columna < tablero.columnas;
+
+      if (!Array.isArray(tablero.deshabilitadas) || !tablero.deshabilitadas.every(dentroDelTablero)) {
+        throw new Error('El registro no indica unos huecos de tablero válidos.');
+      }
+
+      if (!esTopologiaValida(tablero.topologia)) {
+        throw new Error('El registro no indica una topología de tablero válida.');
+      }
+
+      const huecos = new Set(tablero.deshabilitadas.map(e => `${e.fila},${e.columna}`));
+      const posicionValida = (e) => dentroDelTablero(e) && !huecos.has(`${e.fila},${e.columna}`);
+
+      // Al menos una casilla tiene que quedar libre de minas
+      const casillas = tablero.filas * tablero.columnas - huecos.size;
+      const { totalMinas } = datos;
+      if (totalMinas !== null && totalMinas !== undefined &&
+          (!Number.isInteger(totalMinas) || totalMinas < 0 || totalMinas >= casillas)) {
+        throw new Error(`El registro no indica un total de minas válido (de 0 a ${casillas - 1}).`);
+      }
+
+      if (!Array.isArray(eventos)) {
+        throw new Error('El registro no contiene la lista de eventos.');
+      }
+
+      eventos.forEach((evento, indice) => {
+        const valido = typeof evento.mensaje === 'string' && (
+          (evento.tipo === 'seleccion' && posicionValida(evento)) ||
+          (evento.tipo === 'respuesta' && posicionValida(evento) && RESPUESTAS_VALIDAS.includes(evento.respuesta)) ||
+          (evento.tipo === 'banderas' && Array.isArray(evento.banderas) && evento.banderas.every(posicionValida))
+        );
+
+        if (!valido) {
+          throw new Error(`El evento ${indice + 1} del registro no es válido.`);
+        }
+      });
+
+      if (!resultado || !['victoria', 'derrota', 'en_curso'].includes(resultado.estado)) {
+        throw new Error('El registro no indica un resultado válido.');
+      }
+    }
+
+    /**
+     * Reconstruye el tablero tras aplicar los primeros eventos
+     * @param {number} hastaEvento - Número de eventos a aplicar (todos por defecto)
+     * @returns {Tablero} - Tablero resultante
+     */
+    reconstruirTablero(hastaEvento = this.eventos.length) {
+      const tablero = new Tablero(this.filas, this.columnas, this.totalMinas, this.deshabilitadas, crearTopologia(this.topologia));
+
+      this.eventos.slice(0, hastaEvento).forEach(evento => RegistroPartida.aplicarEvento(tablero, evento));
+
+      return tablero;
+    }
+
+    /**
+     * Obtiene las casillas reveladas y con bandera tras los primeros eventos, en el formato
+     * de Tablero.obtenerEstadoParaMemoria (para Tablero.restaurarEstado)
+     * @param {number} hastaEvento - Número de eventos a aplicar (todos por defecto)
+     * @returns {Object} - Estado {celdasReveladas, celdasConBandera}
+     */
+    obtenerEstadoTablero(hastaEvento = this.eventos.length) {
+      const celdasReveladas = [];
+      const celdasConBandera = [];
+
+      this.eventos.slice(0, hastaEvento).forEach(evento => {
+        if (evento.tipo === 'respuesta') {
+          const valor = evento.respuesta === 'mina' ? 'M' : (evento.respuesta === 'vacío' ? '' : evento.respuesta);
+          celdasReveladas.push({ fila: evento.fila, columna: evento.columna, valor });
+        } else if (evento.tipo === 'banderas') {
+          evento.banderas.forEach(({ fila, columna }) => celdasConBandera.push({ fila, columna }));
+        }
+      });
+
+      return { celdasReveladas, celdasConBandera };
+    }
+
+    /**
+     * Aplica a un tablero lo que cambia un evento: la respuesta revela una casilla
+     * y las banderas se colocan; las selecciones no cambian el tablero
+     * @param {Tablero} tablero - Tablero sobre el que se aplica
+     * @param {Object} evento - Evento del registro
+     */
+    static aplicarEvento(tablero, evento) {
+      if (evento.tipo === 'respuesta') {
+        const valor = evento.respuesta === 'mina' ? 'M' : (evento.respuesta === 'vacío' ? '' : evento.respuesta);
+        tablero.establecerValorCelda(evento.fila, evento.columna, valor);
+      } else if (evento.tipo === 'banderas') {
+        evento.banderas.forEach(b => tablero.establecerBandera(b.fila, b.columna, true));
+      }
+    }
+  }
+
+  export default RegistroPartida;
@@ -0,0 +1,118 @@
+import RegistroPartida, { FORMATO_REGISTRO, VERSION_REGISTRO } from './RegistroPartida';
+import { LIMITES_TABLERO } from '../constantes/ConfiguracionJuego';
+
+describe('RegistroPartida', () => {
+  const crearRegistro = () => {
+    const registro = new RegistroPartida({
+      filas: 4,
+      columnas: 5,
+      deshabilitadas: [{ fila: 3, columna: 4 }],
+      topologia: 'toroidal',
+      totalMinas: 3,
+      semilla: 42
+    });
+    registro.registrarSeleccion(0, 0, 'Esquina', { tipo: 'inicial', probabilidadMina: 0.15 });
+    registro.registrarRespuesta(0, 0, 'vacío');
+    registro.registrarSeleccion(1, 1, 'Celda 100% segura', { tipo: 'segura', probabilidadMina: 0 }, 'Pruebo (2,2)');
+    registro.registrarRespuesta(1, 1, '2');
+    registro.registrarBanderas([{ fila: 2, columna: 2 }], 'Restricción completa');
+    registro.establecerResultado('en_curso', 2, 14);
+    return registro;
+  };
+
+  // Registro de la versión 1: sin mensajes, huecos ni topología
+  const registroVersion1 = () => ({
+    formato: FORMATO_REGISTRO,
+    version: 1,
+    creado: '2024-06-01T10:00:00.000Z',
+    tablero: { filas: 9, columnas: 9 },
+    totalMinas: 10,
+    semilla: 7,
+    eventos: [
+      { tipo: 'seleccion', fila: 0, columna: 0, razon: 'Esquina', tipoSeleccion: 'inicial', probabilidadMina: null },
+      { tipo: 'respuesta', fila: 0, columna: 0, respuesta: '1' }
+    ],
+    resultado: { estado: 'derrota', movimientos: 1, tiempoJuego: 5 }
+  });
+
+  test('exportar e importar conserva el registro', () => {
+    const registro = crearRegistro();
+    const importado = RegistroPartida.importar(registro.aJSON());
+
+    expect(importado.exportar()).toEqual(registro.exportar());
+    expect(importado.exportar().version).toBe(VERSION_REGISTRO);
+    expect(importado.obtenerEstadoTablero()).toEqual(registro.obtenerEstadoTablero());
+  });
+
+  test('migra los registros de la versión 1 a la actual', () => {
+    const datos = RegistroPartida.importar(registroVersion1()).exportar();
+
+    expect(datos.version).toBe(VERSION_REGISTRO);
+    expect(datos.tablero).toEqual({ filas: 9, columnas: 9, deshabilitadas: [], topologia: 'cuadrada' });
+    expect(datos.eventos.map(e => e.mensaje)).toEqual([
+      'Sistema selecciona (1,1): Esquina',
+      'Respuesta en (1,1): 1'
+    ]);
+    expect(datos.resultado).toEqual({ estado: 'derrota', movimientos: 1, tiempoJuego: 5 });
+  });
+
+  test('migra los registros de las versiones 2 y 3 conservando sus datos', () => {
+    const version1 = registroVersion1();
+    const version2 = {
+      ...version1,
+      version: 2,
+      eventos: version1.eventos.map(e => ({ ...e, mensaje: 'Guardado' }))
+    };
+    const version3 = {
+      ...version2,
+      version: 3,
+      tablero: { ...version2.tablero, deshabilitadas: [{ fila: 4, columna: 4 }] }
+    };
+
+    const desde2 = RegistroPartida.importar(version2).exportar();
+    const desde3 = RegistroPartida.importar(version3).exportar();
+
+    expect(desde2.tablero).toEqual({ filas: 9, columnas: 9, deshabilitadas: [], topologia: 'cuadrada' });
+    expect(desde2.eventos.map(e => e.mensaje)).toEqual(['Guardado', 'Guardado']);
+    expect(desde3.tablero).toEqual({ filas: 9, columnas: 9, deshabilitadas: [{ fila: 4, columna: 4 }], topologia: 'cuadrada' });
+    expect([desde2.version, desde3.version]).toEqual([VERSION_REGISTRO, VERSION_REGISTRO]);
+  });
+
+  test('rechaza archivos que no son registros válidos', () => {
+    const datos = crearRegistro().exportar();
+    const con = (cambios) => ({ ...datos, ...cambios });
+
+    expect(() => RegistroPartida.importar('{ no es json')).toThrow('JSON válido');
+    expect(() => RegistroPartida.importar(con({ formato: 'otro' }))).toThrow('no es un registro de partida');
+    expect(() => RegistroPartida.importar(con({ version: 0 }))).toThrow('versión válida');
+    expect(() => RegistroPartida.importar(con({ version: VERSION_REGISTRO + 1 }))).toThrow(`solo admite hasta la ${VERSION_REGISTRO}`);
+    expect(() => RegistroPartida.importar(con({ tablero: { ...datos.tablero, filas: 2.5 } }))).toThrow('tamaño de tablero');
+    expect(() => RegistroPartida.importar(con({ tablero: { ...datos.tablero, deshabilitadas: [{ fila: 9, columna: 0 }] } }))).toThrow('huecos');
+    expect(() => RegistroPartida.importar(con({ tablero: { ...datos.tablero, topologia: 'esferica' } }))).toThrow('topología');
+    expect(() => RegistroPartida.importar(con({ eventos: null }))).toThrow('lista de eventos');
+    expect(() => RegistroPartida.importar(con({ eventos: [{ tipo: 'respuesta', fila: 0, columna: 0, respuesta: '9', mensaje: '' }] }))).toThrow('evento 1');
+    expect(() => RegistroPartida.importar(con({ eventos: [{ tipo: 'seleccion', fila: 3, columna: 4, mensaje: '' }] }))).toThrow('evento 1');
+    expect(() => RegistroPartida.importar(con({ resultado: { estado: 'abandonada' } }))).toThrow('resultado');
+  });
+
+  test('rechaza tableros demasiado grandes y totales de minas imposibles', () => {
+    const datos = crearRegistro().exportar();
+    const conTablero = (filas, columnas) => ({ ...datos, tablero: { ...datos.tablero, filas, columnas }, eventos: [] });
+    const conMinas = (totalMinas) => ({ ...datos, totalMinas });
+    const maximo = LIMITES_TABLERO.MAX_DIMENSION;
+
+    expect(() => RegistroPartida.importar(conTablero(maximo, maximo))).not.toThrow();
+    expect(() => RegistroPartida.importar(conTablero(maximo + 1, 5))).toThrow('tamaño de tablero');
+    expect(() => RegistroPartida.importar(conTablero(5, 1e9))).toThrow('tamaño de tablero');
+    expect(() => RegistroPartida.importar(conTablero(0, 5))).toThrow('tamaño de tablero');
+
+    // 4×5 con un hueco: 19 casillas
+    expect(RegistroPartida.importar(conMinas(0)).totalMinas).toBe(0);
+    expect(RegistroPartida.importar(conMinas(18)).totalMinas).toBe(18);
+    expect(RegistroPartida.importar(conMinas(null)).totalMinas).toBeNull();
+    expect(() => RegistroPartida.importar(conMinas(19))).toThrow('total de minas');
+    expect(() => RegistroPartida.importar(conMinas(-1))).toThrow('total de minas');
+    expect(() => RegistroPartida.importar(conMinas(2.5))).toThrow('total de minas');
+    expect(() => RegistroPartida.importar(conMinas('3'))).toThrow('total de minas');
+  });
+});